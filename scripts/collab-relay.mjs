@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * Local WebSocket relay for collaborative editing.
+ * Usage: node scripts/collab-relay.mjs [port]   (default 8787, or COLLAB_RELAY_PORT)
+ *
+ * The relay does not understand projects. Per room it forwards sync ops and
+ * presence between clients and keeps the newest op per register (see
+ * src/lib/collab/lwwDocument.js), so a client joining later receives the
+ * current document in its `welcome` message. Rooms live in memory only.
+ *
+ * Implements the small part of RFC 6455 the app needs (text frames,
+ * fragmentation, ping/pong, close) on top of node:http — no dependencies.
+ */
+import { createHash } from 'crypto'
+import { createServer } from 'http'
+
+const PORT = Number(process.argv[2] || process.env.COLLAB_RELAY_PORT || 8787)
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024
+
+/** @type {Map<string, {clients: Map<string, {send: Function, user: Object, presence: Object|null}>, registers: Map<string, Object>}>} */
+const rooms = new Map()
+
+function compareTimestamps(a, b) {
+  if (!b) return 1
+  if (a[0] !== b[0]) return a[0] - b[0]
+  if (a[1] === b[1]) return 0
+  return a[1] > b[1] ? 1 : -1
+}
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length
+  let header
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length])
+  } else if (length < 65536) {
+    header = Buffer.alloc(4)
+    header[0] = 0x80 | opcode
+    header[1] = 126
+    header.writeUInt16BE(length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[0] = 0x80 | opcode
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(length), 2)
+  }
+  return Buffer.concat([header, payload])
+}
+
+/** Wrap a raw upgraded socket: parses incoming frames and returns a `send(text)` function. */
+function acceptWebSocket(socket, { onText, onClose }) {
+  let buffered = Buffer.alloc(0)
+  let fragments = []
+  let fragmentBytes = 0
+  let closed = false
+
+  function close(code = 1000) {
+    if (closed) return
+    closed = true
+    const payload = Buffer.alloc(2)
+    payload.writeUInt16BE(code, 0)
+    socket.end(encodeFrame(0x8, payload))
+    onClose()
+  }
+
+  socket.on('data', (chunk) => {
+    buffered = Buffer.concat([buffered, chunk])
+    while (buffered.length >= 2) {
+      const fin = (buffered[0] & 0x80) !== 0
+      const opcode = buffered[0] & 0x0f
+      const masked = (buffered[1] & 0x80) !== 0
+      let length = buffered[1] & 0x7f
+      let offset = 2
+      if (length === 126) {
+        if (buffered.length < 4) return
+        length = buffered.readUInt16BE(2)
+        offset = 4
+      } else if (length === 127) {
+        if (buffered.length < 10) return
+        length = Number(buffered.readBigUInt64BE(2))
+        offset = 10
+      }
+      if (fragmentBytes + length > MAX_MESSAGE_BYTES) {
+        close(1009)
+        return
+      }
+      const maskOffset = offset
+      if (masked) offset += 4
+      if (buffered.length < offset + length) return
+      const payload = Buffer.from(buffered.subarray(offset, offset + length))
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffered[maskOffset + (i % 4)]
+      }
+      buffered = buffered.subarray(offset + length)
+
+      if (opcode === 0x8) {
+        close()
+        return
+      }
+      if (opcode === 0x9) {
+        socket.write(encodeFrame(0xa, payload))
+        continue
+      }
+      if (opcode === 0xa) continue
+      if (opcode === 0x1 || opcode === 0x0) {
+        fragments.push(payload)
+        fragmentBytes += payload.length
+        if (fin) {
+          const text = Buffer.concat(fragments).toString('utf8')
+          fragments = []
+          fragmentBytes = 0
+          // A message the relay cannot handle closes only this client, never the whole relay
+          try {
+            onText(text)
+          } catch {
+            close(1007)
+            return
+          }
+        }
+      }
+    }
+  })
+  socket.on('close', () => {
+    if (!closed) {
+      closed = true
+      onClose()
+    }
+  })
+  socket.on('error', () => socket.destroy())
+
+  return (text) => {
+    if (!closed) socket.write(encodeFrame(0x1, Buffer.from(text, 'utf8')))
+  }
+}
+
+function getRoom(name) {
+  let room = rooms.get(name)
+  if (!room) {
+    room = { clients: new Map(), registers: new Map() }
+    rooms.set(name, room)
+  }
+  return room
+}
+
+function broadcast(room, senderId, message) {
+  const text = JSON.stringify(message)
+  for (const [clientId, client] of room.clients) {
+    if (clientId !== senderId) client.send(text)
+  }
+}
+
+function handleConnection(send) {
+  let roomName = null
+  let clientId = null
+
+  return {
+    onText(text) {
+      let message
+      try {
+        message = JSON.parse(text)
+      } catch {
+        return
+      }
+      if (!message || typeof message !== 'object' || Array.isArray(message)) return
+      if (message.type === 'join' && !roomName) {
+        roomName = String(message.room || '')
+        clientId = String(message.clientId || '')
+        if (!roomName || !clientId) return
+        const room = getRoom(roomName)
+        const peers = [...room.clients].map(([id, client]) => ({ clientId: id, user: client.user, presence: client.presence }))
+        room.clients.set(clientId, { send, user: message.user || {}, presence: null })
+        send(JSON.stringify({ type: 'welcome', ops: [...room.registers.values()], peers }))
+        broadcast(room, clientId, { type: 'presence', clientId, user: message.user || {}, presence: null })
+        console.log(`[relay] ${clientId} joined ${roomName} (${room.clients.size} online)`)
+        return
+      }
+      const room = roomName ? rooms.get(roomName) : null
+      if (!room) return
+      if (message.type === 'ops' && Array.isArray(message.ops)) {
+        for (const op of message.ops) {
+          if (!op || !Array.isArray(op.t)) continue
+          const key = `${op.c}\u0000${op.id}\u0000${op.k}`
+          const current = room.registers.get(key)
+          if (!current || compareTimestamps(op.t, current.t) > 0) room.registers.set(key, op)
+        }
+        broadcast(room, clientId, { type: 'ops', clientId, ops: message.ops })
+        return
+      }
+      if (message.type === 'presence') {
+        const client = room.clients.get(clientId)
+        if (!client) return
+        client.presence = message.presence || null
+        broadcast(room, clientId, { type: 'presence', clientId, user: client.user, presence: client.presence })
+      }
+    },
+
+    onClose() {
+      const room = roomName ? rooms.get(roomName) : null
+      if (!room) return
+      room.clients.delete(clientId)
+      broadcast(room, clientId, { type: 'leave', clientId })
+      console.log(`[relay] ${clientId} left ${roomName} (${room.clients.size} online)`)
+    },
+  }
+}
+
+const server = createServer((req, res) => {
+  res.writeHead(200, { 'content-type': 'text/plain; charset=utf-8' })
+  res.end(`metro-studio collab relay · ${rooms.size} room(s)\n`)
+})
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key']
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n')
+    return
+  }
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64')
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`,
+  )
+  socket.setNoDelay(true)
+  let connection = null
+  const send = acceptWebSocket(socket, {
+    onText: (text) => connection.onText(text),
+    onClose: () => connection.onClose(),
+  })
+  connection = handleConnection(send)
+})
+
+server.listen(PORT, () => {
+  console.log(`[relay] listening on ws://localhost:${PORT}`)
+})
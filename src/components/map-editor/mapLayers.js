@@ -20,10 +20,13 @@ import {
   buildStationsGeoJson,
 } from './dataBuilders'
 import { LINE_STYLE_OPTIONS, getLineStyleMap } from '../../lib/lineStyles'
+import { classifyAccessibility } from '../../lib/network/networkStatistics'
 
 const LAYER_LANDUSE = 'landuse-overlay'
 const LAYER_STATIONS_LABEL = 'railmap-stations-label'
 const LAYER_STATIONS_INTERCHANGE = 'railmap-stations-interchange'
+const SOURCE_ACCESSIBILITY = 'railmap-accessibility'
+const LAYER_ACCESSIBILITY = 'railmap-accessibility-circles'
 
 const COMMON_LANDUSE_TYPES = [
   'residential',
@@ -55,6 +58,9 @@ const LANDUSE_COLORS = {
   stadium: '#32CD32',
 }
 
+// 可达性分级配色：0 = 平均距离最短（核心区），依次到最差（边缘）；介数中心性着色沿用（0 = 介数最低）
+const ACCESSIBILITY_COLORS = ['#1a9850', '#91cf60', '#fee08b', '#fc8d59', '#d73027']
+
 const lineStyleIds = LINE_STYLE_OPTIONS.map((item) => item.id)
 const doubleLineStyleIds = lineStyleIds.filter((styleId) => getLineStyleMap(styleId).lineGapWidth > 0)
 const edgeLayerCaps = {
@@ -516,4 +522,85 @@ export function updateLanduseVisibility(map, visible) {
   map.setLayoutProperty(LAYER_LANDUSE, 'visibility', visible ? 'visible' : 'none')
 }
 
-export { COMMON_LANDUSE_TYPES, LANDUSE_COLORS }
+// 可达性图层同时用于介数中心性着色，同一时间只显示其一
+function collectAccessibilityValues(store) {
+  if (store.centrality?.active && store.centrality.valuesByStation) {
+    return {
+      entries: Object.entries(store.centrality.valuesByStation),
+      breaks: store.centrality.breaks || [],
+    }
+  }
+  const result = store.accessibility?.active ? store.accessibility.result : null
+  if (!result) return null
+  const metric = store.accessibility.metric === 'median' ? 'median' : 'mean'
+  return {
+    entries: (result.stations || []).map((item) => [
+      item.stationId,
+      metric === 'median' ? item.medianMeters : item.meanMeters,
+    ]),
+    breaks: result.breaks?.[metric] || [],
+  }
+}
+
+function buildAccessibilityGeoJson(store, { entries, breaks }) {
+  const stationById = new Map((store.project?.stations || []).map((station) => [station.id, station]))
+  const features = []
+  for (const [stationId, value] of entries) {
+    const station = stationById.get(stationId)
+    if (!Array.isArray(station?.lngLat)) continue
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: station.lngLat },
+      properties: {
+        stationId,
+        classIndex: classifyAccessibility(value, breaks),
+      },
+    })
+  }
+  return { type: 'FeatureCollection', features }
+}
+
+export function updateAccessibilityLayer(map, store) {
+  if (!map) return
+  const metricValues = collectAccessibilityValues(store)
+  if (!metricValues) {
+    removeAccessibilityLayer(map)
+    return
+  }
+
+  const data = buildAccessibilityGeoJson(store, metricValues)
+  const source = map.getSource(SOURCE_ACCESSIBILITY)
+  if (source) {
+    source.setData(data)
+  } else {
+    map.addSource(SOURCE_ACCESSIBILITY, { type: 'geojson', data })
+  }
+
+  if (!map.getLayer(LAYER_ACCESSIBILITY)) {
+    const colorExpression = ['match', ['get', 'classIndex']]
+    ACCESSIBILITY_COLORS.forEach((color, index) => colorExpression.push(index, color))
+    colorExpression.push(ACCESSIBILITY_COLORS[ACCESSIBILITY_COLORS.length - 1])
+
+    const beforeLayer = map.getLayer(LAYER_STATIONS_LABEL) ? LAYER_STATIONS_LABEL : undefined
+    map.addLayer({
+      id: LAYER_ACCESSIBILITY,
+      type: 'circle',
+      source: SOURCE_ACCESSIBILITY,
+      paint: {
+        'circle-radius': ['interpolate', ['linear'], ['zoom'], 8, 5, 12, 9, 16, 14],
+        'circle-color': colorExpression,
+        'circle-opacity': 0.9,
+        'circle-stroke-width': 1.5,
+        'circle-stroke-color': '#ffffff',
+      },
+    }, beforeLayer)
+  }
+}
+
+export function removeAccessibilityLayer(map) {
+  if (!map) return
+  if (map.getLayer(LAYER_ACCESSIBILITY)) map.removeLayer(LAYER_ACCESSIBILITY)
+  if (map.getSource(SOURCE_ACCESSIBILITY)) map.removeSource(SOURCE_ACCESSIBILITY)
+}
+
+export { COMMON_LANDUSE_TYPES, LANDUSE_COLORS, ACCESSIBILITY_COLORS }
@@ -1,5 +1,6 @@
-import { onBeforeUnmount, ref, watch } from 'vue'
+import { computed, onBeforeUnmount, ref, watch } from 'vue'
 import { useProjectStore } from '../stores/projectStore'
+import { useDialog } from './useDialog.js'
 
 const DEBOUNCE_MS = 30_000
 
@@ -14,16 +15,28 @@ const DEBOUNCE_MS = 30_000
  *  - store.isImporting is true
  *  - store.history.isRestoring is true
  *
+ * Save targets: the project always goes to IndexedDB. When it is linked to a
+ * file on disk (File System Access API), saves are also written back to that
+ * file — silently from the timer (only when permission is still granted), and
+ * with a permission prompt / overwrite confirmation from `saveNow()` (Ctrl+S).
+ * When the window regains focus the linked file is checked for external
+ * modifications.
+ *
  * Returns reactive state for UI consumption.
  */
 export function useAutoSave() {
   const store = useProjectStore()
+  const { confirm } = useDialog()
 
   const saveState = ref('saved')   // 'saved' | 'unsaved' | 'saving' | 'error'
   const lastSavedAt = ref(null)    // Date | null
 
+  /** 'linked' when saves also write back to a file on disk, otherwise 'db' */
+  const saveTarget = computed(() => (store.linkedFile.projectId && store.linkedFile.projectId === store.project?.id ? 'linked' : 'db'))
+
   let debounceTimer = null
   let isFirstRun = true
+  let isCheckingDisk = false
 
   function clearTimer() {
     if (debounceTimer !== null) {
@@ -40,12 +53,33 @@ export function useAutoSave() {
     )
   }
 
-  async function executeSave() {
+  /** Write back to the linked file from a user action; asks before overwriting external changes. */
+  async function writeLinkedFileInteractive() {
+    const result = await store.saveLinkedFile()
+    if (result !== 'conflict') return
+    const overwrite = await confirm({
+      title: '磁盘文件已被修改',
+      message: `「${store.linkedFile.name}」在其他程序中被修改过。用本页内容覆盖磁盘上的版本吗？`,
+      confirmText: '覆盖',
+      danger: true,
+    })
+    if (!overwrite) {
+      store.statusText = '已取消写回磁盘文件'
+      return
+    }
+    await store.saveLinkedFile({ overwrite: true })
+  }
+
+  async function executeSave({ interactive = false } = {}) {
     if (shouldSkip()) return
 
     saveState.value = 'saving'
     try {
       await store.persistNow()
+      if (store.isLinkedFileActive()) {
+        if (interactive) await writeLinkedFileInteractive()
+        else await store.saveLinkedFile({ interactive: false })
+      }
       saveState.value = 'saved'
       lastSavedAt.value = new Date()
     } catch {
@@ -63,12 +97,46 @@ export function useAutoSave() {
 
   /**
    * Force an immediate save, bypassing the debounce timer.
+   * Must be called from a user action: it may prompt for write permission on the linked file.
    */
   async function saveNow() {
     clearTimer()
-    await executeSave()
+    await executeSave({ interactive: true })
+  }
+
+  async function onWindowFocus() {
+    if (isCheckingDisk || shouldSkip()) return
+    isCheckingDisk = true
+    try {
+      const result = await store.checkLinkedFileOnDisk()
+      if (result !== 'conflict') return
+      const reload = await confirm({
+        title: '磁盘文件已被修改',
+        message: `「${store.linkedFile.name}」在其他程序中被修改过，本页还有未写回的修改。载入磁盘上的版本并放弃这些修改吗？`,
+        confirmText: '载入磁盘版本',
+        cancelText: '保留本页修改',
+      })
+      if (reload) {
+        await store.reloadLinkedFile()
+      } else {
+        store.statusText = '已保留本页修改，下次写回时将询问是否覆盖磁盘文件'
+      }
+    } finally {
+      isCheckingDisk = false
+    }
   }
 
+  // Restore the file link remembered for whichever project is open
+  const stopLinkWatch = watch(
+    () => store.project?.id,
+    () => {
+      store.restoreLinkedFile()
+    },
+    { immediate: true },
+  )
+
+  window.addEventListener('focus', onWindowFocus)
+
   const stopWatch = watch(
     () => store.project,
     () => {
@@ -89,12 +157,15 @@ export function useAutoSave() {
 
   onBeforeUnmount(() => {
     stopWatch()
+    stopLinkWatch()
     clearTimer()
+    window.removeEventListener('focus', onWindowFocus)
   })
 
   return {
     saveState,
     lastSavedAt,
+    saveTarget,
     saveNow,
   }
 }
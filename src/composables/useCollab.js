@@ -0,0 +1,37 @@
+import { onBeforeUnmount, watch } from 'vue'
+import { useProjectStore } from '../stores/projectStore'
+
+/**
+ * 协同编辑会话的生命周期：切换到其他工程时断开，选择变化时广播给其他协作者，
+ * 页面关闭时断开连接。
+ */
+export function useCollab() {
+  const store = useProjectStore()
+
+  const stopProjectWatch = watch(
+    () => store.project?.id || null,
+    (projectId) => {
+      if (store.collab.status !== 'idle' && projectId !== store.collab.projectId) store.stopCollab()
+    },
+  )
+
+  const stopSelectionWatch = watch(
+    () => [store.selectedStationIds, store.selectedEdgeIds],
+    () => {
+      if (store.collab.status === 'connected') store.updateCollabPresence({})
+    },
+  )
+
+  function handlePageHide() {
+    store.stopCollab()
+  }
+
+  window.addEventListener('pagehide', handlePageHide)
+
+  onBeforeUnmount(() => {
+    stopProjectWatch()
+    stopSelectionWatch()
+    window.removeEventListener('pagehide', handlePageHide)
+    store.stopCollab()
+  })
+}
@@ -0,0 +1,185 @@
+import { watch, onBeforeUnmount } from 'vue'
+
+const SOURCE_DIFF_EDGES = 'metro-studio-diff-edges'
+const SOURCE_DIFF_STATIONS = 'metro-studio-diff-stations'
+
+const LAYER_DIFF_EDGES = 'metro-studio-diff-edges-line'
+const LAYER_DIFF_EDGES_DASHED = 'metro-studio-diff-edges-dashed'
+const LAYER_DIFF_STATIONS = 'metro-studio-diff-stations-circle'
+
+const ALL_LAYERS = [LAYER_DIFF_STATIONS, LAYER_DIFF_EDGES, LAYER_DIFF_EDGES_DASHED]
+const ALL_SOURCES = [SOURCE_DIFF_EDGES, SOURCE_DIFF_STATIONS]
+
+const EMPTY_FC = { type: 'FeatureCollection', features: [] }
+
+// 新增绿色、删除红色（虚线）、修改橙色；移动站点以灰色虚线连接新旧位置
+const DIFF_COLORS = {
+  added: '#22c55e',
+  removed: '#ef4444',
+  modified: '#f59e0b',
+  move: '#9ca3af',
+}
+
+/**
+ * 工程对比地图覆盖层 composable：按差异类型着色绘制站点与区间，并提供定位到差异对象的方法。
+ *
+ * @param {Object} deps
+ * @param {import('pinia').Store} deps.store
+ * @param {() => maplibregl.Map|null} deps.getMap
+ */
+export function useMapDiff({ store, getMap }) {
+  // ── 图层管理 ──
+
+  function removeLayers(map) {
+    for (const layerId of ALL_LAYERS) {
+      if (map.getLayer(layerId)) map.removeLayer(layerId)
+    }
+    for (const sourceId of ALL_SOURCES) {
+      if (map.getSource(sourceId)) map.removeSource(sourceId)
+    }
+  }
+
+  function ensureSourcesAndLayers(map) {
+    for (const sourceId of ALL_SOURCES) {
+      if (!map.getSource(sourceId)) map.addSource(sourceId, { type: 'geojson', data: EMPTY_FC })
+    }
+    if (!map.getLayer(LAYER_DIFF_EDGES_DASHED)) {
+      map.addLayer({
+        id: LAYER_DIFF_EDGES_DASHED,
+        type: 'line',
+        source: SOURCE_DIFF_EDGES,
+        filter: ['==', ['get', 'dashed'], true],
+        layout: { 'line-join': 'round' },
+        paint: {
+          'line-color': ['get', 'color'],
+          'line-width': ['get', 'width'],
+          'line-opacity': 0.9,
+          'line-dasharray': [1.5, 1.5],
+        },
+      })
+    }
+    if (!map.getLayer(LAYER_DIFF_EDGES)) {
+      map.addLayer({
+        id: LAYER_DIFF_EDGES,
+        type: 'line',
+        source: SOURCE_DIFF_EDGES,
+        filter: ['==', ['get', 'dashed'], false],
+        layout: { 'line-join': 'round', 'line-cap': 'round' },
+        paint: {
+          'line-color': ['get', 'color'],
+          'line-width': ['get', 'width'],
+          'line-opacity': 0.85,
+        },
+      })
+    }
+    if (!map.getLayer(LAYER_DIFF_STATIONS)) {
+      map.addLayer({
+        id: LAYER_DIFF_STATIONS,
+        type: 'circle',
+        source: SOURCE_DIFF_STATIONS,
+        paint: {
+          'circle-radius': 7,
+          'circle-color': ['get', 'color'],
+          'circle-opacity': 0.85,
+          'circle-stroke-width': 2,
+          'circle-stroke-color': '#ffffff',
+        },
+      })
+    }
+  }
+
+  // ── 数据构建 ──
+
+  function buildEdgesGeoJson(result) {
+    const features = []
+    const pushLine = (coordinates, kind, width, dashed) => {
+      if (!Array.isArray(coordinates) || coordinates.length < 2) return
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates },
+        properties: { kind, color: DIFF_COLORS[kind], width, dashed },
+      })
+    }
+    for (const item of result.edges.removed) pushLine(item.coordinates, 'removed', 6, true)
+    for (const item of result.edges.added) pushLine(item.coordinates, 'added', 7, false)
+    for (const item of result.edges.modified) pushLine(item.coordinates, 'modified', 7, false)
+    for (const item of result.stations.moved) pushLine([item.fromLngLat, item.toLngLat], 'move', 2, true)
+    return { type: 'FeatureCollection', features }
+  }
+
+  function buildStationsGeoJson(result) {
+    const features = []
+    const seen = new Set()
+    const pushPoint = (lngLat, kind, key) => {
+      if (!Array.isArray(lngLat) || seen.has(key)) return
+      seen.add(key)
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: lngLat },
+        properties: { kind, color: DIFF_COLORS[kind] },
+      })
+    }
+    for (const item of result.stations.removed) pushPoint(item.lngLat, 'removed', `removed:${item.id}`)
+    for (const item of result.stations.added) pushPoint(item.lngLat, 'added', `target:${item.id}`)
+    for (const group of ['moved', 'renamed', 'relined']) {
+      for (const item of result.stations[group]) pushPoint(item.lngLat, 'modified', `target:${item.targetId}`)
+    }
+    return { type: 'FeatureCollection', features }
+  }
+
+  function updateLayers() {
+    const map = getMap()
+    const result = store.projectDiff.result
+    if (!map || !map.isStyleLoaded() || !result) return
+    ensureSourcesAndLayers(map)
+    map.getSource(SOURCE_DIFF_EDGES)?.setData(buildEdgesGeoJson(result))
+    map.getSource(SOURCE_DIFF_STATIONS)?.setData(buildStationsGeoJson(result))
+  }
+
+  function clearLayers() {
+    const map = getMap()
+    if (!map || !map.isStyleLoaded()) return
+    removeLayers(map)
+  }
+
+  /** 将地图视野缩放到给定坐标集合 */
+  function focusDiffCoordinates(coordinates) {
+    const map = getMap()
+    const points = (coordinates || []).filter((p) => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]))
+    if (!map || !points.length) return
+    let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity
+    for (const [lng, lat] of points) {
+      minLng = Math.min(minLng, lng)
+      minLat = Math.min(minLat, lat)
+      maxLng = Math.max(maxLng, lng)
+      maxLat = Math.max(maxLat, lat)
+    }
+    try {
+      map.fitBounds([[minLng, minLat], [maxLng, maxLat]], { padding: 120, maxZoom: 15, duration: 600 })
+    } catch {
+      // fitBounds may throw if map is in an invalid state
+    }
+  }
+
+  function destroyDiff() {
+    const map = getMap()
+    if (map?.isStyleLoaded()) removeLayers(map)
+  }
+
+  watch(
+    () => ({ active: store.projectDiff.active, result: store.projectDiff.result }),
+    (val) => {
+      if (!val.active || !val.result) {
+        clearLayers()
+        return
+      }
+      updateLayers()
+    },
+  )
+
+  onBeforeUnmount(() => {
+    destroyDiff()
+  })
+
+  return { focusDiffCoordinates, destroyDiff }
+}
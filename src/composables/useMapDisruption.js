@@ -0,0 +1,231 @@
+import { watch, onBeforeUnmount } from 'vue'
+import { LAYER_EDGES_HIT, LAYER_STATIONS } from '../components/map-editor/constants'
+import {
+  resolveEdgeWaypointsForRender,
+  buildCurveFromWaypoints,
+} from '../components/map-editor/dataBuilders'
+
+const SOURCE_DISRUPTION_EDGES = 'metro-studio-disruption-edges'
+const SOURCE_DISRUPTION_STATIONS = 'metro-studio-disruption-stations'
+
+const LAYER_DISRUPTION_EDGES = 'metro-studio-disruption-edges-line'
+const LAYER_DISRUPTION_EDGES_DASHED = 'metro-studio-disruption-edges-dashed'
+const LAYER_DISRUPTION_STATIONS = 'metro-studio-disruption-stations-circle'
+
+const ALL_LAYERS = [LAYER_DISRUPTION_STATIONS, LAYER_DISRUPTION_EDGES, LAYER_DISRUPTION_EDGES_DASHED]
+const ALL_SOURCES = [SOURCE_DISRUPTION_EDGES, SOURCE_DISRUPTION_STATIONS]
+
+const EMPTY_FC = { type: 'FeatureCollection', features: [] }
+
+// 线段要素类型：原路径（灰色虚线）、绕行路径（高亮）、关闭区间（红色虚线）
+const EDGE_STYLES = {
+  before: { color: '#9ca3af', width: 5, dashed: true },
+  after: { color: '#f59e0b', width: 6, dashed: false },
+  closed: { color: '#ef4444', width: 7, dashed: true },
+}
+
+/**
+ * 中断模拟地图交互和图层管理 composable。
+ *
+ * @param {Object} deps
+ * @param {import('pinia').Store} deps.store
+ * @param {() => maplibregl.Map|null} deps.getMap
+ */
+export function useMapDisruption({ store, getMap }) {
+  let stationClickHandler = null
+  let edgeClickHandler = null
+
+  // ── 图层管理 ──
+
+  function removeLayers(map) {
+    for (const layerId of ALL_LAYERS) {
+      if (map.getLayer(layerId)) map.removeLayer(layerId)
+    }
+    for (const sourceId of ALL_SOURCES) {
+      if (map.getSource(sourceId)) map.removeSource(sourceId)
+    }
+  }
+
+  function ensureSourcesAndLayers(map) {
+    for (const sourceId of ALL_SOURCES) {
+      if (!map.getSource(sourceId)) map.addSource(sourceId, { type: 'geojson', data: EMPTY_FC })
+    }
+    if (!map.getLayer(LAYER_DISRUPTION_EDGES_DASHED)) {
+      map.addLayer({
+        id: LAYER_DISRUPTION_EDGES_DASHED,
+        type: 'line',
+        source: SOURCE_DISRUPTION_EDGES,
+        filter: ['==', ['get', 'dashed'], true],
+        layout: { 'line-join': 'round' },
+        paint: {
+          'line-color': ['get', 'color'],
+          'line-width': ['get', 'width'],
+          'line-opacity': 0.9,
+          'line-dasharray': [1.5, 1.5],
+        },
+      })
+    }
+    if (!map.getLayer(LAYER_DISRUPTION_EDGES)) {
+      map.addLayer({
+        id: LAYER_DISRUPTION_EDGES,
+        type: 'line',
+        source: SOURCE_DISRUPTION_EDGES,
+        filter: ['==', ['get', 'dashed'], false],
+        layout: { 'line-join': 'round', 'line-cap': 'round' },
+        paint: {
+          'line-color': ['get', 'color'],
+          'line-width': ['get', 'width'],
+          'line-opacity': 0.9,
+        },
+      })
+    }
+    if (!map.getLayer(LAYER_DISRUPTION_STATIONS)) {
+      map.addLayer({
+        id: LAYER_DISRUPTION_STATIONS,
+        type: 'circle',
+        source: SOURCE_DISRUPTION_STATIONS,
+        paint: {
+          'circle-radius': ['case', ['==', ['get', 'kind'], 'closed'], 9, 7],
+          'circle-color': ['case', ['==', ['get', 'kind'], 'closed'], '#ef4444', '#f97316'],
+          'circle-opacity': 0.85,
+          'circle-stroke-width': 2,
+          'circle-stroke-color': '#ffffff',
+        },
+      })
+    }
+  }
+
+  // ── 数据构建 ──
+
+  function buildEdgesGeoJson() {
+    const project = store.project
+    if (!project) return EMPTY_FC
+    const stationMap = new Map((project.stations || []).map((s) => [s.id, s]))
+    const edgeMap = new Map((project.edges || []).map((e) => [e.id, e]))
+    const features = []
+
+    const pushEdge = (edgeId, kind) => {
+      const edge = edgeMap.get(edgeId)
+      if (!edge) return
+      const linearWaypoints = resolveEdgeWaypointsForRender(edge, stationMap)
+      if (linearWaypoints.length < 2) return
+      const shouldSmooth = Boolean(edge.isCurved) && linearWaypoints.length >= 3 && linearWaypoints.length <= 20
+      features.push({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: shouldSmooth ? buildCurveFromWaypoints(linearWaypoints) : linearWaypoints,
+        },
+        properties: { id: edgeId, kind, ...EDGE_STYLES[kind] },
+      })
+    }
+
+    const pair = store.disruption.result?.longerPairs?.[store.disruption.selectedPairIndex]
+    if (pair) {
+      for (const edgeId of pair.before?.edgeIds || []) pushEdge(edgeId, 'before')
+      for (const edgeId of pair.after?.edgeIds || []) pushEdge(edgeId, 'after')
+    }
+    for (const edgeId of store.disruption.closedEdgeIds) pushEdge(edgeId, 'closed')
+
+    return { type: 'FeatureCollection', features }
+  }
+
+  function buildStationsGeoJson() {
+    const project = store.project
+    if (!project) return EMPTY_FC
+    const stationMap = new Map((project.stations || []).map((s) => [s.id, s]))
+    const features = []
+
+    const pushStation = (stationId, kind) => {
+      const station = stationMap.get(stationId)
+      if (!Array.isArray(station?.lngLat)) return
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: station.lngLat },
+        properties: { id: stationId, kind },
+      })
+    }
+
+    for (const stationId of store.disruption.result?.isolatedStationIds || []) pushStation(stationId, 'isolated')
+    for (const stationId of store.disruption.closedStationIds) pushStation(stationId, 'closed')
+
+    return { type: 'FeatureCollection', features }
+  }
+
+  function updateLayers() {
+    const map = getMap()
+    if (!map || !map.isStyleLoaded()) return
+    ensureSourcesAndLayers(map)
+    map.getSource(SOURCE_DISRUPTION_EDGES)?.setData(buildEdgesGeoJson())
+    map.getSource(SOURCE_DISRUPTION_STATIONS)?.setData(buildStationsGeoJson())
+  }
+
+  function clearLayers() {
+    const map = getMap()
+    if (!map || !map.isStyleLoaded()) return
+    removeLayers(map)
+  }
+
+  // ── 点击拦截：车站优先于区间 ──
+
+  function onStationClick(event) {
+    if (!store.disruption.active) return
+    const stationId = event.features?.[0]?.properties?.id
+    if (stationId) store.toggleDisruptionStation(stationId)
+  }
+
+  function onEdgeClick(event) {
+    if (!store.disruption.active) return
+    const map = getMap()
+    if (map?.queryRenderedFeatures(event.point, { layers: [LAYER_STATIONS] }).length) return
+    const edgeId = event.features?.[0]?.properties?.id
+    if (edgeId) store.toggleDisruptionEdge(edgeId)
+  }
+
+  // ── 初始化 / 清理 ──
+
+  function initDisruption(map) {
+    stationClickHandler = onStationClick
+    edgeClickHandler = onEdgeClick
+    map.on('click', LAYER_STATIONS, stationClickHandler)
+    map.on('click', LAYER_EDGES_HIT, edgeClickHandler)
+  }
+
+  function destroyDisruption() {
+    const map = getMap()
+    if (!map) return
+    if (stationClickHandler) {
+      map.off('click', LAYER_STATIONS, stationClickHandler)
+      stationClickHandler = null
+    }
+    if (edgeClickHandler) {
+      map.off('click', LAYER_EDGES_HIT, edgeClickHandler)
+      edgeClickHandler = null
+    }
+    if (map.isStyleLoaded()) removeLayers(map)
+  }
+
+  watch(
+    () => ({
+      active: store.disruption.active,
+      closedEdgeIds: store.disruption.closedEdgeIds,
+      closedStationIds: store.disruption.closedStationIds,
+      result: store.disruption.result,
+      selectedPairIndex: store.disruption.selectedPairIndex,
+    }),
+    (val) => {
+      if (!val.active) {
+        clearLayers()
+        return
+      }
+      updateLayers()
+    },
+    { deep: true },
+  )
+
+  onBeforeUnmount(() => {
+    destroyDisruption()
+  })
+
+  return { initDisruption, destroyDisruption }
+}
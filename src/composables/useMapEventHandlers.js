@@ -69,7 +69,7 @@ export function useMapEventHandlers({
   }
 
   function handleStationClick(event) {
-    if (store.navigation?.active) return
+    if (store.navigation?.active || store.disruption?.active || store.reachability?.picking) return
     closeContextMenu()
     suppressNextMapClick = true
     const stationId = event.features?.[0]?.properties?.id
@@ -166,7 +166,7 @@ export function useMapEventHandlers({
   }
 
   function handleEdgeClick(event) {
-    if (store.navigation?.active) return
+    if (store.navigation?.active || store.disruption?.active || store.reachability?.picking) return
     const map = getMap()
     closeContextMenu()
     suppressNextMapClick = true
@@ -257,7 +257,7 @@ export function useMapEventHandlers({
   }
 
   function handleEdgeAnchorClick(event) {
-    if (store.navigation?.active) return
+    if (store.navigation?.active || store.disruption?.active || store.reachability?.picking) return
     closeContextMenu()
     suppressNextMapClick = true
     if (isLineDrawMode()) return
@@ -273,7 +273,7 @@ export function useMapEventHandlers({
   }
 
   function handleMapClick(event) {
-    if (store.navigation?.active) return
+    if (store.navigation?.active || store.disruption?.active || store.reachability?.picking) return
     const map = getMap()
     closeContextMenu()
     if (!map) return
@@ -352,7 +352,7 @@ export function useMapEventHandlers({
   }
 
   function startStationDrag(event) {
-    if (store.navigation?.active) return
+    if (store.navigation?.active || store.disruption?.active) return
     const map = getMap()
     closeContextMenu()
 
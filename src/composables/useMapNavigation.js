@@ -175,6 +175,11 @@ export function useMapNavigation({ store, getMap }) {
     const edgeMap = new Map((project.edges || []).map((e) => [e.id, e]))
     const lineMap = new Map((project.lines || []).map((l) => [l.id, l]))
 
+    const lineIdByEdgeId = new Map()
+    for (const seg of result.segments || []) {
+      for (const edgeId of seg.edgeIds || []) lineIdByEdgeId.set(edgeId, seg.lineId)
+    }
+
     const features = []
 
     for (const edgeId of result.edgeIds) {
@@ -187,7 +192,7 @@ export function useMapNavigation({ store, getMap }) {
       const shouldSmooth = Boolean(edge.isCurved) && linearWaypoints.length >= 3 && linearWaypoints.length <= 20
       const coordinates = shouldSmooth ? buildCurveFromWaypoints(linearWaypoints) : linearWaypoints
 
-      const line = lineMap.get(edge.sharedByLineIds?.[0])
+      const line = lineMap.get(lineIdByEdgeId.get(edgeId) || edge.sharedByLineIds?.[0])
       features.push({
         type: 'Feature',
         geometry: { type: 'LineString', coordinates },
@@ -226,6 +231,21 @@ export function useMapNavigation({ store, getMap }) {
       })
     }
 
+    for (const seg of result.segments || []) {
+      if (!seg.transferFromStationId || seg.transferFromStationId === seg.fromStationId) continue
+      const fromStation = stationMap.get(seg.transferFromStationId)
+      const toStation = stationMap.get(seg.fromStationId)
+      if (!fromStation?.lngLat || !toStation?.lngLat) continue
+      features.push({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: [fromStation.lngLat, toStation.lngLat],
+        },
+        properties: { type: 'walk-transfer' },
+      })
+    }
+
     if (destStation?.lngLat) {
       features.push({
         type: 'Feature',
@@ -2,17 +2,27 @@ import { watch, onBeforeUnmount } from 'vue'
 
 const SOURCE_REACH_POINTS = 'metro-studio-reach-points'
 const SOURCE_REACH_ORIGIN = 'metro-studio-reach-origin'
+const SOURCE_REACH_ISOCHRONES = 'metro-studio-reach-isochrones'
 
+const LAYER_REACH_ISOCHRONE_FILL = 'metro-studio-reach-isochrone-fill'
+const LAYER_REACH_ISOCHRONE_OUTLINE = 'metro-studio-reach-isochrone-outline'
 const LAYER_REACH_CIRCLES = 'metro-studio-reach-circles'
 const LAYER_REACH_LABELS = 'metro-studio-reach-labels'
 const LAYER_REACH_ORIGIN = 'metro-studio-reach-origin-circle'
 
-const ALL_LAYERS = [LAYER_REACH_LABELS, LAYER_REACH_CIRCLES, LAYER_REACH_ORIGIN]
-const ALL_SOURCES = [SOURCE_REACH_POINTS, SOURCE_REACH_ORIGIN]
+const ALL_LAYERS = [
+  LAYER_REACH_LABELS,
+  LAYER_REACH_CIRCLES,
+  LAYER_REACH_ORIGIN,
+  LAYER_REACH_ISOCHRONE_OUTLINE,
+  LAYER_REACH_ISOCHRONE_FILL,
+]
+const ALL_SOURCES = [SOURCE_REACH_POINTS, SOURCE_REACH_ORIGIN, SOURCE_REACH_ISOCHRONES]
 
 const EMPTY_FC = { type: 'FeatureCollection', features: [] }
 
 export function useMapReachability({ store, getMap }) {
+  let pickClickHandler = null
 
   function removeLayers(map) {
     for (const id of ALL_LAYERS) {
@@ -30,9 +40,36 @@ export function useMapReachability({ store, getMap }) {
     if (!map.getSource(SOURCE_REACH_ORIGIN)) {
       map.addSource(SOURCE_REACH_ORIGIN, { type: 'geojson', data: EMPTY_FC })
     }
+    if (!map.getSource(SOURCE_REACH_ISOCHRONES)) {
+      map.addSource(SOURCE_REACH_ISOCHRONES, { type: 'geojson', data: EMPTY_FC })
+    }
   }
 
   function ensureLayers(map) {
+    if (!map.getLayer(LAYER_REACH_ISOCHRONE_FILL)) {
+      map.addLayer({
+        id: LAYER_REACH_ISOCHRONE_FILL,
+        type: 'fill',
+        source: SOURCE_REACH_ISOCHRONES,
+        paint: {
+          'fill-color': ['get', 'color'],
+          'fill-opacity': 0.18,
+        },
+      })
+    }
+    if (!map.getLayer(LAYER_REACH_ISOCHRONE_OUTLINE)) {
+      map.addLayer({
+        id: LAYER_REACH_ISOCHRONE_OUTLINE,
+        type: 'line',
+        source: SOURCE_REACH_ISOCHRONES,
+        layout: { 'line-join': 'round' },
+        paint: {
+          'line-color': ['get', 'color'],
+          'line-width': 1.5,
+          'line-opacity': 0.9,
+        },
+      })
+    }
     if (!map.getLayer(LAYER_REACH_CIRCLES)) {
       map.addLayer({
         id: LAYER_REACH_CIRCLES,
@@ -91,7 +128,7 @@ export function useMapReachability({ store, getMap }) {
         features.push({
           type: 'Feature',
           geometry: { type: 'Point', coordinates: s.lngLat },
-          properties: { label: s.name, color: band.color },
+          properties: { label: `${s.name} ${Math.round(s.seconds / 60)}′`, color: band.color },
         })
       }
     }
@@ -118,8 +155,10 @@ export function useMapReachability({ store, getMap }) {
     ensureLayers(map)
     const ptsSrc = map.getSource(SOURCE_REACH_POINTS)
     const oriSrc = map.getSource(SOURCE_REACH_ORIGIN)
+    const isoSrc = map.getSource(SOURCE_REACH_ISOCHRONES)
     if (ptsSrc) ptsSrc.setData(buildPointsGeoJson())
     if (oriSrc) oriSrc.setData(buildOriginGeoJson())
+    if (isoSrc) isoSrc.setData(store.reachability.result?.isochrones || EMPTY_FC)
   }
 
   function clearLayers() {
@@ -128,12 +167,26 @@ export function useMapReachability({ store, getMap }) {
     removeLayers(map)
   }
 
+  // 等时圈起点选择：由统计对话框进入选点状态，点击地图任意位置作为起点
+  function onPickClick(e) {
+    if (!store.reachability.picking) return
+    store.setReachability({
+      originLngLat: [e.lngLat.lng, e.lngLat.lat],
+      maxMinutes: store.reachability.maxMinutes,
+    })
+  }
+
   function initReachability(map) {
-    // no click handler needed — driven by dialog
+    pickClickHandler = onPickClick
+    map.on('click', pickClickHandler)
   }
 
   function destroyReachability() {
     const map = getMap()
+    if (map && pickClickHandler) {
+      map.off('click', pickClickHandler)
+      pickClickHandler = null
+    }
     if (map && map.isStyleLoaded()) removeLayers(map)
   }
 
@@ -9,6 +9,7 @@ import { setNaiveThemeDark } from '../lib/naiveTheme'
 import { useAnimationSettings } from './useAnimationSettings.js'
 import { useDialog } from './useDialog.js'
 import { getEffectiveBindings, formatBindingDisplay } from '../lib/shortcutRegistry'
+import { getExportableVersions } from '../lib/migration'
 import { getLocationIqApiKey, setLocationIqApiKey } from '../lib/osm/nominatimClient'
 import { isTrial, PURCHASE_URL } from './useLicense'
 
@@ -54,7 +55,7 @@ function buildChineseCityMenuItems(importing) {
  *
  * @param {Object} store - The project store instance (from useProjectStore)
  * @param {Function} emit - The component's emit function
- * @param {{ fileInputRef: import('vue').Ref }} refs - Refs needed by actions
+ * @param {{ fileInputRef: import('vue').Ref, gtfsInputRef: import('vue').Ref, geoInputRef: import('vue').Ref }} refs - Refs needed by actions
  * @returns Menu item computeds, action handler, and UI preference helpers
  */
 export function useMenuBarActions(store, emit, refs) {
@@ -88,9 +89,19 @@ export function useMenuBarActions(store, emit, refs) {
       { type: 'item', label: '新建工程', action: 'createProject', icon: 'folder' },
       { type: 'item', label: '打开文件...', action: 'openFile', icon: 'upload', disabled: isTrial.value },
       { type: 'item', label: '保存文件', action: 'exportFile', icon: 'download', disabled: !store.project },
+      { type: 'item', label: '保存为 JSON', action: 'exportFileJson', icon: 'file', disabled: !store.project },
+      { type: 'submenu', label: '保存为旧版本', icon: 'clock', disabled: !store.project, children: getExportableVersions().map(({ version, dropped }) => ({
+        type: 'item', label: `数据版本 ${version}（舍弃${dropped.join('、')}）`, action: `exportFileVersion_${version}`, icon: 'file', disabled: !store.project,
+      })) },
+      { type: 'item', label: '保存到磁盘文件...', action: 'saveLinkedFileAs', icon: 'save', disabled: !store.project },
+      { type: 'item', label: '取消文件关联', action: 'unlinkFile', icon: 'link', disabled: !store.project || store.linkedFile.projectId !== store.project.id },
       { type: 'separator' },
       { type: 'item', label: '本地库', action: 'showProjectList', icon: 'folder-open' },
       { type: 'item', label: '存入本地库', action: 'persistToDb', icon: 'save', disabled: !store.project },
+      { type: 'item', label: '版本历史...', action: 'showRevisions', icon: 'clock', disabled: !store.project },
+      { type: 'item', label: '对比工程...', action: 'showProjectDiff', icon: 'git-commit', disabled: !store.project },
+      { type: 'item', label: '合并分支...', action: 'showMergeProject', icon: 'git-branch', disabled: !store.project },
+      { type: 'item', label: '协同编辑...', action: 'showCollab', icon: 'share', disabled: !store.project },
       { type: 'separator' },
       { type: 'item', label: '复制当前工程', action: 'duplicateProject', icon: 'copy', disabled: !store.project },
       { type: 'item', label: '重命名工程', action: 'renameProject', icon: 'edit', disabled: !store.project },
@@ -98,6 +109,8 @@ export function useMenuBarActions(store, emit, refs) {
       { type: 'separator' },
       { type: 'submenu', label: '导入线网', icon: 'route', disabled: isTrial.value, children: [
         { type: 'item', label: '导入济南 OSM 线网', action: 'importOsm', icon: 'route', disabled: importing || isTrial.value },
+        { type: 'item', label: '从 GTFS 数据包导入...', action: 'importGtfs', icon: 'upload', disabled: importing || isTrial.value },
+        { type: 'item', label: '从 GeoJSON / KML 导入...', action: 'importGeo', icon: 'upload', disabled: importing || isTrial.value },
         { type: 'separator' },
         { type: 'submenu', label: '中国城市', icon: 'git-branch', children: buildChineseCityMenuItems(importing) },
         { type: 'submenu', label: '国际城市', icon: 'git-branch', children: buildCityMenuItems(INTERNATIONAL_CITY_PRESETS, importing) },
@@ -142,6 +155,7 @@ export function useMenuBarActions(store, emit, refs) {
     { type: 'toggle', label: '显示站点名', checked: store.showStationLabels, action: 'toggleStationLabels', icon: 'eye' },
     { type: 'toggle', label: '显示换乘标记', checked: store.showInterchangeMarkers, action: 'toggleInterchangeMarkers', icon: 'target' },
     { type: 'toggle', label: '显示区域覆盖', checked: store.showLanduseOverlay, action: 'toggleLanduseOverlay', icon: 'map' },
+    { type: 'toggle', label: '显示线网可达性', checked: store.accessibility.active, action: 'toggleAccessibilityOverlay', icon: 'target', disabled: !store.project?.edges?.length },
     { type: 'separator' },
     { type: 'toggle', label: '显示网格', checked: store.showMapGrid, action: 'toggleMapGrid', icon: 'box' },
     { type: 'toggle', label: '显示坐标', checked: store.showMapCoordinates, action: 'toggleMapCoordinates', icon: 'map-pin' },
@@ -153,6 +167,9 @@ export function useMenuBarActions(store, emit, refs) {
     { type: 'item', label: '导出实际走向图 PNG', action: 'exportActualRoute', icon: 'map', disabled: !store.project },
     { type: 'item', label: '导出官方风格图 PNG', action: 'exportSchematic', icon: 'layout', disabled: !store.project },
     { type: 'item', label: '导出车辆 HUD 打包', action: 'exportHudZip', icon: 'monitor', disabled: !store.project },
+    { type: 'item', label: '导出 GTFS 数据包', action: 'exportGtfs', icon: 'route', disabled: !store.project },
+    { type: 'item', label: '导出 GeoJSON', action: 'exportGeoJson', icon: 'map', disabled: !store.project },
+    { type: 'item', label: '导出 KML', action: 'exportKml', icon: 'map', disabled: !store.project },
     { type: 'separator' },
       { type: 'submenu', label: '导出时间轴视频', icon: 'film', disabled: !store.project || !store.timelineHasData, children: isTrial.value
         ? [{ type: 'item', label: '720p (1280×720)', action: 'exportTimeline_720p', icon: 'film' }]
@@ -269,10 +286,21 @@ export function useMenuBarActions(store, emit, refs) {
     if (!action) return
 
     if (action === 'openFile') {
-      refs.fileInputRef.value?.click()
+      if (store.linkedFile.supported) store.openLinkedProjectFile()
+      else refs.fileInputRef.value?.click()
+      return }
+    if (action === 'importGtfs') {
+      refs.gtfsInputRef.value?.click()
+      return }
+    if (action === 'importGeo') {
+      refs.geoInputRef.value?.click()
       return }
     if (action === 'fitToNetwork') { store.fitToNetwork(); return }
     if (action.startsWith('importCity_')) { emit('action', action); return }
+    if (action.startsWith('exportFileVersion_')) {
+      store.exportProjectFile({ targetVersion: action.slice('exportFileVersion_'.length) })
+      return
+    }
     if (action.startsWith('exportTimeline_')) {
       const resolution = action.slice('exportTimeline_'.length)
       store.exportTimelineVideo({ resolution })
@@ -293,6 +321,10 @@ export function useMenuBarActions(store, emit, refs) {
     if (action === 'mapTilePositron') { store.setMapTileType('positron'); return }
     if (action === 'mapTileDark') { store.setMapTileType('dark'); return }
     if (action === 'showProjectList') { emit('show-project-list'); return }
+    if (action === 'showRevisions') { emit('show-revisions'); return }
+    if (action === 'showProjectDiff') { emit('show-project-diff'); return }
+    if (action === 'showMergeProject') { emit('show-merge-project'); return }
+    if (action === 'showCollab') { emit('show-collab'); return }
     if (action === 'aiConfig') { emit('show-ai-config'); return }
     if (action === 'ttsGeneration') { emit('show-tts-dialog'); return }
     if (action === 'shortcutSettings') { emit('show-shortcut-settings'); return }
@@ -302,6 +334,7 @@ export function useMenuBarActions(store, emit, refs) {
     if (action === 'toggleLineLabels') { store.toggleLineLabels(); return }
     if (action === 'toggleInterchangeMarkers') { store.toggleInterchangeMarkers(); return }
     if (action === 'toggleLanduseOverlay') { store.toggleLanduseOverlay(); return }
+    if (action === 'toggleAccessibilityOverlay') { store.toggleAccessibilityOverlay(); return }
     if (action === 'toggleMapGrid') { store.toggleMapGrid(); return }
     if (action === 'toggleMapCoordinates') { store.toggleMapCoordinates(); return }
     if (action === 'configProtomapsKey') { handleConfigProtomapsKey(); return }
@@ -333,9 +366,15 @@ export function useMenuBarActions(store, emit, refs) {
       exportActualRoute: () => store.exportActualRoutePng(),
       exportSchematic: () => store.exportOfficialSchematicPng(),
       exportHudZip: () => store.exportAllLineHudZip(),
+      exportGtfs: () => store.exportGtfsFeed(),
+      exportGeoJson: () => store.exportNetworkGeoJson(),
+      exportKml: () => store.exportNetworkKml(),
       exportTimeline: () => store.exportTimelineVideo(),
       exportFile: () => store.exportProjectFile(),
+      exportFileJson: () => store.exportProjectFile({ format: 'json' }),
       persistToDb: () => store.persistNow(),
+      saveLinkedFileAs: () => store.saveProjectToNewLinkedFile().catch(() => {}),
+      unlinkFile: () => store.unlinkProjectFile(),
       aiTranslateSelected: () => store.retranslateSelectedStationEnglishNamesWithAi(),
       aiTranslateAll: () => store.retranslateAllStationEnglishNamesWithAi(),
     }
@@ -0,0 +1,37 @@
+import { onBeforeUnmount, onMounted, watch } from 'vue'
+import { useProjectStore } from '../stores/projectStore'
+
+/**
+ * 多标签页同步的生命周期：挂载时建立会话，当前工程切换时重新协商编辑权，
+ * 页面关闭（pagehide）时交出编辑权，让其他标签页接手。
+ */
+export function useTabSync() {
+  const store = useProjectStore()
+
+  function handlePageHide() {
+    store.stopTabSync()
+  }
+
+  // 从往返缓存（bfcache）恢复的页面重新加入会话
+  function handlePageShow(event) {
+    if (event.persisted) store.startTabSync()
+  }
+
+  const stopWatch = watch(
+    () => store.project?.id || null,
+    () => store.joinProjectSync(),
+  )
+
+  onMounted(() => {
+    store.startTabSync()
+    window.addEventListener('pagehide', handlePageHide)
+    window.addEventListener('pageshow', handlePageShow)
+  })
+
+  onBeforeUnmount(() => {
+    stopWatch()
+    window.removeEventListener('pagehide', handlePageHide)
+    window.removeEventListener('pageshow', handlePageShow)
+    store.stopTabSync()
+  })
+}
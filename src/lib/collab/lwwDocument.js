@@ -0,0 +1,169 @@
+/**
+ * CRDT for collaborative editing: a last-writer-wins register per object field.
+ *
+ * The shared document covers stations, edges, lines and annotations. Every
+ * field of every object is an independent register keyed by
+ * (collection, id, field) and stamped with a Lamport timestamp `[counter, siteId]`;
+ * the register with the larger timestamp wins, ties broken by site id. A
+ * deletion is the register `$deleted = true`, so delete vs. concurrent
+ * modify resolves to the delete, and a re-created object (undo of a delete)
+ * writes `$deleted = false` with a newer timestamp.
+ *
+ * Operations are `{ c, id, k, v, t }` (collection, object id, field, JSON
+ * value, timestamp). Applying the same operations in any order, any number of
+ * times, yields the same document, so the relay only has to forward them and
+ * keep the newest operation per register for late joiners.
+ *
+ * Derived station fields (line membership, interchange flag) are not shared;
+ * each client recomputes them after applying remote changes.
+ */
+
+export const COLLAB_COLLECTIONS = ['stations', 'edges', 'lines', 'annotations']
+
+export const DELETED_KEY = '$deleted'
+
+const DERIVED_FIELDS = {
+  stations: new Set(['lineIds', 'transferLineIds', 'isInterchange']),
+}
+
+/** @returns {number} >0 when a is newer than b */
+export function compareTimestamps(a, b) {
+  if (!b) return 1
+  if (!a) return -1
+  if (a[0] !== b[0]) return a[0] - b[0]
+  if (a[1] === b[1]) return 0
+  return a[1] > b[1] ? 1 : -1
+}
+
+export function registerKey(op) {
+  return `${op.c}\u0000${op.id}\u0000${op.k}`
+}
+
+function isSharedField(collection, key) {
+  return key !== 'id' && !DERIVED_FIELDS[collection]?.has(key)
+}
+
+/**
+ * @param {string} siteId - unique per client session
+ */
+export function createCollabDocument(siteId) {
+  let counter = 0
+  // collection -> id -> field -> { v, t }
+  const objects = new Map(COLLAB_COLLECTIONS.map((collection) => [collection, new Map()]))
+
+  function tick() {
+    counter += 1
+    return [counter, siteId]
+  }
+
+  function getRegisters(collection, id, create) {
+    const byId = objects.get(collection)
+    let registers = byId.get(id)
+    if (!registers && create) {
+      registers = new Map()
+      byId.set(id, registers)
+    }
+    return registers
+  }
+
+  /** Integrate one op; returns true when it changed the document. */
+  function integrate(op) {
+    if (!objects.has(op.c) || !Array.isArray(op.t)) return false
+    counter = Math.max(counter, Number(op.t[0]) || 0)
+    const registers = getRegisters(op.c, op.id, true)
+    const current = registers.get(op.k)
+    if (compareTimestamps(op.t, current?.t) <= 0) return false
+    registers.set(op.k, { v: op.v, t: op.t })
+    return true
+  }
+
+  function writeLocal(ops, collection, id, key, value) {
+    const op = { c: collection, id, k: key, v: value, t: tick() }
+    integrate(op)
+    ops.push(op)
+  }
+
+  /** Write the shared fields of a local object that differ from the document's current state. */
+  function writeObject(ops, collection, object) {
+    const previous = materialize(collection, object.id)
+    if (!previous) writeLocal(ops, collection, object.id, DELETED_KEY, false)
+    const keys = new Set([...Object.keys(object), ...Object.keys(previous || {})])
+    for (const key of keys) {
+      if (!isSharedField(collection, key)) continue
+      const value = object[key] === undefined ? null : object[key]
+      if (previous && JSON.stringify(previous[key] ?? null) === JSON.stringify(value)) continue
+      writeLocal(ops, collection, object.id, key, value)
+    }
+  }
+
+  function materialize(collection, id) {
+    const registers = getRegisters(collection, id)
+    if (!registers || registers.get(DELETED_KEY)?.v !== false) return null
+    const value = { id }
+    for (const [key, register] of registers) {
+      if (key !== DELETED_KEY) value[key] = register.v
+    }
+    return value
+  }
+
+  return {
+    /** Record the whole project locally and return the ops (seeding an empty room). */
+    opsFromProject(project) {
+      const ops = []
+      for (const collection of COLLAB_COLLECTIONS) {
+        for (const object of project?.[collection] || []) writeObject(ops, collection, object)
+      }
+      return ops
+    },
+
+    /**
+     * Turn a history patch (see lib/history/projectPatch) into ops. Objects are
+     * compared with the document rather than with the other side of the patch,
+     * so an undo also reverts remote changes it overwrote locally.
+     * @param {Object} patch
+     * @param {'undo'|'redo'} direction - which side of the patch is the new state
+     */
+    opsFromPatch(patch, direction = 'redo') {
+      const ops = []
+      for (const collection of COLLAB_COLLECTIONS) {
+        const entry = patch?.collections?.[collection]
+        if (!entry) continue
+        for (const [id, beforeJson, afterJson] of entry.changes) {
+          const targetJson = direction === 'undo' ? beforeJson : afterJson
+          if (targetJson != null) {
+            writeObject(ops, collection, JSON.parse(targetJson))
+          } else if (materialize(collection, id)) {
+            writeLocal(ops, collection, id, DELETED_KEY, true)
+          }
+        }
+      }
+      return ops
+    },
+
+    /**
+     * Integrate remote ops.
+     * @returns {Array<{collection: string, id: string, value: Object|null}>} objects whose
+     *   materialized state changed (value null = object no longer exists)
+     */
+    applyRemoteOps(ops) {
+      const touched = new Map()
+      for (const op of ops || []) {
+        if (!integrate(op)) continue
+        touched.set(`${op.c}\u0000${op.id}`, { collection: op.c, id: op.id })
+      }
+      return [...touched.values()].map(({ collection, id }) => ({ collection, id, value: materialize(collection, id) }))
+    },
+
+    /** Current state of one object, or null when deleted / unknown. */
+    materialize,
+
+    /** Ids of all live objects in a collection. */
+    liveIds(collection) {
+      const ids = []
+      for (const [id, registers] of objects.get(collection)) {
+        if (registers.get(DELETED_KEY)?.v === false) ids.push(id)
+      }
+      return ids
+    },
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * WebSocket transport for collaborative editing (served by scripts/collab-relay.mjs).
+ *
+ * Transports share one small interface so the sync layer does not care how
+ * messages travel:
+ *   connect(), send(message), close(),
+ *   onMessage(handler) / onStatus(handler) — each returns an unsubscribe function.
+ * Status is one of 'connecting' | 'open' | 'closed'. Messages are plain
+ * objects; this transport encodes them as JSON text frames and reconnects with
+ * exponential backoff until close() is called. Messages sent while the socket
+ * is not open are queued and flushed on (re)connect.
+ */
+
+const RECONNECT_BASE_MS = 500
+const RECONNECT_MAX_MS = 10_000
+
+/**
+ * @param {Object} options
+ * @param {string} options.url - e.g. `ws://localhost:8787`
+ */
+export function createWebSocketTransport({ url }) {
+  const messageHandlers = new Set()
+  const statusHandlers = new Set()
+  const queue = []
+  let socket = null
+  let closedByUser = false
+  let reconnectTimer = null
+  let attempts = 0
+
+  function emitStatus(status) {
+    for (const handler of statusHandlers) handler(status)
+  }
+
+  function scheduleReconnect() {
+    if (closedByUser || reconnectTimer) return
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempts)
+    attempts += 1
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null
+      open()
+    }, delay)
+  }
+
+  function open() {
+    emitStatus('connecting')
+    try {
+      socket = new WebSocket(url)
+    } catch (error) {
+      console.warn('[collab] WebSocket 地址无效', error)
+      emitStatus('closed')
+      return
+    }
+    socket.onopen = () => {
+      attempts = 0
+      emitStatus('open')
+      while (queue.length && socket?.readyState === WebSocket.OPEN) socket.send(queue.shift())
+    }
+    socket.onmessage = (event) => {
+      let message = null
+      try {
+        message = JSON.parse(event.data)
+      } catch {
+        return
+      }
+      for (const handler of messageHandlers) handler(message)
+    }
+    socket.onclose = () => {
+      socket = null
+      emitStatus('closed')
+      scheduleReconnect()
+    }
+    socket.onerror = () => {
+      // onclose follows and handles reconnection
+    }
+  }
+
+  return {
+    connect() {
+      closedByUser = false
+      if (!socket) open()
+    },
+
+    send(message) {
+      const data = JSON.stringify(message)
+      if (socket?.readyState === WebSocket.OPEN) socket.send(data)
+      else queue.push(data)
+    },
+
+    close() {
+      closedByUser = true
+      if (reconnectTimer) clearTimeout(reconnectTimer)
+      reconnectTimer = null
+      queue.length = 0
+      socket?.close()
+      socket = null
+    },
+
+    onMessage(handler) {
+      messageHandlers.add(handler)
+      return () => messageHandlers.delete(handler)
+    },
+
+    onStatus(handler) {
+      statusHandlers.add(handler)
+      return () => statusHandlers.delete(handler)
+    },
+  }
+}
@@ -101,6 +101,15 @@ export function normalizeHexColor(value, fallback = '#005BBB') {
   return hex.toUpperCase()
 }
 
+/** @param {string} value @param {string} [fallback='#005BBB'] @returns {string} */
+export function resolveHexColor(value, fallback = '#005BBB') {
+  const hex = normalizeHexColor(value, '')
+  if (hex) return hex
+  const match = String(value || '').trim().match(/^hsla?\(\s*([-\d.]+)(?:deg)?[\s,]+([\d.]+)%[\s,]+([\d.]+)%/i)
+  if (!match) return fallback
+  return rgbToHex(hslToRgb(Number(match[1]), Number(match[2]) / 100, Number(match[3]) / 100))
+}
+
 /** @param {number} [index=0] @returns {string} */
 export function pickLineColor(index = 0) {
   return DEFAULT_COLORS[index % DEFAULT_COLORS.length]
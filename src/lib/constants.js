@@ -1,6 +1,12 @@
 export const HISTORY_MERGE_THRESHOLD_MS = 900
 export const NAV_CANDIDATE_RADIUS = 3000
 export const NAV_MAX_CANDIDATES = 5
+// 「换乘最少」的步行感知权重；「时间最短」按实际门到门时间比较，步行权重为 1
 export const NAV_WALK_WEIGHT = 5
+export const NAV_WALK_SPEED_MPS = 1.2
+export const NAV_TRANSFER_PENALTY_MINUTES = 3
+export const NAV_ALTERNATIVE_COUNT = 3
 export const DEFAULT_EDIT_YEAR = 2010
 export const DEFAULT_MAP_CENTER = [116.40, 39.90]
+export const REVISION_AUTO_INTERVAL_MS = 10 * 60 * 1000
+export const REVISION_AUTO_MAX_PER_PROJECT = 30
@@ -0,0 +1,404 @@
+/**
+ * Structural diff between two projects (A = base, B = target).
+ *
+ * Objects are matched by id first. Imported data often carries fresh ids, so
+ * unmatched objects fall back to:
+ * - stations: same Chinese name within NAME_MATCH_MAX_METERS, then nearest
+ *   position within POSITION_MATCH_MAX_METERS;
+ * - lines: same key, then same Chinese name;
+ * - edges: same (matched) endpoint pair.
+ *
+ * The result lists added / removed objects, moved / renamed / re-lined
+ * stations, modified edges and lines (with per-field before/after values) and
+ * changed display config. Items carry lngLat / coordinates so the map overlay
+ * can draw them without the source projects.
+ */
+
+import { haversineDistanceMeters } from '../geo'
+import { describeLayoutOverrides, findLayoutPreset } from '../layout/layoutPresets'
+
+const NAME_MATCH_MAX_METERS = 2000
+const POSITION_MATCH_MAX_METERS = 50
+const MOVE_THRESHOLD_METERS = 5
+
+const LINE_FIELDS = [
+  'nameZh',
+  'nameEn',
+  'color',
+  'status',
+  'style',
+  'isLoop',
+  'designSpeedKmh',
+  'dwellSeconds',
+  'peakHeadwayMinutes',
+  'offPeakHeadwayMinutes',
+]
+
+const EDGE_FIELDS = ['openingYear', 'phase', 'lineStyleOverride', 'isCurved']
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase()
+}
+
+function isValidLngLat(lngLat) {
+  return Array.isArray(lngLat) && Number.isFinite(lngLat[0]) && Number.isFinite(lngLat[1])
+}
+
+function distanceBetween(a, b) {
+  if (!isValidLngLat(a) || !isValidLngLat(b)) return Infinity
+  return haversineDistanceMeters(a, b)
+}
+
+/**
+ * Accept candidate pairs in ascending distance order, each object at most once.
+ * @returns {number} accepted pair count
+ */
+function acceptClosestPairs(candidates, baseToTarget, matchedTargets, matchedBy, method) {
+  candidates.sort((a, b) => a.distance - b.distance)
+  let count = 0
+  for (const { baseId, targetId } of candidates) {
+    if (baseToTarget.has(baseId) || matchedTargets.has(targetId)) continue
+    baseToTarget.set(baseId, targetId)
+    matchedTargets.add(targetId)
+    matchedBy.set(baseId, method)
+    count++
+  }
+  return count
+}
+
+function matchStations(baseStations, targetStations) {
+  const targetById = new Map(targetStations.map((s) => [s.id, s]))
+  const baseToTarget = new Map()
+  const matchedTargets = new Set()
+  const matchedBy = new Map()
+
+  for (const station of baseStations) {
+    if (targetById.has(station.id)) {
+      baseToTarget.set(station.id, station.id)
+      matchedTargets.add(station.id)
+      matchedBy.set(station.id, 'id')
+    }
+  }
+
+  const unmatchedTargets = () => targetStations.filter((s) => !matchedTargets.has(s.id))
+  const unmatchedBase = () => baseStations.filter((s) => !baseToTarget.has(s.id))
+
+  const targetsByName = new Map()
+  for (const station of unmatchedTargets()) {
+    const name = normalizeName(station.nameZh)
+    if (!name) continue
+    if (!targetsByName.has(name)) targetsByName.set(name, [])
+    targetsByName.get(name).push(station)
+  }
+  const nameCandidates = []
+  for (const station of unmatchedBase()) {
+    for (const target of targetsByName.get(normalizeName(station.nameZh)) || []) {
+      const distance = distanceBetween(station.lngLat, target.lngLat)
+      if (distance <= NAME_MATCH_MAX_METERS) nameCandidates.push({ baseId: station.id, targetId: target.id, distance })
+    }
+  }
+  const byName = acceptClosestPairs(nameCandidates, baseToTarget, matchedTargets, matchedBy, 'name')
+
+  const positionCandidates = []
+  const remainingTargets = unmatchedTargets()
+  for (const station of unmatchedBase()) {
+    for (const target of remainingTargets) {
+      const distance = distanceBetween(station.lngLat, target.lngLat)
+      if (distance <= POSITION_MATCH_MAX_METERS) positionCandidates.push({ baseId: station.id, targetId: target.id, distance })
+    }
+  }
+  const byPosition = acceptClosestPairs(positionCandidates, baseToTarget, matchedTargets, matchedBy, 'position')
+
+  return { baseToTarget, matchedTargets, matchedBy, byName, byPosition }
+}
+
+function matchLines(baseLines, targetLines) {
+  const baseToTarget = new Map()
+  const matchedTargets = new Set()
+  const targetIds = new Set(targetLines.map((line) => line.id))
+
+  for (const line of baseLines) {
+    if (targetIds.has(line.id)) {
+      baseToTarget.set(line.id, line.id)
+      matchedTargets.add(line.id)
+    }
+  }
+
+  let byFallback = 0
+  for (const field of ['key', 'nameZh']) {
+    for (const line of baseLines) {
+      if (baseToTarget.has(line.id)) continue
+      const value = normalizeName(line[field])
+      if (!value) continue
+      const candidates = targetLines.filter((t) => !matchedTargets.has(t.id) && normalizeName(t[field]) === value)
+      // 同名多条时无法判定对应关系，跳过
+      if (candidates.length !== 1) continue
+      baseToTarget.set(line.id, candidates[0].id)
+      matchedTargets.add(candidates[0].id)
+      byFallback++
+    }
+  }
+
+  return { baseToTarget, matchedTargets, byFallback }
+}
+
+function endpointKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`
+}
+
+function matchEdges(baseEdges, targetEdges, stationMap) {
+  const baseToTarget = new Map()
+  const matchedTargets = new Set()
+  const targetIds = new Set(targetEdges.map((edge) => edge.id))
+
+  for (const edge of baseEdges) {
+    if (targetIds.has(edge.id)) {
+      baseToTarget.set(edge.id, edge.id)
+      matchedTargets.add(edge.id)
+    }
+  }
+
+  const targetsByEndpoints = new Map()
+  for (const edge of targetEdges) {
+    if (matchedTargets.has(edge.id)) continue
+    const key = endpointKey(edge.fromStationId, edge.toStationId)
+    if (!targetsByEndpoints.has(key)) targetsByEndpoints.set(key, [])
+    targetsByEndpoints.get(key).push(edge)
+  }
+
+  let byFallback = 0
+  for (const edge of baseEdges) {
+    if (baseToTarget.has(edge.id)) continue
+    const from = stationMap.get(edge.fromStationId)
+    const to = stationMap.get(edge.toStationId)
+    if (!from || !to) continue
+    const target = (targetsByEndpoints.get(endpointKey(from, to)) || []).find((t) => !matchedTargets.has(t.id))
+    if (!target) continue
+    baseToTarget.set(edge.id, target.id)
+    matchedTargets.add(target.id)
+    byFallback++
+  }
+
+  return { baseToTarget, matchedTargets, byFallback }
+}
+
+function edgeCoordinates(edge, stationById) {
+  if (Array.isArray(edge.waypoints) && edge.waypoints.length >= 2) {
+    return edge.waypoints.filter(isValidLngLat).map((p) => [p[0], p[1]])
+  }
+  const from = stationById.get(edge.fromStationId)?.lngLat
+  const to = stationById.get(edge.toStationId)?.lngLat
+  return isValidLngLat(from) && isValidLngLat(to) ? [[from[0], from[1]], [to[0], to[1]]] : []
+}
+
+function edgeLabel(edge, stationById) {
+  const from = stationById.get(edge.fromStationId)?.nameZh || edge.fromStationId
+  const to = stationById.get(edge.toStationId)?.nameZh || edge.toStationId
+  return `${from} — ${to}`
+}
+
+function waypointsDiffer(a, b) {
+  const pointsA = Array.isArray(a) ? a : []
+  const pointsB = Array.isArray(b) ? b : []
+  if (pointsA.length !== pointsB.length) return true
+  return pointsA.some((point, i) => distanceBetween(point, pointsB[i]) > MOVE_THRESHOLD_METERS)
+}
+
+function sortedIds(ids) {
+  return [...new Set(ids)].sort()
+}
+
+function sameIdSet(a, b) {
+  const sa = sortedIds(a)
+  const sb = sortedIds(b)
+  return sa.length === sb.length && sa.every((id, i) => id === sb[i])
+}
+
+/** Map base line ids into target id space; unmatched base lines keep a marker id. */
+function mapLineIds(ids, lineMap) {
+  return (ids || []).map((id) => lineMap.get(id) || `removed:${id}`)
+}
+
+function lineNames(ids, lineById) {
+  return (ids || []).map((id) => lineById.get(id)?.nameZh || id)
+}
+
+function diffDisplayConfig(baseProject, targetProject) {
+  const pick = (config) => ({
+    geoSeedScale: config?.geoSeedScale,
+    engine: config?.engine,
+    timeBudgetMs: config?.timeBudgetMs,
+    gridPitch: config?.gridPitch,
+    equalSpacing: config?.equalSpacing,
+    preset: config?.preset && findLayoutPreset(config.preset).label,
+    overrides: describeLayoutOverrides(config?.overrides),
+    ...(config?.displayConfig || {}),
+  })
+  const before = pick(baseProject.layoutConfig)
+  const after = pick(targetProject.layoutConfig)
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+  return keys
+    .filter((key) => before[key] !== after[key])
+    .map((key) => ({ key, before: before[key] ?? null, after: after[key] ?? null }))
+}
+
+/**
+ * @param {import('../projectModel').RailProject} baseProject - A
+ * @param {import('../projectModel').RailProject} targetProject - B
+ * @returns {Object} 结构化差异，见文件头说明
+ */
+export function diffProjects(baseProject, targetProject) {
+  const baseStations = baseProject?.stations || []
+  const targetStations = targetProject?.stations || []
+  const baseEdges = baseProject?.edges || []
+  const targetEdges = targetProject?.edges || []
+  const baseLines = baseProject?.lines || []
+  const targetLines = targetProject?.lines || []
+
+  const baseStationById = new Map(baseStations.map((s) => [s.id, s]))
+  const targetStationById = new Map(targetStations.map((s) => [s.id, s]))
+  const baseLineById = new Map(baseLines.map((l) => [l.id, l]))
+  const targetLineById = new Map(targetLines.map((l) => [l.id, l]))
+
+  const stationMatch = matchStations(baseStations, targetStations)
+  const lineMatch = matchLines(baseLines, targetLines)
+  const edgeMatch = matchEdges(baseEdges, targetEdges, stationMatch.baseToTarget)
+
+  // ── Stations ──
+  const stations = { added: [], removed: [], moved: [], renamed: [], relined: [] }
+  for (const station of baseStations) {
+    const targetId = stationMatch.baseToTarget.get(station.id)
+    if (!targetId) {
+      stations.removed.push({ id: station.id, nameZh: station.nameZh || '', lngLat: station.lngLat })
+      continue
+    }
+    const target = targetStationById.get(targetId)
+    const ref = { baseId: station.id, targetId, nameZh: target.nameZh || station.nameZh || '', lngLat: target.lngLat }
+
+    const distance = distanceBetween(station.lngLat, target.lngLat)
+    if (Number.isFinite(distance) && distance > MOVE_THRESHOLD_METERS) {
+      stations.moved.push({ ...ref, fromLngLat: station.lngLat, toLngLat: target.lngLat, distanceMeters: distance })
+    }
+    if ((station.nameZh || '') !== (target.nameZh || '') || (station.nameEn || '') !== (target.nameEn || '')) {
+      stations.renamed.push({
+        ...ref,
+        before: { nameZh: station.nameZh || '', nameEn: station.nameEn || '' },
+        after: { nameZh: target.nameZh || '', nameEn: target.nameEn || '' },
+      })
+    }
+    const mappedBefore = mapLineIds(station.lineIds, lineMatch.baseToTarget)
+    if (!sameIdSet(mappedBefore, target.lineIds || [])) {
+      stations.relined.push({
+        ...ref,
+        before: lineNames(station.lineIds, baseLineById),
+        after: lineNames(target.lineIds, targetLineById),
+      })
+    }
+  }
+  for (const station of targetStations) {
+    if (stationMatch.matchedTargets.has(station.id)) continue
+    stations.added.push({ id: station.id, nameZh: station.nameZh || '', lngLat: station.lngLat })
+  }
+
+  // ── Edges ──
+  const edges = { added: [], removed: [], modified: [] }
+  const targetEdgeById = new Map(targetEdges.map((e) => [e.id, e]))
+  for (const edge of baseEdges) {
+    const targetId = edgeMatch.baseToTarget.get(edge.id)
+    if (!targetId) {
+      edges.removed.push({ id: edge.id, label: edgeLabel(edge, baseStationById), coordinates: edgeCoordinates(edge, baseStationById) })
+      continue
+    }
+    const target = targetEdgeById.get(targetId)
+    const changes = []
+    const mappedBefore = mapLineIds(edge.sharedByLineIds, lineMatch.baseToTarget)
+    if (!sameIdSet(mappedBefore, target.sharedByLineIds || [])) {
+      changes.push({
+        field: 'lines',
+        before: lineNames(edge.sharedByLineIds, baseLineById).join('、'),
+        after: lineNames(target.sharedByLineIds, targetLineById).join('、'),
+      })
+    }
+    if (waypointsDiffer(edge.waypoints, target.waypoints)) {
+      changes.push({ field: 'geometry', before: (edge.waypoints || []).length, after: (target.waypoints || []).length })
+    }
+    for (const field of EDGE_FIELDS) {
+      const before = edge[field] ?? null
+      const after = target[field] ?? null
+      if (before !== after) changes.push({ field, before, after })
+    }
+    if (changes.length) {
+      edges.modified.push({
+        baseId: edge.id,
+        targetId,
+        label: edgeLabel(target, targetStationById),
+        coordinates: edgeCoordinates(target, targetStationById),
+        changes,
+      })
+    }
+  }
+  for (const edge of targetEdges) {
+    if (edgeMatch.matchedTargets.has(edge.id)) continue
+    edges.added.push({ id: edge.id, label: edgeLabel(edge, targetStationById), coordinates: edgeCoordinates(edge, targetStationById) })
+  }
+
+  // ── Lines ──
+  const lines = { added: [], removed: [], modified: [] }
+  for (const line of baseLines) {
+    const targetId = lineMatch.baseToTarget.get(line.id)
+    if (!targetId) {
+      lines.removed.push({ id: line.id, nameZh: line.nameZh || '', color: line.color || '' })
+      continue
+    }
+    const target = targetLineById.get(targetId)
+    const changes = []
+    for (const field of LINE_FIELDS) {
+      const before = line[field] ?? null
+      const after = target[field] ?? null
+      if (before !== after) changes.push({ field, before, after })
+    }
+    const mappedEdges = (line.edgeIds || []).map((id) => edgeMatch.baseToTarget.get(id) || `removed:${id}`)
+    if (!sameIdSet(mappedEdges, target.edgeIds || [])) {
+      changes.push({ field: 'edges', before: (line.edgeIds || []).length, after: (target.edgeIds || []).length })
+    }
+    if (changes.length) {
+      lines.modified.push({ baseId: line.id, targetId, nameZh: target.nameZh || line.nameZh || '', color: target.color || '', changes })
+    }
+  }
+  for (const line of targetLines) {
+    if (lineMatch.matchedTargets.has(line.id)) continue
+    lines.added.push({ id: line.id, nameZh: line.nameZh || '', color: line.color || '' })
+  }
+
+  const displayConfig = diffDisplayConfig(baseProject || {}, targetProject || {})
+
+  const summary = {
+    stationsAdded: stations.added.length,
+    stationsRemoved: stations.removed.length,
+    stationsMoved: stations.moved.length,
+    stationsRenamed: stations.renamed.length,
+    stationsRelined: stations.relined.length,
+    edgesAdded: edges.added.length,
+    edgesRemoved: edges.removed.length,
+    edgesModified: edges.modified.length,
+    linesAdded: lines.added.length,
+    linesRemoved: lines.removed.length,
+    linesModified: lines.modified.length,
+    displayConfigChanged: displayConfig.length,
+  }
+
+  return {
+    stations,
+    edges,
+    lines,
+    displayConfig,
+    matching: {
+      stationsByName: stationMatch.byName,
+      stationsByPosition: stationMatch.byPosition,
+      linesByFallback: lineMatch.byFallback,
+      edgesByEndpoints: edgeMatch.byFallback,
+    },
+    summary,
+    isEmpty: Object.values(summary).every((count) => count === 0),
+  }
+}
@@ -0,0 +1,325 @@
+/**
+ * Three-way merge of two project copies that share a common ancestor.
+ *
+ * base = common ancestor, ours = project being merged into, theirs = branch.
+ * Stations, edges, lines, manual transfers and annotations are matched by id
+ * and merged per "unit" (a group of fields that only make sense together, e.g.
+ * an edge's endpoints + waypoints form its route):
+ * - a unit changed on one side only is taken from that side;
+ * - a unit changed differently on both sides is a conflict;
+ * - delete vs. modify is a conflict on the whole object;
+ * - id-set fields (line.edgeIds, edge.sharedByLineIds) are merged as sets and
+ *   never conflict.
+ * Conflicts default to ours; pass `resolutions[conflictId] = 'theirs'` to take
+ * the branch side. Derived station fields (line membership, interchange flags)
+ * are kept from ours — callers recompute them afterwards. Station status flags
+ * (underConstruction, proposed) are derived only for stations on a line; they
+ * are skipped when the station has lineIds on both sides and merged like any
+ * other field otherwise (standalone stations keep explicit flags).
+ * layoutMeta maps and displayConfig are merged per key, preferring ours on
+ * conflict. References to objects that no longer exist are dropped.
+ */
+import { normalizeLayoutConstraints } from '../layout/layoutConstraints'
+
+const ENTITY_RULES = {
+  stations: {
+    derived: ['lineIds', 'transferLineIds', 'isInterchange'],
+    // Derived from line status only while the station belongs to a line
+    derivedOnLine: ['underConstruction', 'proposed'],
+    sets: [],
+    groups: { name: ['nameZh', 'nameEn'], position: ['lngLat'], displayPos: ['displayPos'] },
+  },
+  edges: {
+    derived: [],
+    sets: ['sharedByLineIds'],
+    groups: { route: ['fromStationId', 'toStationId', 'waypoints', 'isCurved', 'lengthMeters'] },
+  },
+  lines: {
+    derived: [],
+    sets: ['edgeIds'],
+    groups: {
+      name: ['nameZh', 'nameEn'],
+      operations: ['designSpeedKmh', 'dwellSeconds', 'peakHeadwayMinutes', 'offPeakHeadwayMinutes'],
+    },
+  },
+  manualTransfers: { derived: [], sets: [], groups: { stations: ['stationAId', 'stationBId'] } },
+  annotations: { derived: [], sets: [], groups: {} },
+}
+
+export const MERGE_ENTITIES = Object.keys(ENTITY_RULES)
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
+
+function pick(object, fields) {
+  const result = {}
+  for (const field of fields) result[field] = object?.[field] ?? null
+  return result
+}
+
+/**
+ * Split an object's keys into merge units: declared groups, id-set fields, then one unit per remaining key.
+ * `derivedOnLine` fields are skipped only when both ours and theirs have line membership.
+ */
+function buildUnits(rules, objects, ours, theirs) {
+  const grouped = new Set(Object.values(rules.groups).flat())
+  const onLineBothSides = ours?.lineIds?.length > 0 && theirs?.lineIds?.length > 0
+  const skipped = new Set([...rules.derived, ...(onLineBothSides ? rules.derivedOnLine || [] : []), ...rules.sets, 'id'])
+  const units = Object.entries(rules.groups).map(([unit, fields]) => ({ unit, fields }))
+  const loose = new Set()
+  for (const object of objects) {
+    for (const key of Object.keys(object || {})) {
+      if (!grouped.has(key) && !skipped.has(key)) loose.add(key)
+    }
+  }
+  for (const key of loose) units.push({ unit: key, fields: [key] })
+  return units
+}
+
+function mergeIdSet(base = [], ours = [], theirs = []) {
+  const baseSet = new Set(base)
+  const oursSet = new Set(ours)
+  const theirsSet = new Set(theirs)
+  const removedByTheirs = new Set(base.filter((id) => !theirsSet.has(id)))
+  const result = ours.filter((id) => !removedByTheirs.has(id))
+  for (const id of theirs) {
+    if (!baseSet.has(id) && !oursSet.has(id)) result.push(id)
+  }
+  return result
+}
+
+function entityLabel(entity, object, stationNameById) {
+  if (!object) return ''
+  if (entity === 'stations' || entity === 'lines') return object.nameZh || object.id
+  if (entity === 'edges') {
+    const from = stationNameById.get(object.fromStationId) || object.fromStationId
+    const to = stationNameById.get(object.toStationId) || object.toStationId
+    return `${from} — ${to}`
+  }
+  if (entity === 'manualTransfers') {
+    const a = stationNameById.get(object.stationAId) || object.stationAId
+    const b = stationNameById.get(object.stationBId) || object.stationBId
+    return `${a} ⇄ ${b}`
+  }
+  return object.text || object.id
+}
+
+function mergeEntityList(entity, lists, context) {
+  const rules = ENTITY_RULES[entity]
+  const baseById = new Map((lists.base || []).map((item) => [item.id, item]))
+  const oursById = new Map((lists.ours || []).map((item) => [item.id, item]))
+  const theirsById = new Map((lists.theirs || []).map((item) => [item.id, item]))
+  const stats = { added: 0, removed: 0, modified: 0 }
+  const result = []
+
+  const orderedIds = [...oursById.keys()]
+  for (const id of theirsById.keys()) {
+    if (!oursById.has(id)) orderedIds.push(id)
+  }
+
+  const resolve = (conflict) => {
+    context.conflicts.push(conflict)
+    return context.resolutions[conflict.id] === 'theirs' ? 'theirs' : 'ours'
+  }
+  const label = (...objects) => entityLabel(entity, objects.find(Boolean), context.stationNameById)
+
+  for (const id of orderedIds) {
+    const b = baseById.get(id)
+    const o = oursById.get(id)
+    const t = theirsById.get(id)
+
+    if (!b && o && !t) {
+      result.push(clone(o))
+      continue
+    }
+    if (!b && !o && t) {
+      result.push(clone(t))
+      stats.added++
+      continue
+    }
+    if (b && o && !t) {
+      if (isEqual(b, o)) {
+        stats.removed++
+        continue
+      }
+      const side = resolve({ id: `${entity}:${id}:*`, entity, entityId: id, unit: '*', kind: 'modify-delete', label: label(o, b), base: b, ours: o, theirs: null })
+      if (side === 'ours') result.push(clone(o))
+      continue
+    }
+    if (b && !o && t) {
+      if (isEqual(b, t)) continue
+      const side = resolve({ id: `${entity}:${id}:*`, entity, entityId: id, unit: '*', kind: 'delete-modify', label: label(t, b), base: b, ours: null, theirs: t })
+      if (side === 'theirs') {
+        result.push(clone(t))
+        stats.added++
+      }
+      continue
+    }
+    if (!o) continue
+
+    // Present on both sides (or added on both with the same id): merge per unit
+    const merged = clone(o)
+    let changedFromTheirs = false
+    for (const { unit, fields } of buildUnits(rules, [b, o, t], o, t)) {
+      const vb = b ? pick(b, fields) : null
+      const vo = pick(o, fields)
+      const vt = pick(t, fields)
+      if (isEqual(vo, vt) || isEqual(vt, vb)) continue
+      if (vb && isEqual(vo, vb)) {
+        Object.assign(merged, clone(vt))
+        changedFromTheirs = true
+        continue
+      }
+      const side = resolve({
+        id: `${entity}:${id}:${unit}`,
+        entity,
+        entityId: id,
+        unit,
+        kind: b ? 'modify-modify' : 'add-add',
+        label: label(o),
+        base: vb,
+        ours: vo,
+        theirs: vt,
+      })
+      if (side === 'theirs') {
+        Object.assign(merged, clone(vt))
+        changedFromTheirs = true
+      }
+    }
+    for (const field of rules.sets) {
+      const next = mergeIdSet(b?.[field] || [], o[field] || [], t[field] || [])
+      if (!isEqual(next, o[field] || [])) changedFromTheirs = true
+      merged[field] = next
+    }
+    if (changedFromTheirs) stats.modified++
+    result.push(merged)
+  }
+
+  return { items: result, stats }
+}
+
+/** Per-key merge for plain maps; conflicting keys keep ours. */
+function mergeKeyedMap(base = {}, ours = {}, theirs = {}) {
+  const result = clone(ours) || {}
+  let autoResolved = 0
+  const keys = new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)])
+  for (const key of keys) {
+    const vb = base[key]
+    const vo = ours[key]
+    const vt = theirs[key]
+    if (isEqual(vo, vt) || isEqual(vt, vb)) continue
+    if (isEqual(vo, vb)) {
+      if (vt === undefined) delete result[key]
+      else result[key] = clone(vt)
+      continue
+    }
+    autoResolved++
+  }
+  return { result, autoResolved }
+}
+
+/** Drop references to objects that did not survive the merge and re-sync line ↔ edge membership. */
+function repairReferences(project) {
+  const dropped = { edges: 0, manualTransfers: 0 }
+  const stationIds = new Set(project.stations.map((s) => s.id))
+
+  const edgeCount = project.edges.length
+  project.edges = project.edges.filter((edge) => stationIds.has(edge.fromStationId) && stationIds.has(edge.toStationId))
+  dropped.edges = edgeCount - project.edges.length
+
+  const transferCount = project.manualTransfers.length
+  project.manualTransfers = project.manualTransfers.filter((t) => stationIds.has(t.stationAId) && stationIds.has(t.stationBId))
+  dropped.manualTransfers = transferCount - project.manualTransfers.length
+
+  const edgeById = new Map(project.edges.map((edge) => [edge.id, edge]))
+  const lineById = new Map(project.lines.map((line) => [line.id, line]))
+  for (const line of project.lines) {
+    line.edgeIds = (line.edgeIds || []).filter((edgeId) => edgeById.has(edgeId))
+  }
+  for (const edge of project.edges) {
+    edge.sharedByLineIds = (edge.sharedByLineIds || []).filter((lineId) => lineById.has(lineId))
+    for (const lineId of edge.sharedByLineIds) {
+      const line = lineById.get(lineId)
+      if (!line.edgeIds.includes(edge.id)) line.edgeIds.push(edge.id)
+    }
+  }
+  for (const line of project.lines) {
+    for (const edgeId of line.edgeIds) {
+      const edge = edgeById.get(edgeId)
+      if (!edge.sharedByLineIds.includes(line.id)) edge.sharedByLineIds.push(line.id)
+    }
+  }
+
+  for (const mapKey of ['stationLabels']) {
+    const map = project.layoutMeta?.[mapKey]
+    if (!map) continue
+    for (const stationId of Object.keys(map)) {
+      if (!stationIds.has(stationId)) delete map[stationId]
+    }
+  }
+  const edgeDirections = project.layoutMeta?.edgeDirections
+  if (edgeDirections) {
+    for (const edgeId of Object.keys(edgeDirections)) {
+      if (!edgeById.has(edgeId)) delete edgeDirections[edgeId]
+    }
+  }
+  if (project.layoutMeta?.constraints) {
+    project.layoutMeta.constraints = normalizeLayoutConstraints(project.layoutMeta.constraints, {
+      stationIds,
+      lineIds: new Set(project.lines.map((line) => line.id)),
+    })
+  }
+  return dropped
+}
+
+/**
+ * @param {{base: Object, ours: Object, theirs: Object}} projects
+ * @param {Record<string, 'ours'|'theirs'>} [resolutions] - 冲突 ID → 采用哪一侧，未指定时保留 ours
+ * @returns {{
+ *   project: Object,
+ *   conflicts: Array<{id: string, entity: string, entityId: string, unit: string, kind: string, label: string, base: *, ours: *, theirs: *}>,
+ *   stats: Record<string, {added: number, removed: number, modified: number}>,
+ *   dropped: {edges: number, manualTransfers: number},
+ *   autoResolved: number,
+ * }}
+ */
+export function mergeProjects({ base, ours, theirs }, resolutions = {}) {
+  const stationNameById = new Map()
+  for (const project of [base, theirs, ours]) {
+    for (const station of project?.stations || []) stationNameById.set(station.id, station.nameZh || station.id)
+  }
+  const context = { conflicts: [], resolutions, stationNameById }
+  const project = clone(ours)
+  const stats = {}
+
+  for (const entity of MERGE_ENTITIES) {
+    const merged = mergeEntityList(entity, { base: base?.[entity], ours: ours?.[entity], theirs: theirs?.[entity] }, context)
+    project[entity] = merged.items
+    stats[entity] = merged.stats
+  }
+
+  let autoResolved = 0
+  project.layoutMeta = project.layoutMeta || {}
+  for (const mapKey of ['stationLabels', 'edgeDirections', 'constraints']) {
+    const merged = mergeKeyedMap(base?.layoutMeta?.[mapKey], ours?.layoutMeta?.[mapKey], theirs?.layoutMeta?.[mapKey])
+    project.layoutMeta[mapKey] = merged.result
+    autoResolved += merged.autoResolved
+  }
+  if (project.layoutConfig) {
+    const merged = mergeKeyedMap(
+      base?.layoutConfig?.displayConfig,
+      ours?.layoutConfig?.displayConfig,
+      theirs?.layoutConfig?.displayConfig,
+    )
+    project.layoutConfig.displayConfig = merged.result
+    autoResolved += merged.autoResolved
+  }
+
+  const dropped = repairReferences(project)
+  return { project, conflicts: context.conflicts, stats, dropped, autoResolved }
+}
@@ -23,6 +23,7 @@ export function buildSchematicSvg(project, options = {}) {
   const model = buildSchematicRenderModel(project, {
     ...options,
     mirrorVertical: options.mirrorVertical ?? true,
+    lineLabels: false,
   })
 
   const edgeHaloElements = model.edgePaths
@@ -104,6 +105,32 @@ export async function downloadOfficialSchematicPng(project, options = {}) {
   })
 }
 
+/**
+ * Compact official-style schematic SVG for project previews: no station
+ * symbols or labels, no line halos, coordinates rounded to 0.1 px.
+ * @returns {string} empty string for a project without stations
+ */
+export function buildProjectThumbnailSvg(project) {
+  if (!project?.stations?.length) return ''
+  return buildSchematicSvg(project, { mirrorVertical: true, stationVisibilityMode: 'none' })
+    .replace(/<path [^>]*stroke="#f8fafc"[^>]*\/>\n?/g, '')
+    .replace(/(\d+\.\d)\d+/g, '$1')
+    .replace(/>\s+</g, '><')
+}
+
+/**
+ * Render a small official-style schematic PNG (longest side `maxSize` px),
+ * used as the preview embedded in project packages.
+ * @returns {Promise<{blob: Blob, width: number, height: number}|null>} null for an empty project
+ */
+export async function renderSchematicThumbnail(project, { maxSize = 512 } = {}) {
+  if (!project?.stations?.length) return null
+  const model = buildSchematicRenderModel(project, { mirrorVertical: true, lineLabels: false })
+  const scale = maxSize / Math.max(1, model.width, model.height)
+  const blob = await svgToPngBlob(buildProjectThumbnailSvg(project), { scale, minScale: 0.01 })
+  return { blob, width: Math.round(model.width * scale), height: Math.round(model.height * scale) }
+}
+
 async function downloadSchematicPng(project, options = {}) {
   let { fileName, scale = 2, mirrorVertical = true, ...renderOptions } = options
   const svg = buildSchematicSvg(project, {
@@ -200,7 +227,7 @@ function ensureUniqueZipPath(path, usedPaths) {
 }
 
 async function svgToPngBlob(svg, options = {}) {
-  const scale = Number.isFinite(options.scale) ? Math.max(1, options.scale) : 2
+  const scale = Number.isFinite(options.scale) ? Math.max(options.minScale ?? 1, options.scale) : 2
   const svgBlob = new Blob([svg], { type: 'image/svg+xml;charset=utf-8' })
   const url = URL.createObjectURL(svgBlob)
   try {
@@ -62,7 +62,7 @@ npm run dev
 |--------|------|
 | \`Ctrl+N\` | 新建工程 |
 | \`Ctrl+O\` | 打开文件 |
-| \`Ctrl+S\` | 存入本地库 |
+| \`Ctrl+S\` | 保存（存入本地库，并写回关联的磁盘文件） |
 | \`Ctrl+Shift+S\` | 保存文件 |
 | \`Ctrl+E\` | 导出示意图 PNG |
 
@@ -116,7 +116,15 @@ npm run dev
 - **多视图展示** — 地图视图 / 示意图视图 / 车载 HUD 视图 / 时间线预览视图
 - **AI 辅助** — 智能翻译英文站名 + TTS 报站语音生成
 - **时间线动画** — 按年份展示线网发展历程，支持多分辨率视频导出
-- **导航模式** — 在线网中进行路径导航
+- **导航模式** — 在线网中进行路径导航，按线路设计速度、停站时间与高峰/平峰发车间隔估算门到门出行时间，支持换乘惩罚、少换乘模式与手动换乘（站外换乘），并列出多条备选方案供比较
+- **工程对比** — 文件 → 对比工程，选择当前工程、检查点、本地库工程或工程文件作为 A/B 两个版本，列出新增、删除、移动、重命名和线路变化的对象以及显示配置变化，并在地图上按新增（绿）、删除（红）、修改（橙）着色
+- **操作历史** — 工具选项卡中列出本次编辑的全部操作（最多 320 条），点击任意一条即可跳转到该步之后的状态，已撤销的记录以灰色显示并可重新跳回
+- **合并分支** — 文件 → 合并分支，以分支点检查点为共同祖先将工程副本合并回当前工程，无冲突的改动自动应用，冲突逐项选择
+- **协同编辑** — 文件 → 协同编辑，通过本地中继与他人实时编辑同一工程，在地图与示意图上显示其他成员的光标与选中站点，状态栏显示在线成员
+- **中断模拟** — 顶部栏「中断模拟」按钮进入后点击车站或区间将其关闭，列出孤立车站、不可达的 OD 对以及绕行距离超过阈值的 OD 对，并可在地图上查看绕行路线
+- **中心性分析** — 统计弹窗「中心性」页列出介数最高的关键站点与区间、接近中心性最高的站点，并可在地图上按介数着色
+- **线网可达性** — 视图菜单中开启后，按每站到其余各站的平均/中位最短网络距离分五级着色，直观区分连通良好的核心区与服务薄弱的边缘
+- **等时圈** — 在统计弹窗中以某站或地图任意地点为起点，按步行、候车、车内与换乘时间生成 10–90 分钟等时圈多边形，可导出 GeoJSON
 - **搜索** — 搜索地点并定位到地图
 - **数据管理** — OSM 城市预设导入（中国 + 国际）、PNG / HUD / 视频导出、本地库自动保存
 ` },
@@ -161,6 +169,60 @@ npm run dev
 - 实时预览布局效果
 - Web Worker 并行计算，不阻塞界面
 - 切换到示意图视图时自动触发首次布局
+
+## 排版约束
+
+重新排版不会冲掉手工调好的部分。在示意图视图中点击站点选择（Shift/Ctrl 多选，先选的为 A），然后在右侧「排版控制 → 排版约束」中添加：
+
+- **固定站点**：站点保持当前示意图位置，相邻区间由另一端迁就
+- **方向锁定**：两站间沿某条线路的区段画成一条直线，并固定朝向（东、东北、北……）
+- **拉直区间**：两站间的区段画成一条直线，朝向取最接近当前走向的八方向
+- **相对位置**：A 在 B 左侧 / 上方，或两站同一行 / 同一列
+
+固定站点在示意图中以橙色菱形标出，锁定与拉直的区段以虚线标出。约束随工程保存，下次自动排版时生效；互相矛盾的约束会被折中处理，固定站点始终优先。
+
+## 排版引擎
+
+排版控制面板底部可以选择排版引擎，设置随工程保存：
+
+- **力导向**（默认）：力导向模拟后强制八方向，速度快，整体贴近地理走向
+- **八方向网格搜索**：站点放在网格上做组合式局部搜索，线段严格八方向，多余的折弯和近似八方向的小折角更少；可选择 2 秒–1 分钟的时间预算，预算用完即返回当前最优结果（站名标签排布另计时间）
+
+两种引擎都遵循排版约束，也都可用于局部重排。
+
+## 网格对齐
+
+在「布局参数」中设置网格间距（0 为关闭）后，自动排版会把每个站点吸附到网格交点上，线段保持八方向，吸附造成的交叉与站点重叠会被自动消除：
+
+- **网格间距**：网格边长，单位与示意图坐标一致；间距越大，站点越稀疏规整
+- **等间距站点**：同一线路直线段上的站点均匀排布，站间距尽量一致
+- **显示网格**：在示意图中叠加网格线，便于手工核对对齐效果（仅显示，不影响导出）
+
+两种引擎都支持网格对齐；固定站点不会被吸附。修改设置后需重新执行自动排版。
+
+## 排版预设与参数微调
+
+「排版预设与参数」中可以选择一套排版风格，设置随工程保存：
+
+- **标准**：默认参数，在地理走向与八方向规整之间取平衡
+- **贴近地理**：站点尽量留在地理位置附近，保留线路真实走向
+- **紧凑**：缩小画幅与站距，适合小尺寸输出或密集线网
+- **东京风格**：保留地理大势，允许较多 45° 折角与较短直段
+- **伦敦风格**：高度抽象，长直线段、折弯少、站距均匀
+
+预设下方列出可调的排版参数（尺度、力导向、八方向网格搜索）。拖动滑块即为当前工程微调该参数，微调叠加在预设之上、以高亮标出，点 ↺ 恢复预设值。
+
+## 排版 A/B 对比
+
+点击排版控制面板底部的「A/B」，为方案 A、B 分别选择引擎与设置（当前设置或某个预设），运行后并排显示两张示意图和各项评分（均为惩罚，越低越好，较优的一项加粗）。对比不会修改工程，点击「采用方案 A / B」才会写回排版结果，并把该方案的设置存为工程排版设置。
+
+## 局部重排
+
+新增几站延伸线后，不必对整张线网重新排版。在示意图中选中新站点（或需要调整的站点），在排版控制面板底部选择邻域范围（仅所选站点 / 邻域 1–3 跳），点击「重排所选区域」：
+
+- 只有所选站点及其 k 跳邻域参与优化，其余站点作为固定锚点保持原位
+- 结果直接嵌入现有示意图，站名标签与线段方向只更新受影响的部分
+- 排版约束同样生效；评分只统计受影响区域，状态栏显示为「局部评分」
 ` },
     { key: 'views', title: '多视图展示', content: `
 ## 地图视图 (快捷键 1)
@@ -205,9 +267,17 @@ AI 菜单 → 报站生成，自动生成地铁报站语音。
 
 支持从 OSM 导入真实地铁线网数据。提供中国城市（按华北/东北/华东/华中/华南/西部/港澳台分区）和国际城市预设，一键导入。
 
+### 从 GTFS 数据包导入
+
+菜单栏 → 文件 → 导入线网 → 从 GTFS 数据包导入，选择本地 GTFS zip。仅导入地铁/轻轨线路，父站合并为一个站点，线路颜色与 shapes 走向会被保留，导入后新建工程。
+
+### 从 GeoJSON / KML 导入
+
+菜单栏 → 文件 → 导入线网 → 从 GeoJSON / KML 导入。可读回本软件导出的文件（保留站点、线段与线路 id），也支持外部 GIS 数据：线段端点会吸附到 60 米内的车站，否则自动新建车站。
+
 ### 导入项目文件
 
-菜单栏 → 文件 → 打开文件，导入之前保存的 JSON 项目文件。
+菜单栏 → 文件 → 打开文件，导入之前保存的工程包（\`.metro-studio\`）或 JSON 项目文件，按文件内容自动识别。工程包载入时逐项校验，损坏的音频、缩略图或区域边界会被跳过并在状态栏列出；工程数据本身损坏时拒绝载入。
 
 ## 导出
 
@@ -220,6 +290,14 @@ AI 菜单 → 报站生成，自动生成地铁报站语音。
 
 导出 → 导出车辆 HUD 打包，生成 ZIP 格式的 HUD 显示资源。
 
+### GTFS 数据包
+
+导出 → 导出 GTFS 数据包，将运营线路导出为 GTFS 静态数据（stops / routes / shapes / trips / stop_times），可供行程规划软件使用。班次为按线路长度推算的模板班次，发车间隔写入 frequencies.txt。
+
+### GeoJSON / KML
+
+导出 → 导出 GeoJSON / 导出 KML，按真实地理走向导出线网：车站为点要素，线段为沿锚点走向的线要素，属性包含线路、颜色、开通年份、分期与状态。KML 按线路分目录并带各线颜色样式。
+
 ### 时间轴视频
 
 导出 → 导出时间轴视频，支持三种分辨率：
@@ -229,11 +307,55 @@ AI 菜单 → 报站生成，自动生成地铁报站语音。
 
 ### 项目文件
 
-文件 → 保存文件，导出 JSON 格式的项目数据。
+文件 → 保存文件，导出 \`.metro-studio\` 工程包：压缩的工程数据、单独存放的区域边界、示意图缩略图，以及在报站语音对话框中「嵌入工程文件」的音频，并附带 SHA-256 校验清单。大城市工程的体积通常只有 JSON 的几十分之一。
+
+文件 → 保存为 JSON，导出旧版纯 JSON 格式（不含音频与缩略图）。
+
+文件 → 保存为旧版本，导出旧数据版本的 JSON，供尚未升级的应用打开；菜单项中列出降级时会舍弃的内容。打开旧版本的工程文件时会自动逐级升级到当前数据版本；由更新版本应用保存的文件需要先升级应用。
 
 ### 本地库
 
-文件 → 存入本地库 (Ctrl+S)，使用 IndexedDB 自动保存，支持多工程管理。
+文件 → 存入本地库 (Ctrl+S)，使用 IndexedDB 自动保存，支持多工程管理。保存时会在后台生成示意图缩略图。
+
+文件 → 本地库 打开工程列表：
+- **搜索** — 按名称、ID、描述、标签或地区过滤
+- **排序** — 最近修改、创建时间、名称、站点数或线网里程
+- **标签筛选** — 点击标签只显示带有该标签的工程，可多选
+- **列表 / 网格** — 网格视图以缩略图卡片显示工程，双击缩略图加载
+- **信息** — 编辑工程描述、标签（逗号或空格分隔）与地区
+
+### 关联磁盘文件
+
+在支持 File System Access API 的浏览器（Chrome、Edge）中，文件 → 打开文件 (Ctrl+O) 打开的工程会与磁盘上的文件保持关联；也可通过文件 → 保存到磁盘文件... 另存为新文件并关联：
+- **Ctrl+S** 同时存入本地库并写回关联的文件；自动保存也会写回（刷新页面后需先按一次 Ctrl+S 重新授权）
+- 状态栏 **[文件]** 显示关联的文件名，● 表示有未写回的修改
+- 切回窗口时会检查文件是否被其他程序修改：本页没有未写回的修改时自动重新载入，否则询问载入磁盘版本还是保留本页修改；写回前若发现文件已被修改，会先确认是否覆盖
+- 文件 → 取消文件关联 解除关联
+
+不支持该 API 的浏览器中，打开文件仍为上传，保存到磁盘文件改为下载 JSON。
+
+### 多标签页
+
+同一工程在多个标签页中打开时，只有一个标签页可以编辑并保存，其余标签页只读并在对方保存后自动更新。点击顶部横幅中的「在此标签页编辑」可接管编辑权；只读标签页有未保存的修改、或本页数据已过期时，横幅会提示选择载入最新版本还是以本页内容覆盖。
+
+### 版本历史
+
+文件 → 版本历史，可为当前工程创建命名检查点；编辑保存时每隔 10 分钟（内容有变化时）自动创建检查点，每个工程保留最近 30 个自动检查点。检查点保存在 IndexedDB 中，刷新页面后依然可用：
+- **预览** — 在示意图视图中只读查看检查点内容
+- **恢复** — 将当前工程恢复为检查点，恢复前自动备份，可撤销
+- **分支** — 以检查点内容新建一个独立工程
+
+### 合并分支
+
+文件 → 合并分支，将「复制当前工程」或「分支」得到的副本合并回当前工程。以复制时自动创建的分支点检查点为共同祖先：只有一方修改的站点、区间、线路自动合并；双方改动不同（如同一站点改成不同名称、同一区间改了不同走向）时在对话框中逐项选择保留当前或采用分支。合并前自动创建检查点，合并后可撤销。
+
+### 协同编辑
+
+先在一台电脑上运行 \`npm run collab:relay\` 启动本地中继（默认 \`ws://localhost:8787\`），然后在 文件 → 协同编辑 中填写中继地址、房间（默认为当前工程 ID）和显示名称并连接。第一个进入房间的人以自己的工程作为初始内容，之后加入的人本地的站点、区间、线路与注释会被房间内容替换。
+- 站点、区间、线路与注释的修改实时同步；两人同时修改同一对象的不同字段（如一人改名、一人移动）会同时保留，修改同一字段时以较晚的修改为准
+- 撤销/重做只作用于自己的修改，远端修改不会进入本地撤销记录
+- 地图与示意图中显示其他成员的光标与选中站点，状态栏显示在线成员
+- 工程名称、显示配置等其他设置不参与同步
 ` },
   ]},
   { key: 'dev', label: 'DEV', items: [
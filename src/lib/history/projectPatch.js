@@ -0,0 +1,228 @@
+/**
+ * Structural patches for the edit history.
+ *
+ * Instead of cloning the whole project for every history entry, the store keeps
+ * a "shadow" of the last recorded state: one JSON string per station / edge /
+ * line / transfer / annotation, per `layoutMeta` map entry, and per remaining
+ * top-level field. Recording serializes the project once and compares it to the
+ * shadow piece by piece; only the pieces that changed end up in the patch, so
+ * an entry costs memory proportional to the edit, not to the network.
+ *
+ * A patch stores before/after JSON for every changed piece, plus the id order
+ * of a collection when objects were added, removed or reordered. It can be
+ * applied in either direction, in place, to a (reactive) project.
+ */
+
+export const KEYED_COLLECTIONS = ['stations', 'edges', 'lines', 'manualTransfers', 'annotations']
+
+const MAP_PARENT = 'layoutMeta'
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function sameOrder(a, b) {
+  if (a.length !== b.length) return false
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false
+  }
+  return true
+}
+
+/**
+ * @returns {{collections: Record<string, {order: string[], items: Map<string, string>}>, maps: Record<string, Map<string, string>>, fields: Map<string, string>}}
+ */
+export function createProjectShadow(project) {
+  const shadow = { collections: {}, maps: {}, fields: new Map() }
+  if (!project) return shadow
+  for (const name of KEYED_COLLECTIONS) {
+    const list = Array.isArray(project[name]) ? project[name] : []
+    const items = new Map()
+    for (const item of list) items.set(item.id, JSON.stringify(item))
+    shadow.collections[name] = { order: list.map((item) => item.id), items }
+  }
+  for (const [sub, value] of Object.entries(project[MAP_PARENT] || {})) {
+    if (!isPlainObject(value)) {
+      shadow.fields.set(`${MAP_PARENT}.${sub}`, JSON.stringify(value))
+      continue
+    }
+    const entries = new Map()
+    for (const [key, entry] of Object.entries(value)) entries.set(key, JSON.stringify(entry))
+    shadow.maps[sub] = entries
+  }
+  for (const [key, value] of Object.entries(project)) {
+    if (KEYED_COLLECTIONS.includes(key) || key === MAP_PARENT) continue
+    shadow.fields.set(key, JSON.stringify(value))
+  }
+  return shadow
+}
+
+/**
+ * Compare the project against the shadow and return the patch (shadow → project),
+ * or null when nothing changed. The shadow is updated in place to match the project.
+ */
+export function diffAgainstShadow(shadow, project) {
+  const next = createProjectShadow(project)
+  const patch = { collections: {}, maps: {}, fields: [] }
+  let changed = false
+
+  for (const name of KEYED_COLLECTIONS) {
+    const before = shadow.collections[name] || { order: [], items: new Map() }
+    const after = next.collections[name]
+    const changes = []
+    for (const [id, json] of after.items) {
+      const previous = before.items.get(id)
+      if (previous !== json) changes.push([id, previous ?? null, json])
+    }
+    for (const [id, json] of before.items) {
+      if (!after.items.has(id)) changes.push([id, json, null])
+    }
+    const orderChanged = !sameOrder(before.order, after.order)
+    if (!changes.length && !orderChanged) continue
+    patch.collections[name] = orderChanged
+      ? { changes, orderBefore: before.order, orderAfter: after.order }
+      : { changes }
+    changed = true
+  }
+
+  const mapKeys = new Set([...Object.keys(shadow.maps), ...Object.keys(next.maps)])
+  for (const sub of mapKeys) {
+    const before = shadow.maps[sub] || new Map()
+    const after = next.maps[sub] || new Map()
+    const changes = []
+    for (const [key, json] of after) {
+      const previous = before.get(key)
+      if (previous !== json) changes.push([key, previous ?? null, json])
+    }
+    for (const [key, json] of before) {
+      if (!after.has(key)) changes.push([key, json, null])
+    }
+    if (!changes.length && (sub in shadow.maps) === (sub in next.maps)) continue
+    patch.maps[sub] = { changes, existedBefore: sub in shadow.maps, existsAfter: sub in next.maps }
+    changed = true
+  }
+
+  const fieldKeys = new Set([...shadow.fields.keys(), ...next.fields.keys()])
+  for (const key of fieldKeys) {
+    const before = shadow.fields.get(key)
+    const after = next.fields.get(key)
+    if (before === after) continue
+    patch.fields.push([key, before ?? null, after ?? null])
+    changed = true
+  }
+
+  shadow.collections = next.collections
+  shadow.maps = next.maps
+  shadow.fields = next.fields
+  return changed ? patch : null
+}
+
+function composeChanges(first = [], second = []) {
+  const byId = new Map(first.map(([id, before, after]) => [id, [id, before, after]]))
+  for (const [id, before, after] of second) {
+    const existing = byId.get(id)
+    if (existing) existing[2] = after
+    else byId.set(id, [id, before, after])
+  }
+  return [...byId.values()].filter(([, before, after]) => before !== after)
+}
+
+/** Combine two consecutive patches into one (used for the continuous-edit merge window). */
+export function composePatches(first, second) {
+  const result = { collections: {}, maps: {}, fields: [] }
+  for (const name of new Set([...Object.keys(first.collections), ...Object.keys(second.collections)])) {
+    const a = first.collections[name]
+    const b = second.collections[name]
+    const entry = { changes: composeChanges(a?.changes, b?.changes) }
+    const orderBefore = a?.orderBefore || b?.orderBefore
+    if (orderBefore) {
+      entry.orderBefore = orderBefore
+      entry.orderAfter = b?.orderAfter || a.orderAfter
+    }
+    result.collections[name] = entry
+  }
+  for (const sub of new Set([...Object.keys(first.maps), ...Object.keys(second.maps)])) {
+    const a = first.maps[sub]
+    const b = second.maps[sub]
+    result.maps[sub] = {
+      changes: composeChanges(a?.changes, b?.changes),
+      existedBefore: a ? a.existedBefore : b.existedBefore,
+      existsAfter: b ? b.existsAfter : a.existsAfter,
+    }
+  }
+  result.fields = composeChanges(first.fields, second.fields)
+  return result
+}
+
+function parseOrNull(json) {
+  return json == null ? null : JSON.parse(json)
+}
+
+/**
+ * Apply a patch to the project in place.
+ * @param {Object} project
+ * @param {Object} patch
+ * @param {'undo'|'redo'} direction - undo restores the "before" side, redo the "after" side
+ */
+export function applyProjectPatch(project, patch, direction) {
+  const pickTarget = direction === 'undo' ? (change) => change[1] : (change) => change[2]
+
+  for (const [name, entry] of Object.entries(patch.collections)) {
+    const list = Array.isArray(project[name]) ? project[name] : []
+    const order = direction === 'undo' ? entry.orderBefore : entry.orderAfter
+    if (order) {
+      const byId = new Map(list.map((item) => [item.id, item]))
+      for (const change of entry.changes) {
+        const target = pickTarget(change)
+        if (target == null) byId.delete(change[0])
+        else byId.set(change[0], JSON.parse(target))
+      }
+      project[name] = order.map((id) => byId.get(id)).filter(Boolean)
+      continue
+    }
+    const indexById = new Map(list.map((item, index) => [item.id, index]))
+    for (const change of entry.changes) {
+      const index = indexById.get(change[0])
+      const target = pickTarget(change)
+      if (index != null && target != null) list[index] = JSON.parse(target)
+    }
+  }
+
+  for (const [sub, entry] of Object.entries(patch.maps)) {
+    const exists = direction === 'undo' ? entry.existedBefore : entry.existsAfter
+    if (!project[MAP_PARENT]) project[MAP_PARENT] = {}
+    if (!exists) {
+      delete project[MAP_PARENT][sub]
+      continue
+    }
+    const map = isPlainObject(project[MAP_PARENT][sub]) ? project[MAP_PARENT][sub] : (project[MAP_PARENT][sub] = {})
+    for (const change of entry.changes) {
+      const target = pickTarget(change)
+      if (target == null) delete map[change[0]]
+      else map[change[0]] = JSON.parse(target)
+    }
+  }
+
+  for (const change of patch.fields) {
+    const [path] = change
+    const value = parseOrNull(pickTarget(change))
+    const isMissing = pickTarget(change) == null
+    if (path.startsWith(`${MAP_PARENT}.`)) {
+      const sub = path.slice(MAP_PARENT.length + 1)
+      if (!project[MAP_PARENT]) project[MAP_PARENT] = {}
+      if (isMissing) delete project[MAP_PARENT][sub]
+      else project[MAP_PARENT][sub] = value
+      continue
+    }
+    if (isMissing) delete project[path]
+    else project[path] = value
+  }
+}
+
+/** Number of changed objects / map entries / fields in a patch (shown in the history panel). */
+export function countPatchChanges(patch) {
+  let count = patch.fields.length
+  for (const entry of Object.values(patch.collections)) count += entry.changes.length
+  for (const entry of Object.values(patch.maps)) count += entry.changes.length
+  return count
+}
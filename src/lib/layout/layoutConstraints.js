@@ -0,0 +1,203 @@
+/**
+ * User constraints for the auto-layout optimizer, stored in `layoutMeta.constraints`.
+ *
+ *   pinnedStationIds  — stations that keep their current `displayPos`
+ *   directionLocks    — a line's run between two stations drawn straight in a fixed
+ *                       direction (0 = east, counter-clockwise in 45° steps, y up)
+ *   straightSections  — a line's run between two stations drawn straight in whatever
+ *                       octilinear direction fits best
+ *   relations         — pairwise placement: `leftOf` / `above` (A relative to B),
+ *                       `sameRow` / `sameColumn`
+ *
+ * Shared by the store (editing, normalization) and the layout worker (which turns
+ * them into index-based rules, see `workers/layout/userConstraints.js`).
+ */
+
+export const LAYOUT_DIRECTION_LABELS = ['东', '东北', '北', '西北', '西', '西南', '南', '东南']
+
+export const LAYOUT_RELATION_TYPES = ['leftOf', 'above', 'sameRow', 'sameColumn']
+
+export const LAYOUT_RELATION_LABELS = {
+  leftOf: 'A 在 B 左侧',
+  above: 'A 在 B 上方',
+  sameRow: '同一行',
+  sameColumn: '同一列',
+}
+
+/** @param {string} type @param {string} nameA @param {string} nameB @returns {string} */
+export function describeLayoutRelation(type, nameA, nameB) {
+  if (type === 'leftOf') return `${nameA} 在 ${nameB} 左侧`
+  if (type === 'above') return `${nameA} 在 ${nameB} 上方`
+  if (type === 'sameRow') return `${nameA} 与 ${nameB} 同一行`
+  return `${nameA} 与 ${nameB} 同一列`
+}
+
+/**
+ * @typedef {Object} LayoutRunConstraint
+ * @property {string} id
+ * @property {string} lineId
+ * @property {string} fromStationId
+ * @property {string} toStationId
+ * @property {number} [direction] - direction locks only, 0..7
+ */
+
+/**
+ * @typedef {Object} LayoutRelationConstraint
+ * @property {string} id
+ * @property {'leftOf'|'above'|'sameRow'|'sameColumn'} type
+ * @property {string} stationAId
+ * @property {string} stationBId
+ */
+
+/**
+ * @typedef {Object} LayoutConstraints
+ * @property {string[]} pinnedStationIds
+ * @property {LayoutRunConstraint[]} directionLocks
+ * @property {LayoutRunConstraint[]} straightSections
+ * @property {LayoutRelationConstraint[]} relations
+ */
+
+/** @returns {LayoutConstraints} */
+export function createEmptyLayoutConstraints() {
+  return {
+    pinnedStationIds: [],
+    directionLocks: [],
+    straightSections: [],
+    relations: [],
+  }
+}
+
+/** @param {LayoutConstraints} constraints @returns {number} */
+export function countLayoutConstraints(constraints) {
+  if (!constraints) return 0
+  return (
+    (constraints.pinnedStationIds?.length || 0) +
+    (constraints.directionLocks?.length || 0) +
+    (constraints.straightSections?.length || 0) +
+    (constraints.relations?.length || 0)
+  )
+}
+
+function isKnown(ids, id) {
+  return typeof id === 'string' && id !== '' && (!ids || ids.has(id))
+}
+
+function normalizeRun(raw, stationIds, lineIds, withDirection) {
+  if (!raw || typeof raw !== 'object') return null
+  if (!isKnown(lineIds, raw.lineId) || !isKnown(stationIds, raw.fromStationId) || !isKnown(stationIds, raw.toStationId)) {
+    return null
+  }
+  if (raw.fromStationId === raw.toStationId) return null
+  const run = {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : `${raw.lineId}:${raw.fromStationId}:${raw.toStationId}`,
+    lineId: raw.lineId,
+    fromStationId: raw.fromStationId,
+    toStationId: raw.toStationId,
+  }
+  if (withDirection) {
+    const direction = Number(raw.direction)
+    if (!Number.isInteger(direction)) return null
+    run.direction = ((direction % 8) + 8) % 8
+  }
+  return run
+}
+
+function dedupeById(list) {
+  const seen = new Set()
+  return list.filter((item) => {
+    if (seen.has(item.id)) return false
+    seen.add(item.id)
+    return true
+  })
+}
+
+/**
+ * Sanitize stored constraints; entries that reference missing stations or lines are dropped.
+ * @param {*} raw
+ * @param {{stationIds?: Set<string>, lineIds?: Set<string>}} [known] - omit to skip reference checks
+ * @returns {LayoutConstraints}
+ */
+export function normalizeLayoutConstraints(raw, { stationIds = null, lineIds = null } = {}) {
+  const result = createEmptyLayoutConstraints()
+  if (!raw || typeof raw !== 'object') return result
+
+  if (Array.isArray(raw.pinnedStationIds)) {
+    result.pinnedStationIds = [...new Set(raw.pinnedStationIds.filter((id) => isKnown(stationIds, id)))]
+  }
+  if (Array.isArray(raw.directionLocks)) {
+    result.directionLocks = dedupeById(
+      raw.directionLocks.map((item) => normalizeRun(item, stationIds, lineIds, true)).filter(Boolean),
+    )
+  }
+  if (Array.isArray(raw.straightSections)) {
+    result.straightSections = dedupeById(
+      raw.straightSections.map((item) => normalizeRun(item, stationIds, lineIds, false)).filter(Boolean),
+    )
+  }
+  if (Array.isArray(raw.relations)) {
+    result.relations = dedupeById(
+      raw.relations
+        .filter(
+          (item) =>
+            item &&
+            LAYOUT_RELATION_TYPES.includes(item.type) &&
+            isKnown(stationIds, item.stationAId) &&
+            isKnown(stationIds, item.stationBId) &&
+            item.stationAId !== item.stationBId,
+        )
+        .map((item) => ({
+          id: typeof item.id === 'string' && item.id ? item.id : `${item.type}:${item.stationAId}:${item.stationBId}`,
+          type: item.type,
+          stationAId: item.stationAId,
+          stationBId: item.stationBId,
+        })),
+    )
+  }
+  return result
+}
+
+/**
+ * The edges of `line` between two of its stations, in travel order.
+ * Breadth-first over the line's own edges, so branches and loops pick the shortest run.
+ * @param {{edgeIds: string[]}} line
+ * @param {Map<string, {id: string, fromStationId: string, toStationId: string}>} edgeById
+ * @param {string} fromStationId
+ * @param {string} toStationId
+ * @returns {{edgeIds: string[], stationIds: string[]}|null} null when the stations are not connected on the line
+ */
+export function resolveLineRun(line, edgeById, fromStationId, toStationId) {
+  if (!line || fromStationId === toStationId) return null
+  const neighbors = new Map()
+  for (const edgeId of line.edgeIds || []) {
+    const edge = edgeById.get(edgeId)
+    if (!edge) continue
+    for (const [a, b] of [[edge.fromStationId, edge.toStationId], [edge.toStationId, edge.fromStationId]]) {
+      if (!neighbors.has(a)) neighbors.set(a, [])
+      neighbors.get(a).push({ stationId: b, edgeId })
+    }
+  }
+  if (!neighbors.has(fromStationId) || !neighbors.has(toStationId)) return null
+
+  const previous = new Map([[fromStationId, null]])
+  const queue = [fromStationId]
+  while (queue.length) {
+    const current = queue.shift()
+    if (current === toStationId) break
+    for (const next of neighbors.get(current)) {
+      if (previous.has(next.stationId)) continue
+      previous.set(next.stationId, { stationId: current, edgeId: next.edgeId })
+      queue.push(next.stationId)
+    }
+  }
+  if (!previous.has(toStationId)) return null
+
+  const stationIds = [toStationId]
+  const edgeIds = []
+  let step = previous.get(toStationId)
+  while (step) {
+    edgeIds.unshift(step.edgeId)
+    stationIds.unshift(step.stationId)
+    step = previous.get(step.stationId)
+  }
+  return { edgeIds, stationIds }
+}
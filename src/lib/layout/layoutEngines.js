@@ -0,0 +1,45 @@
+/**
+ * Layout engines the worker can run, chosen per project in `layoutConfig.engine`
+ * and sent as `payload.engine` (see `workers/layoutWorker.js`):
+ *
+ *   force      — force-directed simulation, then octilinear hard constraints
+ *   octilinear — combinatorial local search on an octilinear grid, bounded by
+ *                `layoutConfig.timeBudgetMs`
+ *
+ * Both take the same payload and return the same result shape. Both also honour the
+ * grid options `layoutConfig.gridPitch` (0 = no grid) and `layoutConfig.equalSpacing`.
+ */
+
+export const LAYOUT_ENGINES = [
+  { id: 'force', label: '力导向', description: '力导向模拟后强制八方向，速度快，整体贴近地理走向' },
+  { id: 'octilinear', label: '八方向网格搜索', description: '在网格上组合搜索，线段严格八方向、折弯更少，在时间预算内尽量求优' },
+]
+
+export const DEFAULT_LAYOUT_ENGINE = 'force'
+
+export const DEFAULT_LAYOUT_TIME_BUDGET_MS = 5000
+
+export const LAYOUT_TIME_BUDGET_OPTIONS_MS = [2000, 5000, 10000, 20000, 60000]
+
+/** @param {*} value @returns {'force'|'octilinear'} */
+export function normalizeLayoutEngine(value) {
+  return LAYOUT_ENGINES.some((engine) => engine.id === value) ? value : DEFAULT_LAYOUT_ENGINE
+}
+
+/** @param {*} value @returns {number} milliseconds, 1–120 s */
+export function normalizeLayoutTimeBudget(value) {
+  const parsed = Number(value)
+  if (!Number.isFinite(parsed)) return DEFAULT_LAYOUT_TIME_BUDGET_MS
+  return Math.round(Math.max(1000, Math.min(120000, parsed)))
+}
+
+export const GRID_PITCH_MIN = 10
+
+export const GRID_PITCH_MAX = 200
+
+/** @param {*} value @returns {number} layout units; 0 turns grid snapping off */
+export function normalizeGridPitch(value) {
+  const parsed = Number(value)
+  if (!Number.isFinite(parsed) || parsed <= 0) return 0
+  return Math.round(Math.max(GRID_PITCH_MIN, Math.min(GRID_PITCH_MAX, parsed)))
+}
@@ -0,0 +1,178 @@
+import { DEFAULT_CONFIG } from '../../workers/layout/config'
+
+/**
+ * Named layout presets and per-project tuning of the worker's `DEFAULT_CONFIG`.
+ *
+ * A project stores `layoutConfig.preset` (one of `LAYOUT_PRESETS`) and
+ * `layoutConfig.overrides` (`{[key]: number}` for keys of `LAYOUT_TUNING_PARAMS`).
+ * The worker config is `DEFAULT_CONFIG` ← preset values ← overrides, see
+ * `resolveLayoutTuning`. Only the knobs listed here can be overridden; the rest of
+ * `DEFAULT_CONFIG` stays internal.
+ */
+
+export const LAYOUT_TUNING_GROUPS = [
+  { id: 'scale', label: '尺度' },
+  { id: 'force', label: '力导向' },
+  { id: 'grid', label: '八方向网格搜索' },
+]
+
+export const LAYOUT_TUNING_PARAMS = [
+  { key: 'normalizeTargetSpan', group: 'scale', label: '画幅跨度', min: 600, max: 4000, step: 50 },
+  { key: 'minStationDistance', group: 'scale', label: '最小站距', min: 10, max: 150, step: 1 },
+  { key: 'minEdgeLength', group: 'scale', label: '最短区间', min: 10, max: 120, step: 1 },
+  { key: 'maxEdgeLength', group: 'scale', label: '最长区间', min: 60, max: 400, step: 5 },
+  { key: 'geoAngleBias', group: 'force', label: '地理走向偏好', min: 0, max: 1, step: 0.02 },
+  { key: 'anchorWeight', group: 'force', label: '锚定强度', min: 0, max: 0.06, step: 0.001 },
+  { key: 'springWeight', group: 'force', label: '弹簧强度', min: 0, max: 0.1, step: 0.002 },
+  { key: 'repulsionWeight', group: 'force', label: '站点排斥', min: 0, max: 150, step: 1 },
+  { key: 'displacementLimit', group: 'force', label: '最大偏移', min: 40, max: 600, step: 10 },
+  { key: 'straightenStrength', group: 'force', label: '线路拉直', min: 0, max: 1, step: 0.02 },
+  { key: 'lineTurnPenalty', group: 'force', label: '折弯惩罚', min: 0, max: 5, step: 0.05 },
+  { key: 'lineShortRunPenalty', group: 'force', label: '短直段惩罚', min: 0, max: 10, step: 0.1 },
+  { key: 'lineMinRunEdges', group: 'force', label: '最短直段区间数', min: 1, max: 6, step: 1 },
+  { key: 'gridSearchBendWeight', group: 'grid', label: '折弯代价', min: 0, max: 20, step: 0.5 },
+  { key: 'gridSearchSectorWeight', group: 'grid', label: '方位保持', min: 0, max: 20, step: 0.5 },
+  { key: 'gridSearchGeoWeight', group: 'grid', label: '地理保持', min: 0, max: 2, step: 0.05 },
+  { key: 'gridSearchLengthWeight', group: 'grid', label: '区间长度代价', min: 0, max: 10, step: 0.1 },
+]
+
+const PARAM_BY_KEY = new Map(LAYOUT_TUNING_PARAMS.map((param) => [param.key, param]))
+
+export const LAYOUT_PRESETS = [
+  {
+    id: 'default',
+    label: '标准',
+    description: '默认参数，在地理走向与八方向规整之间取平衡',
+    config: {},
+  },
+  {
+    id: 'geographic-faithful',
+    label: '贴近地理',
+    description: '站点尽量留在地理位置附近，保留线路的真实走向与弯曲',
+    config: {
+      geoAngleBias: 0.9,
+      anchorWeight: 0.028,
+      displacementLimit: 120,
+      straightenStrength: 0.3,
+      lineTurnPenalty: 0.9,
+      lineShortRunPenalty: 1.6,
+      gridSearchBendWeight: 1.5,
+      gridSearchSectorWeight: 9,
+      gridSearchGeoWeight: 0.6,
+    },
+  },
+  {
+    id: 'compact',
+    label: '紧凑',
+    description: '缩小画幅与站距，适合小尺寸输出或站点密集的线网',
+    config: {
+      normalizeTargetSpan: 1150,
+      minStationDistance: 36,
+      minEdgeLength: 24,
+      maxEdgeLength: 110,
+      springWeight: 0.045,
+      repulsionWeight: 40,
+      gridSearchLengthWeight: 2.5,
+    },
+  },
+  {
+    id: 'tokyo-style',
+    label: '东京风格',
+    description: '密集线网，保留地理大势，允许较多 45° 折角与较短直段',
+    config: {
+      normalizeTargetSpan: 1500,
+      minStationDistance: 42,
+      maxEdgeLength: 130,
+      geoAngleBias: 0.8,
+      anchorWeight: 0.02,
+      straightenStrength: 0.45,
+      lineTurnPenalty: 1.05,
+      lineShortRunPenalty: 2,
+      gridSearchBendWeight: 2,
+      gridSearchSectorWeight: 6,
+    },
+  },
+  {
+    id: 'london-style',
+    label: '伦敦风格',
+    description: '高度抽象：长直线段、折弯少、站距均匀，地理位置可大幅偏移',
+    config: {
+      minEdgeLength: 40,
+      maxEdgeLength: 130,
+      geoAngleBias: 0.4,
+      anchorWeight: 0.007,
+      displacementLimit: 380,
+      straightenStrength: 0.85,
+      lineTurnPenalty: 2.6,
+      lineShortRunPenalty: 4.5,
+      lineMinRunEdges: 3,
+      gridSearchBendWeight: 7,
+      gridSearchSectorWeight: 2,
+      gridSearchGeoWeight: 0.05,
+      gridSearchLengthWeight: 3,
+    },
+  },
+]
+
+export const DEFAULT_LAYOUT_PRESET = 'default'
+
+/** @param {*} value @returns {string} a preset id */
+export function normalizeLayoutPreset(value) {
+  return LAYOUT_PRESETS.some((preset) => preset.id === value) ? value : DEFAULT_LAYOUT_PRESET
+}
+
+/** @param {string} key @param {*} value @returns {number|null} clamped to the param range, null if unusable */
+export function normalizeLayoutTuningValue(key, value) {
+  const param = PARAM_BY_KEY.get(key)
+  if (!param || value === null || value === '' || typeof value === 'boolean') return null
+  const parsed = Number(value)
+  if (!Number.isFinite(parsed)) return null
+  const clamped = Math.max(param.min, Math.min(param.max, parsed))
+  return Number.isInteger(param.step) ? Math.round(clamped) : clamped
+}
+
+/** Keep only known, finite tuning keys. @returns {Record<string, number>} */
+export function normalizeLayoutOverrides(raw) {
+  const overrides = {}
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return overrides
+  for (const [key, value] of Object.entries(raw)) {
+    const normalized = normalizeLayoutTuningValue(key, value)
+    if (normalized != null) overrides[key] = normalized
+  }
+  return overrides
+}
+
+export function findLayoutPreset(presetId) {
+  return LAYOUT_PRESETS.find((preset) => preset.id === presetId) || LAYOUT_PRESETS[0]
+}
+
+/**
+ * Worker config entries for a project's preset and overrides (keys of `LAYOUT_TUNING_PARAMS` only).
+ * @param {{preset?: string, overrides?: Record<string, number>}} layoutConfig
+ * @returns {Record<string, number>}
+ */
+export function resolveLayoutTuning(layoutConfig) {
+  return {
+    ...findLayoutPreset(normalizeLayoutPreset(layoutConfig?.preset)).config,
+    ...normalizeLayoutOverrides(layoutConfig?.overrides),
+  }
+}
+
+/** Effective value of one tuning param: override, else preset, else `DEFAULT_CONFIG`. */
+export function layoutTuningValue(layoutConfig, key) {
+  const tuning = resolveLayoutTuning(layoutConfig)
+  return key in tuning ? tuning[key] : DEFAULT_CONFIG[key]
+}
+
+/** Value of a tuning param before the project's overrides: the preset's, else `DEFAULT_CONFIG`. */
+export function layoutPresetValue(presetId, key) {
+  const config = findLayoutPreset(normalizeLayoutPreset(presetId)).config
+  return key in config ? config[key] : DEFAULT_CONFIG[key]
+}
+
+/** Short readable summary of overrides, e.g. "最小站距 56、折弯惩罚 2". Empty when there are none. */
+export function describeLayoutOverrides(overrides) {
+  return Object.entries(normalizeLayoutOverrides(overrides))
+    .map(([key, value]) => `${PARAM_BY_KEY.get(key).label} ${value}`)
+    .join('、')
+}
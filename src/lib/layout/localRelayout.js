@@ -0,0 +1,100 @@
+/**
+ * Local ("relayout selection") mode for the auto-layout optimizer.
+ *
+ * The selected stations and their k-hop neighbourhood are the free variables.
+ * The worker receives them together with a ring of fixed anchors — their direct
+ * neighbours and every station near them — and keeps each anchor at its current
+ * `displayPos`, so the result drops back into the existing schematic unchanged
+ * everywhere else. See `workers/layout/localScope.js` for the worker side.
+ */
+
+export const LOCAL_RELAYOUT_MAX_HOPS = 3
+
+/** How far (layout units) around the free stations fixed anchors are sent along. */
+export const LOCAL_RELAYOUT_ANCHOR_MARGIN = 320
+
+/**
+ * Stations reachable from `seedIds` in at most `hops` edges (the seeds included).
+ * @param {string[]} seedIds
+ * @param {Array<{fromStationId: string, toStationId: string}>} edges
+ * @param {number} hops
+ * @returns {Set<string>}
+ */
+export function collectKHopNeighborhood(seedIds, edges, hops) {
+  const neighbors = new Map()
+  for (const edge of edges || []) {
+    for (const [a, b] of [[edge.fromStationId, edge.toStationId], [edge.toStationId, edge.fromStationId]]) {
+      if (!neighbors.has(a)) neighbors.set(a, [])
+      neighbors.get(a).push(b)
+    }
+  }
+  const result = new Set(seedIds || [])
+  let frontier = [...result]
+  for (let hop = 0; hop < Math.max(0, Math.floor(hops || 0)) && frontier.length; hop += 1) {
+    const next = []
+    for (const stationId of frontier) {
+      for (const neighborId of neighbors.get(stationId) || []) {
+        if (result.has(neighborId)) continue
+        result.add(neighborId)
+        next.push(neighborId)
+      }
+    }
+    frontier = next
+  }
+  return result
+}
+
+function hasDisplayPos(station) {
+  return Array.isArray(station?.displayPos) && station.displayPos.length === 2 && station.displayPos.every(Number.isFinite)
+}
+
+/**
+ * Worker payload for relayouting `seedIds` and their `hops`-neighbourhood.
+ * @param {import('../projectModel').RailProject} project
+ * @param {string[]} seedIds
+ * @param {{hops?: number, margin?: number}} [options]
+ * @returns {{stations: object[], edges: object[], lines: object[], constraints: object, freeStationIds: string[]}|null}
+ *   null when no selected station exists
+ */
+export function buildLocalRelayoutPayload(project, seedIds, { hops = 1, margin = LOCAL_RELAYOUT_ANCHOR_MARGIN } = {}) {
+  const stationById = new Map((project?.stations || []).map((station) => [station.id, station]))
+  const seeds = (seedIds || []).filter((id) => stationById.has(id))
+  if (!seeds.length) return null
+
+  const freeIds = collectKHopNeighborhood(seeds, project.edges, hops)
+  const includedIds = collectKHopNeighborhood([...freeIds], project.edges, 1)
+
+  let minX = Number.POSITIVE_INFINITY
+  let minY = Number.POSITIVE_INFINITY
+  let maxX = Number.NEGATIVE_INFINITY
+  let maxY = Number.NEGATIVE_INFINITY
+  for (const stationId of freeIds) {
+    const station = stationById.get(stationId)
+    if (!hasDisplayPos(station)) continue
+    minX = Math.min(minX, station.displayPos[0])
+    minY = Math.min(minY, station.displayPos[1])
+    maxX = Math.max(maxX, station.displayPos[0])
+    maxY = Math.max(maxY, station.displayPos[1])
+  }
+  for (const station of project.stations) {
+    if (includedIds.has(station.id) || !hasDisplayPos(station)) continue
+    const [x, y] = station.displayPos
+    if (x >= minX - margin && x <= maxX + margin && y >= minY - margin && y <= maxY + margin) {
+      includedIds.add(station.id)
+    }
+  }
+
+  const edges = project.edges.filter((edge) => includedIds.has(edge.fromStationId) && includedIds.has(edge.toStationId))
+  const edgeIds = new Set(edges.map((edge) => edge.id))
+  const lines = project.lines
+    .map((line) => ({ ...line, edgeIds: (line.edgeIds || []).filter((edgeId) => edgeIds.has(edgeId)) }))
+    .filter((line) => line.edgeIds.length)
+
+  return {
+    stations: project.stations.filter((station) => includedIds.has(station.id)),
+    edges,
+    lines,
+    constraints: project.layoutMeta?.constraints,
+    freeStationIds: project.stations.filter((station) => freeIds.has(station.id)).map((station) => station.id),
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * @typedef {Object} LineOperations
+ * @property {number} designSpeedKmh - 设计最高速度（km/h）
+ * @property {number} dwellSeconds - 每站停站时间（秒）
+ * @property {number} peakHeadwayMinutes - 高峰发车间隔（分钟）
+ * @property {number} offPeakHeadwayMinutes - 平峰发车间隔（分钟）
+ */
+
+/** @typedef {'peak'|'offPeak'} ServicePeriod */
+
+/** @type {LineOperations} */
+export const DEFAULT_LINE_OPERATIONS = {
+  designSpeedKmh: 80,
+  dwellSeconds: 30,
+  peakHeadwayMinutes: 4,
+  offPeakHeadwayMinutes: 8,
+}
+
+/** @type {{id: ServicePeriod, label: string}[]} */
+export const SERVICE_PERIOD_OPTIONS = [
+  { id: 'peak', label: '高峰' },
+  { id: 'offPeak', label: '平峰' },
+]
+
+// 列车起动/制动的平均加减速度（m/s²），用于估算区间运行时分
+const TRAIN_ACCELERATION_MPS2 = 0.9
+
+function clampNumber(value, min, max, fallback) {
+  const parsed = Number(value)
+  if (!Number.isFinite(parsed)) return fallback
+  return Math.max(min, Math.min(max, parsed))
+}
+
+/** @param {Partial<LineOperations>|null|undefined} line @returns {LineOperations} */
+export function normalizeLineOperations(line) {
+  const defaults = DEFAULT_LINE_OPERATIONS
+  return {
+    designSpeedKmh: clampNumber(line?.designSpeedKmh, 10, 400, defaults.designSpeedKmh),
+    dwellSeconds: clampNumber(line?.dwellSeconds, 0, 600, defaults.dwellSeconds),
+    peakHeadwayMinutes: clampNumber(line?.peakHeadwayMinutes, 0.5, 120, defaults.peakHeadwayMinutes),
+    offPeakHeadwayMinutes: clampNumber(line?.offPeakHeadwayMinutes, 0.5, 120, defaults.offPeakHeadwayMinutes),
+  }
+}
+
+/** @param {string} value @returns {ServicePeriod} */
+export function normalizeServicePeriod(value) {
+  return value === 'offPeak' ? 'offPeak' : 'peak'
+}
+
+/** @param {Partial<LineOperations>} line @param {ServicePeriod} [period='peak'] @returns {number} */
+export function resolveHeadwaySeconds(line, period = 'peak') {
+  const operations = normalizeLineOperations(line)
+  const minutes = normalizeServicePeriod(period) === 'offPeak'
+    ? operations.offPeakHeadwayMinutes
+    : operations.peakHeadwayMinutes
+  return minutes * 60
+}
+
+/**
+ * 估算单个站间区间的运行时分（不含停站）。
+ * 按梯形速度曲线：加速到设计速度、匀速、减速停车；区间过短时为三角形曲线。
+ * @param {number} lengthMeters
+ * @param {number} designSpeedKmh
+ * @returns {number} 秒
+ */
+export function estimateRunSeconds(lengthMeters, designSpeedKmh) {
+  const distance = Math.max(0, Number(lengthMeters) || 0)
+  if (distance <= 0) return 0
+  const speed = clampNumber(designSpeedKmh, 10, 400, DEFAULT_LINE_OPERATIONS.designSpeedKmh) / 3.6
+  const a = TRAIN_ACCELERATION_MPS2
+  if (distance < (speed * speed) / a) {
+    return 2 * Math.sqrt(distance / a)
+  }
+  return distance / speed + speed / a
+}
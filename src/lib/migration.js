@@ -1,12 +1,43 @@
-import { PROJECT_SCHEMA_VERSION } from './projectModel'
+/**
+ * Project schema migrations.
+ *
+ * `projectVersion` is bumped (see PROJECT_SCHEMA_VERSION) whenever the stored
+ * model changes, and every bump adds exactly one step below:
+ *   - `migrate(data)`   upgrades data written by `source` to `target`
+ *   - `downgrade(data)` turns `target` data back into what `source` wrote, for
+ *                       "save for an older version"; `dropped` names what is lost
+ * Steps receive a private deep copy and may mutate it. Defaults are spelled
+ * out literally so a later change of defaults does not rewrite history.
+ *
+ * `normalizeProject` only sanitizes data that is already at the current
+ * version; loaders go through `migrateAndNormalizeProject`.
+ *
+ * A fixture project for every version lives in examples/schema-versions/.
+ */
+import { normalizeProject, PROJECT_SCHEMA_VERSION } from './projectModel'
+
+/** Unversioned files written before `projectVersion` existed. */
+const UNVERSIONED = '0.0.0'
+
+/** Oldest version "save for an older version" can produce (older apps require `projectVersion`). */
+const MIN_EXPORT_VERSION = '1.0.0'
+
+const LINE_OPERATION_KEYS = ['designSpeedKmh', 'dwellSeconds', 'peakHeadwayMinutes', 'offPeakHeadwayMinutes']
 
 /**
- * Ordered list of version strings from oldest to newest.
- * Each entry in MIGRATIONS maps a source version to { target, migrate }.
+ * @typedef {Object} MigrationStep
+ * @property {string} target
+ * @property {string} summary - what the target version added
+ * @property {(data: object) => object} migrate
+ * @property {((data: object) => object)} [downgrade]
+ * @property {string} [dropped] - what a downgrade discards
  */
+
+/** @type {Record<string, MigrationStep>} keyed by source version */
 const MIGRATIONS = {
   '0.0.0': {
     target: '1.0.0',
+    summary: '时间轴事件、线段开通年份与分期、排版配置、示意图显示设置、地图注释',
     migrate(data) {
       // Ensure timelineEvents array exists
       if (!Array.isArray(data.timelineEvents)) {
@@ -29,8 +60,159 @@ const MIGRATIONS = {
         data.layoutConfig.geoSeedScale = 6
       }
 
+      if (!data.layoutConfig.displayConfig || typeof data.layoutConfig.displayConfig !== 'object') {
+        data.layoutConfig.displayConfig = {
+          showStationNumbers: false,
+          showInterchangeMarkers: true,
+          stationIconSize: 1.0,
+          stationIconStyle: 'circle',
+          showLineBadges: true,
+          edgeWidthScale: 1.0,
+          edgeOpacity: 1.0,
+          cornerRadius: 10,
+        }
+      }
+      if (!Array.isArray(data.annotations)) {
+        data.annotations = []
+      }
+
+      return data
+    },
+  },
+  '1.0.0': {
+    target: '1.1.0',
+    summary: '线路运营参数（设计速度、停站时间、发车间隔）',
+    migrate(data) {
+      const defaults = { designSpeedKmh: 80, dwellSeconds: 30, peakHeadwayMinutes: 4, offPeakHeadwayMinutes: 8 }
+      if (Array.isArray(data.lines)) {
+        data.lines = data.lines.map((line) => {
+          const next = { ...line }
+          for (const key of LINE_OPERATION_KEYS) {
+            if (!Number.isFinite(Number(next[key])) || next[key] === null) next[key] = defaults[key]
+          }
+          return next
+        })
+      }
+      return data
+    },
+    downgrade(data) {
+      if (Array.isArray(data.lines)) {
+        data.lines = data.lines.map((line) => {
+          const next = { ...line }
+          for (const key of LINE_OPERATION_KEYS) delete next[key]
+          return next
+        })
+      }
+      return data
+    },
+    dropped: '线路运营参数',
+  },
+  '1.1.0': {
+    target: '1.2.0',
+    summary: '工程描述与标签',
+    migrate(data) {
+      data.meta = data.meta && typeof data.meta === 'object' ? data.meta : {}
+      if (typeof data.meta.description !== 'string') data.meta.description = ''
+      if (!Array.isArray(data.meta.tags)) data.meta.tags = []
+      return data
+    },
+    downgrade(data) {
+      if (data.meta) {
+        delete data.meta.description
+        delete data.meta.tags
+      }
+      return data
+    },
+    dropped: '工程描述与标签',
+  },
+  '1.2.0': {
+    target: '1.3.0',
+    summary: '自动排版约束（固定站点、方向锁定、拉直区间、相对位置）',
+    migrate(data) {
+      data.layoutMeta = data.layoutMeta && typeof data.layoutMeta === 'object' ? data.layoutMeta : {}
+      if (!data.layoutMeta.constraints || typeof data.layoutMeta.constraints !== 'object') {
+        data.layoutMeta.constraints = { pinnedStationIds: [], directionLocks: [], straightSections: [], relations: [] }
+      }
+      return data
+    },
+    downgrade(data) {
+      if (data.layoutMeta) delete data.layoutMeta.constraints
+      return data
+    },
+    dropped: '自动排版约束',
+  },
+  '1.3.0': {
+    target: '1.4.0',
+    summary: '排版引擎选择与时间预算',
+    migrate(data) {
+      data.layoutConfig = data.layoutConfig && typeof data.layoutConfig === 'object' ? data.layoutConfig : { geoSeedScale: 6 }
+      if (typeof data.layoutConfig.engine !== 'string') data.layoutConfig.engine = 'force'
+      if (!Number.isFinite(data.layoutConfig.timeBudgetMs)) data.layoutConfig.timeBudgetMs = 5000
+      return data
+    },
+    downgrade(data) {
+      if (data.layoutConfig) {
+        delete data.layoutConfig.engine
+        delete data.layoutConfig.timeBudgetMs
+      }
+      return data
+    },
+    dropped: '排版引擎选择',
+  },
+  '1.4.0': {
+    target: '1.5.0',
+    summary: '示意图网格对齐（网格间距、等间距站点、网格叠加显示）',
+    migrate(data) {
+      data.layoutConfig = data.layoutConfig && typeof data.layoutConfig === 'object' ? data.layoutConfig : { geoSeedScale: 6 }
+      if (!Number.isFinite(data.layoutConfig.gridPitch)) data.layoutConfig.gridPitch = 0
+      if (typeof data.layoutConfig.equalSpacing !== 'boolean') data.layoutConfig.equalSpacing = false
+      if (data.layoutConfig.displayConfig && typeof data.layoutConfig.displayConfig.showGrid !== 'boolean') {
+        data.layoutConfig.displayConfig.showGrid = false
+      }
+      return data
+    },
+    downgrade(data) {
+      if (data.layoutConfig) {
+        delete data.layoutConfig.gridPitch
+        delete data.layoutConfig.equalSpacing
+        if (data.layoutConfig.displayConfig) delete data.layoutConfig.displayConfig.showGrid
+      }
+      return data
+    },
+    dropped: '示意图网格对齐设置',
+  },
+  '1.5.0': {
+    target: '1.6.0',
+    summary: '排版预设与按工程的排版参数微调',
+    migrate(data) {
+      data.layoutConfig = data.layoutConfig && typeof data.layoutConfig === 'object' ? data.layoutConfig : { geoSeedScale: 6 }
+      if (typeof data.layoutConfig.preset !== 'string') data.layoutConfig.preset = 'default'
+      if (!data.layoutConfig.overrides || typeof data.layoutConfig.overrides !== 'object') data.layoutConfig.overrides = {}
+      return data
+    },
+    downgrade(data) {
+      if (data.layoutConfig) {
+        delete data.layoutConfig.preset
+        delete data.layoutConfig.overrides
+      }
       return data
     },
+    dropped: '排版预设与参数微调',
+  },
+  '1.6.0': {
+    target: '1.7.0',
+    summary: '局部重排评分快照标记（snapshots[].scope）',
+    migrate(data) {
+      // older snapshots are all full-layout scores; absence of `scope` means exactly that
+      return data
+    },
+    downgrade(data) {
+      if (Array.isArray(data.snapshots)) {
+        data.snapshots = data.snapshots.map(({ scope, ...snapshot }) => snapshot)
+      }
+      return data
+    },
+    dropped: '局部重排评分标记',
   },
 }
 
@@ -63,13 +245,16 @@ function buildVersionChain() {
   return chain
 }
 
+/** Versions in ascending order, including the current one. */
+export const SCHEMA_VERSIONS = [...VERSION_CHAIN, PROJECT_SCHEMA_VERSION]
+
 /**
  * Compare two semver-style version strings.
  * Returns negative if a < b, 0 if equal, positive if a > b.
  */
-function compareVersions(a, b) {
-  const pa = a.split('.').map(Number)
-  const pb = b.split('.').map(Number)
+export function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number)
+  const pb = String(b).split('.').map(Number)
   for (let i = 0; i < 3; i++) {
     const diff = (pa[i] || 0) - (pb[i] || 0)
     if (diff !== 0) return diff
@@ -77,19 +262,36 @@ function compareVersions(a, b) {
   return 0
 }
 
+/** @param {object} rawData @returns {string} */
+export function getProjectDataVersion(rawData) {
+  return String(rawData?.projectVersion || UNVERSIONED)
+}
+
 /**
  * Returns true if the raw project data needs migration to the current schema version.
  * @param {object} rawData
  * @returns {boolean}
  */
 export function needsMigration(rawData) {
-  const dataVersion = rawData?.projectVersion || '0.0.0'
-  return compareVersions(dataVersion, PROJECT_SCHEMA_VERSION) < 0
+  return compareVersions(getProjectDataVersion(rawData), PROJECT_SCHEMA_VERSION) < 0
+}
+
+/**
+ * Returns true if the data was written by a newer app than this one.
+ * @param {object} rawData
+ * @returns {boolean}
+ */
+export function isNewerThanSupported(rawData) {
+  return compareVersions(getProjectDataVersion(rawData), PROJECT_SCHEMA_VERSION) > 0
+}
+
+function cloneData(data) {
+  return JSON.parse(JSON.stringify(data))
 }
 
 /**
  * Applies all necessary migrations in order to bring rawData up to PROJECT_SCHEMA_VERSION.
- * Returns the migrated data with an updated projectVersion field.
+ * Returns a migrated copy with an updated projectVersion field; the input is not modified.
  * If no migration is needed, returns the data as-is.
  * @param {object} rawData
  * @returns {object}
@@ -99,28 +301,71 @@ export function migrateProject(rawData) {
     return rawData
   }
 
-  const dataVersion = rawData.projectVersion || '0.0.0'
+  const dataVersion = getProjectDataVersion(rawData)
 
   if (compareVersions(dataVersion, PROJECT_SCHEMA_VERSION) >= 0) {
     return rawData
   }
 
-  let data = { ...rawData }
+  let data = cloneData(rawData)
 
   // Find the starting point in the chain and apply migrations sequentially
-  let applying = false
   for (const sourceVersion of VERSION_CHAIN) {
-    if (!applying && compareVersions(sourceVersion, dataVersion) >= 0) {
-      applying = true
-    }
-    if (applying) {
-      const migration = MIGRATIONS[sourceVersion]
-      if (migration) {
-        data = migration.migrate(data)
-        data.projectVersion = migration.target
-      }
-    }
+    if (compareVersions(sourceVersion, dataVersion) < 0) continue
+    const migration = MIGRATIONS[sourceVersion]
+    data = migration.migrate(data)
+    data.projectVersion = migration.target
   }
 
   return data
 }
+
+/**
+ * Migrate stored or imported data and normalize it into a current-version project.
+ * Data from a newer app is normalized as-is (unknown fields are kept where possible).
+ * @param {object} rawData
+ * @returns {import('./projectModel').RailProject}
+ */
+export function migrateAndNormalizeProject(rawData) {
+  return normalizeProject(migrateProject(rawData))
+}
+
+/**
+ * Versions a current project can be saved for, newest first.
+ * @returns {Array<{version: string, dropped: string[]}>} `dropped`: what is lost, per step
+ */
+export function getExportableVersions() {
+  const result = []
+  const dropped = []
+  for (let index = VERSION_CHAIN.length - 1; index >= 0; index -= 1) {
+    const source = VERSION_CHAIN[index]
+    const step = MIGRATIONS[source]
+    if (typeof step.downgrade !== 'function' || compareVersions(source, MIN_EXPORT_VERSION) < 0) break
+    if (step.dropped) dropped.push(step.dropped)
+    result.push({ version: source, dropped: [...dropped] })
+  }
+  return result
+}
+
+/**
+ * Convert current-version project data into what an older app version wrote.
+ * @param {object} project - current-version data (not modified)
+ * @param {string} targetVersion - one of `getExportableVersions()`
+ * @returns {{data: object, dropped: string[]}}
+ */
+export function downgradeProject(project, targetVersion) {
+  if (!getExportableVersions().some((item) => item.version === targetVersion)) {
+    throw new Error(`不支持导出为数据版本 ${targetVersion}`)
+  }
+  let data = cloneData(project)
+  const dropped = []
+  for (let index = VERSION_CHAIN.length - 1; index >= 0; index -= 1) {
+    const source = VERSION_CHAIN[index]
+    if (compareVersions(source, targetVersion) < 0) break
+    const step = MIGRATIONS[source]
+    data = step.downgrade(data)
+    data.projectVersion = source
+    if (step.dropped) dropped.push(step.dropped)
+  }
+  return { data, dropped }
+}
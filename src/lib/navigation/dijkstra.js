@@ -1,4 +1,6 @@
 import { haversineDistanceMeters } from '../geo'
+import { normalizeServicePeriod } from '../lineOperations'
+import { buildTransitGraph, toNodeKey } from './transitGraph'
 
 /**
  * 最小优先队列（二叉堆），用于 Dijkstra 算法。
@@ -56,24 +58,6 @@ class MinPriorityQueue {
   }
 }
 
-/**
- * 构建邻接表。
- * @param {Array} edges - 项目中的所有边
- * @returns {Map<string, Array<{neighbor: string, edgeId: string, weight: number}>>}
- */
-function buildAdjacencyList(edges) {
-  const adj = new Map()
-  for (const edge of edges) {
-    const { id, fromStationId, toStationId, lengthMeters } = edge
-    const weight = lengthMeters || 0
-    if (!adj.has(fromStationId)) adj.set(fromStationId, [])
-    if (!adj.has(toStationId)) adj.set(toStationId, [])
-    adj.get(fromStationId).push({ neighbor: toStationId, edgeId: id, weight })
-    adj.get(toStationId).push({ neighbor: fromStationId, edgeId: id, weight })
-  }
-  return adj
-}
-
 /**
  * 在给定坐标附近查找候选站点。
  * @param {Array} stations - 所有站点
@@ -95,214 +79,363 @@ function findCandidateStations(stations, lngLat, radiusMeters, maxCount) {
   return candidates.slice(0, maxCount)
 }
 
+/** @type {{id: 'fastest'|'fewestTransfers', label: string}[]} */
+export const ROUTE_OBJECTIVE_OPTIONS = [
+  { id: 'fastest', label: '时间最短' },
+  { id: 'fewestTransfers', label: '换乘最少' },
+]
+
+// 少换乘模式下，每次换乘折算的费用远大于任何可能的出行时间，实现“先比换乘次数、再比时间”
+const FEWEST_TRANSFERS_WEIGHT = 1e7
+
+// 虚拟源点（出发地）与汇点（目的地）
+export const SOURCE_KEY = 'source'
+export const TARGET_KEY = 'target'
+
+/** @param {string} value @returns {'fastest'|'fewestTransfers'} */
+export function normalizeRouteObjective(value) {
+  return value === 'fewestTransfers' ? 'fewestTransfers' : 'fastest'
+}
+
 /**
- * 从 source 出发跑 Dijkstra，返回到所有可达节点的最短距离和前驱信息。
- * @param {Map} adj - 邻接表
- * @param {string} source - 起点站 ID
- * @returns {{ dist: Map<string, number>, prev: Map<string, {stationId: string, edgeId: string}> }}
+ * 准备一次导航搜索所需的上下文：候选站点、线路展开图与费用参数。
+ * 参数同 computeShortestRoute；起点或终点附近没有站点时返回 null。
+ * 不传 destLngLat 时不连接汇点，搜索会遍历全部可达状态（用于等时圈）。
+ * @returns {Object|null}
  */
-function dijkstra(adj, source) {
-  const dist = new Map()
+export function prepareRouteSearch({
+  stations,
+  edges,
+  lines,
+  manualTransfers = [],
+  originLngLat,
+  destLngLat,
+  candidateRadius = 3000,
+  maxCandidates = 5,
+  walkWeight = 1,
+  walkSpeedMps = 1.2,
+  servicePeriod = 'peak',
+  transferPenaltySeconds = 180,
+  objective = 'fastest',
+}) {
+  if (!stations?.length || !edges?.length) return null
+
+  const originCandidates = findCandidateStations(stations, originLngLat, candidateRadius, maxCandidates)
+  const destCandidates = destLngLat ? findCandidateStations(stations, destLngLat, candidateRadius, maxCandidates) : []
+
+  if (!originCandidates.length || (destLngLat && !destCandidates.length)) return null
+
+  const period = normalizeServicePeriod(servicePeriod)
+  const normalizedObjective = normalizeRouteObjective(objective)
+  return {
+    originCandidates,
+    destWalkByStation: new Map(destCandidates.map((candidate) => [candidate.stationId, candidate.walkMeters])),
+    graph: buildTransitGraph({ stations, edges, lines, manualTransfers, servicePeriod: period, walkSpeedMps }),
+    stationById: new Map(stations.map((s) => [s.id, s])),
+    lineById: new Map((lines || []).map((l) => [l.id, l])),
+    walkSpeedMps,
+    walkWeight,
+    transferCost:
+      Math.max(0, Number(transferPenaltySeconds) || 0) +
+      (normalizedObjective === 'fewestTransfers' ? FEWEST_TRANSFERS_WEIGHT : 0),
+    servicePeriod: period,
+    objective: normalizedObjective,
+  }
+}
+
+/** @param {Object} entry @returns {string|null} 状态所在站点 */
+export function resolveEntryStationId(entry) {
+  if (!entry) return null
+  if (entry.type === 'ride') return entry.toStationId
+  return entry.stationId ?? null
+}
+
+/**
+ * 展开一个状态的所有出弧。
+ *
+ * 状态分两类：
+ * - `board`：已在站台候车并登上某线路，尚未乘坐任何区间
+ * - `ride`：乘坐某线路到达某站
+ * 只有 `ride` 状态可以换乘（站内换线或经 manualTransfers 步行到邻站）或出站到达汇点，保证方案至少乘坐一个区间。
+ *
+ * @returns {Array<[string, number, Object]>} [下一状态, 弧费用, 前驱记录]
+ */
+function expandState(context, key, entry) {
+  const { rideAdj, linesByStation, walkTransfers, headwayByLine } = context.graph
+  const { walkSpeedMps, walkWeight, transferCost } = context
+  const arcs = []
+
+  if (key === SOURCE_KEY) {
+    for (const candidate of context.originCandidates) {
+      const walkSeconds = candidate.walkMeters / walkSpeedMps
+      for (const lineId of linesByStation.get(candidate.stationId) || []) {
+        const waitSeconds = headwayByLine.get(lineId) / 2
+        arcs.push([`board|${toNodeKey(candidate.stationId, lineId)}`, walkSeconds * walkWeight + waitSeconds, {
+          type: 'access',
+          prevKey: key,
+          originStationId: candidate.stationId,
+          stationId: candidate.stationId,
+          lineId,
+          walkMeters: candidate.walkMeters,
+          walkSeconds,
+          waitSeconds,
+        }])
+      }
+    }
+    return arcs
+  }
+
+  const stationId = resolveEntryStationId(entry)
+  const lineId = entry.lineId
+  const originStationId = entry.originStationId
+
+  for (const arc of rideAdj.get(toNodeKey(stationId, lineId)) || []) {
+    arcs.push([`ride|${toNodeKey(arc.stationId, lineId)}`, arc.seconds, {
+      type: 'ride',
+      prevKey: key,
+      originStationId,
+      fromStationId: stationId,
+      toStationId: arc.stationId,
+      lineId,
+      edgeId: arc.edgeId,
+      seconds: arc.seconds,
+      meters: arc.meters,
+    }])
+  }
+
+  if (entry.type !== 'ride') return arcs
+
+  const transferTargets = [{ stationId, walkMeters: 0, walkSeconds: 0 }, ...(walkTransfers.get(stationId) || [])]
+  for (const target of transferTargets) {
+    for (const nextLineId of linesByStation.get(target.stationId) || []) {
+      if (nextLineId === lineId) continue
+      const waitSeconds = headwayByLine.get(nextLineId) / 2
+      arcs.push([`board|${toNodeKey(target.stationId, nextLineId)}`, target.walkSeconds * walkWeight + waitSeconds + transferCost, {
+        type: 'transfer',
+        prevKey: key,
+        originStationId,
+        fromStationId: stationId,
+        stationId: target.stationId,
+        lineId: nextLineId,
+        walkMeters: target.walkMeters,
+        walkSeconds: target.walkSeconds,
+        waitSeconds,
+      }])
+    }
+  }
+
+  // 起点和终点不能是同一个站
+  const egressMeters = context.destWalkByStation.get(stationId)
+  if (egressMeters != null && stationId !== originStationId) {
+    const walkSeconds = egressMeters / walkSpeedMps
+    arcs.push([TARGET_KEY, walkSeconds * walkWeight, {
+      type: 'egress',
+      prevKey: key,
+      originStationId,
+      stationId,
+      walkMeters: egressMeters,
+      walkSeconds,
+    }])
+  }
+
+  return arcs
+}
+
+/**
+ * 在 (站点 × 线路) 图上跑 Dijkstra，到达汇点即停止。
+ * 默认从虚拟源点出发（所有起点候选站同时作为源点）；也可从任意已知状态继续搜索，
+ * 并屏蔽指定的弧与站点，供 K 条备选路径（Yen 算法）的偏离搜索使用。
+ *
+ * @param {Object} context - prepareRouteSearch 的返回值
+ * @param {Object} [options]
+ * @param {Array<{key: string, cost: number, entry: Object}>} [options.seeds] - 初始状态
+ * @param {Set<string>} [options.blockedArcs] - 屏蔽的弧，格式 `${fromKey}>${toKey}`
+ * @param {Set<string>} [options.blockedStations] - 不允许进入的站点
+ * @returns {{ cost: Map<string, number>, prev: Map<string, Object> }}
+ */
+export function searchTransitGraph(context, { seeds, blockedArcs, blockedStations } = {}) {
+  const cost = new Map()
   const prev = new Map()
   const pq = new MinPriorityQueue()
 
-  dist.set(source, 0)
-  pq.push(source, 0)
+  const relax = (key, value, entry) => {
+    if (value < (cost.get(key) ?? Infinity)) {
+      cost.set(key, value)
+      prev.set(key, entry)
+      pq.push(key, value)
+    }
+  }
+
+  for (const seed of seeds || [{ key: SOURCE_KEY, cost: 0, entry: { type: 'source' } }]) {
+    relax(seed.key, seed.cost, seed.entry)
+  }
 
   while (pq.size > 0) {
-    const { key: u, priority: d } = pq.pop()
-    if (d > (dist.get(u) ?? Infinity)) continue
-
-    const neighbors = adj.get(u)
-    if (!neighbors) continue
-
-    for (const { neighbor: v, edgeId, weight } of neighbors) {
-      const alt = d + weight
-      if (alt < (dist.get(v) ?? Infinity)) {
-        dist.set(v, alt)
-        prev.set(v, { stationId: u, edgeId })
-        pq.push(v, alt)
-      }
+    const { key, priority: d } = pq.pop()
+    if (d > (cost.get(key) ?? Infinity)) continue
+    if (key === TARGET_KEY) break
+
+    for (const [nextKey, arcCost, nextEntry] of expandState(context, key, prev.get(key))) {
+      if (blockedArcs?.has(`${key}>${nextKey}`)) continue
+      if (nextKey !== TARGET_KEY && blockedStations?.has(resolveEntryStationId(nextEntry))) continue
+      relax(nextKey, d + arcCost, nextEntry)
     }
   }
 
-  return { dist, prev }
+  return { cost, prev }
 }
 
 /**
- * 从 Dijkstra 的 prev 映射中回溯路径。
- * @param {Map} prev - 前驱映射
- * @param {string} source - 起点站 ID
- * @param {string} target - 终点站 ID
- * @returns {{ stationIds: string[], edgeIds: string[] } | null}
+ * 从搜索结果回溯到汇点的状态序列（不含虚拟源点）。
+ * 从中间状态继续搜索时传入 seedKey，回溯到该种子状态（含）为止。
+ * @returns {Array<{key: string, cost: number, entry: Object}> | null}
  */
-function reconstructPath(prev, source, target) {
-  const stationIds = [target]
-  const edgeIds = []
-  let current = target
-
-  while (current !== source) {
-    const entry = prev.get(current)
-    if (!entry) return null // 不可达
-    edgeIds.push(entry.edgeId)
-    stationIds.push(entry.stationId)
-    current = entry.stationId
+export function extractStatePath({ cost, prev }, seedKey = SOURCE_KEY) {
+  if (!prev.has(TARGET_KEY)) return null
+  const path = []
+  let key = TARGET_KEY
+  while (key && key !== SOURCE_KEY && prev.has(key)) {
+    const entry = prev.get(key)
+    path.push({ key, cost: cost.get(key), entry })
+    if (key === seedKey) break
+    key = entry.prevKey
   }
-
-  stationIds.reverse()
-  edgeIds.reverse()
-  return { stationIds, edgeIds }
+  return path.reverse()
 }
 
 /**
- * 根据路径中的边和站点，构建分段信息（按线路分段）。
- * @param {string[]} edgeIds - 经过的边 ID 列表
- * @param {string[]} stationIds - 经过的站点 ID 列表
- * @param {Map<string, Object>} edgeById - 边 ID → 边对象
- * @param {Map<string, Object>} stationById - 站点 ID → 站点对象
- * @param {Map<string, Object>} lineById - 线路 ID → 线路对象
- * @returns {Array<{lineId: string, lineName: string, lineColor: string, fromStation: string, toStation: string, fromStationId: string, toStationId: string, stationCount: number, distanceMeters: number}>}
+ * 将状态序列整理为行程：按线路分段并统计各段乘车/候车/步行时间。
+ * @returns {{ stationIds: string[], edgeIds: string[], legs: Array<Object>, access: Object, egress: Object }}
  */
-function buildSegments(edgeIds, stationIds, edgeById, stationById, lineById) {
-  if (!edgeIds.length) return []
-
-  const segments = []
-  let currentLineId = null
-  let segmentStart = 0
-  let segmentDistance = 0
-
-  for (let i = 0; i < edgeIds.length; i++) {
-    const edge = edgeById.get(edgeIds[i])
-    if (!edge) continue
-    // 取该边的第一条线路作为所属线路
-    const lineId = edge.sharedByLineIds?.[0] || null
-
-    if (lineId !== currentLineId && currentLineId !== null) {
-      // 线路切换，结束当前段
-      const line = lineById.get(currentLineId)
-      const fromSt = stationById.get(stationIds[segmentStart])
-      const toSt = stationById.get(stationIds[i])
-      segments.push({
-        lineId: currentLineId,
-        lineName: line?.nameZh || '未知线路',
-        lineColor: line?.color || '#888',
-        fromStation: fromSt?.nameZh || '未知站',
-        toStation: toSt?.nameZh || '未知站',
-        fromStationId: stationIds[segmentStart],
-        toStationId: stationIds[i],
-        stationCount: i - segmentStart + 1,
-        distanceMeters: segmentDistance,
-      })
-      segmentStart = i
-      segmentDistance = 0
+function reconstructJourney(statePath) {
+  const steps = statePath.map((item) => item.entry)
+  const access = steps[0]
+  const egress = steps[steps.length - 1]
+  const stationIds = [access.stationId]
+  const edgeIds = []
+  const legs = []
+  let leg = null
+
+  for (const step of steps) {
+    if (step.type === 'egress') break
+    if (step.type === 'access' || step.type === 'transfer') {
+      if (step.type === 'transfer' && step.stationId !== step.fromStationId) {
+        stationIds.push(step.stationId)
+      }
+      leg = {
+        lineId: step.lineId,
+        fromStationId: step.stationId,
+        toStationId: step.stationId,
+        transferFromStationId: step.type === 'transfer' ? step.fromStationId : null,
+        edgeIds: [],
+        stationCount: 1,
+        distanceMeters: 0,
+        walkMeters: step.walkMeters,
+        walkSeconds: step.walkSeconds,
+        waitSeconds: step.waitSeconds,
+        inVehicleSeconds: 0,
+      }
+      legs.push(leg)
+      continue
     }
-
-    currentLineId = lineId
-    segmentDistance += edge.lengthMeters || 0
+    leg.toStationId = step.toStationId
+    leg.edgeIds.push(step.edgeId)
+    leg.stationCount += 1
+    leg.distanceMeters += step.meters
+    leg.inVehicleSeconds += step.seconds
+    stationIds.push(step.toStationId)
+    edgeIds.push(step.edgeId)
   }
 
-  // 最后一段
-  if (currentLineId !== null) {
-    const line = lineById.get(currentLineId)
-    const fromSt = stationById.get(stationIds[segmentStart])
-    const toSt = stationById.get(stationIds[stationIds.length - 1])
-    segments.push({
-      lineId: currentLineId,
+  return { stationIds, edgeIds, legs, access, egress }
+}
+
+/**
+ * 将回溯得到的行程段补全为可展示的分段信息。
+ * @returns {Array<{lineId: string, lineName: string, lineColor: string, fromStation: string, toStation: string, fromStationId: string, toStationId: string, transferFromStationId: string|null, edgeIds: string[], stationCount: number, distanceMeters: number, walkMeters: number, walkSeconds: number, waitSeconds: number, inVehicleSeconds: number}>}
+ */
+function buildSegments(legs, stationById, lineById) {
+  return legs.map((leg) => {
+    const line = lineById.get(leg.lineId)
+    return {
+      ...leg,
       lineName: line?.nameZh || '未知线路',
       lineColor: line?.color || '#888',
-      fromStation: fromSt?.nameZh || '未知站',
-      toStation: toSt?.nameZh || '未知站',
-      fromStationId: stationIds[segmentStart],
-      toStationId: stationIds[stationIds.length - 1],
-      stationCount: stationIds.length - segmentStart,
-      distanceMeters: segmentDistance,
-    })
-  }
+      fromStation: stationById.get(leg.fromStationId)?.nameZh || '未知站',
+      toStation: stationById.get(leg.toStationId)?.nameZh || '未知站',
+    }
+  })
+}
 
-  return segments
+/**
+ * 由到达汇点的状态序列构建导航结果。
+ * @param {Object} context - prepareRouteSearch 的返回值
+ * @param {Array<{key: string, cost: number, entry: Object}>} statePath
+ */
+export function buildRouteResult(context, statePath) {
+  const journey = reconstructJourney(statePath)
+  const segments = buildSegments(journey.legs, context.stationById, context.lineById)
+  const walkToOriginSeconds = journey.access.walkSeconds
+  const walkFromDestSeconds = journey.egress.walkSeconds
+  const transferWalkMeters = segments.reduce((sum, seg) => sum + (seg.transferFromStationId ? seg.walkMeters : 0), 0)
+  const transferWalkSeconds = segments.reduce((sum, seg) => sum + (seg.transferFromStationId ? seg.walkSeconds : 0), 0)
+  const waitSeconds = segments.reduce((sum, seg) => sum + seg.waitSeconds, 0)
+  const inVehicleSeconds = segments.reduce((sum, seg) => sum + seg.inVehicleSeconds, 0)
+  const transitMeters = segments.reduce((sum, seg) => sum + seg.distanceMeters, 0)
+
+  return {
+    originStationId: journey.access.stationId,
+    destStationId: journey.egress.stationId,
+    edgeIds: journey.edgeIds,
+    stationIds: journey.stationIds,
+    servicePeriod: context.servicePeriod,
+    objective: context.objective,
+    transferCount: Math.max(0, segments.length - 1),
+    walkToOriginMeters: journey.access.walkMeters,
+    walkFromDestMeters: journey.egress.walkMeters,
+    transitMeters,
+    totalMeters: journey.access.walkMeters + transferWalkMeters + transitMeters + journey.egress.walkMeters,
+    walkToOriginSeconds,
+    walkFromDestSeconds,
+    walkSeconds: walkToOriginSeconds + transferWalkSeconds + walkFromDestSeconds,
+    waitSeconds,
+    inVehicleSeconds,
+    totalSeconds: walkToOriginSeconds + transferWalkSeconds + waitSeconds + inVehicleSeconds + walkFromDestSeconds,
+    segments,
+  }
 }
 
 /**
- * 计算从 originLngLat 到 destLngLat 的最短综合路径。
+ * 计算从 originLngLat 到 destLngLat 的最优出行方案。
  *
  * 算法：
  * 1. 找起点/终点附近候选站点
- * 2. 构建邻接表
- * 3. 对每个起点候选跑 Dijkstra
- * 4. 对每对 (起点候选, 终点候选) 计算总距离 = 步行到起点站 + 地铁 + 步行离开终点站
- * 5. 返回总距离最短的方案
+ * 2. 构建 (站点 × 线路) 展开图，区间耗时由线路设计速度与停站时间估算，见 transitGraph.js
+ * 3. 从虚拟源点（连接所有起点候选）跑 Dijkstra；首次上车与每次换乘的候车时间按所乘线路发车间隔的一半计，
+ *    每次换乘（站内换线或经 manualTransfers 站外换乘）另加 transferPenaltySeconds
+ * 4. 终点候选站经出站步行连接虚拟汇点，汇点出队即得广义费用最小的方案
+ *
+ * 广义费用 = 步行时间 × walkWeight + 候车时间 + 车内时间 + 换乘次数 × transferPenaltySeconds；
+ * `objective = 'fewestTransfers'` 时先比较换乘次数，再比较广义费用。返回值中的各项时间均为实际时间。
  *
  * @param {Object} params
  * @param {Array} params.stations - 所有站点
  * @param {Array} params.edges - 所有边
  * @param {Array} params.lines - 所有线路
+ * @param {Array} [params.manualTransfers=[]] - 手动换乘站点对（站外换乘）
  * @param {number[]} params.originLngLat - 起点坐标 [lng, lat]
  * @param {number[]} params.destLngLat - 终点坐标 [lng, lat]
  * @param {number} [params.candidateRadius=3000] - 候选站点搜索半径（米）
  * @param {number} [params.maxCandidates=5] - 每侧最多候选站点数
- * @param {number} [params.walkWeight=5] - 步行距离权重，优先选择地铁出行
+ * @param {number} [params.walkWeight=1] - 步行时间感知权重；1 即按实际门到门时间比较，大于 1 时优先选择地铁出行
+ * @param {number} [params.walkSpeedMps=1.2] - 步行速度（米/秒）
+ * @param {'peak'|'offPeak'} [params.servicePeriod='peak'] - 采用高峰或平峰发车间隔
+ * @param {number} [params.transferPenaltySeconds=180] - 每次换乘的额外费用（秒）
+ * @param {'fastest'|'fewestTransfers'} [params.objective='fastest'] - 优化目标
  */
-export function computeShortestRoute({
-  stations,
-  edges,
-  lines,
-  originLngLat,
-  destLngLat,
-  candidateRadius = 3000,
-  maxCandidates = 5,
-  walkWeight = 5,
-}) {
-  if (!stations?.length || !edges?.length) return null
-
-  const originCandidates = findCandidateStations(stations, originLngLat, candidateRadius, maxCandidates)
-  const destCandidates = findCandidateStations(stations, destLngLat, candidateRadius, maxCandidates)
-
-  if (!originCandidates.length || !destCandidates.length) return null
-
-  const adj = buildAdjacencyList(edges)
-
-  // 构建查找映射
-  const edgeById = new Map(edges.map((e) => [e.id, e]))
-  const stationById = new Map(stations.map((s) => [s.id, s]))
-  const lineById = new Map((lines || []).map((l) => [l.id, l]))
-
-  let bestResult = null
-  let bestTotal = Infinity
-
-  // 对每个起点候选跑一次 Dijkstra，然后检查所有终点候选
-  for (const originCandidate of originCandidates) {
-    const { dist, prev } = dijkstra(adj, originCandidate.stationId)
-
-    for (const destCandidate of destCandidates) {
-      // 起点和终点不能是同一个站
-      if (originCandidate.stationId === destCandidate.stationId) continue
-
-      const transitDist = dist.get(destCandidate.stationId)
-      if (transitDist == null || transitDist === Infinity) continue
-
-      const totalDist = originCandidate.walkMeters * walkWeight + transitDist + destCandidate.walkMeters * walkWeight
-
-      if (totalDist < bestTotal) {
-        const path = reconstructPath(prev, originCandidate.stationId, destCandidate.stationId)
-        if (!path) continue
-
-        const segments = buildSegments(path.edgeIds, path.stationIds, edgeById, stationById, lineById)
-
-        bestTotal = totalDist
-        bestResult = {
-          originStationId: originCandidate.stationId,
-          destStationId: destCandidate.stationId,
-          edgeIds: path.edgeIds,
-          stationIds: path.stationIds,
-          walkToOriginMeters: originCandidate.walkMeters,
-          walkFromDestMeters: destCandidate.walkMeters,
-          transitMeters: transitDist,
-          totalMeters: totalDist,
-          segments,
-        }
-      }
-    }
-  }
-
-  return bestResult
+export function computeShortestRoute(params) {
+  const context = prepareRouteSearch(params)
+  if (!context) return null
+  const statePath = extractStatePath(searchTransitGraph(context))
+  return statePath ? buildRouteResult(context, statePath) : null
 }
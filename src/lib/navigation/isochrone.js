@@ -0,0 +1,328 @@
+import { SOURCE_KEY, prepareRouteSearch, searchTransitGraph } from './dijkstra'
+
+/** 等时圈分档（分钟，累计范围）与配色 */
+export const ISOCHRONE_BANDS = [
+  { minutes: 10, color: '#22c55e' },
+  { minutes: 20, color: '#3b82f6' },
+  { minutes: 30, color: '#f59e0b' },
+  { minutes: 45, color: '#ef4444' },
+  { minutes: 60, color: '#8b5cf6' },
+  { minutes: 90, color: '#64748b' },
+]
+
+const METERS_PER_DEG_LAT = 110540
+const METERS_PER_DEG_LNG_EQUATOR = 111320
+const GRID_MAX_CELLS = 180
+const GRID_MIN_CELL_METERS = 60
+
+// ── Travel times ────────────────────────────────────────────
+
+/**
+ * 计算从任意地点出发到各站点的最短出行时间（秒）。
+ * 出行时间 = 步行进站 + 候车（发车间隔一半）+ 车内（运行 + 停站）+ 换乘候车/步行 + 换乘惩罚。
+ * 站点也可以从出发地直接步行到达。
+ * @returns {{ timeByStation: Map<string, number>, context: Object } | null}
+ */
+function computeStationTravelTimes(params) {
+  const context = prepareRouteSearch({ ...params, destLngLat: null, walkWeight: 1, objective: 'fastest' })
+  if (!context) return null
+
+  const timeByStation = new Map()
+  for (const candidate of context.originCandidates) {
+    timeByStation.set(candidate.stationId, candidate.walkMeters / context.walkSpeedMps)
+  }
+
+  const { cost, prev } = searchTransitGraph(context)
+  for (const [key, value] of cost) {
+    if (key === SOURCE_KEY) continue
+    const entry = prev.get(key)
+    if (entry?.type !== 'ride') continue
+    if (value < (timeByStation.get(entry.toStationId) ?? Infinity)) {
+      timeByStation.set(entry.toStationId, value)
+    }
+  }
+  return { timeByStation, context }
+}
+
+// ── Grid + marching squares ─────────────────────────────────
+
+function createProjection(originLngLat) {
+  const [lng0, lat0] = originLngLat
+  const metersPerDegLng = METERS_PER_DEG_LNG_EQUATOR * Math.cos((lat0 * Math.PI) / 180)
+  return {
+    toXY: ([lng, lat]) => [(lng - lng0) * metersPerDegLng, (lat - lat0) * METERS_PER_DEG_LAT],
+    toLngLat: ([x, y]) => [
+      Number((lng0 + x / metersPerDegLng).toFixed(6)),
+      Number((lat0 + y / METERS_PER_DEG_LAT).toFixed(6)),
+    ],
+  }
+}
+
+/**
+ * 以每个可达点为圆心、剩余时间内的步行距离为半径，计算网格节点的最短到达时间。
+ * 网格四周留出一圈不可达节点，保证等值线闭合。
+ */
+function buildTravelTimeGrid(seeds, maxSeconds, walkSpeedMps) {
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  for (const seed of seeds) {
+    const radius = (maxSeconds - seed.seconds) * walkSpeedMps
+    minX = Math.min(minX, seed.xy[0] - radius)
+    minY = Math.min(minY, seed.xy[1] - radius)
+    maxX = Math.max(maxX, seed.xy[0] + radius)
+    maxY = Math.max(maxY, seed.xy[1] + radius)
+  }
+
+  const cellSize = Math.max(GRID_MIN_CELL_METERS, Math.max(maxX - minX, maxY - minY) / GRID_MAX_CELLS)
+  const originX = minX - cellSize
+  const originY = minY - cellSize
+  const cols = Math.ceil((maxX - minX) / cellSize) + 3
+  const rows = Math.ceil((maxY - minY) / cellSize) + 3
+  const values = new Float64Array(cols * rows).fill(Infinity)
+
+  for (const seed of seeds) {
+    const radius = (maxSeconds - seed.seconds) * walkSpeedMps
+    const iMin = Math.max(1, Math.floor((seed.xy[0] - radius - originX) / cellSize))
+    const iMax = Math.min(cols - 2, Math.ceil((seed.xy[0] + radius - originX) / cellSize))
+    const jMin = Math.max(1, Math.floor((seed.xy[1] - radius - originY) / cellSize))
+    const jMax = Math.min(rows - 2, Math.ceil((seed.xy[1] + radius - originY) / cellSize))
+    for (let j = jMin; j <= jMax; j += 1) {
+      const dy = originY + j * cellSize - seed.xy[1]
+      for (let i = iMin; i <= iMax; i += 1) {
+        const dx = originX + i * cellSize - seed.xy[0]
+        const seconds = seed.seconds + Math.hypot(dx, dy) / walkSpeedMps
+        const index = j * cols + i
+        if (seconds < values[index]) values[index] = seconds
+      }
+    }
+  }
+
+  return { values, cols, rows, cellSize, originX, originY }
+}
+
+// 各情形下的有向线段（内侧在行进方向左侧），边：B 下、R 右、T 上、L 左；角点位：左下 1、右下 2、右上 4、左上 8
+const CONTOUR_SEGMENTS = {
+  1: [['B', 'L']],
+  2: [['R', 'B']],
+  3: [['R', 'L']],
+  4: [['T', 'R']],
+  6: [['T', 'B']],
+  7: [['T', 'L']],
+  8: [['L', 'T']],
+  9: [['B', 'T']],
+  11: [['R', 'T']],
+  12: [['L', 'R']],
+  13: [['B', 'R']],
+  14: [['L', 'B']],
+}
+const SADDLE_SEGMENTS = {
+  5: { joined: [['B', 'R'], ['T', 'L']], split: [['B', 'L'], ['T', 'R']] },
+  10: { joined: [['L', 'B'], ['R', 'T']], split: [['R', 'B'], ['L', 'T']] },
+}
+
+/**
+ * Marching squares：提取到达时间 ≤ threshold 的区域边界环（网格坐标系，外环逆时针、内洞顺时针）。
+ */
+function traceContourRings(grid, threshold) {
+  const { values, cols, rows, cellSize, originX, originY } = grid
+  const valueAt = (i, j) => values[j * cols + i]
+  const cap = threshold * 4 + 1
+  const clampValue = (v) => (Number.isFinite(v) ? v : cap)
+
+  const edgePoint = (id) => {
+    const [kind, iText, jText] = id.split(':')
+    const i = Number(iText)
+    const j = Number(jText)
+    const [i2, j2] = kind === 'h' ? [i + 1, j] : [i, j + 1]
+    const a = clampValue(valueAt(i, j))
+    const b = clampValue(valueAt(i2, j2))
+    const t = a === b ? 0.5 : Math.max(0, Math.min(1, (threshold - a) / (b - a)))
+    return [originX + (i + (i2 - i) * t) * cellSize, originY + (j + (j2 - j) * t) * cellSize]
+  }
+
+  const next = new Map()
+  for (let j = 0; j < rows - 1; j += 1) {
+    for (let i = 0; i < cols - 1; i += 1) {
+      const bl = valueAt(i, j) <= threshold ? 1 : 0
+      const br = valueAt(i + 1, j) <= threshold ? 2 : 0
+      const tr = valueAt(i + 1, j + 1) <= threshold ? 4 : 0
+      const tl = valueAt(i, j + 1) <= threshold ? 8 : 0
+      const code = bl | br | tr | tl
+      if (code === 0 || code === 15) continue
+
+      let segments = CONTOUR_SEGMENTS[code]
+      if (!segments) {
+        const center =
+          (clampValue(valueAt(i, j)) + clampValue(valueAt(i + 1, j)) +
+            clampValue(valueAt(i + 1, j + 1)) + clampValue(valueAt(i, j + 1))) / 4
+        segments = center <= threshold ? SADDLE_SEGMENTS[code].joined : SADDLE_SEGMENTS[code].split
+      }
+
+      const edgeIds = { B: `h:${i}:${j}`, T: `h:${i}:${j + 1}`, L: `v:${i}:${j}`, R: `v:${i + 1}:${j}` }
+      for (const [from, to] of segments) {
+        next.set(edgeIds[from], edgeIds[to])
+      }
+    }
+  }
+
+  const rings = []
+  for (const start of next.keys()) {
+    if (!next.has(start)) continue
+    const ring = []
+    let current = start
+    while (current && next.has(current)) {
+      ring.push(edgePoint(current))
+      const following = next.get(current)
+      next.delete(current)
+      current = following
+    }
+    if (ring.length >= 3) {
+      ring.push([...ring[0]])
+      rings.push(ring)
+    }
+  }
+  return rings
+}
+
+function signedArea(ring) {
+  let area = 0
+  for (let i = 0; i < ring.length - 1; i += 1) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1]
+  }
+  return area / 2
+}
+
+function pointInRing(point, ring) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if (yi > point[1] !== yj > point[1] && point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+/** 将外环与内洞组装成 MultiPolygon 坐标：每个内洞归入包含它的面积最小的外环。 */
+function assemblePolygons(rings) {
+  const outers = []
+  const holes = []
+  for (const ring of rings) {
+    const area = signedArea(ring)
+    if (area > 0) outers.push({ ring, area, holes: [] })
+    else holes.push(ring)
+  }
+  outers.sort((a, b) => a.area - b.area)
+  for (const hole of holes) {
+    const owner = outers.find((outer) => pointInRing(hole[0], outer.ring))
+    if (owner) owner.holes.push(hole)
+  }
+  return outers.map((outer) => [outer.ring, ...outer.holes])
+}
+
+// ── Public API ──────────────────────────────────────────────
+
+/**
+ * 计算从任意地点出发的分钟等时圈。
+ *
+ * 1. 在 (站点 × 线路) 展开图上跑 Dijkstra，得到到各站的最短出行时间（含步行进站、候车、车内、换乘惩罚）
+ * 2. 出发地与每个可达站点作为步行扩散源，按剩余时间步行，生成到达时间网格
+ * 3. 对每个分档阈值用 marching squares 提取等值线，组装为（可带洞的）MultiPolygon
+ *
+ * @param {Object} params - 同 computeShortestRoute（无需 destLngLat）
+ * @param {number} [params.maxMinutes=60] - 最大分档（分钟）
+ * @returns {{ originLngLat: number[], maxMinutes: number, bands: Array<Object>, totalCount: number, isochrones: Object } | null}
+ *   无起点、无分档或没有任何可达站点时返回 null
+ */
+export function computeIsochrones({ maxMinutes = 60, ...params }) {
+  const { originLngLat } = params
+  if (!Array.isArray(originLngLat)) return null
+  const bandDefs = ISOCHRONE_BANDS.filter((band) => band.minutes <= maxMinutes)
+  if (!bandDefs.length) return null
+  const maxSeconds = bandDefs[bandDefs.length - 1].minutes * 60
+
+  const travel = computeStationTravelTimes(params)
+  const timeByStation = travel?.timeByStation || new Map()
+  if (!timeByStation.size) return null
+  const walkSpeedMps = travel?.context.walkSpeedMps || params.walkSpeedMps || 1.2
+  const stationById = new Map((params.stations || []).map((station) => [station.id, station]))
+
+  const bands = bandDefs.map((band, index) => ({
+    label: `${index ? bandDefs[index - 1].minutes : 0}–${band.minutes} 分钟`,
+    minMinutes: index ? bandDefs[index - 1].minutes : 0,
+    maxMinutes: band.minutes,
+    color: band.color,
+    stations: [],
+  }))
+
+  const projection = createProjection(originLngLat)
+  const seeds = [{ xy: [0, 0], seconds: 0 }]
+  for (const [stationId, seconds] of timeByStation) {
+    if (seconds >= maxSeconds) continue
+    const station = stationById.get(stationId)
+    if (!Array.isArray(station?.lngLat)) continue
+    seeds.push({ xy: projection.toXY(station.lngLat), seconds })
+    const band = bands.find((item) => seconds < item.maxMinutes * 60)
+    band.stations.push({ id: stationId, name: station.nameZh || stationId, seconds, lngLat: station.lngLat })
+  }
+  for (const band of bands) band.stations.sort((a, b) => a.seconds - b.seconds)
+
+  const grid = buildTravelTimeGrid(seeds, maxSeconds, walkSpeedMps)
+  const features = bands.map((band) => ({
+    type: 'Feature',
+    geometry: {
+      type: 'MultiPolygon',
+      coordinates: assemblePolygons(traceContourRings(grid, band.maxMinutes * 60)).map((polygon) =>
+        polygon.map((ring) => ring.map((point) => projection.toLngLat(point))),
+      ),
+    },
+    properties: {
+      minutes: band.maxMinutes,
+      label: `${band.maxMinutes} 分钟`,
+      color: band.color,
+      stationCount: bands
+        .filter((item) => item.maxMinutes <= band.maxMinutes)
+        .reduce((sum, item) => sum + item.stations.length, 0),
+    },
+  }))
+
+  return {
+    originLngLat,
+    maxMinutes: bandDefs[bandDefs.length - 1].minutes,
+    servicePeriod: travel?.context.servicePeriod || 'peak',
+    bands,
+    totalCount: bands.reduce((sum, band) => sum + band.stations.length, 0),
+    // 大范围在前，便于按顺序叠加绘制
+    isochrones: { type: 'FeatureCollection', features: features.reverse() },
+  }
+}
+
+/** @param {{isochrones: Object, originLngLat: number[]}} result @param {string} [projectName] */
+export function downloadIsochroneGeoJson(result, projectName = '') {
+  const collection = {
+    ...result.isochrones,
+    features: [
+      ...result.isochrones.features,
+      {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: result.originLngLat },
+        properties: { featureType: 'origin' },
+      },
+    ],
+  }
+  const blob = new Blob([JSON.stringify(collection, null, 2)], { type: 'application/geo+json' })
+  const safeName = (projectName || 'metro-studio').replace(/[<>:"/\\|?*]+/g, '_').trim() || 'metro-studio'
+  downloadBlob(blob, `${safeName}_isochrone_${result.maxMinutes}min.geojson`)
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,105 @@
+import {
+  SOURCE_KEY,
+  TARGET_KEY,
+  buildRouteResult,
+  extractStatePath,
+  prepareRouteSearch,
+  resolveEntryStationId,
+  searchTransitGraph,
+} from './dijkstra'
+
+const SOURCE_NODE = { key: SOURCE_KEY, cost: 0, entry: { type: 'source' } }
+
+function pathCost(statePath) {
+  return statePath[statePath.length - 1].cost
+}
+
+function pathSignature(statePath) {
+  return statePath.map((item) => item.key).join('>')
+}
+
+/**
+ * 无环检查：换乘时同一站点会连续出现两次（到达状态 + 换乘上车状态），除此之外站点不得重复。
+ */
+function isLooplessPath(statePath) {
+  const visited = new Set()
+  let lastStationId = null
+  for (const { entry } of statePath) {
+    if (entry.type === 'egress') break
+    const stationId = resolveEntryStationId(entry)
+    if (stationId === lastStationId) continue
+    if (visited.has(stationId)) return false
+    visited.add(stationId)
+    lastStationId = stationId
+  }
+  return true
+}
+
+/**
+ * 计算前 K 条无环备选出行方案（Yen 算法）。
+ *
+ * 在 (站点 × 线路) 展开图上以虚拟源点/汇点为端点运行 Yen 算法：
+ * 对上一条已接受路径的每个状态作为偏离点，屏蔽与已接受路径共享根路径的下一条弧、
+ * 以及根路径上已经过的站点，再从偏离点继续 Dijkstra，得到候选路径；每轮取广义费用最小的候选。
+ *
+ * @param {Object} params - 同 computeShortestRoute
+ * @param {number} [k=3] - 最多返回的方案数
+ * @returns {Array<Object>} 按广义费用升序的导航结果，首项即最优方案；不可达时为空数组
+ */
+export function computeRouteAlternatives(params, k = 3) {
+  const context = prepareRouteSearch(params)
+  if (!context) return []
+
+  const firstPath = extractStatePath(searchTransitGraph(context))
+  if (!firstPath) return []
+
+  const accepted = [firstPath]
+  const candidates = []
+  const seen = new Set([pathSignature(firstPath)])
+
+  while (accepted.length < k) {
+    const nodes = [SOURCE_NODE, ...accepted[accepted.length - 1]]
+
+    for (let i = 0; i < nodes.length - 1; i += 1) {
+      const spurNode = nodes[i]
+      const rootPath = nodes.slice(1, i + 1)
+      const rootKeys = nodes.slice(0, i + 1).map((item) => item.key)
+
+      const blockedArcs = new Set()
+      for (const path of accepted) {
+        const keys = [SOURCE_KEY, ...path.map((item) => item.key)]
+        if (keys.length > i + 1 && rootKeys.every((key, index) => keys[index] === key)) {
+          blockedArcs.add(`${keys[i]}>${keys[i + 1]}`)
+        }
+      }
+
+      const spurStationId = resolveEntryStationId(spurNode.entry)
+      const blockedStations = new Set()
+      for (const item of rootPath) {
+        const stationId = resolveEntryStationId(item.entry)
+        if (stationId !== spurStationId) blockedStations.add(stationId)
+      }
+
+      const spurPath = extractStatePath(
+        searchTransitGraph(context, { seeds: [spurNode], blockedArcs, blockedStations }),
+        spurNode.key,
+      )
+      if (!spurPath) continue
+
+      const spurTail = spurNode.key === SOURCE_KEY ? spurPath : spurPath.slice(1)
+      const candidate = [...rootPath, ...spurTail]
+      if (candidate[candidate.length - 1]?.key !== TARGET_KEY || !isLooplessPath(candidate)) continue
+
+      const signature = pathSignature(candidate)
+      if (seen.has(signature)) continue
+      seen.add(signature)
+      candidates.push(candidate)
+    }
+
+    if (!candidates.length) break
+    candidates.sort((a, b) => pathCost(a) - pathCost(b))
+    accepted.push(candidates.shift())
+  }
+
+  return accepted.map((statePath) => buildRouteResult(context, statePath))
+}
@@ -0,0 +1,77 @@
+import { haversineDistanceMeters } from '../geo'
+import { estimateRunSeconds, normalizeLineOperations, resolveHeadwaySeconds } from '../lineOperations'
+import { normalizeManualTransfers } from '../transfer'
+
+/** @param {string} stationId @param {string} lineId @returns {string} */
+export function toNodeKey(stationId, lineId) {
+  return `${stationId}|${lineId}`
+}
+
+/**
+ * 构建按线路展开的 (站点 × 线路) 乘车图。
+ *
+ * - 乘车弧：同一线路相邻两站之间，权重 = 停站时间 + 区间运行时分，来自 `sharedByLineIds`
+ * - 站内换乘：同一站点的不同线路之间，由搜索时按目标线路候车时间展开
+ * - 站外换乘：`manualTransfers` 中的站点对，视为虚拟换乘通道，附带步行距离与时间
+ *
+ * @param {Object} params
+ * @param {Array} params.stations
+ * @param {Array} params.edges
+ * @param {Array} params.lines
+ * @param {Array<{stationAId: string, stationBId: string}>} [params.manualTransfers]
+ * @param {'peak'|'offPeak'} [params.servicePeriod='peak']
+ * @param {number} [params.walkSpeedMps=1.2]
+ * @returns {{
+ *   rideAdj: Map<string, Array<{stationId: string, edgeId: string, seconds: number, meters: number}>>,
+ *   linesByStation: Map<string, Set<string>>,
+ *   walkTransfers: Map<string, Array<{stationId: string, walkMeters: number, walkSeconds: number}>>,
+ *   headwayByLine: Map<string, number>,
+ * }}
+ */
+export function buildTransitGraph({ stations, edges, lines, manualTransfers = [], servicePeriod = 'peak', walkSpeedMps = 1.2 }) {
+  const lineById = new Map((lines || []).map((line) => [line.id, line]))
+  const headwayByLine = new Map((lines || []).map((line) => [line.id, resolveHeadwaySeconds(line, servicePeriod)]))
+  const operationsByLine = new Map()
+  const rideAdj = new Map()
+  const linesByStation = new Map()
+
+  const addArc = (fromId, toId, lineId, arc) => {
+    const key = toNodeKey(fromId, lineId)
+    if (!rideAdj.has(key)) rideAdj.set(key, [])
+    rideAdj.get(key).push({ stationId: toId, ...arc })
+    if (!linesByStation.has(fromId)) linesByStation.set(fromId, new Set())
+    linesByStation.get(fromId).add(lineId)
+  }
+
+  for (const edge of edges || []) {
+    const { id, fromStationId, toStationId } = edge
+    const meters = edge.lengthMeters || 0
+    for (const lineId of edge.sharedByLineIds || []) {
+      const line = lineById.get(lineId)
+      if (!line) continue
+      if (!operationsByLine.has(lineId)) operationsByLine.set(lineId, normalizeLineOperations(line))
+      const operations = operationsByLine.get(lineId)
+      const seconds = operations.dwellSeconds + estimateRunSeconds(meters, operations.designSpeedKmh)
+      addArc(fromStationId, toStationId, lineId, { edgeId: id, seconds, meters })
+      addArc(toStationId, fromStationId, lineId, { edgeId: id, seconds, meters })
+    }
+  }
+
+  const stationById = new Map((stations || []).map((station) => [station.id, station]))
+  const walkTransfers = new Map()
+  const addWalk = (fromId, toId, walkMeters) => {
+    if (!walkTransfers.has(fromId)) walkTransfers.set(fromId, [])
+    walkTransfers.get(fromId).push({ stationId: toId, walkMeters, walkSeconds: walkMeters / walkSpeedMps })
+  }
+
+  for (const transfer of normalizeManualTransfers(manualTransfers, new Set(stationById.keys()))) {
+    const a = stationById.get(transfer.stationAId)
+    const b = stationById.get(transfer.stationBId)
+    if (!Array.isArray(a?.lngLat) || !Array.isArray(b?.lngLat)) continue
+    const walkMeters = haversineDistanceMeters(a.lngLat, b.lngLat)
+    addWalk(a.id, b.id, walkMeters)
+    addWalk(b.id, a.id, walkMeters)
+  }
+
+  return { rideAdj, linesByStation, walkTransfers, headwayByLine }
+}
@@ -0,0 +1,155 @@
+/**
+ * Disruption scenario analysis: close sections and/or stations and compare
+ * the station graph before and after.
+ *
+ * - Connected components via findLargestConnectedComponent: stations that were
+ *   in the main network but drop out of it after the closure are "isolated".
+ * - All-pairs shortest network distance (one Dijkstra per station, before and
+ *   after), listing OD pairs that became unreachable or longer by more than
+ *   the threshold. Trips from/to a closed station are not counted.
+ * - Detour routes (before/after station and edge sequences) for the listed pairs.
+ */
+
+import { dijkstra, findLargestConnectedComponent } from '../hud/hudGraphAlgorithms'
+import { addManualTransferLinks, buildAdjacency } from './networkStatistics'
+
+const DEFAULT_MAX_PAIRS = 100
+
+function buildScenarioAdjacency(project, closedEdgeIds, closedStationIds) {
+  const stationById = new Map((project.stations || []).map(s => [s.id, s]))
+  const edges = (project.edges || []).filter(edge =>
+    !closedEdgeIds.has(edge.id) &&
+    !closedStationIds.has(edge.fromStationId) &&
+    !closedStationIds.has(edge.toStationId))
+  const adj = buildAdjacency(edges)
+  addManualTransferLinks(adj, stationById, project.manualTransfers)
+  return adj
+}
+
+function reconstructStationPath(prev, from, to) {
+  const path = [to]
+  let current = to
+  while (current !== from) {
+    current = prev.get(current)
+    if (!current || path.length > prev.size + 1) return []
+    path.push(current)
+  }
+  return path.reverse()
+}
+
+/**
+ * Pick the shortest link between consecutive stations; walking transfer
+ * links have no edge id.
+ */
+function resolvePathEdgeIds(adj, stationIds) {
+  const edgeIds = []
+  for (let i = 0; i < stationIds.length - 1; i++) {
+    let best = null
+    for (const link of adj.get(stationIds[i]) || []) {
+      if (link.to !== stationIds[i + 1]) continue
+      if (!best || link.weight < best.weight) best = link
+    }
+    if (best?.edgeId) edgeIds.push(best.edgeId)
+  }
+  return edgeIds
+}
+
+function describeRoute(adj, prev, from, to, meters) {
+  const stationIds = reconstructStationPath(prev, from, to)
+  return { meters, stationIds, edgeIds: resolvePathEdgeIds(adj, stationIds) }
+}
+
+/**
+ * @param {Object} params
+ * @param {Array} params.stations
+ * @param {Array} params.edges
+ * @param {Array} [params.manualTransfers]
+ * @param {string[]} [params.closedEdgeIds]
+ * @param {string[]} [params.closedStationIds]
+ * @param {number} [params.detourThresholdPercent=20] - 绕行距离超过原距离该百分比才列出
+ * @param {number} [params.maxPairs=100] - 每类 OD 对最多返回条数
+ * @returns {{
+ *   largestComponentBefore: number,
+ *   largestComponentAfter: number,
+ *   isolatedStationIds: string[],
+ *   unreachableCount: number,
+ *   unreachablePairs: Array<{fromStationId: string, toStationId: string, beforeMeters: number}>,
+ *   longerCount: number,
+ *   longerPairs: Array<{fromStationId: string, toStationId: string, beforeMeters: number, afterMeters: number, increasePercent: number, before: Object, after: Object}>,
+ *   detourThresholdPercent: number,
+ * }}
+ */
+export function analyzeDisruption({
+  stations = [],
+  edges = [],
+  manualTransfers = [],
+  closedEdgeIds = [],
+  closedStationIds = [],
+  detourThresholdPercent = 20,
+  maxPairs = DEFAULT_MAX_PAIRS,
+}) {
+  const closedEdges = new Set(closedEdgeIds)
+  const closedStations = new Set(closedStationIds)
+  const project = { stations, edges, manualTransfers }
+  const baseAdj = buildScenarioAdjacency(project, new Set(), new Set())
+  const scenarioAdj = buildScenarioAdjacency(project, closedEdges, closedStations)
+
+  const largestBefore = findLargestConnectedComponent(baseAdj)
+  const largestAfter = new Set(findLargestConnectedComponent(scenarioAdj))
+  const isolatedStationIds = largestBefore.filter(id => !closedStations.has(id) && !largestAfter.has(id))
+
+  const stationIds = [...baseAdj.keys()].filter(id => !closedStations.has(id))
+  const ratio = 1 + Math.max(0, detourThresholdPercent) / 100
+  const unreachable = []
+  const longer = []
+
+  for (let i = 0; i < stationIds.length; i++) {
+    const fromId = stationIds[i]
+    const before = dijkstra(baseAdj, fromId).dist
+    const after = scenarioAdj.has(fromId) ? dijkstra(scenarioAdj, fromId).dist : new Map()
+    for (let j = i + 1; j < stationIds.length; j++) {
+      const toId = stationIds[j]
+      const beforeMeters = before.get(toId)
+      if (!Number.isFinite(beforeMeters)) continue
+      const afterMeters = after.get(toId)
+      if (!Number.isFinite(afterMeters)) {
+        unreachable.push({ fromStationId: fromId, toStationId: toId, beforeMeters })
+      } else if (afterMeters > beforeMeters * ratio && afterMeters - beforeMeters > 1) {
+        longer.push({
+          fromStationId: fromId,
+          toStationId: toId,
+          beforeMeters,
+          afterMeters,
+          increasePercent: beforeMeters > 0 ? ((afterMeters - beforeMeters) / beforeMeters) * 100 : Infinity,
+        })
+      }
+    }
+  }
+
+  unreachable.sort((a, b) => b.beforeMeters - a.beforeMeters)
+  longer.sort((a, b) => b.increasePercent - a.increasePercent || (b.afterMeters - b.beforeMeters) - (a.afterMeters - a.beforeMeters))
+  const longerPairs = longer.slice(0, maxPairs)
+
+  // Re-run Dijkstra only for the sources of the listed pairs to rebuild their routes
+  const prevCache = new Map()
+  const prevFor = (adj, key, fromId) => {
+    const cacheKey = `${key}|${fromId}`
+    if (!prevCache.has(cacheKey)) prevCache.set(cacheKey, dijkstra(adj, fromId).prev)
+    return prevCache.get(cacheKey)
+  }
+  for (const pair of longerPairs) {
+    pair.before = describeRoute(baseAdj, prevFor(baseAdj, 'before', pair.fromStationId), pair.fromStationId, pair.toStationId, pair.beforeMeters)
+    pair.after = describeRoute(scenarioAdj, prevFor(scenarioAdj, 'after', pair.fromStationId), pair.fromStationId, pair.toStationId, pair.afterMeters)
+  }
+
+  return {
+    largestComponentBefore: largestBefore.length,
+    largestComponentAfter: largestAfter.size,
+    isolatedStationIds,
+    unreachableCount: unreachable.length,
+    unreachablePairs: unreachable.slice(0, maxPairs),
+    longerCount: longer.length,
+    longerPairs,
+    detourThresholdPercent,
+  }
+}
@@ -7,11 +7,13 @@
  */
 
 import { dijkstra } from '../hud/hudGraphAlgorithms'
+import { MinHeap } from '../hud/MinHeap'
+import { haversineDistanceMeters } from '../geo'
 
 /**
  * Build adjacency list for network analysis.
  */
-function buildAdjacency(edges) {
+export function buildAdjacency(edges) {
   const adj = new Map()
   for (const edge of edges) {
     const { fromStationId, toStationId, lengthMeters, id } = edge
@@ -25,6 +27,22 @@ function buildAdjacency(edges) {
   return adj
 }
 
+/**
+ * Add manual transfers as walking links (straight-line distance) so
+ * out-of-station interchanges join their networks.
+ */
+export function addManualTransferLinks(adj, stationById, manualTransfers) {
+  for (const t of manualTransfers || []) {
+    const a = stationById.get(t.stationAId)
+    const b = stationById.get(t.stationBId)
+    if (!a || !b || a.id === b.id || !adj.has(a.id) || !adj.has(b.id)) continue
+    if (!Array.isArray(a.lngLat) || !Array.isArray(b.lngLat)) continue
+    const weight = haversineDistanceMeters(a.lngLat, b.lngLat)
+    adj.get(a.id).push({ to: b.id, weight, edgeId: null })
+    adj.get(b.id).push({ to: a.id, weight, edgeId: null })
+  }
+}
+
 /**
  * Build a fast edge lookup: "stationA|stationB" -> edge,
  * keyed both directions for O(1) access.
@@ -174,6 +192,117 @@ function findAllExtremePaths(stations, adj, stationToLines, edgeLookup) {
   }
 }
 
+/** 可达性分级数（分位数分级），介数中心性着色沿用 */
+export const ACCESSIBILITY_CLASS_COUNT = 5
+
+function median(sortedValues) {
+  const n = sortedValues.length
+  if (!n) return 0
+  const mid = Math.floor(n / 2)
+  return n % 2 ? sortedValues[mid] : (sortedValues[mid - 1] + sortedValues[mid]) / 2
+}
+
+/**
+ * Quantile class breaks: returns ACCESSIBILITY_CLASS_COUNT - 1 ascending thresholds.
+ */
+function quantileBreaks(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  if (!sorted.length) return []
+  const breaks = []
+  for (let i = 1; i < ACCESSIBILITY_CLASS_COUNT; i++) {
+    breaks.push(sorted[Math.min(sorted.length - 1, Math.floor((sorted.length * i) / ACCESSIBILITY_CLASS_COUNT))])
+  }
+  return breaks
+}
+
+/** @param {number} value @param {number[]} breaks @returns {number} 0 = 最好（最小费用） */
+export function classifyAccessibility(value, breaks) {
+  let index = 0
+  while (index < breaks.length && value > breaks[index]) index++
+  return index
+}
+
+// Distances closer than this (meters) count as equally short paths
+const PATH_TIE_EPSILON = 1e-6
+const CENTRALITY_TOP_N = 20
+
+/**
+ * Weighted Brandes: station and edge betweenness plus closeness in one
+ * Dijkstra pass per station (weights = section length, manual transfers
+ * count as walking links).
+ *
+ * Betweenness is normalized to [0, 1] by the number of station pairs; closeness
+ * uses the Wasserman–Faust form (reachable share × reachable / total distance),
+ * expressed per kilometer, so stations on small isolated fragments do not look central.
+ */
+function calculateCentrality(stationIds, adj) {
+  const betweenness = new Map(stationIds.map(id => [id, 0]))
+  const edgeBetweenness = new Map()
+  const closeness = new Map()
+  const meanDistance = new Map()
+  const n = stationIds.length
+
+  for (const sourceId of stationIds) {
+    const order = []
+    const settled = new Set()
+    const preds = new Map()
+    const sigma = new Map([[sourceId, 1]])
+    const dist = new Map([[sourceId, 0]])
+    const heap = new MinHeap()
+    heap.push({ stationId: sourceId, dist: 0 })
+
+    while (true) {
+      const current = heap.pop()
+      if (!current) break
+      if (settled.has(current.stationId) || current.dist > dist.get(current.stationId)) continue
+      settled.add(current.stationId)
+      order.push(current.stationId)
+      for (const link of adj.get(current.stationId) || []) {
+        if (settled.has(link.to)) continue
+        const nextDist = current.dist + link.weight
+        const known = dist.get(link.to)
+        if (known === undefined || nextDist < known - PATH_TIE_EPSILON) {
+          dist.set(link.to, nextDist)
+          sigma.set(link.to, sigma.get(current.stationId))
+          preds.set(link.to, [{ stationId: current.stationId, edgeId: link.edgeId }])
+          heap.push({ stationId: link.to, dist: nextDist })
+        } else if (Math.abs(nextDist - known) <= PATH_TIE_EPSILON) {
+          sigma.set(link.to, sigma.get(link.to) + sigma.get(current.stationId))
+          preds.get(link.to)?.push({ stationId: current.stationId, edgeId: link.edgeId })
+        }
+      }
+    }
+
+    let totalDistance = 0
+    for (const id of order) totalDistance += dist.get(id)
+    const reachable = order.length - 1
+    closeness.set(sourceId, reachable > 0 && totalDistance > 0
+      ? (reachable / Math.max(1, n - 1)) * (reachable / totalDistance) * 1000
+      : 0)
+    meanDistance.set(sourceId, reachable > 0 ? totalDistance / reachable : 0)
+
+    const delta = new Map()
+    for (let i = order.length - 1; i >= 0; i--) {
+      const w = order[i]
+      const coefficient = (1 + (delta.get(w) || 0)) / sigma.get(w)
+      for (const pred of preds.get(w) || []) {
+        const share = sigma.get(pred.stationId) * coefficient
+        delta.set(pred.stationId, (delta.get(pred.stationId) || 0) + share)
+        if (pred.edgeId) edgeBetweenness.set(pred.edgeId, (edgeBetweenness.get(pred.edgeId) || 0) + share)
+      }
+      if (w !== sourceId && betweenness.has(w)) betweenness.set(w, betweenness.get(w) + (delta.get(w) || 0))
+    }
+  }
+
+  // Undirected graph: every pair was counted from both ends
+  const stationPairs = ((n - 1) * (n - 2)) / 2
+  const allPairs = (n * (n - 1)) / 2
+  for (const [id, value] of betweenness) betweenness.set(id, stationPairs > 0 ? value / 2 / stationPairs : 0)
+  for (const [id, value] of edgeBetweenness) edgeBetweenness.set(id, allPairs > 0 ? value / 2 / allPairs : 0)
+
+  return { betweenness, edgeBetweenness, closeness, meanDistance }
+}
+
 /**
  * Calculate comprehensive network topology metrics.
  */
@@ -276,8 +405,38 @@ export function calculateNetworkMetrics(project) {
   // All path analyses in a single Dijkstra pass
   const paths = findAllExtremePaths(stations, adj, stationToLines, edgeLookup)
 
-  // Interchange ranking — merge virtual transfer groups
+  // Centrality on the station graph, with manual transfers as walking links
   const stationById = new Map(stations.map(s => [s.id, s]))
+  const centralityAdj = buildAdjacency(edges)
+  addManualTransferLinks(centralityAdj, stationById, manualTransfers)
+  const centralityStationIds = [...centralityAdj.keys()].filter(id => stationById.has(id))
+  const { betweenness, edgeBetweenness, closeness, meanDistance } = calculateCentrality(centralityStationIds, centralityAdj)
+
+  const stationCentrality = centralityStationIds.map(id => ({
+    stationId: id,
+    stationName: stationById.get(id)?.nameZh || id,
+    lineIds: stationToLines.get(id) || [],
+    betweenness: betweenness.get(id) || 0,
+    closeness: closeness.get(id) || 0,
+    meanDistanceMeters: meanDistance.get(id) || 0,
+  }))
+  const edgeById = new Map(edges.map(e => [e.id, e]))
+  const edgeCentrality = [...edgeBetweenness.entries()]
+    .filter(([edgeId]) => edgeById.has(edgeId))
+    .map(([edgeId, value]) => {
+      const edge = edgeById.get(edgeId)
+      return {
+        edgeId,
+        fromStationId: edge.fromStationId,
+        toStationId: edge.toStationId,
+        name: `${stationById.get(edge.fromStationId)?.nameZh || edge.fromStationId} — ${stationById.get(edge.toStationId)?.nameZh || edge.toStationId}`,
+        lineIds: edge.sharedByLineIds || [],
+        betweenness: value,
+      }
+    })
+    .sort((a, b) => b.betweenness - a.betweenness)
+
+  // Interchange ranking — merge virtual transfer groups
   const seenRoots = new Set()
   const interchangeRanking = []
   for (const station of interchangeStations) {
@@ -318,6 +477,63 @@ export function calculateNetworkMetrics(project) {
       byLineCount: Object.fromEntries(Array.from(interchangeCounts.entries()).sort((a, b) => a[0] - b[0])),
       ranking: interchangeRanking.slice(0, 50)
     },
-    paths
+    paths,
+    centrality: {
+      stations: [...stationCentrality].sort((a, b) => b.betweenness - a.betweenness).slice(0, CENTRALITY_TOP_N),
+      closeness: [...stationCentrality].sort((a, b) => b.closeness - a.closeness).slice(0, CENTRALITY_TOP_N),
+      edges: edgeCentrality.slice(0, CENTRALITY_TOP_N),
+      betweennessByStation: Object.fromEntries(stationCentrality.map(item => [item.stationId, item.betweenness])),
+      betweennessBreaks: quantileBreaks(stationCentrality.map(item => item.betweenness)),
+    }
+  }
+}
+
+/**
+ * Network-wide accessibility: for every station, the mean and median shortest
+ * network distance to all other reachable stations.
+ *
+ * Same single Dijkstra pass per station as findAllExtremePaths; manual transfers
+ * count as walking links.
+ *
+ * @param {{stations: Array, edges: Array, manualTransfers?: Array}} project
+ * @returns {{
+ *   stations: Array<{stationId: string, meanMeters: number, medianMeters: number, reachableCount: number}>,
+ *   breaks: {mean: number[], median: number[]},
+ * } | null}
+ */
+export function calculateStationAccessibility(project) {
+  const stations = project.stations || []
+  const edges = project.edges || []
+  if (!stations.length || !edges.length) return null
+
+  const adj = buildAdjacency(edges)
+  const stationById = new Map(stations.map(s => [s.id, s]))
+  addManualTransferLinks(adj, stationById, project.manualTransfers)
+
+  const results = []
+  for (const startId of adj.keys()) {
+    if (!stationById.has(startId)) continue
+    const { dist } = dijkstra(adj, startId)
+    const costs = []
+    for (const [endId, d] of dist) {
+      if (endId === startId || !Number.isFinite(d) || !stationById.has(endId)) continue
+      costs.push(d)
+    }
+    if (!costs.length) continue
+    costs.sort((a, b) => a - b)
+    results.push({
+      stationId: startId,
+      meanMeters: costs.reduce((sum, d) => sum + d, 0) / costs.length,
+      medianMeters: median(costs),
+      reachableCount: costs.length,
+    })
+  }
+
+  return {
+    stations: results,
+    breaks: {
+      mean: quantileBreaks(results.map(r => r.meanMeters)),
+      median: quantileBreaks(results.map(r => r.medianMeters)),
+    },
   }
 }
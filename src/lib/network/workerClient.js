@@ -0,0 +1,48 @@
+let worker
+let requestCounter = 0
+const pending = new Map()
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('../../workers/networkAnalysisWorker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = (event) => {
+      const { requestId, ok, result, error } = event.data || {}
+      if (!pending.has(requestId)) return
+      const { resolve, reject } = pending.get(requestId)
+      pending.delete(requestId)
+      if (ok) {
+        resolve(result)
+      } else {
+        const fullError = new Error(error || 'network-analysis-worker-failed')
+        if (event.data?.errorStack) {
+          fullError.stack = event.data.errorStack
+        }
+        if (event.data?.errorName) {
+          fullError.name = event.data.errorName
+        }
+        reject(fullError)
+      }
+    }
+  }
+  return worker
+}
+
+function runInWorker(task, payload) {
+  const instance = getWorker()
+  const requestId = `${task}_${Date.now()}_${requestCounter++}`
+  return new Promise((resolve, reject) => {
+    pending.set(requestId, { resolve, reject })
+    const cloneablePayload = JSON.parse(JSON.stringify(payload))
+    instance.postMessage({ requestId, task, payload: cloneablePayload })
+  })
+}
+
+/** @param {{stations: Array, edges: Array, manualTransfers?: Array}} payload @returns {Promise<object|null>} */
+export function calculateStationAccessibilityInWorker(payload) {
+  return runInWorker('accessibility', payload)
+}
+
+/** @param {object} payload - 同 `analyzeDisruption` @returns {Promise<object>} */
+export function analyzeDisruptionInWorker(payload) {
+  return runInWorker('disruption', payload)
+}
@@ -2,8 +2,19 @@ import { pickLineColor } from './colors'
 import { createId } from './ids'
 import { normalizeLineStyle } from './lineStyles'
 import { normalizeLineNamesForLoop } from './lineNaming'
+import { DEFAULT_LINE_OPERATIONS, normalizeLineOperations } from './lineOperations'
+import { createEmptyLayoutConstraints, normalizeLayoutConstraints } from './layout/layoutConstraints'
+import {
+  DEFAULT_LAYOUT_ENGINE,
+  DEFAULT_LAYOUT_TIME_BUDGET_MS,
+  normalizeGridPitch,
+  normalizeLayoutEngine,
+  normalizeLayoutTimeBudget,
+} from './layout/layoutEngines'
+import { DEFAULT_LAYOUT_PRESET, normalizeLayoutOverrides, normalizeLayoutPreset } from './layout/layoutPresets'
 
-export const PROJECT_SCHEMA_VERSION = '1.0.0'
+// 数据模型有变化时递增，并在 migration.js 中补充对应的升级/降级步骤
+export const PROJECT_SCHEMA_VERSION = '1.7.0'
 
 /**
  * @typedef {Object} RailStation
@@ -44,6 +55,10 @@ export const PROJECT_SCHEMA_VERSION = '1.0.0'
  * @property {('solid'|'dashed'|'dotted'|'double-solid'|'double-dashed'|'double-dotted-square')} style
  * @property {boolean} isLoop
  * @property {string[]} edgeIds
+ * @property {number} designSpeedKmh
+ * @property {number} dwellSeconds
+ * @property {number} peakHeadwayMinutes
+ * @property {number} offPeakHeadwayMinutes
  */
 
 /**
@@ -56,10 +71,10 @@ export const PROJECT_SCHEMA_VERSION = '1.0.0'
  * @property {Array<{id: string, stationAId: string, stationBId: string}>} manualTransfers
  * @property {RailEdge[]} edges
  * @property {RailLine[]} lines
- * @property {Array<{createdAt: string, score: number, breakdown: Record<string, number>}>} snapshots
- * @property {{stationLabels: Record<string, {dx:number,dy:number,anchor:string}>, edgeDirections: Record<string, number>}} layoutMeta
- * @property {{geoSeedScale: number}} layoutConfig
- * @property {{createdAt: string, updatedAt: string}} meta
+ * @property {Array<{createdAt: string, score: number, breakdown: Record<string, number>, scope?: 'local'}>} snapshots
+ * @property {{stationLabels: Record<string, {dx:number,dy:number,anchor:string}>, edgeDirections: Record<string, number>, constraints: import('./layout/layoutConstraints').LayoutConstraints}} layoutMeta
+ * @property {{geoSeedScale: number, engine: 'force'|'octilinear', timeBudgetMs: number, gridPitch: number, equalSpacing: boolean, preset: string, overrides: Record<string, number>}} layoutConfig
+ * @property {{createdAt: string, updatedAt: string, description: string, tags: string[]}} meta
  * @property {Array<{year: number, description: string}>} timelineEvents
  */
 
@@ -85,15 +100,23 @@ export function createEmptyProject(name = '新建工程') {
         style: normalizeLineStyle('solid'),
         isLoop: false,
         edgeIds: [],
+        ...DEFAULT_LINE_OPERATIONS,
       },
     ],
     snapshots: [],
     layoutMeta: {
       stationLabels: {},
       edgeDirections: {},
+      constraints: createEmptyLayoutConstraints(),
     },
     layoutConfig: {
       geoSeedScale: 6,
+      engine: DEFAULT_LAYOUT_ENGINE,
+      timeBudgetMs: DEFAULT_LAYOUT_TIME_BUDGET_MS,
+      gridPitch: 0,
+      equalSpacing: false,
+      preset: DEFAULT_LAYOUT_PRESET,
+      overrides: {},
       displayConfig: {
         showStationNumbers: false,
         showInterchangeMarkers: true,
@@ -103,6 +126,7 @@ export function createEmptyProject(name = '新建工程') {
         edgeWidthScale: 1.0,
         edgeOpacity: 1.0,
         cornerRadius: 10,
+        showGrid: false,
       },
     },
     annotations: [],
@@ -110,11 +134,45 @@ export function createEmptyProject(name = '新建工程') {
     meta: {
       createdAt: now,
       updatedAt: now,
+      description: '',
+      tags: [],
       hasAutoLayoutTriggered: false,
     },
   }
 }
 
+/**
+ * 工程标签：去除首尾空白与重复，接受数组或以逗号/空格分隔的字符串
+ * @param {string[]|string} tags
+ * @returns {string[]}
+ */
+export function normalizeProjectTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,，\s]+/)
+  const result = []
+  for (const tag of list) {
+    const value = String(tag ?? '').trim().slice(0, 32)
+    if (value && !result.includes(value)) result.push(value)
+  }
+  return result
+}
+
+/**
+ * 修改工程地区名：已有地区只改名称；没有地区时仅在名称非空时补一个完整的地区对象（无 OSM 关系）
+ * @param {{id: string, name: string, relationId: number}|null} region
+ * @param {string} name
+ * @returns {{id: string, name: string, relationId: number}|null}
+ */
+export function withRegionName(region, name) {
+  if (region) return { ...region, name }
+  return name ? { id: '', name, relationId: 0 } : region
+}
+
+/**
+ * 规整当前数据版本的工程数据（补全缺失字段、过滤无效项）。
+ * 旧版本数据须先经 `migration.js` 的 `migrateProject` 升级。
+ * @param {object} raw
+ * @returns {RailProject}
+ */
 export function normalizeProject(raw) {
   const base = createEmptyProject(raw?.name || '导入工程')
   const merged = {
@@ -138,6 +196,7 @@ export function normalizeProject(raw) {
               raw.layoutMeta.edgeDirections && typeof raw.layoutMeta.edgeDirections === 'object'
                 ? raw.layoutMeta.edgeDirections
                 : {},
+            constraints: raw.layoutMeta.constraints,
           }
         : base.layoutMeta,
     layoutConfig:
@@ -146,6 +205,12 @@ export function normalizeProject(raw) {
             geoSeedScale: Number.isFinite(Number(raw.layoutConfig.geoSeedScale))
               ? Math.max(0.1, Number(raw.layoutConfig.geoSeedScale))
               : base.layoutConfig.geoSeedScale,
+            engine: normalizeLayoutEngine(raw.layoutConfig.engine),
+            timeBudgetMs: normalizeLayoutTimeBudget(raw.layoutConfig.timeBudgetMs),
+            gridPitch: normalizeGridPitch(raw.layoutConfig.gridPitch),
+            equalSpacing: Boolean(raw.layoutConfig.equalSpacing),
+            preset: normalizeLayoutPreset(raw.layoutConfig.preset),
+            overrides: normalizeLayoutOverrides(raw.layoutConfig.overrides),
             displayConfig:
               raw.layoutConfig.displayConfig && typeof raw.layoutConfig.displayConfig === 'object'
                 ? {
@@ -167,6 +232,7 @@ export function normalizeProject(raw) {
                     cornerRadius: Number.isFinite(Number(raw.layoutConfig.displayConfig.cornerRadius))
                       ? Math.max(0, Math.min(30, Number(raw.layoutConfig.displayConfig.cornerRadius)))
                       : base.layoutConfig.displayConfig.cornerRadius,
+                    showGrid: Boolean(raw.layoutConfig.displayConfig.showGrid),
                   }
                 : base.layoutConfig.displayConfig,
           }
@@ -190,6 +256,8 @@ export function normalizeProject(raw) {
       ...base.meta,
       ...(raw?.meta || {}),
       updatedAt: new Date().toISOString(),
+      description: typeof raw?.meta?.description === 'string' ? raw.meta.description : '',
+      tags: normalizeProjectTags(raw?.meta?.tags),
       hasAutoLayoutTriggered: Boolean(raw?.meta?.hasAutoLayoutTriggered),
     },
   }
@@ -257,8 +325,29 @@ export function normalizeProject(raw) {
       style: normalizeLineStyle(line.style),
       isLoop,
       edgeIds: Array.isArray(line.edgeIds) ? line.edgeIds : [],
+      ...normalizeLineOperations(line),
     }
   })
 
+  merged.layoutMeta.constraints = normalizeLayoutConstraints(merged.layoutMeta.constraints, {
+    stationIds: stationIdSet,
+    lineIds: new Set(merged.lines.map((line) => line.id)),
+  })
+
   return merged
 }
+
+/**
+ * 工程规模统计（本地库列表展示用）
+ * @param {RailProject} project
+ * @returns {{lineCount: number, stationCount: number, edgeCount: number, lengthKm: number}}
+ */
+export function summarizeProject(project) {
+  const lengthMeters = (project?.edges || []).reduce((sum, edge) => sum + (Number(edge.lengthMeters) || 0), 0)
+  return {
+    lineCount: project?.lines?.length || 0,
+    stationCount: project?.stations?.length || 0,
+    edgeCount: project?.edges?.length || 0,
+    lengthKm: Math.round(lengthMeters / 100) / 10,
+  }
+}
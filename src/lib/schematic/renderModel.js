@@ -8,7 +8,7 @@ const STATUS_STYLE = {
   proposed: { opacity: 0.58, width: 6.8 },
 }
 
-/** @param {import('../projectModel').RailProject} project @param {{filterYear?: number|null, leftPadding?: number, rightPadding?: number, topPadding?: number, bottomPadding?: number, mirrorVertical?: boolean, laneGap?: number, cornerRadius?: number}} [options={}] @returns {object} */
+/** @param {import('../projectModel').RailProject} project @param {{filterYear?: number|null, leftPadding?: number, rightPadding?: number, topPadding?: number, bottomPadding?: number, mirrorVertical?: boolean, laneGap?: number, cornerRadius?: number, lineLabels?: boolean}} [options={}] @returns {object} */
 export function buildSchematicRenderModel(project, options = {}) {
   const filterYear = options.filterYear ?? null
   const allEdges = project?.edges || []
@@ -160,11 +160,17 @@ export function buildSchematicRenderModel(project, options = {}) {
     }
   })
 
-  const lineLabels = buildLineLabels(lines, edges, stationById, toCanvas, layoutMeta, mirrorVertical, displayConfig, transferPaths)
+  // 线路标签的避让布局开销较大，不绘制标签的调用方（SVG/PNG 导出、缩略图）可传 lineLabels: false 跳过
+  const lineLabels =
+    options.lineLabels === false
+      ? []
+      : buildLineLabels(lines, edges, stationById, toCanvas, layoutMeta, mirrorVertical, displayConfig, transferPaths)
 
   return {
     width,
     height,
+    // canvas position of the layout origin, where the layout grid lines cross
+    origin: toCanvas([0, 0]),
     edgePaths,
     transferPaths,
     stations: stationsRender,
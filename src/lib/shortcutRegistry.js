@@ -2,7 +2,7 @@ const STORAGE_KEY = 'metro_studio_custom_shortcuts'
 
 const DEFAULT_SHORTCUTS = [
   // 文件
-  { id: 'file.save',       label: '存入本地库',     defaultBinding: 'Ctrl+S',       category: '文件', when: 'global' },
+  { id: 'file.save',       label: '保存',           defaultBinding: 'Ctrl+S',       category: '文件', when: 'global' },
   { id: 'file.exportFile', label: '保存文件',       defaultBinding: 'Ctrl+Shift+S', category: '文件', when: 'global' },
   { id: 'file.newProject', label: '新建工程',       defaultBinding: 'Ctrl+N',       category: '文件', when: 'global' },
   { id: 'file.openFile',   label: '打开文件',       defaultBinding: 'Ctrl+O',       category: '文件', when: 'global' },
@@ -1,11 +1,19 @@
 import { openDB } from 'idb'
-import { normalizeProject } from '../projectModel'
+import { createEmptyLayoutConstraints } from '../layout/layoutConstraints'
+import { normalizeGridPitch, normalizeLayoutEngine, normalizeLayoutTimeBudget } from '../layout/layoutEngines'
+import { normalizeLayoutOverrides, normalizeLayoutPreset } from '../layout/layoutPresets'
+import { migrateAndNormalizeProject } from '../migration'
+import { normalizeProject, PROJECT_SCHEMA_VERSION, withRegionName } from '../projectModel'
 
 const DB_NAME = 'metro-studio-db'
-const DB_VERSION = 1
+const DB_VERSION = 3
 const PROJECT_STORE = 'projects'
 const META_STORE = 'meta'
+const REVISION_STORE = 'revisions'
+const THUMBNAIL_STORE = 'thumbnails'
+const REVISION_PROJECT_INDEX = 'projectId'
 const LATEST_PROJECT_KEY = 'latest-project-id'
+const LINKED_FILE_KEY_PREFIX = 'linked-file:'
 
 let dbPromise
 
@@ -19,6 +27,13 @@ function getDb() {
         if (!db.objectStoreNames.contains(META_STORE)) {
           db.createObjectStore(META_STORE, { keyPath: 'key' })
         }
+        if (!db.objectStoreNames.contains(REVISION_STORE)) {
+          const revisions = db.createObjectStore(REVISION_STORE, { keyPath: 'id' })
+          revisions.createIndex(REVISION_PROJECT_INDEX, 'projectId', { unique: false })
+        }
+        if (!db.objectStoreNames.contains(THUMBNAIL_STORE)) {
+          db.createObjectStore(THUMBNAIL_STORE, { keyPath: 'projectId' })
+        }
       },
     })
   }
@@ -56,7 +71,7 @@ function toSerializableProject(project) {
 
   return {
     id: String(normalized.id),
-    projectVersion: String(normalized.projectVersion || ''),
+    projectVersion: PROJECT_SCHEMA_VERSION,
     name: String(normalized.name || ''),
     region: {
       id: String(normalized.region?.id || ''),
@@ -110,11 +125,16 @@ function toSerializableProject(project) {
       style: String(line.style || 'solid'),
       isLoop: Boolean(line.isLoop),
       edgeIds: toStringArray(line.edgeIds),
+      designSpeedKmh: toFiniteNumber(line.designSpeedKmh, 80),
+      dwellSeconds: toFiniteNumber(line.dwellSeconds, 30),
+      peakHeadwayMinutes: toFiniteNumber(line.peakHeadwayMinutes, 4),
+      offPeakHeadwayMinutes: toFiniteNumber(line.offPeakHeadwayMinutes, 8),
     })),
     snapshots: (normalized.snapshots || []).map((snapshot) => ({
       createdAt: String(snapshot.createdAt || new Date().toISOString()),
       score: toFiniteNumber(snapshot.score, 0),
       breakdown: toSerializableBreakdown(snapshot.breakdown),
+      ...(snapshot.scope === 'local' ? { scope: 'local' } : {}),
     })),
     layoutMeta: {
       stationLabels:
@@ -125,9 +145,16 @@ function toSerializableProject(project) {
         normalized.layoutMeta && typeof normalized.layoutMeta.edgeDirections === 'object'
           ? JSON.parse(JSON.stringify(normalized.layoutMeta.edgeDirections))
           : {},
+      constraints: JSON.parse(JSON.stringify(normalized.layoutMeta?.constraints || createEmptyLayoutConstraints())),
     },
     layoutConfig: {
       geoSeedScale: toFiniteNumber(normalized.layoutConfig?.geoSeedScale, 6),
+      engine: normalizeLayoutEngine(normalized.layoutConfig?.engine),
+      timeBudgetMs: normalizeLayoutTimeBudget(normalized.layoutConfig?.timeBudgetMs),
+      gridPitch: normalizeGridPitch(normalized.layoutConfig?.gridPitch),
+      equalSpacing: Boolean(normalized.layoutConfig?.equalSpacing),
+      preset: normalizeLayoutPreset(normalized.layoutConfig?.preset),
+      overrides: normalizeLayoutOverrides(normalized.layoutConfig?.overrides),
       displayConfig: normalized.layoutConfig?.displayConfig && typeof normalized.layoutConfig.displayConfig === 'object'
         ? {
             showStationNumbers: Boolean(normalized.layoutConfig.displayConfig.showStationNumbers),
@@ -138,6 +165,7 @@ function toSerializableProject(project) {
             edgeWidthScale: toFiniteNumber(normalized.layoutConfig.displayConfig.edgeWidthScale, 1.0),
             edgeOpacity: toFiniteNumber(normalized.layoutConfig.displayConfig.edgeOpacity, 1.0),
             cornerRadius: toFiniteNumber(normalized.layoutConfig.displayConfig.cornerRadius, 10),
+            showGrid: Boolean(normalized.layoutConfig.displayConfig.showGrid),
           }
         : {},
     },
@@ -154,6 +182,16 @@ function toSerializableProject(project) {
     meta: {
       createdAt: String(normalized.meta?.createdAt || new Date().toISOString()),
       updatedAt: String(normalized.meta?.updatedAt || new Date().toISOString()),
+      description: String(normalized.meta?.description || ''),
+      tags: toStringArray(normalized.meta?.tags),
+      ...(normalized.meta?.forkedFrom?.projectId
+        ? {
+            forkedFrom: {
+              projectId: String(normalized.meta.forkedFrom.projectId),
+              revisionId: String(normalized.meta.forkedFrom.revisionId || ''),
+            },
+          }
+        : {}),
     },
   }
 }
@@ -171,18 +209,46 @@ export async function saveProjectToDb(project) {
 export async function loadProjectFromDb(projectId) {
   const db = await getDb()
   const result = await db.get(PROJECT_STORE, projectId)
-  return result ? normalizeProject(result) : null
+  return result ? migrateAndNormalizeProject(result) : null
 }
 
-/** @returns {Promise<import('../projectModel').RailProject[]>} */
+/** @returns {Promise<import('../projectModel').RailProject[]>} 按最近保存时间倒序，`meta.updatedAt` 为库中记录的保存时间 */
 export async function listProjectsFromDb() {
   const db = await getDb()
   const projects = await db.getAll(PROJECT_STORE)
   return projects
-    .map((project) => normalizeProject(project))
+    .map((record) => {
+      const project = migrateAndNormalizeProject(record)
+      if (record.meta?.updatedAt) project.meta.updatedAt = String(record.meta.updatedAt)
+      return project
+    })
     .sort((a, b) => (a.meta.updatedAt < b.meta.updatedAt ? 1 : -1))
 }
 
+/**
+ * 只修改库中工程的描述信息（描述、标签、地区名），不改变最近项目指针。
+ * @param {string} projectId
+ * @param {{description?: string, tags?: string[], regionName?: string}} details
+ * @returns {Promise<object|null>} 更新后的记录
+ */
+export async function updateProjectDetailsInDb(projectId, details) {
+  const db = await getDb()
+  const record = await db.get(PROJECT_STORE, projectId)
+  if (!record) return null
+  const next = {
+    ...record,
+    region: details.regionName != null ? withRegionName(record.region, String(details.regionName)) : record.region,
+    meta: {
+      ...record.meta,
+      ...(details.description != null ? { description: String(details.description) } : {}),
+      ...(details.tags != null ? { tags: toStringArray(details.tags) } : {}),
+      updatedAt: new Date().toISOString(),
+    },
+  }
+  await db.put(PROJECT_STORE, next)
+  return next
+}
+
 /** @returns {Promise<import('../projectModel').RailProject|null>} */
 export async function loadLatestProjectFromDb() {
   const db = await getDb()
@@ -209,8 +275,140 @@ export async function clearLatestProject() {
 export async function deleteProjectFromDb(projectId) {
   const db = await getDb()
   await db.delete(PROJECT_STORE, projectId)
+  await db.delete(THUMBNAIL_STORE, projectId)
+  await deleteRevisionsOfProject(db, projectId)
+  await db.delete(META_STORE, `${LINKED_FILE_KEY_PREFIX}${projectId}`)
   const latest = await db.get(META_STORE, LATEST_PROJECT_KEY)
   if (latest?.value === projectId) {
     await db.delete(META_STORE, LATEST_PROJECT_KEY)
   }
 }
+
+// ── Revisions (persistent version history) ──
+
+function toRevisionSummary(record) {
+  const { project, ...summary } = record
+  return summary
+}
+
+async function deleteRevisionsOfProject(db, projectId) {
+  const tx = db.transaction(REVISION_STORE, 'readwrite')
+  const keys = await tx.store.index(REVISION_PROJECT_INDEX).getAllKeys(projectId)
+  await Promise.all([...keys.map((key) => tx.store.delete(key)), tx.done])
+}
+
+/**
+ * Store a full copy of the project as a revision. The payload goes through the
+ * same serializable projection as regular saves.
+ * @param {{id: string, projectId: string, name: string, kind: 'manual'|'auto', createdAt: string, signature: string, project: import('../projectModel').RailProject}} revision
+ * @returns {Promise<object>} summary without the project payload
+ */
+export async function saveRevisionToDb(revision) {
+  const db = await getDb()
+  const project = toSerializableProject(revision.project)
+  const record = {
+    id: String(revision.id),
+    projectId: String(revision.projectId),
+    name: String(revision.name || ''),
+    kind: revision.kind === 'auto' ? 'auto' : 'manual',
+    createdAt: String(revision.createdAt || new Date().toISOString()),
+    signature: String(revision.signature || ''),
+    stationCount: project.stations.length,
+    edgeCount: project.edges.length,
+    lineCount: project.lines.length,
+    project,
+  }
+  await db.put(REVISION_STORE, record)
+  return toRevisionSummary(record)
+}
+
+/**
+ * @param {string} projectId
+ * @returns {Promise<object[]>} revision summaries, newest first
+ */
+export async function listRevisionsFromDb(projectId) {
+  const db = await getDb()
+  const records = await db.getAllFromIndex(REVISION_STORE, REVISION_PROJECT_INDEX, projectId)
+  return records
+    .map(toRevisionSummary)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+}
+
+/** @param {string} revisionId @returns {Promise<object|null>} revision with normalized project */
+export async function loadRevisionFromDb(revisionId) {
+  const db = await getDb()
+  const record = await db.get(REVISION_STORE, revisionId)
+  return record ? { ...record, project: migrateAndNormalizeProject(record.project) } : null
+}
+
+/** @param {string} revisionId @param {string} name @returns {Promise<void>} */
+export async function renameRevisionInDb(revisionId, name) {
+  const db = await getDb()
+  const record = await db.get(REVISION_STORE, revisionId)
+  if (!record) return
+  await db.put(REVISION_STORE, { ...record, name: String(name || '') })
+}
+
+/** @param {string} revisionId @returns {Promise<void>} */
+export async function deleteRevisionFromDb(revisionId) {
+  const db = await getDb()
+  await db.delete(REVISION_STORE, revisionId)
+}
+
+// ── Thumbnails (project list previews) ──
+
+/** @param {{projectId: string, svg: string, updatedAt?: string}} thumbnail @returns {Promise<void>} */
+export async function saveProjectThumbnailToDb(thumbnail) {
+  const db = await getDb()
+  await db.put(THUMBNAIL_STORE, {
+    projectId: String(thumbnail.projectId),
+    svg: String(thumbnail.svg || ''),
+    updatedAt: String(thumbnail.updatedAt || new Date().toISOString()),
+  })
+}
+
+/** @returns {Promise<Map<string, {projectId: string, svg: string, updatedAt: string}>>} */
+export async function listProjectThumbnailsFromDb() {
+  const db = await getDb()
+  const records = await db.getAll(THUMBNAIL_STORE)
+  return new Map(records.map((record) => [record.projectId, record]))
+}
+
+// ── Linked files (File System Access handles) ──
+
+/**
+ * @typedef {Object} LinkedFileRecord
+ * @property {FileSystemFileHandle} handle
+ * @property {string} name
+ * @property {'package'|'json'} format
+ * @property {number} lastModified - 上次读取或写入时磁盘文件的修改时间
+ * @property {boolean} [dirty] - 本地库中有尚未写回磁盘文件的修改
+ */
+
+/** @param {string} projectId @param {LinkedFileRecord} linked @returns {Promise<void>} */
+export async function saveLinkedFileToDb(projectId, linked) {
+  const db = await getDb()
+  await db.put(META_STORE, {
+    key: `${LINKED_FILE_KEY_PREFIX}${projectId}`,
+    value: {
+      handle: linked.handle,
+      name: String(linked.name || ''),
+      format: linked.format === 'package' ? 'package' : 'json',
+      lastModified: toFiniteNumber(linked.lastModified, 0),
+      dirty: Boolean(linked.dirty),
+    },
+  })
+}
+
+/** @param {string} projectId @returns {Promise<LinkedFileRecord|null>} */
+export async function loadLinkedFileFromDb(projectId) {
+  const db = await getDb()
+  const record = await db.get(META_STORE, `${LINKED_FILE_KEY_PREFIX}${projectId}`)
+  return record?.value?.handle ? record.value : null
+}
+
+/** @param {string} projectId @returns {Promise<void>} */
+export async function deleteLinkedFileFromDb(projectId) {
+  const db = await getDb()
+  await db.delete(META_STORE, `${LINKED_FILE_KEY_PREFIX}${projectId}`)
+}
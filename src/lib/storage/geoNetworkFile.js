@@ -0,0 +1,531 @@
+import { normalizeHexColor, pickLineColor, resolveHexColor } from '../colors'
+import { haversineDistanceMeters } from '../geo'
+import { createId } from '../ids'
+import { getDisplayLineName } from '../lineNaming'
+import { assignCompactDisplayPositions, sumPathLength } from '../osm/jinan/topologyGraph'
+
+const STATUS_PRIORITY = ['open', 'construction', 'proposed']
+const ENDPOINT_MATCH_METERS = 60
+
+// ── Export ──────────────────────────────────────────────────
+
+function resolveEdgeStatus(edge, lineById) {
+  const statuses = (edge.sharedByLineIds || []).map((lineId) => lineById.get(lineId)?.status || 'open')
+  return STATUS_PRIORITY.find((status) => statuses.includes(status)) || 'open'
+}
+
+function resolveEdgeCoordinates(edge, stationById) {
+  const from = stationById.get(edge.fromStationId)?.lngLat
+  const to = stationById.get(edge.toStationId)?.lngLat
+  const points = Array.isArray(edge.waypoints) && edge.waypoints.length >= 2 ? edge.waypoints : [from, to]
+  return points.filter((point) => Array.isArray(point) && point.length === 2).map((point) => [point[0], point[1]])
+}
+
+function toLineMeta(line) {
+  return {
+    id: line.id,
+    key: line.key,
+    nameZh: line.nameZh,
+    nameEn: line.nameEn,
+    color: line.color,
+    status: line.status,
+    style: line.style,
+    isLoop: Boolean(line.isLoop),
+    edgeIds: [...(line.edgeIds || [])],
+  }
+}
+
+/**
+ * 以真实地理坐标导出线网：站点为 Point，线段为沿 `waypoints` 的 LineString。
+ * 线路元数据写入 FeatureCollection 的 `metroStudio` 成员，供回读时重建线路。
+ * @param {import('../projectModel').RailProject} project
+ * @returns {object} GeoJSON FeatureCollection
+ */
+export function buildNetworkGeoJson(project) {
+  const stationById = new Map((project?.stations || []).map((station) => [station.id, station]))
+  const lineById = new Map((project?.lines || []).map((line) => [line.id, line]))
+  const features = []
+
+  for (const station of project?.stations || []) {
+    if (!Array.isArray(station.lngLat)) continue
+    features.push({
+      type: 'Feature',
+      id: station.id,
+      geometry: { type: 'Point', coordinates: [station.lngLat[0], station.lngLat[1]] },
+      properties: {
+        featureType: 'station',
+        id: station.id,
+        nameZh: station.nameZh || '',
+        nameEn: station.nameEn || '',
+        lineIds: [...(station.lineIds || [])],
+        isInterchange: Boolean(station.isInterchange),
+        status: station.proposed ? 'proposed' : station.underConstruction ? 'construction' : 'open',
+        displayPos: Array.isArray(station.displayPos) ? [...station.displayPos] : null,
+      },
+    })
+  }
+
+  for (const edge of project?.edges || []) {
+    const coordinates = resolveEdgeCoordinates(edge, stationById)
+    if (coordinates.length < 2) continue
+    const lines = (edge.sharedByLineIds || []).map((lineId) => lineById.get(lineId)).filter(Boolean)
+    features.push({
+      type: 'Feature',
+      id: edge.id,
+      geometry: { type: 'LineString', coordinates },
+      properties: {
+        featureType: 'edge',
+        id: edge.id,
+        fromStationId: edge.fromStationId,
+        toStationId: edge.toStationId,
+        lineIds: lines.map((line) => line.id),
+        lineNames: lines.map((line) => getDisplayLineName(line, 'zh') || line.nameZh || ''),
+        lineColors: lines.map((line) => resolveHexColor(line.color)),
+        color: lines.length ? resolveHexColor(lines[0].color) : '#888888',
+        openingYear: edge.openingYear ?? null,
+        phase: edge.phase || '',
+        status: resolveEdgeStatus(edge, lineById),
+        lengthMeters: Number(edge.lengthMeters) || 0,
+      },
+    })
+  }
+
+  return {
+    type: 'FeatureCollection',
+    metroStudio: {
+      projectName: project?.name || '',
+      lines: (project?.lines || []).map(toLineMeta),
+    },
+    features,
+  }
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&apos;')
+}
+
+function toKmlColor(color, alpha = 'ff') {
+  const hex = resolveHexColor(color).slice(1).toLowerCase()
+  return `${alpha}${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`
+}
+
+function toKmlCoordinates(points) {
+  return points.map((point) => `${point[0]},${point[1]}`).join(' ')
+}
+
+function toKmlExtendedData(fields) {
+  const entries = Object.entries(fields)
+    .filter(([, value]) => value != null && value !== '')
+    .map(([name, value]) => `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`)
+  return entries.length ? `<ExtendedData>${entries.join('')}</ExtendedData>` : ''
+}
+
+/**
+ * KML 变体：每条线路一个 Folder 与独立 LineStyle，多线共用线段在各自线路目录中重复出现。
+ * @param {import('../projectModel').RailProject} project
+ * @returns {string}
+ */
+export function buildNetworkKml(project) {
+  const stationById = new Map((project?.stations || []).map((station) => [station.id, station]))
+  const edgeById = new Map((project?.edges || []).map((edge) => [edge.id, edge]))
+  const lineById = new Map((project?.lines || []).map((line) => [line.id, line]))
+  const styles = []
+  const folders = []
+
+  for (const line of project?.lines || []) {
+    const styleId = `line-${line.id}`
+    styles.push(
+      `<Style id="${escapeXml(styleId)}"><LineStyle><color>${toKmlColor(line.color)}</color><width>4</width></LineStyle></Style>`,
+    )
+    const placemarks = []
+    for (const edgeId of line.edgeIds || []) {
+      const edge = edgeById.get(edgeId)
+      if (!edge) continue
+      const coordinates = resolveEdgeCoordinates(edge, stationById)
+      if (coordinates.length < 2) continue
+      const fromName = stationById.get(edge.fromStationId)?.nameZh || ''
+      const toName = stationById.get(edge.toStationId)?.nameZh || ''
+      placemarks.push(
+        `<Placemark><name>${escapeXml(`${fromName} - ${toName}`)}</name><styleUrl>#${escapeXml(styleId)}</styleUrl>` +
+          toKmlExtendedData({
+            featureType: 'edge',
+            id: edge.id,
+            fromStationId: edge.fromStationId,
+            toStationId: edge.toStationId,
+            lineIds: (edge.sharedByLineIds || []).join(','),
+            openingYear: edge.openingYear,
+            phase: edge.phase,
+            status: resolveEdgeStatus(edge, lineById),
+          }) +
+          `<LineString><tessellate>1</tessellate><coordinates>${toKmlCoordinates(coordinates)}</coordinates></LineString></Placemark>`,
+      )
+    }
+    folders.push(
+      `<Folder><name>${escapeXml(getDisplayLineName(line, 'zh') || line.nameZh || line.id)}</name>` +
+        toKmlExtendedData({
+          featureType: 'line',
+          id: line.id,
+          key: line.key,
+          nameZh: line.nameZh,
+          nameEn: line.nameEn,
+          color: resolveHexColor(line.color),
+          status: line.status,
+          style: line.style,
+          isLoop: line.isLoop ? 'true' : 'false',
+        }) +
+        placemarks.join('') +
+        '</Folder>',
+    )
+  }
+
+  styles.push(
+    '<Style id="station"><IconStyle><scale>0.6</scale><Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle></Style>',
+  )
+  const stationPlacemarks = (project?.stations || [])
+    .filter((station) => Array.isArray(station.lngLat))
+    .map(
+      (station) =>
+        `<Placemark><name>${escapeXml(station.nameZh || '')}</name><styleUrl>#station</styleUrl>` +
+        toKmlExtendedData({
+          featureType: 'station',
+          id: station.id,
+          nameZh: station.nameZh,
+          nameEn: station.nameEn,
+          lineIds: (station.lineIds || []).join(','),
+          status: station.proposed ? 'proposed' : station.underConstruction ? 'construction' : 'open',
+        }) +
+        `<Point><coordinates>${station.lngLat[0]},${station.lngLat[1]}</coordinates></Point></Placemark>`,
+    )
+  folders.push(`<Folder><name>车站</name>${stationPlacemarks.join('')}</Folder>`)
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+    `<name>${escapeXml(project?.name || 'Metro Studio')}</name>` +
+    styles.join('') +
+    folders.join('') +
+    '</Document></kml>\n'
+  )
+}
+
+/** @param {import('../projectModel').RailProject} project @returns {void} */
+export function downloadNetworkGeoJson(project) {
+  const payload = JSON.stringify(buildNetworkGeoJson(project))
+  downloadBlob(new Blob([payload], { type: 'application/geo+json' }), `${sanitizeBaseName(project?.name)}.geojson`)
+}
+
+/** @param {import('../projectModel').RailProject} project @returns {void} */
+export function downloadNetworkKml(project) {
+  const payload = buildNetworkKml(project)
+  downloadBlob(new Blob([payload], { type: 'application/vnd.google-earth.kml+xml' }), `${sanitizeBaseName(project?.name)}.kml`)
+}
+
+// ── Import ──────────────────────────────────────────────────
+
+function readKmlExtendedData(element) {
+  const result = {}
+  const dataNodes = element.querySelectorAll(':scope > ExtendedData > Data')
+  for (const node of dataNodes) {
+    result[node.getAttribute('name')] = node.querySelector('value')?.textContent ?? ''
+  }
+  return result
+}
+
+function parseKmlCoordinates(text) {
+  return String(text || '')
+    .trim()
+    .split(/\s+/)
+    .map((tuple) => tuple.split(',').map(Number))
+    .filter((tuple) => tuple.length >= 2 && Number.isFinite(tuple[0]) && Number.isFinite(tuple[1]))
+    .map((tuple) => [tuple[0], tuple[1]])
+}
+
+/** `openingYear` from a GeoJSON property or KML field: a positive integer year, else null. */
+function parseOpeningYear(value) {
+  if (typeof value === 'string' ? !value.trim() : typeof value !== 'number') return null
+  const year = Number(value)
+  return Number.isInteger(year) && year > 0 ? year : null
+}
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+}
+
+/** 把 KML 文档转换为与 GeoJSON 导出一致的 FeatureCollection，复用同一套重建逻辑。 */
+function kmlToFeatureCollection(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.querySelector('parsererror')) {
+    throw new Error('KML 文件格式不正确')
+  }
+
+  const lines = []
+  const features = []
+  const seenEdgeIds = new Set()
+
+  for (const folder of doc.querySelectorAll('Folder')) {
+    const folderData = readKmlExtendedData(folder)
+    if (folderData.featureType === 'line' && folderData.id) {
+      lines.push({
+        id: folderData.id,
+        key: folderData.key,
+        nameZh: folderData.nameZh || folder.querySelector(':scope > name')?.textContent || '',
+        nameEn: folderData.nameEn || '',
+        color: folderData.color,
+        status: folderData.status,
+        style: folderData.style,
+        isLoop: folderData.isLoop === 'true',
+        edgeIds: [],
+      })
+    }
+  }
+
+  for (const placemark of doc.querySelectorAll('Placemark')) {
+    const data = readKmlExtendedData(placemark)
+    const name = placemark.querySelector(':scope > name')?.textContent || ''
+    const point = placemark.querySelector('Point > coordinates')
+    const lineString = placemark.querySelector('LineString > coordinates')
+    if (point) {
+      const [coordinates] = parseKmlCoordinates(point.textContent)
+      if (!coordinates) continue
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates },
+        properties: { ...data, featureType: 'station', nameZh: data.nameZh || name, lineIds: splitList(data.lineIds) },
+      })
+    } else if (lineString) {
+      if (data.id && seenEdgeIds.has(data.id)) continue
+      if (data.id) seenEdgeIds.add(data.id)
+      const folderLineId = readKmlExtendedData(placemark.parentElement).id
+      const lineIds = data.lineIds ? splitList(data.lineIds) : folderLineId ? [folderLineId] : []
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: parseKmlCoordinates(lineString.textContent) },
+        properties: {
+          ...data,
+          featureType: 'edge',
+          lineIds,
+          lineNames: lineIds.length ? [] : [name],
+          openingYear: parseOpeningYear(data.openingYear),
+        },
+      })
+    }
+  }
+
+  return {
+    type: 'FeatureCollection',
+    metroStudio: { projectName: doc.querySelector('Document > name')?.textContent || '', lines },
+    features,
+  }
+}
+
+function flattenLineStrings(geometry) {
+  if (geometry?.type === 'LineString') return [geometry.coordinates]
+  if (geometry?.type === 'MultiLineString') return geometry.coordinates
+  return []
+}
+
+/**
+ * 由 FeatureCollection 重建线网。优先使用导出时写入的 id 与线路元数据；
+ * 对外部 GIS 数据，端点按距离吸附到已有车站，无匹配时新建车站。
+ */
+function featureCollectionToNetwork(collection) {
+  const features = Array.isArray(collection?.features) ? collection.features : []
+  const stations = []
+  const stationById = new Map()
+  const lineById = new Map()
+  const lineIdByName = new Map()
+
+  const addStation = (station) => {
+    stations.push(station)
+    stationById.set(station.id, station)
+    return station
+  }
+
+  for (const feature of features) {
+    if (feature?.geometry?.type !== 'Point') continue
+    const props = feature.properties || {}
+    const [lng, lat] = feature.geometry.coordinates || []
+    if (!Number.isFinite(lng) || !Number.isFinite(lat)) continue
+    const id = props.id && !stationById.has(String(props.id)) ? String(props.id) : createId('station')
+    addStation({
+      id,
+      nameZh: props.nameZh || props.name || '未命名站',
+      nameEn: props.nameEn || '',
+      lngLat: [lng, lat],
+      displayPos: Array.isArray(props.displayPos) && props.displayPos.every(Number.isFinite) ? [...props.displayPos] : null,
+      isInterchange: false,
+      underConstruction: props.status === 'construction',
+      proposed: props.status === 'proposed',
+      lineIds: [],
+    })
+  }
+
+  for (const meta of collection?.metroStudio?.lines || []) {
+    if (!meta?.id || lineById.has(meta.id)) continue
+    lineById.set(meta.id, {
+      id: String(meta.id),
+      key: meta.key || '',
+      nameZh: meta.nameZh || '',
+      nameEn: meta.nameEn || '',
+      color: normalizeHexColor(meta.color, pickLineColor(lineById.size)),
+      status: STATUS_PRIORITY.includes(meta.status) ? meta.status : 'open',
+      style: meta.style || 'solid',
+      isLoop: Boolean(meta.isLoop),
+      edgeIds: [],
+    })
+  }
+
+  const resolveLine = (lineId, lineName, color, status) => {
+    if (lineId && lineById.has(lineId)) return lineById.get(lineId)
+    const name = lineName || lineId || '导入线路'
+    if (lineIdByName.has(name)) return lineById.get(lineIdByName.get(name))
+    const line = {
+      id: lineId || createId('line'),
+      key: '',
+      nameZh: name,
+      nameEn: '',
+      color: normalizeHexColor(color, pickLineColor(lineById.size)),
+      status: STATUS_PRIORITY.includes(status) ? status : 'open',
+      style: 'solid',
+      isLoop: false,
+      edgeIds: [],
+    }
+    lineById.set(line.id, line)
+    lineIdByName.set(name, line.id)
+    return line
+  }
+
+  const resolveEndpoint = (stationId, lngLat) => {
+    if (stationId && stationById.has(stationId)) return stationById.get(stationId)
+    let best = null
+    let bestDistance = ENDPOINT_MATCH_METERS
+    for (const station of stations) {
+      const dist = haversineDistanceMeters(station.lngLat, lngLat)
+      if (dist <= bestDistance) {
+        best = station
+        bestDistance = dist
+      }
+    }
+    if (best) return best
+    return addStation({
+      id: createId('station'),
+      nameZh: `站点 ${stations.length + 1}`,
+      nameEn: '',
+      lngLat: [lngLat[0], lngLat[1]],
+      displayPos: null,
+      isInterchange: false,
+      underConstruction: false,
+      proposed: false,
+      lineIds: [],
+    })
+  }
+
+  const edges = []
+  const usedEdgeIds = new Set()
+  for (const feature of features) {
+    const props = feature?.properties || {}
+    for (const coordinates of flattenLineStrings(feature?.geometry)) {
+      const points = (coordinates || []).filter((p) => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]))
+      if (points.length < 2) continue
+      const from = resolveEndpoint(props.fromStationId, points[0])
+      const to = resolveEndpoint(props.toStationId, points[points.length - 1])
+      if (from.id === to.id) continue
+
+      const rawLineIds = Array.isArray(props.lineIds) ? props.lineIds.map(String) : []
+      const rawLineNames = Array.isArray(props.lineNames) ? props.lineNames : []
+      const lines = rawLineIds.length
+        ? rawLineIds.map((lineId, index) => resolveLine(lineId, rawLineNames[index], props.lineColors?.[index] || props.color, props.status))
+        : [resolveLine('', rawLineNames[0] || props.line || props.ref || props.name, props.color || props.colour, props.status)]
+
+      const id = props.id && !usedEdgeIds.has(String(props.id)) ? String(props.id) : createId('edge')
+      usedEdgeIds.add(id)
+      const waypoints = points.map((point) => [point[0], point[1]])
+      waypoints[0] = [...from.lngLat]
+      waypoints[waypoints.length - 1] = [...to.lngLat]
+      const lengthMeters = sumPathLength(waypoints)
+
+      edges.push({
+        id,
+        fromStationId: from.id,
+        toStationId: to.id,
+        waypoints,
+        sharedByLineIds: [...new Set(lines.map((line) => line.id))],
+        lengthMeters,
+        isCurved: false,
+        openingYear: parseOpeningYear(props.openingYear),
+        phase: props.phase ? String(props.phase) : '',
+      })
+      for (const line of lines) {
+        if (!line.edgeIds.includes(id)) line.edgeIds.push(id)
+      }
+    }
+  }
+
+  if (!edges.length && !stations.length) {
+    throw new Error('文件中没有可导入的车站或线段')
+  }
+  if (stations.some((station) => !station.displayPos)) {
+    assignCompactDisplayPositions(stations)
+  }
+
+  return {
+    stations,
+    edges,
+    lines: [...lineById.values()].filter((line) => line.edgeIds.length > 0),
+    projectName: collection?.metroStudio?.projectName || '',
+  }
+}
+
+/**
+ * 读取 GeoJSON / KML 文件并重建线网，返回值与 OSM 导入器一致。
+ * @param {File} file
+ * @returns {Promise<{region: object, boundary: null, stations: Array, edges: Array, lines: Array, importMeta: object}>}
+ */
+export async function parseNetworkGeoFile(file) {
+  const text = await file.text()
+  const isKml = /\.kml$/i.test(file.name || '') || /^\s*<(\?xml|kml)/i.test(text)
+  let collection
+  if (isKml) {
+    collection = kmlToFeatureCollection(text)
+  } else {
+    collection = JSON.parse(text)
+    if (collection?.type !== 'FeatureCollection') {
+      throw new Error('GeoJSON 文件必须为 FeatureCollection')
+    }
+  }
+
+  const network = featureCollectionToNetwork(collection)
+  const regionName = network.projectName || String(file.name || '').replace(/\.(geo)?json$|\.kml$/i, '') || 'GIS'
+  return {
+    region: { id: `file_${regionName}`, name: regionName, nameEn: regionName, relationId: 0 },
+    boundary: null,
+    stations: network.stations,
+    edges: network.edges,
+    lines: network.lines,
+    importMeta: {
+      importedAt: new Date().toISOString(),
+      source: isKml ? 'kml' : 'geojson',
+    },
+  }
+}
+
+function sanitizeBaseName(name) {
+  return (name || 'metro-studio-project').replace(/[<>:"/\\|?*]+/g, '_').trim() || 'metro-studio-project'
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
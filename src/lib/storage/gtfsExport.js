@@ -0,0 +1,240 @@
+import JSZip from 'jszip'
+import { resolveHexColor } from '../colors'
+import { haversineDistanceMeters } from '../geo'
+import { buildHudLineRoute } from '../hud/renderModel'
+import { getDisplayLineName } from '../lineNaming'
+
+const GTFS_ROUTE_TYPE_SUBWAY = 1
+const SERVICE_ID = 'metro-studio-daily'
+const DEFAULT_GTFS_OPTIONS = {
+  agencyName: 'Metro Studio',
+  agencyUrl: 'https://example.com',
+  agencyTimezone: 'Asia/Shanghai',
+  agencyLang: 'zh',
+  speedKmh: 35,
+  dwellSeconds: 30,
+  headwaySeconds: 600,
+  serviceStart: '06:00:00',
+  serviceEnd: '23:00:00',
+  includeNonOpenLines: false,
+}
+
+/**
+ * 由工程模型生成 GTFS 静态数据包的各个 CSV 文件内容。
+ * 每条线路每个方向生成一个模板班次，发车间隔通过 frequencies.txt 描述。
+ * @param {import('../projectModel').RailProject} project
+ * @param {Partial<typeof DEFAULT_GTFS_OPTIONS>} [options={}]
+ * @returns {{files: Record<string, string>, routeCount: number, tripCount: number}}
+ */
+export function buildGtfsFeedFiles(project, options = {}) {
+  const config = { ...DEFAULT_GTFS_OPTIONS, ...options }
+  const speedMps = (Math.max(1, Number(config.speedKmh) || DEFAULT_GTFS_OPTIONS.speedKmh) * 1000) / 3600
+  const dwellSeconds = Math.max(0, Number(config.dwellSeconds) || 0)
+  const stationById = new Map((project?.stations || []).map((station) => [station.id, station]))
+  const edgeById = new Map((project?.edges || []).map((edge) => [edge.id, edge]))
+
+  const routeRows = []
+  const tripRows = []
+  const stopTimeRows = []
+  const shapeRows = []
+  const frequencyRows = []
+  const usedStationIds = new Set()
+
+  for (const line of project?.lines || []) {
+    if (!config.includeNonOpenLines && (line.status || 'open') !== 'open') continue
+    const route = buildHudLineRoute(project, line.id)
+    if (!route.ready || !route.directionOptions?.length) continue
+
+    const edgeByPair = buildLineEdgePairMap(line, edgeById)
+    const tripsBefore = tripRows.length
+
+    route.directionOptions.forEach((direction, directionIndex) => {
+      const stationIds = route.isSimpleLoop
+        ? [...direction.stationIds, direction.stationIds[0]]
+        : [...direction.stationIds]
+      if (stationIds.length < 2) return
+
+      const tripId = `${line.id}__${directionIndex}`
+      const shapeId = `shape_${tripId}`
+      const headsign = stationById.get(direction.toStationId)?.nameZh || ''
+      let shapePoints = []
+      let elapsedSeconds = 0
+
+      stationIds.forEach((stationId, stopIndex) => {
+        if (stopIndex > 0) {
+          const fromId = stationIds[stopIndex - 1]
+          const edge = edgeByPair.get(toPairKey(fromId, stationId))
+          const points = resolveDirectedEdgePoints(edge, stationById.get(fromId), stationById.get(stationId))
+          const lengthMeters = edge?.lengthMeters > 0 ? edge.lengthMeters : measurePolyline(points)
+          elapsedSeconds += Math.round(lengthMeters / speedMps)
+          shapePoints = shapePoints.length ? [...shapePoints, ...points.slice(1)] : points
+        }
+        const isFirst = stopIndex === 0
+        const isLast = stopIndex === stationIds.length - 1
+        const arrival = elapsedSeconds
+        const departure = isFirst || isLast ? elapsedSeconds : elapsedSeconds + dwellSeconds
+        stopTimeRows.push([
+          tripId,
+          formatGtfsTime(arrival),
+          formatGtfsTime(departure),
+          stationId,
+          stopIndex + 1,
+          isLast ? 1 : 0,
+          isFirst ? 1 : 0,
+        ])
+        elapsedSeconds = departure
+        usedStationIds.add(stationId)
+      })
+
+      let traveledMeters = 0
+      shapePoints.forEach((point, pointIndex) => {
+        if (pointIndex > 0) traveledMeters += haversineDistanceMeters(shapePoints[pointIndex - 1], point)
+        shapeRows.push([shapeId, roundCoord(point[1]), roundCoord(point[0]), pointIndex + 1, traveledMeters.toFixed(1)])
+      })
+
+      tripRows.push([line.id, SERVICE_ID, tripId, headsign, directionIndex, shapePoints.length ? shapeId : ''])
+      frequencyRows.push([tripId, config.serviceStart, config.serviceEnd, Math.max(60, Number(config.headwaySeconds) || 600), 0])
+    })
+
+    if (tripRows.length === tripsBefore) continue
+    routeRows.push([
+      line.id,
+      'metro-studio',
+      line.key || '',
+      getDisplayLineName(line, 'zh') || line.nameZh || '',
+      GTFS_ROUTE_TYPE_SUBWAY,
+      toGtfsColor(line.color),
+      pickTextColor(line.color),
+    ])
+  }
+
+  const stopRows = (project?.stations || [])
+    .filter((station) => usedStationIds.has(station.id) && Array.isArray(station.lngLat))
+    .map((station) => [
+      station.id,
+      station.nameZh || station.nameEn || station.id,
+      roundCoord(station.lngLat[1]),
+      roundCoord(station.lngLat[0]),
+      0,
+    ])
+
+  const files = {
+    'agency.txt': toCsv(
+      ['agency_id', 'agency_name', 'agency_url', 'agency_timezone', 'agency_lang'],
+      [['metro-studio', config.agencyName, config.agencyUrl, config.agencyTimezone, config.agencyLang]],
+    ),
+    'stops.txt': toCsv(['stop_id', 'stop_name', 'stop_lat', 'stop_lon', 'location_type'], stopRows),
+    'routes.txt': toCsv(
+      ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type', 'route_color', 'route_text_color'],
+      routeRows,
+    ),
+    'trips.txt': toCsv(['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id', 'shape_id'], tripRows),
+    'stop_times.txt': toCsv(
+      ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'pickup_type', 'drop_off_type'],
+      stopTimeRows,
+    ),
+    'shapes.txt': toCsv(['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence', 'shape_dist_traveled'], shapeRows),
+    'frequencies.txt': toCsv(['trip_id', 'start_time', 'end_time', 'headway_secs', 'exact_times'], frequencyRows),
+    'calendar.txt': toCsv(
+      ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'],
+      [[SERVICE_ID, 1, 1, 1, 1, 1, 1, 1, ...resolveServiceDateRange()]],
+    ),
+  }
+
+  return { files, routeCount: routeRows.length, tripCount: tripRows.length }
+}
+
+/** @param {import('../projectModel').RailProject} project @param {Partial<typeof DEFAULT_GTFS_OPTIONS>} [options={}] @returns {Promise<{routeCount: number, tripCount: number}>} */
+export async function downloadGtfsFeedZip(project, options = {}) {
+  const { files, routeCount, tripCount } = buildGtfsFeedFiles(project, options)
+  if (!routeCount) {
+    throw new Error('没有可导出 GTFS 的运营线路')
+  }
+  const zip = new JSZip()
+  for (const [fileName, content] of Object.entries(files)) {
+    zip.file(fileName, content)
+  }
+  const zipBlob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE', compressionOptions: { level: 6 } })
+  const safeName = (project?.name || 'metro-studio').replace(/[<>:"/\\|?*]+/g, '_').trim() || 'metro-studio'
+  downloadBlob(zipBlob, `${safeName}_gtfs.zip`)
+  return { routeCount, tripCount }
+}
+
+function buildLineEdgePairMap(line, edgeById) {
+  const map = new Map()
+  for (const edgeId of line.edgeIds || []) {
+    const edge = edgeById.get(edgeId)
+    if (!edge || !edge.sharedByLineIds?.includes(line.id)) continue
+    map.set(toPairKey(edge.fromStationId, edge.toStationId), edge)
+  }
+  return map
+}
+
+function toPairKey(a, b) {
+  return a < b ? `${a}__${b}` : `${b}__${a}`
+}
+
+function resolveDirectedEdgePoints(edge, fromStation, toStation) {
+  const from = fromStation?.lngLat
+  const to = toStation?.lngLat
+  const raw = Array.isArray(edge?.waypoints) && edge.waypoints.length >= 2 ? edge.waypoints : [from, to]
+  const points = raw.filter((point) => Array.isArray(point) && point.length === 2)
+  if (points.length < 2) return [from, to].filter(Boolean)
+  return edge && edge.fromStationId !== fromStation?.id ? [...points].reverse() : points
+}
+
+function measurePolyline(points) {
+  let total = 0
+  for (let i = 1; i < points.length; i += 1) {
+    total += haversineDistanceMeters(points[i - 1], points[i])
+  }
+  return total
+}
+
+function formatGtfsTime(totalSeconds) {
+  const seconds = Math.max(0, Math.round(totalSeconds))
+  const h = Math.floor(seconds / 3600)
+  const m = Math.floor((seconds % 3600) / 60)
+  const s = seconds % 60
+  return [h, m, s].map((value) => String(value).padStart(2, '0')).join(':')
+}
+
+function resolveServiceDateRange() {
+  const year = new Date().getFullYear()
+  return [`${year}0101`, `${year}1231`]
+}
+
+function roundCoord(value) {
+  return Number(value).toFixed(6)
+}
+
+function toGtfsColor(color) {
+  return resolveHexColor(color, '').replace('#', '')
+}
+
+function pickTextColor(color) {
+  const hex = toGtfsColor(color)
+  if (!hex) return ''
+  const r = parseInt(hex.slice(0, 2), 16)
+  const g = parseInt(hex.slice(2, 4), 16)
+  const b = parseInt(hex.slice(4, 6), 16)
+  return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? '000000' : 'FFFFFF'
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n'
+}
+
+function escapeCsvField(value) {
+  const text = value == null ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
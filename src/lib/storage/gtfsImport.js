@@ -0,0 +1,341 @@
+import JSZip from 'jszip'
+import { normalizeHexColor, pickLineColor } from '../colors'
+import { createId } from '../ids'
+import { mergeStationsAndTopology, sumPathLength } from '../osm/jinan/topology'
+
+// GTFS route_type：0 有轨/轻轨，1 地铁；扩展类型 400-404 城市轨道，900 有轨电车
+const RAIL_ROUTE_TYPES = new Set([0, 1, 400, 401, 402, 403, 404, 900])
+const CJK_REGEX = /[\u3400-\u9fff]/
+
+// ── CSV parsing ─────────────────────────────────────────────
+
+function parseCsvRows(text, onRow) {
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+  let header = null
+  let fields = []
+  let field = ''
+  let inQuotes = false
+
+  const endRow = () => {
+    fields.push(field)
+    field = ''
+    if (!header) {
+      header = fields.map((name) => name.trim())
+    } else if (fields.length > 1 || fields[0] !== '') {
+      const row = {}
+      for (let i = 0; i < header.length; i += 1) {
+        row[header[i]] = (fields[i] ?? '').trim()
+      }
+      onRow(row)
+    }
+    fields = []
+  }
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i]
+    if (inQuotes) {
+      if (char === '"') {
+        if (source[i + 1] === '"') {
+          field += '"'
+          i += 1
+        } else {
+          inQuotes = false
+        }
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      fields.push(field)
+      field = ''
+    } else if (char === '\n') {
+      endRow()
+    } else if (char !== '\r') {
+      field += char
+    }
+  }
+  if (field !== '' || fields.length) endRow()
+}
+
+function parseCsv(text) {
+  const rows = []
+  parseCsvRows(text, (row) => rows.push(row))
+  return rows
+}
+
+async function readFeedFile(zip, fileName, required = true) {
+  const entry = Object.values(zip.files).find(
+    (file) => !file.dir && file.name.split('/').pop().toLowerCase() === fileName,
+  )
+  if (!entry) {
+    if (required) throw new Error(`GTFS 数据包缺少 ${fileName}`)
+    return ''
+  }
+  return entry.async('string')
+}
+
+// ── Geometry helpers ────────────────────────────────────────
+
+function toLngLat(lon, lat) {
+  const lng = Number(lon)
+  const latitude = Number(lat)
+  if (!Number.isFinite(lng) || !Number.isFinite(latitude)) return null
+  return [lng, latitude]
+}
+
+function planarDistanceSquared(a, b) {
+  const scale = Math.cos(((a[1] + b[1]) / 2) * (Math.PI / 180))
+  const dx = (a[0] - b[0]) * scale
+  const dy = a[1] - b[1]
+  return dx * dx + dy * dy
+}
+
+function findNearestShapeIndex(shape, point, fromIndex) {
+  let bestIndex = fromIndex
+  let bestDistance = Number.POSITIVE_INFINITY
+  for (let i = fromIndex; i < shape.length; i += 1) {
+    const dist = planarDistanceSquared(shape[i], point)
+    if (dist < bestDistance) {
+      bestDistance = dist
+      bestIndex = i
+    }
+  }
+  return bestIndex
+}
+
+/**
+ * 按站点在 shape 上的投影位置截取相邻两站之间的折线，首尾替换为站点坐标。
+ */
+function sliceShapeBetweenStops(shape, stopLngLats) {
+  const segments = []
+  let cursor = 0
+  const indices = stopLngLats.map((lngLat) => {
+    cursor = findNearestShapeIndex(shape, lngLat, cursor)
+    return cursor
+  })
+  for (let i = 0; i < stopLngLats.length - 1; i += 1) {
+    const inner = shape.slice(indices[i] + 1, indices[i + 1])
+    segments.push([stopLngLats[i], ...inner.map((point) => [...point]), stopLngLats[i + 1]])
+  }
+  return segments
+}
+
+// ── Main importer ───────────────────────────────────────────
+
+/**
+ * Import a metro network from a local GTFS static feed (zip).
+ *
+ * Parent stations (`parent_station`) are merged into a single RailStation,
+ * consecutive stop pairs of every distinct trip pattern become deduplicated
+ * RailEdges, and edge geometry is cut from shapes.txt when present.
+ *
+ * @param {Blob|File|ArrayBuffer} file
+ * @param {object} [options]
+ * @param {number[]} [options.routeTypes]  Accepted GTFS route_type values
+ * @returns {Promise<{region: object, boundary: null, stations: Array, edges: Array, lines: Array, importMeta: object}>}
+ */
+export async function importGtfsFeed(file, options = {}) {
+  const zip = await JSZip.loadAsync(file)
+  const routeTypes = Array.isArray(options.routeTypes) ? new Set(options.routeTypes.map(Number)) : RAIL_ROUTE_TYPES
+
+  const [stopsText, routesText, tripsText, stopTimesText, shapesText, agencyText] = await Promise.all([
+    readFeedFile(zip, 'stops.txt'),
+    readFeedFile(zip, 'routes.txt'),
+    readFeedFile(zip, 'trips.txt'),
+    readFeedFile(zip, 'stop_times.txt'),
+    readFeedFile(zip, 'shapes.txt', false),
+    readFeedFile(zip, 'agency.txt', false),
+  ])
+
+  // 1. Routes → lines
+  const lineByRouteId = new Map()
+  const lineStatusById = new Map()
+  for (const route of parseCsv(routesText)) {
+    if (!routeTypes.has(Number(route.route_type))) continue
+    const shortName = route.route_short_name || ''
+    const longName = route.route_long_name || ''
+    const name = longName || shortName || route.route_id
+    const line = {
+      id: createId('line'),
+      key: shortName || route.route_id,
+      nameZh: name,
+      nameEn: CJK_REGEX.test(name) ? '' : name,
+      color: normalizeHexColor(route.route_color, pickLineColor(lineByRouteId.size)),
+      status: 'open',
+      style: 'solid',
+      isLoop: false,
+      edgeIds: [],
+    }
+    lineByRouteId.set(route.route_id, line)
+    lineStatusById.set(line.id, 'open')
+  }
+  if (!lineByRouteId.size) {
+    throw new Error('GTFS 数据包中没有地铁/轻轨线路')
+  }
+
+  // 2. Trips of the accepted routes
+  const tripById = new Map()
+  for (const trip of parseCsv(tripsText)) {
+    if (!lineByRouteId.has(trip.route_id)) continue
+    tripById.set(trip.trip_id, { routeId: trip.route_id, shapeId: trip.shape_id || '', stops: [] })
+  }
+
+  parseCsvRows(stopTimesText, (row) => {
+    const trip = tripById.get(row.trip_id)
+    if (!trip) return
+    trip.stops.push([Number(row.stop_sequence), row.stop_id])
+  })
+
+  // 3. Stops → stations (children collapse into their parent station)
+  const stopRows = new Map()
+  parseCsvRows(stopsText, (row) => stopRows.set(row.stop_id, row))
+
+  const stationByKey = new Map()
+  const resolveStation = (stopId) => {
+    const stop = stopRows.get(stopId)
+    if (!stop) return null
+    const parent = stop.parent_station ? stopRows.get(stop.parent_station) : null
+    const source = parent || stop
+    const key = source.stop_id
+    if (!stationByKey.has(key)) {
+      const lngLat = toLngLat(source.stop_lon, source.stop_lat) || toLngLat(stop.stop_lon, stop.stop_lat)
+      if (!lngLat) return null
+      const name = source.stop_name || stop.stop_name || key
+      stationByKey.set(key, {
+        id: createId('station'),
+        nameZh: name,
+        nameEn: CJK_REGEX.test(name) ? '' : name,
+        lngLat,
+        displayPos: [0, 0],
+        isInterchange: false,
+        underConstruction: false,
+        proposed: false,
+        lineIds: [],
+      })
+    }
+    return stationByKey.get(key)
+  }
+
+  // 4. Shapes (optional)
+  const shapePointsById = new Map()
+  if (shapesText) {
+    parseCsvRows(shapesText, (row) => {
+      const lngLat = toLngLat(row.shape_pt_lon, row.shape_pt_lat)
+      if (!lngLat) return
+      if (!shapePointsById.has(row.shape_id)) shapePointsById.set(row.shape_id, [])
+      shapePointsById.get(row.shape_id).push([Number(row.shape_pt_sequence), lngLat])
+    })
+    for (const [shapeId, points] of shapePointsById) {
+      points.sort((a, b) => a[0] - b[0])
+      shapePointsById.set(shapeId, points.map((entry) => entry[1]))
+    }
+  }
+
+  // 5. Distinct stop patterns → deduplicated edges
+  const edgeByPairKey = new Map()
+  const seenPatterns = new Set()
+  let patternCount = 0
+
+  for (const trip of tripById.values()) {
+    trip.stops.sort((a, b) => a[0] - b[0])
+    const stationSequence = []
+    for (const [, stopId] of trip.stops) {
+      const station = resolveStation(stopId)
+      if (!station) continue
+      if (stationSequence[stationSequence.length - 1] !== station) stationSequence.push(station)
+    }
+    if (stationSequence.length < 2) continue
+
+    const line = lineByRouteId.get(trip.routeId)
+    const patternKey = `${trip.routeId}|${stationSequence.map((station) => station.id).join('>')}`
+    if (seenPatterns.has(patternKey)) continue
+    seenPatterns.add(patternKey)
+    patternCount += 1
+
+    if (stationSequence.length > 2 && stationSequence[0] === stationSequence[stationSequence.length - 1]) {
+      line.isLoop = true
+    }
+
+    const shape = shapePointsById.get(trip.shapeId)
+    const segments = shape && shape.length >= 2
+      ? sliceShapeBetweenStops(shape, stationSequence.map((station) => station.lngLat))
+      : null
+
+    for (let i = 0; i < stationSequence.length - 1; i += 1) {
+      const fromStation = stationSequence[i]
+      const toStation = stationSequence[i + 1]
+      const pairKey =
+        fromStation.id < toStation.id ? `${fromStation.id}__${toStation.id}` : `${toStation.id}__${fromStation.id}`
+
+      if (!edgeByPairKey.has(pairKey)) {
+        const waypoints = segments ? segments[i] : [fromStation.lngLat, toStation.lngLat]
+        edgeByPairKey.set(pairKey, {
+          id: createId('edge'),
+          fromStationId: fromStation.id,
+          toStationId: toStation.id,
+          waypoints,
+          sharedByLineIds: [line.id],
+          lengthMeters: sumPathLength(waypoints),
+          isCurved: false,
+        })
+      } else {
+        const edge = edgeByPairKey.get(pairKey)
+        if (!edge.sharedByLineIds.includes(line.id)) {
+          edge.sharedByLineIds.push(line.id)
+        }
+      }
+
+      const edge = edgeByPairKey.get(pairKey)
+      if (!line.edgeIds.includes(edge.id)) {
+        line.edgeIds.push(edge.id)
+      }
+    }
+  }
+
+  // 6. Merge stations by proximity and name, compute display positions
+  const merged = mergeStationsAndTopology({
+    stations: [...stationByKey.values()],
+    edges: [...edgeByPairKey.values()],
+    lines: [...lineByRouteId.values()],
+    lineStatusById,
+  })
+  if (!merged.edges.length) {
+    throw new Error('GTFS 数据包中没有可用的班次站序')
+  }
+
+  // 7. Build region metadata
+  const agency = agencyText ? parseCsv(agencyText)[0] : null
+  const fileBaseName = String(file?.name || '').replace(/\.zip$/i, '')
+  const regionName = agency?.agency_name || fileBaseName || 'GTFS'
+  const bbox = merged.stations.reduce(
+    (acc, station) => [
+      Math.min(acc[0], station.lngLat[0]),
+      Math.min(acc[1], station.lngLat[1]),
+      Math.max(acc[2], station.lngLat[0]),
+      Math.max(acc[3], station.lngLat[1]),
+    ],
+    [Infinity, Infinity, -Infinity, -Infinity],
+  )
+
+  return {
+    region: {
+      id: `gtfs_${agency?.agency_id || regionName}`,
+      name: regionName,
+      nameEn: regionName,
+      relationId: 0,
+      bbox,
+    },
+    boundary: null,
+    stations: merged.stations,
+    edges: merged.edges,
+    lines: merged.lines,
+    importMeta: {
+      importedAt: new Date().toISOString(),
+      source: 'gtfs',
+      routeCount: lineByRouteId.size,
+      patternCount,
+      mergedStationCount: merged.stations.length,
+    },
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Linked project files on disk through the File System Access API.
+ *
+ * A project opened from (or saved to) a local file keeps its
+ * `FileSystemFileHandle`, so later saves write back to the same file instead
+ * of downloading a copy. Handles are structured-cloneable and are kept in
+ * IndexedDB by `db.js`, but the write permission does not survive a reload:
+ * `ensureHandlePermission` must be called from a user gesture (e.g. Ctrl+S)
+ * to request it again.
+ *
+ * External modifications are detected by comparing `File.lastModified` with
+ * the value recorded at the last read or write.
+ *
+ * Browsers without the API (Firefox, Safari) fall back to plain download /
+ * upload; callers check `isFileSystemAccessSupported()` first.
+ */
+import { PACKAGE_EXTENSION } from './projectPackage'
+
+const JSON_EXTENSION = '.metro-studio.json'
+
+const OPEN_PICKER_TYPES = [
+  {
+    description: 'Metro Studio 工程',
+    accept: { 'application/json': ['.json'], 'application/zip': [PACKAGE_EXTENSION] },
+  },
+]
+
+export function isFileSystemAccessSupported() {
+  return typeof window !== 'undefined' && typeof window.showOpenFilePicker === 'function' && typeof window.showSaveFilePicker === 'function'
+}
+
+/** The user closed the picker without choosing a file. */
+export function isPickerAbort(error) {
+  return error?.name === 'AbortError'
+}
+
+/** @param {string} fileName @returns {'package'|'json'} */
+export function detectLinkedFileFormat(fileName) {
+  return String(fileName || '').toLowerCase().endsWith(PACKAGE_EXTENSION) ? 'package' : 'json'
+}
+
+/** @returns {Promise<FileSystemFileHandle|null>} null when cancelled */
+export async function pickProjectFileToOpen() {
+  try {
+    const [handle] = await window.showOpenFilePicker({ types: OPEN_PICKER_TYPES, multiple: false })
+    return handle || null
+  } catch (error) {
+    if (isPickerAbort(error)) return null
+    throw error
+  }
+}
+
+/**
+ * @param {string} suggestedName
+ * @param {'package'|'json'} format
+ * @returns {Promise<FileSystemFileHandle|null>} null when cancelled
+ */
+export async function pickProjectFileToSave(suggestedName, format) {
+  const types = format === 'package'
+    ? [{ description: 'Metro Studio 工程包', accept: { 'application/zip': [PACKAGE_EXTENSION] } }]
+    : [{ description: 'Metro Studio 工程 JSON', accept: { 'application/json': [JSON_EXTENSION] } }]
+  try {
+    return await window.showSaveFilePicker({ suggestedName, types })
+  } catch (error) {
+    if (isPickerAbort(error)) return null
+    throw error
+  }
+}
+
+/**
+ * Check (and optionally request) permission on a handle.
+ * Requesting only works inside a user gesture; pass `request: false` from timers.
+ * @param {FileSystemFileHandle} handle
+ * @param {{mode?: 'read'|'readwrite', request?: boolean}} [options]
+ * @returns {Promise<boolean>}
+ */
+export async function ensureHandlePermission(handle, { mode = 'readwrite', request = true } = {}) {
+  if (!handle) return false
+  if (typeof handle.queryPermission !== 'function') return true
+  const state = await handle.queryPermission({ mode })
+  if (state === 'granted') return true
+  if (!request || state === 'denied' || typeof handle.requestPermission !== 'function') return false
+  try {
+    return (await handle.requestPermission({ mode })) === 'granted'
+  } catch {
+    return false
+  }
+}
+
+/** @param {FileSystemFileHandle} handle @returns {Promise<File>} */
+export async function readLinkedFile(handle) {
+  return handle.getFile()
+}
+
+/**
+ * Replace the file contents. The write goes to a swap file and is committed on close,
+ * so a failed write leaves the original intact.
+ * @param {FileSystemFileHandle} handle
+ * @param {Blob|string} data
+ * @returns {Promise<number>} `lastModified` of the written file
+ */
+export async function writeLinkedFile(handle, data) {
+  const writable = await handle.createWritable()
+  try {
+    await writable.write(data)
+    await writable.close()
+  } catch (error) {
+    await writable.abort?.().catch(() => {})
+    throw error
+  }
+  return (await handle.getFile()).lastModified
+}
@@ -1,35 +1,72 @@
 import { normalizeProject, PROJECT_SCHEMA_VERSION } from '../projectModel'
+import { downgradeProject, getProjectDataVersion, isNewerThanSupported, migrateAndNormalizeProject } from '../migration'
 import JSZip from 'jszip'
+import { buildProjectPackage, isZipData, PACKAGE_EXTENSION, readProjectPackage } from './projectPackage'
 
 const FILE_EXTENSION = '.metro-studio.json'
 
-/** @param {string} projectName @returns {string} */
-export function buildProjectFileName(projectName) {
+/** @param {string} projectName @param {string} [extension] @returns {string} */
+export function buildProjectFileName(projectName, extension = FILE_EXTENSION) {
   const safeName = (projectName || 'metro-studio-project').replace(/[<>:"/\\|?*]+/g, '_').trim()
-  return `${safeName || 'metro-studio-project'}${FILE_EXTENSION}`
+  return `${safeName || 'metro-studio-project'}${extension}`
+}
+
+function buildExportPayload(project) {
+  const normalized = normalizeProject(project)
+  return {
+    ...normalized,
+    // 载入时已升级到当前数据版本
+    projectVersion: PROJECT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+  }
 }
 
 /** @param {import('../projectModel').RailProject} project @returns {string} */
 export function serializeProject(project) {
-  const normalized = normalizeProject(project)
-  return JSON.stringify(
-    {
-      ...normalized,
-      projectVersion: normalized.projectVersion || PROJECT_SCHEMA_VERSION,
-      exportedAt: new Date().toISOString(),
-    },
-    null,
-    2,
-  )
+  return JSON.stringify(buildExportPayload(project), null, 2)
 }
 
-/** @param {import('../projectModel').RailProject} project @returns {void} */
+/** 旧版纯 JSON 工程文件（`.metro-studio.json`） @param {import('../projectModel').RailProject} project @returns {void} */
 export function downloadProjectFile(project) {
   const payload = serializeProject(project)
   const blob = new Blob([payload], { type: 'application/json' })
   downloadBlob(blob, buildProjectFileName(project.name))
 }
 
+/**
+ * 保存为旧数据版本的 JSON 工程文件，供旧版应用打开
+ * @param {import('../projectModel').RailProject} project
+ * @param {string} targetVersion
+ * @returns {string[]} 降级时舍弃的内容
+ */
+export function downloadProjectFileForVersion(project, targetVersion) {
+  const { data, dropped } = downgradeProject(buildExportPayload(project), targetVersion)
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
+  downloadBlob(blob, buildProjectFileName(`${project.name || 'metro-studio-project'}_v${targetVersion}`))
+  return dropped
+}
+
+/**
+ * 工程包（`.metro-studio`）：压缩 JSON、独立的区域边界、可选的报站音频与缩略图，附校验清单
+ * @param {import('../projectModel').RailProject} project
+ * @param {{audio?: import('./projectPackage').PackageAsset[], thumbnails?: import('./projectPackage').PackageAsset[]}} [assets]
+ * @returns {Promise<void>}
+ */
+export async function downloadProjectPackage(project, assets = {}) {
+  downloadBlob(await buildProjectPackageBlob(project, assets), buildProjectFileName(project.name, PACKAGE_EXTENSION))
+}
+
+/**
+ * 生成工程包内容，供下载或写回关联的磁盘文件
+ * @param {import('../projectModel').RailProject} project
+ * @param {{audio?: import('./projectPackage').PackageAsset[], thumbnails?: import('./projectPackage').PackageAsset[]}} [assets]
+ * @returns {Promise<Blob>}
+ */
+export async function buildProjectPackageBlob(project, assets = {}) {
+  const payload = buildExportPayload(project)
+  return buildProjectPackage(payload, { ...assets, exportedAt: payload.exportedAt })
+}
+
 /** @param {import('../projectModel').RailProject[]} [projects=[]] @param {string} [zipName='metro-studio-projects.zip'] @returns {Promise<void>} */
 export async function downloadProjectsZip(projects = [], zipName = 'metro-studio-projects.zip') {
   const list = Array.isArray(projects) ? projects.filter(Boolean) : []
@@ -57,17 +94,47 @@ export async function downloadProjectsZip(projects = [], zipName = 'metro-studio
   downloadBlob(zipBlob, zipName)
 }
 
-/** @param {File} file @returns {Promise<import('../projectModel').RailProject>} */
+/**
+ * @typedef {Object} ParsedProjectFile
+ * @property {import('../projectModel').RailProject} project
+ * @property {'package'|'json'} format
+ * @property {import('./projectPackage').PackageIssue[]} issues - 工程包中损坏或缺失、已被跳过的条目
+ * @property {{audio: import('./projectPackage').PackageAsset[], thumbnails: import('./projectPackage').PackageAsset[]}} assets
+ */
+
+/**
+ * 按内容识别工程包（zip）或旧版纯 JSON 工程文件。
+ * @param {File} file
+ * @returns {Promise<ParsedProjectFile>}
+ */
 export async function parseProjectFile(file) {
-  const text = await file.text()
-  const raw = JSON.parse(text)
+  const bytes = new Uint8Array(await file.arrayBuffer())
+  if (isZipData(bytes)) {
+    const { raw, audio, thumbnails, issues } = await readProjectPackage(bytes)
+    return { project: normalizeParsedProject(raw), format: 'package', issues, assets: { audio, thumbnails } }
+  }
+
+  let raw
+  try {
+    raw = JSON.parse(new TextDecoder().decode(bytes))
+  } catch {
+    throw new Error('工程文件不是有效的 JSON 或工程包')
+  }
+  return { project: normalizeParsedProject(raw), format: 'json', issues: [], assets: { audio: [], thumbnails: [] } }
+}
+
+function normalizeParsedProject(raw) {
   if (!raw || typeof raw !== 'object') {
     throw new Error('工程文件格式不正确')
   }
-  if (!raw.projectVersion) {
+  // 早期未标注 projectVersion 的工程文件按 0.0.0 升级，但至少要有线网数据
+  if (!raw.projectVersion && !['stations', 'edges', 'lines'].some((key) => Array.isArray(raw[key]))) {
     throw new Error('工程文件缺少 projectVersion')
   }
-  return normalizeProject(raw)
+  if (isNewerThanSupported(raw)) {
+    throw new Error(`工程文件的数据版本 ${getProjectDataVersion(raw)} 高于当前支持的 ${PROJECT_SCHEMA_VERSION}，请升级应用后再打开`)
+  }
+  return migrateAndNormalizeProject(raw)
 }
 
 function downloadBlob(blob, fileName) {
@@ -0,0 +1,207 @@
+/**
+ * Packaged project file (`.metro-studio`): a zip archive with a checksum manifest.
+ *
+ * Layout:
+ *   manifest.json       — format marker, project summary and one entry per file
+ *                         `{ path, role, mediaType, size, sha256, label? }`
+ *   project.json        — compact project JSON without `regionBoundary`
+ *   boundary.geojson    — the region boundary (omitted when the project has none)
+ *   audio/<name>        — optional embedded TTS announcement audio
+ *   thumbnails/<name>   — optional rendered previews (PNG)
+ *
+ * Reading verifies every manifest entry. A damaged or missing project.json is
+ * fatal; a damaged boundary, audio clip or thumbnail is dropped and reported
+ * in `issues` so the rest of the project still loads.
+ */
+import JSZip from 'jszip'
+
+export const PACKAGE_EXTENSION = '.metro-studio'
+export const PACKAGE_FORMAT = 'metro-studio-package'
+export const PACKAGE_FORMAT_VERSION = 1
+
+const MANIFEST_PATH = 'manifest.json'
+const PROJECT_PATH = 'project.json'
+const BOUNDARY_PATH = 'boundary.geojson'
+
+/**
+ * @typedef {Object} PackageAsset
+ * @property {string} name - file name inside `audio/` or `thumbnails/`
+ * @property {Blob|ArrayBuffer|Uint8Array} data
+ * @property {string} [mediaType]
+ * @property {string} [label]
+ */
+
+/**
+ * @typedef {Object} PackageIssue
+ * @property {string} path
+ * @property {'checksum'|'missing'|'unreadable'} reason
+ * @property {string} message
+ */
+
+/** True when the bytes start with a zip local file header. */
+export function isZipData(bytes) {
+  return bytes?.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04
+}
+
+async function toBytes(data) {
+  if (data instanceof Uint8Array) return data
+  if (data instanceof ArrayBuffer) return new Uint8Array(data)
+  if (typeof data === 'string') return new TextEncoder().encode(data)
+  return new Uint8Array(await data.arrayBuffer())
+}
+
+async function sha256Hex(bytes) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes)
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+function sanitizeEntryName(name, fallback) {
+  const safe = String(name || '').replace(/[<>:"/\\|?*\u0000-\u001f]+/g, '_').trim()
+  return safe || fallback
+}
+
+/**
+ * Build a `.metro-studio` package.
+ * @param {import('../projectModel').RailProject} project - already normalized
+ * @param {Object} [options]
+ * @param {PackageAsset[]} [options.audio]
+ * @param {PackageAsset[]} [options.thumbnails]
+ * @param {string} [options.exportedAt]
+ * @returns {Promise<Blob>}
+ */
+export async function buildProjectPackage(project, { audio = [], thumbnails = [], exportedAt } = {}) {
+  const zip = new JSZip()
+  const entries = []
+
+  async function addEntry(path, role, mediaType, data, extra = {}) {
+    const bytes = await toBytes(data)
+    // audio and images are already compressed
+    zip.file(path, bytes, role === 'audio' || role === 'thumbnail' ? { compression: 'STORE' } : {})
+    entries.push({ path, role, mediaType, size: bytes.length, sha256: await sha256Hex(bytes), ...extra })
+  }
+
+  const { regionBoundary, ...projectWithoutBoundary } = project
+  await addEntry(PROJECT_PATH, 'project', 'application/json', JSON.stringify(projectWithoutBoundary))
+  if (regionBoundary) {
+    await addEntry(BOUNDARY_PATH, 'boundary', 'application/geo+json', JSON.stringify(regionBoundary))
+  }
+
+  const usedPaths = new Set()
+  const assetGroups = [
+    ['audio', 'audio', audio, 'audio/wav'],
+    ['thumbnails', 'thumbnail', thumbnails, 'image/png'],
+  ]
+  for (const [folder, role, assets, defaultMediaType] of assetGroups) {
+    for (const [index, asset] of assets.entries()) {
+      if (!asset?.data) continue
+      const path = `${folder}/${sanitizeEntryName(asset.name, `${role}-${index + 1}`)}`
+      if (usedPaths.has(path)) continue
+      usedPaths.add(path)
+      const extra = asset.label ? { label: String(asset.label) } : {}
+      await addEntry(path, role, asset.mediaType || asset.data.type || defaultMediaType, asset.data, extra)
+    }
+  }
+
+  const manifest = {
+    format: PACKAGE_FORMAT,
+    formatVersion: PACKAGE_FORMAT_VERSION,
+    projectVersion: project.projectVersion,
+    projectId: project.id,
+    projectName: project.name,
+    exportedAt: exportedAt || new Date().toISOString(),
+    checksumAlgorithm: 'SHA-256',
+    entries,
+  }
+  zip.file(MANIFEST_PATH, JSON.stringify(manifest, null, 2))
+  return zip.generateAsync({
+    type: 'blob',
+    mimeType: 'application/zip',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 },
+  })
+}
+
+/**
+ * Read and verify a `.metro-studio` package.
+ * @param {Uint8Array|ArrayBuffer|Blob} data
+ * @returns {Promise<{raw: Object, manifest: Object, audio: PackageAsset[], thumbnails: PackageAsset[], issues: PackageIssue[]}>}
+ *   `raw` is the project JSON (boundary merged back), not yet normalized
+ */
+export async function readProjectPackage(data) {
+  let zip
+  try {
+    zip = await JSZip.loadAsync(await toBytes(data))
+  } catch {
+    throw new Error('工程包已损坏，无法解压')
+  }
+
+  const manifestFile = zip.file(MANIFEST_PATH)
+  if (!manifestFile) throw new Error('不是 Metro Studio 工程包（缺少 manifest.json）')
+  let manifest
+  try {
+    manifest = JSON.parse(await manifestFile.async('string'))
+  } catch {
+    throw new Error('工程包 manifest.json 已损坏')
+  }
+  if (manifest?.format !== PACKAGE_FORMAT || !Array.isArray(manifest.entries)) {
+    throw new Error('不是 Metro Studio 工程包（manifest 格式不正确）')
+  }
+  if (Number(manifest.formatVersion) > PACKAGE_FORMAT_VERSION) {
+    throw new Error(`工程包格式版本 ${manifest.formatVersion} 高于当前支持的版本 ${PACKAGE_FORMAT_VERSION}，请升级应用`)
+  }
+
+  const issues = []
+  const verified = new Map()
+  for (const entry of manifest.entries) {
+    const file = entry?.path ? zip.file(entry.path) : null
+    if (!file) {
+      issues.push({ path: entry?.path || '?', reason: 'missing', message: '条目缺失' })
+      continue
+    }
+    let bytes
+    try {
+      bytes = await file.async('uint8array')
+    } catch {
+      issues.push({ path: entry.path, reason: 'unreadable', message: '条目无法解压' })
+      continue
+    }
+    if (bytes.length !== entry.size || (await sha256Hex(bytes)) !== entry.sha256) {
+      issues.push({ path: entry.path, reason: 'checksum', message: '校验和不匹配' })
+      continue
+    }
+    verified.set(entry.path, { entry, bytes })
+  }
+
+  const projectEntry = verified.get(PROJECT_PATH)
+  if (!projectEntry) {
+    const issue = issues.find((item) => item.path === PROJECT_PATH)
+    throw new Error(`工程包中的 project.json ${issue ? issue.message : '缺失'}，无法载入`)
+  }
+  const decoder = new TextDecoder()
+  const raw = JSON.parse(decoder.decode(projectEntry.bytes))
+  raw.regionBoundary = null
+  const boundaryEntry = verified.get(BOUNDARY_PATH)
+  if (boundaryEntry) {
+    try {
+      raw.regionBoundary = JSON.parse(decoder.decode(boundaryEntry.bytes))
+    } catch {
+      issues.push({ path: BOUNDARY_PATH, reason: 'unreadable', message: '内容不是有效的 GeoJSON' })
+    }
+  }
+
+  const audio = []
+  const thumbnails = []
+  for (const { entry, bytes } of verified.values()) {
+    if (entry.role !== 'audio' && entry.role !== 'thumbnail') continue
+    const asset = {
+      name: entry.path.slice(entry.path.indexOf('/') + 1),
+      data: new Blob([bytes], { type: entry.mediaType || '' }),
+      mediaType: entry.mediaType || '',
+      label: entry.label || '',
+    }
+    if (entry.role === 'audio') audio.push(asset)
+    else thumbnails.push(asset)
+  }
+
+  return { raw, manifest, audio, thumbnails, issues }
+}
@@ -0,0 +1,167 @@
+/**
+ * Multi-tab coordination for the same project over BroadcastChannel.
+ *
+ * Every tab that has a project open joins a session for that project id. One
+ * tab is the "owner" and is the only one allowed to write the project to
+ * IndexedDB; the others are "viewers" that follow the owner's saves.
+ *
+ * Protocol (all messages carry `{ type, tabId, projectId }`):
+ * - `hello`    — a tab opened the project; the current owner answers with `owner`
+ * - `owner`    — announce ownership; two owners resolve it by keeping the smaller tab id
+ * - `claim`    — explicit takeover; the owner flushes pending saves, steps down and answers `released`
+ * - `released` — ack for a claim (`to` = claiming tab)
+ * - `release`  — the owner closed or switched project; viewers renegotiate
+ * - `saved`    — the owner persisted the project (`updatedAt`)
+ *
+ * Without BroadcastChannel (or without a project) the role is `solo`: the tab
+ * behaves as if it were the only one.
+ */
+
+export const TAB_SYNC_CHANNEL = 'railmap-project-sync'
+
+const NEGOTIATE_MS = 250
+const CLAIM_ACK_TIMEOUT_MS = 1500
+
+export function isTabSyncSupported() {
+  return typeof BroadcastChannel !== 'undefined'
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.tabId
+ * @param {string} [options.channelName]
+ * @param {(state: {role: 'solo'|'pending'|'owner'|'viewer', ownerTabId: string|null}) => void} [options.onStateChange]
+ * @param {(event: {tabId: string, updatedAt: string}) => void} [options.onRemoteSaved]
+ * @param {() => Promise<void>|void} [options.onYield] - called before stepping down for another tab's claim
+ */
+export function createTabSyncSession({ tabId, channelName = TAB_SYNC_CHANNEL, onStateChange, onRemoteSaved, onYield }) {
+  const channel = new BroadcastChannel(channelName)
+  let projectId = null
+  let role = 'solo'
+  let ownerTabId = null
+  let negotiateTimer = null
+  let pendingClaimAck = null
+
+  function setState(nextRole, nextOwnerTabId) {
+    role = nextRole
+    ownerTabId = nextOwnerTabId
+    onStateChange?.({ role, ownerTabId })
+  }
+
+  function post(type, extra = {}) {
+    channel.postMessage({ type, tabId, projectId, ...extra })
+  }
+
+  function clearNegotiation() {
+    if (negotiateTimer) clearTimeout(negotiateTimer)
+    negotiateTimer = null
+  }
+
+  function becomeOwner() {
+    clearNegotiation()
+    setState('owner', tabId)
+    post('owner')
+  }
+
+  function negotiate(delay = NEGOTIATE_MS) {
+    clearNegotiation()
+    setState('pending', null)
+    post('hello')
+    negotiateTimer = setTimeout(() => {
+      negotiateTimer = null
+      if (role === 'pending') becomeOwner()
+    }, delay)
+  }
+
+  channel.onmessage = async ({ data }) => {
+    if (!data || data.tabId === tabId || !projectId || data.projectId !== projectId) return
+    switch (data.type) {
+      case 'hello':
+        if (role === 'owner') post('owner')
+        break
+      case 'owner':
+        if (role === 'owner' && data.tabId > tabId) {
+          post('owner')
+          break
+        }
+        clearNegotiation()
+        setState('viewer', data.tabId)
+        break
+      case 'claim':
+        clearNegotiation()
+        if (role === 'owner') {
+          try {
+            await onYield?.()
+          } catch (error) {
+            console.warn('[tab-sync] 交出编辑权前保存失败', error)
+          }
+        }
+        setState('viewer', data.tabId)
+        post('released', { to: data.tabId })
+        break
+      case 'released':
+        if (data.to === tabId) pendingClaimAck?.()
+        break
+      case 'release':
+        if (data.tabId === ownerTabId) negotiate(NEGOTIATE_MS + Math.random() * NEGOTIATE_MS)
+        break
+      case 'saved':
+        onRemoteSaved?.({ tabId: data.tabId, updatedAt: data.updatedAt })
+        break
+      default:
+        break
+    }
+  }
+
+  return {
+    get role() {
+      return role
+    },
+    get ownerTabId() {
+      return ownerTabId
+    },
+
+    /** Switch the session to another project (null = no project open). */
+    join(nextProjectId) {
+      if (nextProjectId === projectId) return
+      this.leave()
+      projectId = nextProjectId || null
+      if (projectId) negotiate()
+    },
+
+    leave() {
+      clearNegotiation()
+      if (projectId && role === 'owner') post('release')
+      projectId = null
+      if (role !== 'solo') setState('solo', null)
+    },
+
+    /** Take over editing from the current owner; resolves once the owner stepped down (or did not answer). */
+    claim() {
+      if (!projectId) return Promise.resolve()
+      if (role === 'owner') return Promise.resolve()
+      clearNegotiation()
+      return new Promise((resolve) => {
+        const timer = setTimeout(done, CLAIM_ACK_TIMEOUT_MS)
+        function done() {
+          clearTimeout(timer)
+          pendingClaimAck = null
+          becomeOwner()
+          resolve()
+        }
+        pendingClaimAck = done
+        post('claim')
+      })
+    },
+
+    announceSaved(updatedAt) {
+      if (projectId && role !== 'viewer') post('saved', { updatedAt })
+    },
+
+    close() {
+      this.leave()
+      pendingClaimAck = null
+      channel.close()
+    },
+  }
+}
@@ -0,0 +1,89 @@
+import { calculateStationAccessibilityInWorker } from '../../../lib/network/workerClient'
+
+let accessibilityRequestId = 0
+
+const accessibilityActions = {
+  /**
+   * 线网可达性热力：在 Worker 中计算每个站点到其余各站的平均/中位最短网络距离。
+   * 结果记录计算时的工程 ID 与 `updatedAt`，工程变化后由地图侧触发重新计算；
+   * 计算期间工程又发生变化时，完成后立即再算一次；过期请求的结果直接丢弃。
+   */
+  async refreshAccessibility() {
+    if (!this.project) return
+    const requestId = ++accessibilityRequestId
+    const projectId = this.project.id
+    const updatedAt = this.project.meta?.updatedAt || null
+    this.accessibility.loading = true
+    try {
+      const result = await calculateStationAccessibilityInWorker({
+        stations: this.project.stations || [],
+        edges: this.project.edges || [],
+        manualTransfers: this.project.manualTransfers || [],
+      })
+      if (requestId !== accessibilityRequestId || !this.accessibility.active) return
+      this.accessibility.result = result ? { ...result, projectId, updatedAt } : null
+      this.statusText = result
+        ? `可达性分析完成：${result.stations.length} 站`
+        : '线网中没有可分析的站点'
+    } catch (error) {
+      if (requestId !== accessibilityRequestId) return
+      this.accessibility.result = null
+      this.statusText = `可达性分析失败: ${error.message || 'unknown error'}`
+    } finally {
+      if (requestId === accessibilityRequestId) this.accessibility.loading = false
+    }
+    if (requestId !== accessibilityRequestId || !this.accessibility.active || !this.project) return
+    if (this.project.id !== projectId || (this.project.meta?.updatedAt || null) !== updatedAt) {
+      this.refreshAccessibility()
+    }
+  },
+
+  toggleAccessibilityOverlay() {
+    if (this.accessibility.active) {
+      this.clearAccessibility()
+      return
+    }
+    this.clearCentralityOverlay()
+    this.accessibility.active = true
+    this.refreshAccessibility()
+  },
+
+  setAccessibilityMetric(metric) {
+    this.accessibility.metric = metric === 'median' ? 'median' : 'mean'
+  },
+
+  clearAccessibility() {
+    accessibilityRequestId++
+    this.accessibility = {
+      active: false,
+      loading: false,
+      metric: this.accessibility.metric,
+      result: null,
+    }
+  },
+
+  /**
+   * 按介数中心性为站点着色。数值由统计弹窗的 `calculateNetworkMetrics` 结果传入，
+   * 与线网可达性共用站点分级图层，因此开启时会关闭可达性图层。
+   */
+  showCentralityOverlay({ valuesByStation, breaks } = {}) {
+    if (!valuesByStation) return
+    if (this.accessibility.active) this.clearAccessibility()
+    this.centrality = {
+      active: true,
+      valuesByStation,
+      breaks: breaks || [],
+    }
+    this.statusText = '地图已按介数中心性着色'
+  },
+
+  clearCentralityOverlay() {
+    this.centrality = {
+      active: false,
+      valuesByStation: null,
+      breaks: [],
+    }
+  },
+}
+
+export { accessibilityActions }
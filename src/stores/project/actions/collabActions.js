@@ -0,0 +1,270 @@
+import { toRaw } from 'vue'
+import { createCollabDocument } from '../../../lib/collab/lwwDocument'
+import { createWebSocketTransport } from '../../../lib/collab/websocketTransport'
+import { createId } from '../../../lib/ids'
+
+const COLLAB_URL_KEY = 'metro_studio_collab_url'
+const COLLAB_NAME_KEY = 'metro_studio_collab_name'
+const PRESENCE_THROTTLE_MS = 80
+const MAX_PRESENCE_SELECTION = 200
+const PEER_COLORS = ['#f97316', '#22c55e', '#3b82f6', '#e11d48', '#a855f7', '#14b8a6', '#eab308', '#ec4899']
+
+// 连接、CRDT 文档与节流计时器不放进 state，避免被响应式代理
+let collabTransport = null
+let collabDocument = null
+let collabUnsubscribers = []
+let collabSeeded = false
+let localPresence = { view: null, cursor: null }
+let presenceTimer = null
+
+function readSetting(key, fallback) {
+  try {
+    return window.localStorage.getItem(key) || fallback
+  } catch {
+    return fallback
+  }
+}
+
+function writeSetting(key, value) {
+  try {
+    window.localStorage.setItem(key, value)
+  } catch { /* ignore */ }
+}
+
+function pickPeerColor(clientId) {
+  let hash = 0
+  for (const char of String(clientId)) hash = (hash * 31 + char.charCodeAt(0)) >>> 0
+  return PEER_COLORS[hash % PEER_COLORS.length]
+}
+
+export function getInitialCollabUrl() {
+  return readSetting(COLLAB_URL_KEY, 'ws://localhost:8787')
+}
+
+export function getInitialCollabName() {
+  return readSetting(COLLAB_NAME_KEY, '')
+}
+
+const collabActions = {
+  /**
+   * 连接协同中继并加入房间（默认以工程 id 为房间名）。
+   * 房间为空时以本地工程作为初始内容；否则以房间内容替换本地的站点、线段、线路与标注。
+   * @param {{url?: string, room?: string, name?: string}} [options]
+   */
+  startCollab({ url, room, name } = {}) {
+    if (!this.project) return
+    this.stopCollab()
+    const clientId = createId('peer')
+    const resolvedUrl = String(url || this.collab.url || '').trim() || 'ws://localhost:8787'
+    const resolvedName = String(name || this.collab.user.name || '').trim() || `用户 ${clientId.slice(-4)}`
+    writeSetting(COLLAB_URL_KEY, resolvedUrl)
+    writeSetting(COLLAB_NAME_KEY, resolvedName)
+
+    this.collab.url = resolvedUrl
+    this.collab.room = String(room || '').trim() || this.project.id
+    this.collab.projectId = this.project.id
+    this.collab.clientId = clientId
+    this.collab.user = { name: resolvedName, color: pickPeerColor(clientId) }
+    this.collab.peers = {}
+    this.collab.error = ''
+
+    collabDocument = createCollabDocument(clientId)
+    collabSeeded = false
+    localPresence = { view: null, cursor: null }
+    collabTransport = createWebSocketTransport({ url: resolvedUrl })
+    collabUnsubscribers = [
+      collabTransport.onStatus((status) => {
+        if (status === 'open') {
+          // 重连后重新加入；welcome 中的全量操作可重复应用
+          collabTransport.send({ type: 'join', room: this.collab.room, clientId, user: this.collab.user })
+          this.collab.status = 'connected'
+          this.collab.error = ''
+          this.flushCollabPresence()
+          return
+        }
+        if (status === 'closed') {
+          this.collab.peers = {}
+          this.collab.status = 'connecting'
+          this.collab.error = '连接已断开，正在重试'
+          return
+        }
+        this.collab.status = 'connecting'
+      }),
+      collabTransport.onMessage((message) => this.handleCollabMessage(message)),
+    ]
+    this.collab.status = 'connecting'
+    collabTransport.connect()
+    this.statusText = `正在连接协同中继：${resolvedUrl}`
+  },
+
+  stopCollab() {
+    for (const unsubscribe of collabUnsubscribers) unsubscribe()
+    collabUnsubscribers = []
+    collabTransport?.close()
+    collabTransport = null
+    collabDocument = null
+    collabSeeded = false
+    if (presenceTimer) clearTimeout(presenceTimer)
+    presenceTimer = null
+    if (this.collab.status !== 'idle') this.statusText = '已断开协同编辑'
+    this.collab.status = 'idle'
+    this.collab.projectId = null
+    this.collab.peers = {}
+    this.collab.error = ''
+  },
+
+  /** 当前工程是否处于协同会话中（切换工程后自动失效） */
+  isCollabActive() {
+    return Boolean(collabTransport && collabDocument && this.project && this.project.id === this.collab.projectId)
+  },
+
+  handleCollabMessage(message) {
+    if (!this.isCollabActive()) return
+    switch (message?.type) {
+      case 'welcome': {
+        const peers = {}
+        for (const peer of message.peers || []) {
+          peers[peer.clientId] = { user: peer.user || {}, presence: peer.presence || null }
+        }
+        this.collab.peers = peers
+        const ops = Array.isArray(message.ops) ? message.ops : []
+        if (collabSeeded) {
+          this.applyCollabChanges(collabDocument.applyRemoteOps(ops))
+          return
+        }
+        collabSeeded = true
+        if (!ops.length) {
+          const seedOps = collabDocument.opsFromProject(toRaw(this.project))
+          if (seedOps.length) collabTransport.send({ type: 'ops', ops: seedOps })
+          this.statusText = `已创建协同房间：${this.collab.room}`
+          return
+        }
+        collabDocument.applyRemoteOps(ops)
+        this.replaceCollabCollections()
+        this.statusText = `已加入协同房间：${this.collab.room}`
+        break
+      }
+      case 'ops':
+        this.applyCollabChanges(collabDocument.applyRemoteOps(message.ops))
+        break
+      case 'presence':
+        if (message.clientId && message.clientId !== this.collab.clientId) {
+          this.collab.peers = {
+            ...this.collab.peers,
+            [message.clientId]: { user: message.user || {}, presence: message.presence || null },
+          }
+        }
+        break
+      case 'leave': {
+        if (!this.collab.peers[message.clientId]) break
+        const { [message.clientId]: _removed, ...rest } = this.collab.peers
+        this.collab.peers = rest
+        break
+      }
+      default:
+        break
+    }
+  },
+
+  /** 加入已有房间：以房间文档替换本地集合，撤销历史从此重新计算 */
+  replaceCollabCollections() {
+    const project = this.project
+    for (const collection of ['stations', 'edges', 'lines', 'annotations']) {
+      const byId = new Map((project[collection] || []).map((item) => [item.id, item]))
+      project[collection] = collabDocument
+        .liveIds(collection)
+        .map((id) => ({ ...(byId.get(id) || {}), ...collabDocument.materialize(collection, id) }))
+    }
+    this.pruneCollabSelection()
+    this.recomputeStationLineMembership()
+    this.resetHistoryBaseline()
+    this.schedulePersist()
+  },
+
+  /**
+   * 应用远端修改：逐对象替换、追加或删除，重算派生字段，
+   * 并刷新撤销影子使远端修改不会进入本地撤销记录。
+   * @param {Array<{collection: string, id: string, value: Object|null}>} changes
+   */
+  applyCollabChanges(changes) {
+    if (!changes?.length || !this.project) return
+    const project = this.project
+    for (const { collection, id, value } of changes) {
+      const items = project[collection]
+      if (!Array.isArray(items)) continue
+      const index = items.findIndex((item) => item.id === id)
+      if (!value) {
+        if (index >= 0) items.splice(index, 1)
+        continue
+      }
+      if (index >= 0) items[index] = { ...items[index], ...value }
+      else items.push(value)
+    }
+    this.pruneCollabSelection()
+    this.recomputeStationLineMembership()
+    this.refreshHistoryShadow()
+    this.schedulePersist()
+  },
+
+  /** 远端删除对象后去掉本地选择中已不存在的站点和线段 */
+  pruneCollabSelection() {
+    const stationIds = new Set(this.project.stations.map((station) => station.id))
+    const edgeIds = new Set(this.project.edges.map((edge) => edge.id))
+    if (this.selectedStationIds.some((id) => !stationIds.has(id))) {
+      this.selectedStationIds = this.selectedStationIds.filter((id) => stationIds.has(id))
+    }
+    if (this.selectedStationId && !stationIds.has(this.selectedStationId)) this.selectedStationId = null
+    if (this.selectedEdgeIds.some((id) => !edgeIds.has(id))) {
+      this.selectedEdgeIds = this.selectedEdgeIds.filter((id) => edgeIds.has(id))
+    }
+    if (this.selectedEdgeId && !edgeIds.has(this.selectedEdgeId)) {
+      this.selectedEdgeId = null
+      this.selectedEdgeAnchor = null
+    }
+    if (this.pendingEdgeStartStationId && !stationIds.has(this.pendingEdgeStartStationId)) {
+      this.pendingEdgeStartStationId = null
+    }
+    if (!this.project.lines.some((line) => line.id === this.activeLineId)) {
+      this.activeLineId = this.project.lines[0]?.id || null
+    }
+  },
+
+  /**
+   * 由撤销历史调用：把本地编辑（或撤销/重做）的补丁转为操作发送给其他协作者。
+   * @param {Object} patch - lib/history/projectPatch 生成的补丁
+   * @param {'undo'|'redo'} [direction]
+   */
+  publishCollabPatch(patch, direction = 'redo') {
+    if (!collabSeeded || !this.isCollabActive()) return
+    const ops = collabDocument.opsFromPatch(patch, direction)
+    if (ops.length) collabTransport.send({ type: 'ops', ops })
+  },
+
+  /**
+   * 更新本地光标所在视图与位置（地图为经纬度，示意图为模型坐标），节流后连同选择一起广播。
+   * @param {{view?: 'map'|'schematic'|null, cursor?: number[]|null}} presence
+   */
+  updateCollabPresence(presence) {
+    if (!this.isCollabActive()) return
+    localPresence = { ...localPresence, ...presence }
+    if (presenceTimer) return
+    presenceTimer = setTimeout(() => {
+      presenceTimer = null
+      this.flushCollabPresence()
+    }, PRESENCE_THROTTLE_MS)
+  },
+
+  flushCollabPresence() {
+    if (!this.isCollabActive()) return
+    collabTransport.send({
+      type: 'presence',
+      presence: {
+        ...localPresence,
+        stationIds: this.selectedStationIds.slice(0, MAX_PRESENCE_SELECTION),
+        edgeIds: this.selectedEdgeIds.slice(0, MAX_PRESENCE_SELECTION),
+      },
+    })
+  },
+}
+
+export { collabActions }
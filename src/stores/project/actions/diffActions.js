@@ -0,0 +1,85 @@
+import { diffProjects } from '../../../lib/diff/projectDiff'
+import { loadProjectFromDb, loadRevisionFromDb } from '../../../lib/storage/db'
+import { parseProjectFile } from '../../../lib/storage/projectFile'
+
+let diffRequestId = 0
+
+function createProjectDiffState() {
+  return {
+    active: false,
+    loading: false,
+    baseLabel: '',
+    targetLabel: '',
+    result: null,
+  }
+}
+
+/**
+ * 解析对比来源：
+ * - `{ type: 'current' }` 当前工程
+ * - `{ type: 'revision', id }` 当前工程的检查点
+ * - `{ type: 'project', id }` 本地库中的工程
+ * - `{ type: 'file', file }` 工程文件
+ * @returns {Promise<{project: Object, label: string}>}
+ */
+async function resolveDiffSource(store, source) {
+  if (source?.type === 'current') {
+    if (!store.project) throw new Error('当前无已打开工程')
+    return { project: JSON.parse(JSON.stringify(store.project)), label: `当前工程「${store.project.name}」` }
+  }
+  if (source?.type === 'revision') {
+    const revision = await loadRevisionFromDb(source.id)
+    if (!revision) throw new Error('检查点不存在或已被删除')
+    return { project: revision.project, label: `检查点「${revision.name}」` }
+  }
+  if (source?.type === 'project') {
+    const project = await loadProjectFromDb(source.id)
+    if (!project) throw new Error('本地库中找不到该工程')
+    return { project, label: `本地库「${project.name}」` }
+  }
+  if (source?.type === 'file' && source.file) {
+    const { project } = await parseProjectFile(source.file)
+    return { project, label: `文件「${source.file.name}」` }
+  }
+  throw new Error('未选择对比来源')
+}
+
+const diffActions = {
+  /**
+   * 对比两个工程版本（A 为基准，B 为对比对象），结果以面板与地图覆盖层展示。
+   * @param {Object} baseSource - 见 resolveDiffSource
+   * @param {Object} targetSource
+   */
+  async runProjectDiff(baseSource, targetSource) {
+    const requestId = ++diffRequestId
+    this.projectDiff = { ...createProjectDiffState(), active: true, loading: true }
+    if (this.disruption.active) this.exitDisruption()
+    try {
+      const [base, target] = await Promise.all([
+        resolveDiffSource(this, baseSource),
+        resolveDiffSource(this, targetSource),
+      ])
+      const result = diffProjects(base.project, target.project)
+      if (requestId !== diffRequestId) return
+      this.projectDiff = {
+        active: true,
+        loading: false,
+        baseLabel: base.label,
+        targetLabel: target.label,
+        result,
+      }
+      this.statusText = result.isEmpty ? '两个版本之间没有结构差异' : '工程对比完成'
+    } catch (error) {
+      if (requestId !== diffRequestId) return
+      this.projectDiff = createProjectDiffState()
+      this.statusText = `工程对比失败: ${error.message || 'unknown error'}`
+    }
+  },
+
+  clearProjectDiff() {
+    diffRequestId++
+    this.projectDiff = createProjectDiffState()
+  },
+}
+
+export { diffActions }
@@ -0,0 +1,101 @@
+import { analyzeDisruptionInWorker } from '../../../lib/network/workerClient'
+
+let disruptionRequestId = 0
+
+function createDisruptionState(previous = {}) {
+  return {
+    active: false,
+    closedEdgeIds: [],
+    closedStationIds: [],
+    thresholdPercent: previous.thresholdPercent ?? 20,
+    loading: false,
+    result: null,
+    selectedPairIndex: -1,
+  }
+}
+
+function toggleId(list, id) {
+  return list.includes(id) ? list.filter((item) => item !== id) : [...list, id]
+}
+
+const disruptionActions = {
+  /**
+   * 中断模拟模式：在地图上点选要关闭的区间或车站，比较关闭前后的连通分量与各 OD 对最短距离。
+   * 与导航模式互斥，进入时关闭工程对比覆盖层。
+   */
+  enterDisruption() {
+    if (this.navigation.active) this.exitNavigation()
+    if (this.projectDiff.active) this.clearProjectDiff()
+    this.disruption = { ...createDisruptionState(this.disruption), active: true }
+    this.statusText = '中断模拟：点击车站或区间将其关闭，再次点击恢复'
+  },
+
+  exitDisruption() {
+    disruptionRequestId++
+    this.disruption = createDisruptionState(this.disruption)
+  },
+
+  toggleDisruptionStation(stationId) {
+    if (!this.disruption.active || !stationId) return
+    this.disruption.closedStationIds = toggleId(this.disruption.closedStationIds, stationId)
+    this.runDisruptionAnalysis()
+  },
+
+  toggleDisruptionEdge(edgeId) {
+    if (!this.disruption.active || !edgeId) return
+    this.disruption.closedEdgeIds = toggleId(this.disruption.closedEdgeIds, edgeId)
+    this.runDisruptionAnalysis()
+  },
+
+  clearDisruptionClosures() {
+    this.disruption.closedEdgeIds = []
+    this.disruption.closedStationIds = []
+    this.runDisruptionAnalysis()
+  },
+
+  setDisruptionThreshold(percent) {
+    const value = Number(percent)
+    this.disruption.thresholdPercent = Number.isFinite(value) ? Math.max(0, Math.min(1000, value)) : 20
+    this.runDisruptionAnalysis()
+  },
+
+  selectDisruptionPair(index) {
+    const count = this.disruption.result?.longerPairs?.length || 0
+    this.disruption.selectedPairIndex = Number.isInteger(index) && index >= 0 && index < count ? index : -1
+  },
+
+  async runDisruptionAnalysis() {
+    if (!this.project || !this.disruption.active) return
+    const requestId = ++disruptionRequestId
+    const { closedEdgeIds, closedStationIds, thresholdPercent } = this.disruption
+    this.disruption.selectedPairIndex = -1
+    if (!closedEdgeIds.length && !closedStationIds.length) {
+      this.disruption.loading = false
+      this.disruption.result = null
+      return
+    }
+
+    this.disruption.loading = true
+    try {
+      const result = await analyzeDisruptionInWorker({
+        stations: this.project.stations || [],
+        edges: this.project.edges || [],
+        manualTransfers: this.project.manualTransfers || [],
+        closedEdgeIds,
+        closedStationIds,
+        detourThresholdPercent: thresholdPercent,
+      })
+      if (requestId !== disruptionRequestId) return
+      this.disruption.result = result
+      this.statusText = `中断模拟：孤立 ${result.isolatedStationIds.length} 站，不可达 ${result.unreachableCount} 对，绕行超过 ${thresholdPercent}% 的 ${result.longerCount} 对`
+    } catch (error) {
+      if (requestId !== disruptionRequestId) return
+      this.disruption.result = null
+      this.statusText = `中断模拟失败: ${error.message || 'unknown error'}`
+    } finally {
+      if (requestId === disruptionRequestId) this.disruption.loading = false
+    }
+  },
+}
+
+export { disruptionActions }
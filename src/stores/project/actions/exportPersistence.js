@@ -1,27 +1,150 @@
 import {
   downloadAllLineHudZip,
   downloadOfficialSchematicPng,
+  renderSchematicThumbnail,
 } from '../../../lib/export/exportSchematic'
-import { saveProjectToDb, setLatestProject } from '../../../lib/storage/db'
-import { downloadProjectFile, parseProjectFile } from '../../../lib/storage/projectFile'
+import {
+  deleteLinkedFileFromDb,
+  loadLinkedFileFromDb,
+  saveLinkedFileToDb,
+  saveProjectToDb,
+  setLatestProject,
+} from '../../../lib/storage/db'
+import {
+  buildProjectFileName,
+  buildProjectPackageBlob,
+  downloadProjectFile,
+  downloadProjectFileForVersion,
+  downloadProjectPackage,
+  parseProjectFile,
+  serializeProject,
+} from '../../../lib/storage/projectFile'
+import {
+  detectLinkedFileFormat,
+  ensureHandlePermission,
+  isFileSystemAccessSupported,
+  pickProjectFileToOpen,
+  pickProjectFileToSave,
+  readLinkedFile,
+  writeLinkedFile,
+} from '../../../lib/storage/linkedFile'
+import { PACKAGE_EXTENSION } from '../../../lib/storage/projectPackage'
+import { downloadGtfsFeedZip } from '../../../lib/storage/gtfsExport'
+import { downloadNetworkGeoJson, downloadNetworkKml } from '../../../lib/storage/geoNetworkFile'
 import { validateProject } from '../../../lib/validation'
 import { exportTimelineVideo, getResolutionPresets } from '../../../lib/timeline/timelineExporter'
 
 let persistTimer = null
 let actualRoutePngExporter = null
+// 随工程包保存的报站音频（Blob 不放进 state），只属于 projectId 对应的工程
+let embeddedAudio = { projectId: null, items: [] }
+
+// 关联的磁盘文件句柄（不放进 state）；linkRevision 用于丢弃过期的异步恢复，linkedEditCount 判断写入期间是否又有编辑
+let linkedHandle = null
+let linkRevision = 0
+let linkedEditCount = 0
+
+/** 关联磁盘文件的初始状态；`projectId` 与当前工程一致时关联才生效 */
+export function createLinkedFileState() {
+  return {
+    supported: isFileSystemAccessSupported(),
+    projectId: null,
+    name: '',
+    format: 'json', // 'json' | 'package'
+    lastModified: 0,
+    dirty: false,
+    externalChange: false,
+    saving: false,
+  }
+}
+
+function getEmbeddedAudio(project) {
+  return project && embeddedAudio.projectId === project.id ? embeddedAudio.items : []
+}
+
+function formatPackageIssues(issues) {
+  return issues.map((issue) => `${issue.path}（${issue.message}）`).join('、')
+}
+
+async function collectPackageAssets(project) {
+  const thumbnails = []
+  try {
+    const thumbnail = await renderSchematicThumbnail(project)
+    if (thumbnail) thumbnails.push({ name: 'schematic.png', data: thumbnail.blob, label: '示意图' })
+  } catch (error) {
+    console.warn('[project-file] 缩略图生成失败，工程包中不含缩略图', error)
+  }
+  return { audio: getEmbeddedAudio(project), thumbnails }
+}
+
+async function buildLinkedFileData(project, format) {
+  if (format === 'package') return buildProjectPackageBlob(project, await collectPackageAssets(project))
+  return new Blob([serializeProject(project)], { type: 'application/json' })
+}
+
+function saveLinkedRecord(state) {
+  if (!linkedHandle || !state.projectId) return Promise.resolve()
+  return saveLinkedFileToDb(state.projectId, {
+    handle: linkedHandle,
+    name: state.name,
+    format: state.format,
+    lastModified: state.lastModified,
+    dirty: state.dirty,
+  }).catch((error) => {
+    console.warn('[linked-file] 关联记录保存失败', error)
+  })
+}
 
 const exportPersistenceActions = {
-  async exportProjectFile() {
+  /**
+   * 保存工程文件。默认为工程包（`.metro-studio`，含缩略图与已嵌入的报站音频），
+   * `format: 'json'` 为旧版纯 JSON；指定 `targetVersion` 时降级为旧数据版本的 JSON。
+   * @param {{format?: 'package'|'json', targetVersion?: string}} [options]
+   */
+  async exportProjectFile({ format = 'package', targetVersion } = {}) {
     if (!this.project) return
-    downloadProjectFile(this.project)
-    this.statusText = '工程文件已导出'
+    if (targetVersion) {
+      const dropped = downloadProjectFileForVersion(this.project, targetVersion)
+      this.statusText = dropped.length
+        ? `已导出数据版本 ${targetVersion} 的工程文件（已舍弃：${dropped.join('、')}）`
+        : `已导出数据版本 ${targetVersion} 的工程文件`
+      return
+    }
+    if (format === 'json') {
+      downloadProjectFile(this.project)
+      this.statusText = '工程文件已导出（JSON）'
+      return
+    }
+    const { audio, thumbnails } = await collectPackageAssets(this.project)
+    await downloadProjectPackage(this.project, { audio, thumbnails })
+    this.statusText = audio.length ? `工程包已导出（含 ${audio.length} 段报站音频）` : '工程包已导出'
   },
 
+  /**
+   * 将报站音频嵌入当前工程，下次保存工程包时写入；同名文件覆盖。
+   * @param {Array<{name: string, data: Blob, label?: string}>} items
+   */
+  embedProjectAudio(items) {
+    if (!this.project || !items?.length) return
+    const byName = new Map(getEmbeddedAudio(this.project).map((item) => [item.name, item]))
+    for (const item of items) {
+      if (item?.name && item.data) byName.set(item.name, item)
+    }
+    embeddedAudio = { projectId: this.project.id, items: [...byName.values()] }
+    this.statusText = `已嵌入 ${items.length} 段报站音频，保存工程包时写入（共 ${byName.size} 段）`
+  },
+
+  /**
+   * 载入工程文件（工程包或 JSON）并存入本地库。
+   * @param {File} file
+   * @returns {Promise<'package'|'json'|undefined>} 载入的文件格式，未载入时为 undefined
+   */
   async importProjectFile(file) {
     if (!file) return
     const { isTrial } = await import('../../../composables/useLicense')
     if (isTrial.value) { this.statusText = '试用版不支持导入文件'; return }
-    const parsed = await parseProjectFile(file)
+    const { project: parsed, format, issues: fileIssues, assets } = await parseProjectFile(file)
+    embeddedAudio = { projectId: parsed.id, items: assets.audio }
     this.project = parsed
     this.regionBoundary = parsed.regionBoundary || null
     this.activeLineId = this.project.lines[0]?.id || null
@@ -39,7 +162,11 @@ const exportPersistenceActions = {
       message: '',
     }
     this.recomputeStationLineMembership()
-    const importLabel = `已加载工程文件: ${parsed.name}`
+    let importLabel = `已加载工程${format === 'package' ? '包' : '文件'}: ${parsed.name}`
+    if (fileIssues.length) {
+      importLabel += ` (已跳过损坏的条目: ${formatPackageIssues(fileIssues)})`
+      console.warn('[project-file] 工程包条目校验失败', fileIssues)
+    }
     this.statusText = importLabel
     this.resetHistoryBaseline()
     await this.persistNow()
@@ -58,6 +185,202 @@ const exportPersistenceActions = {
       if (warnings.length > 0) parts.push(`${warnings.length} 个警告`)
       this.statusText = `${importLabel} (数据校验: ${parts.join(', ')})`
     }
+    return format
+  },
+
+  // ── 关联的磁盘文件（File System Access API） ──
+
+  /** 当前工程是否关联了磁盘文件 */
+  isLinkedFileActive() {
+    return Boolean(linkedHandle && this.project && this.linkedFile.projectId === this.project.id)
+  },
+
+  /** 用文件选择器打开磁盘上的工程文件并保持关联，之后 Ctrl+S 直接写回该文件 */
+  async openLinkedProjectFile() {
+    try {
+      const handle = await pickProjectFileToOpen()
+      if (!handle) return
+      const file = await readLinkedFile(handle)
+      const format = await this.importProjectFile(file)
+      if (!format) return
+      await this.linkProjectFile(handle, { format, lastModified: file.lastModified })
+      this.statusText = `${this.statusText}，已关联磁盘文件 ${handle.name}`
+    } catch (error) {
+      this.statusText = `加载工程失败: ${error.message || '未知错误'}`
+    }
+  },
+
+  /**
+   * 将当前工程关联到磁盘文件句柄并记入本地库，刷新页面后仍保持关联。
+   * @param {FileSystemFileHandle} handle
+   * @param {{format: 'package'|'json', lastModified: number}} options
+   */
+  async linkProjectFile(handle, { format, lastModified }) {
+    if (!this.project) return
+    linkRevision += 1
+    linkedHandle = handle
+    this.linkedFile = {
+      ...createLinkedFileState(),
+      projectId: this.project.id,
+      name: handle.name,
+      format,
+      lastModified,
+    }
+    await saveLinkedRecord(this.linkedFile)
+  },
+
+  /**
+   * 保存为新的磁盘文件并关联（「另存为」）。不支持 File System Access API 时退回为下载。
+   * @param {{format?: 'package'|'json'}} [options]
+   */
+  async saveProjectToNewLinkedFile({ format = 'json' } = {}) {
+    if (!this.project) return
+    if (!this.linkedFile.supported) {
+      await this.exportProjectFile({ format })
+      this.statusText = `${this.statusText}（浏览器不支持直接写入磁盘，已改为下载）`
+      return
+    }
+    try {
+      const extension = format === 'package' ? PACKAGE_EXTENSION : undefined
+      const handle = await pickProjectFileToSave(buildProjectFileName(this.project.name, extension), format)
+      if (!handle) return
+      const fileFormat = detectLinkedFileFormat(handle.name)
+      const lastModified = await writeLinkedFile(handle, await buildLinkedFileData(this.project, fileFormat))
+      await this.linkProjectFile(handle, { format: fileFormat, lastModified })
+      this.statusText = `已保存并关联磁盘文件：${handle.name}`
+    } catch (error) {
+      this.statusText = `保存到磁盘失败: ${error.message || '未知错误'}`
+      throw error
+    }
+  },
+
+  /**
+   * 写回关联的磁盘文件。写入前比较磁盘文件的修改时间，被其他程序改过时返回 `conflict`，
+   * 由调用方确认后以 `overwrite: true` 覆盖。
+   * @param {{overwrite?: boolean, interactive?: boolean}} [options]
+   *   `interactive` 为 false 时（自动保存）不请求权限，且无修改时跳过
+   * @returns {Promise<'saved'|'clean'|'conflict'|'denied'|'unlinked'>}
+   */
+  async saveLinkedFile({ overwrite = false, interactive = true } = {}) {
+    if (!this.isLinkedFileActive()) return 'unlinked'
+    if (this.tabSync.role === 'viewer') return 'denied'
+    if (!interactive && !this.linkedFile.dirty) return 'clean'
+    const handle = linkedHandle
+    const state = this.linkedFile
+    if (!(await ensureHandlePermission(handle, { request: interactive }))) {
+      this.statusText = interactive
+        ? `没有写入 ${state.name} 的权限，未写回磁盘文件`
+        : `磁盘文件 ${state.name} 需要重新授权，按 Ctrl+S 写回`
+      return 'denied'
+    }
+    state.saving = true
+    try {
+      if (!overwrite) {
+        const onDisk = await readLinkedFile(handle)
+        if (onDisk.lastModified !== state.lastModified) {
+          state.externalChange = true
+          return 'conflict'
+        }
+      }
+      const editCount = linkedEditCount
+      const lastModified = await writeLinkedFile(handle, await buildLinkedFileData(this.project, state.format))
+      state.lastModified = lastModified
+      state.externalChange = false
+      state.dirty = editCount !== linkedEditCount
+      await saveLinkedRecord(state)
+      this.statusText = `已写回磁盘文件：${state.name}`
+      return 'saved'
+    } catch (error) {
+      this.statusText = `写回磁盘文件失败: ${error.message || '未知错误'}`
+      throw error
+    } finally {
+      state.saving = false
+    }
+  },
+
+  /**
+   * 窗口重新获得焦点时检查关联文件是否被其他程序修改：
+   * 本页没有未写回的修改时直接重新载入，否则标记冲突。
+   * @returns {Promise<'unlinked'|'unavailable'|'unchanged'|'reloaded'|'conflict'|'pending'>}
+   *   `pending` 表示冲突此前已标记，尚未处理
+   */
+  async checkLinkedFileOnDisk() {
+    if (!this.isLinkedFileActive() || this.tabSync.role === 'viewer') return 'unlinked'
+    const handle = linkedHandle
+    if (!(await ensureHandlePermission(handle, { mode: 'read', request: false }))) return 'unavailable'
+    let file
+    try {
+      file = await readLinkedFile(handle)
+    } catch {
+      this.statusText = `无法读取关联的磁盘文件 ${this.linkedFile.name}（可能已被移动或删除）`
+      return 'unavailable'
+    }
+    if (file.lastModified === this.linkedFile.lastModified) return 'unchanged'
+    if (this.linkedFile.externalChange) return 'pending'
+    if (!this.linkedFile.dirty) {
+      await this.reloadLinkedFile(file)
+      return 'reloaded'
+    }
+    this.linkedFile.externalChange = true
+    return 'conflict'
+  },
+
+  /**
+   * 从关联的磁盘文件重新载入工程，放弃未写回的修改。
+   * @param {File} [file] - 已读取的磁盘文件，省略时重新读取
+   */
+  async reloadLinkedFile(file) {
+    if (!this.isLinkedFileActive()) return
+    const handle = linkedHandle
+    try {
+      const current = file || (await readLinkedFile(handle))
+      const format = await this.importProjectFile(current)
+      if (!format) return
+      await this.linkProjectFile(handle, { format, lastModified: current.lastModified })
+      this.statusText = `已从磁盘重新载入：${handle.name}`
+    } catch (error) {
+      this.statusText = `重新载入磁盘文件失败: ${error.message || '未知错误'}`
+    }
+  },
+
+  /** 切换工程后从本地库恢复该工程关联的磁盘文件（不请求权限） */
+  async restoreLinkedFile() {
+    const projectId = this.project?.id || null
+    if (linkedHandle && this.linkedFile.projectId === projectId) return
+    const revision = ++linkRevision
+    linkedHandle = null
+    this.linkedFile = createLinkedFileState()
+    if (!projectId || !this.linkedFile.supported) return
+    const record = await loadLinkedFileFromDb(projectId).catch(() => null)
+    if (!record || revision !== linkRevision || this.project?.id !== projectId) return
+    linkedHandle = record.handle
+    this.linkedFile = {
+      ...createLinkedFileState(),
+      projectId,
+      name: record.name || record.handle.name,
+      format: record.format,
+      lastModified: record.lastModified,
+      dirty: Boolean(record.dirty),
+    }
+  },
+
+  async unlinkProjectFile() {
+    const { projectId, name } = this.linkedFile
+    if (!projectId) return
+    linkRevision += 1
+    linkedHandle = null
+    this.linkedFile = createLinkedFileState()
+    await deleteLinkedFileFromDb(projectId).catch(() => {})
+    this.statusText = `已取消与磁盘文件 ${name} 的关联`
+  },
+
+  /** 工程内容变化后调用：标记关联的磁盘文件有未写回的修改 */
+  markLinkedFileDirty() {
+    if (!this.isLinkedFileActive()) return
+    linkedEditCount += 1
+    if (this.linkedFile.dirty) return
+    this.linkedFile.dirty = true
+    saveLinkedRecord(this.linkedFile)
   },
 
   async exportActualRoutePng() {
@@ -89,12 +412,43 @@ const exportPersistenceActions = {
     this.statusText = `车辆 HUD 打包已导出（${result.exportedCount} 张）`
   },
 
+  async exportGtfsFeed(options = {}) {
+    if (!this.project) return
+    try {
+      const result = await downloadGtfsFeedZip(this.project, options)
+      this.statusText = `GTFS 数据包已导出（${result.routeCount} 条线路 / ${result.tripCount} 个班次模板）`
+    } catch (error) {
+      this.statusText = `GTFS 导出失败: ${error.message || 'unknown error'}`
+      throw error
+    }
+  },
+
+  exportNetworkGeoJson() {
+    if (!this.project) return
+    downloadNetworkGeoJson(this.project)
+    this.statusText = 'GeoJSON 已导出'
+  },
+
+  exportNetworkKml() {
+    if (!this.project) return
+    downloadNetworkKml(this.project)
+    this.statusText = 'KML 已导出'
+  },
+
   async persistNow() {
     if (!this.project) return
+    if (this.tabSync.role === 'viewer') {
+      // 其他标签页持有编辑权：不写入本地库，避免互相覆盖
+      if (this.history.past.length > 0) this.statusText = '该工程正在其他标签页中编辑，本页修改未保存'
+      return
+    }
     this.project.meta.updatedAt = new Date().toISOString()
     try {
       const saved = await saveProjectToDb(this.project)
       await setLatestProject(saved.id)
+      this.announceProjectSaved(saved.meta.updatedAt)
+      this.maybeCreateAutoRevision()
+      this.maybeRefreshProjectThumbnail()
     } catch (error) {
       this.statusText = `本地保存失败: ${error.message || 'unknown error'}`
       throw error
@@ -104,6 +458,7 @@ const exportPersistenceActions = {
   schedulePersist() {
     if (persistTimer) clearTimeout(persistTimer)
     this._persistDirty = true
+    this.markLinkedFileDirty()
     persistTimer = setTimeout(() => {
       this.persistNow().then(() => {
         this._persistDirty = false
@@ -118,8 +473,9 @@ const exportPersistenceActions = {
     }
     if (this._persistDirty && this.project) {
       this._persistDirty = false
-      this.persistNow().catch(() => {})
+      return this.persistNow().catch(() => {})
     }
+    return Promise.resolve()
   },
 
   touchProject(statusText) {
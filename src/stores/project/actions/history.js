@@ -1,9 +1,18 @@
-import { normalizeProject } from '../../../lib/projectModel'
+import { markRaw, toRaw } from 'vue'
 import { HISTORY_MERGE_THRESHOLD_MS } from '../../../lib/constants'
+import {
+  applyProjectPatch,
+  composePatches,
+  countPatchChanges,
+  createProjectShadow,
+  diffAgainstShadow,
+} from '../../../lib/history/projectPatch'
 
-function cloneHistorySnapshot(store) {
+// 最近一次记录时的工程影子（逐对象 JSON），不放进 state，避免被响应式代理
+let historyShadow = null
+
+function captureViewState(store) {
   return {
-    project: JSON.parse(JSON.stringify(store.project || null)),
     mode: store.mode,
     selectedStationId: store.selectedStationId,
     selectedStationIds: [...(store.selectedStationIds || [])],
@@ -15,51 +24,68 @@ function cloneHistorySnapshot(store) {
   }
 }
 
-function snapshotHash(snapshot) {
-  return JSON.stringify(snapshot)
+function applyViewState(store, view) {
+  store.mode = view?.mode || 'select'
+  store.selectedStationId = view?.selectedStationId || null
+  store.selectedStationIds = Array.isArray(view?.selectedStationIds) ? [...view.selectedStationIds] : []
+  store.selectedEdgeId = view?.selectedEdgeId || null
+  store.selectedEdgeIds = Array.isArray(view?.selectedEdgeIds) ? [...view.selectedEdgeIds] : []
+  store.selectedEdgeAnchor = view?.selectedEdgeAnchor ? { ...view.selectedEdgeAnchor } : null
+  store.pendingEdgeStartStationId = view?.pendingEdgeStartStationId || null
+  store.activeLineId = view?.activeLineId || store.project?.lines?.[0]?.id || null
+}
+
+/** 将一条历史记录向前（redo）或向后（undo）应用到当前工程，不重算派生字段 */
+function stepHistoryEntry(store, entry, direction) {
+  applyProjectPatch(store.project, entry.patch, direction)
+  store.publishCollabPatch(entry.patch, direction)
+  applyViewState(store, direction === 'undo' ? entry.viewBefore : entry.viewAfter)
 }
 
-function applyHistorySnapshot(store, snapshot) {
-  const safeProject = normalizeProject(snapshot?.project || null)
-  store.project = safeProject
-  store.mode = snapshot?.mode || 'select'
-  store.selectedStationId = snapshot?.selectedStationId || null
-  store.selectedStationIds = Array.isArray(snapshot?.selectedStationIds) ? [...snapshot.selectedStationIds] : []
-  store.selectedEdgeId = snapshot?.selectedEdgeId || null
-  store.selectedEdgeIds = Array.isArray(snapshot?.selectedEdgeIds) ? [...snapshot.selectedEdgeIds] : []
-  store.selectedEdgeAnchor = snapshot?.selectedEdgeAnchor ? { ...snapshot.selectedEdgeAnchor } : null
-  store.pendingEdgeStartStationId = snapshot?.pendingEdgeStartStationId || null
-  store.activeLineId = snapshot?.activeLineId || safeProject.lines?.[0]?.id || null
+function finishHistoryRestore(store) {
   store.recomputeStationLineMembership()
+  historyShadow = createProjectShadow(toRaw(store.project))
+  store.history.lastView = captureViewState(store)
+  store.schedulePersist()
 }
 
 const historyActions = {
   resetHistoryBaseline() {
-    const snapshot = cloneHistorySnapshot(this)
+    historyShadow = createProjectShadow(toRaw(this.project))
     this.history.past = []
     this.history.future = []
-    this.history.checkpoints = []
-    this.history.lastSnapshot = snapshot
-    this.history.lastSnapshotHash = snapshotHash(snapshot)
+    this.history.lastView = captureViewState(this)
     this.history.isRestoring = false
   },
 
+  /** 工程被外部修改（如协同编辑的远端操作）后更新影子，使这些修改不进入本地撤销记录 */
+  refreshHistoryShadow() {
+    if (!this.project) return
+    historyShadow = createProjectShadow(toRaw(this.project))
+  },
+
+  /**
+   * 在一次编辑完成后调用：与上次记录的影子逐对象比较，只保存变化对象的前后状态。
+   * 标签为「连续编辑」且间隔小于 HISTORY_MERGE_THRESHOLD_MS 时与上一条合并。
+   */
   recordHistory(label = '') {
     if (!this.project || this.history.isRestoring) return
-    const current = cloneHistorySnapshot(this)
-    const currentHash = snapshotHash(current)
-    if (!this.history.lastSnapshotHash) {
-      this.history.lastSnapshot = current
-      this.history.lastSnapshotHash = currentHash
+    if (!historyShadow) {
+      historyShadow = createProjectShadow(toRaw(this.project))
+      this.history.lastView = captureViewState(this)
       return
     }
-    if (currentHash === this.history.lastSnapshotHash) {
+    const patch = diffAgainstShadow(historyShadow, toRaw(this.project))
+    const view = captureViewState(this)
+    if (!patch) {
+      this.history.lastView = view
       return
     }
+    this.publishCollabPatch(patch)
+    this.markLinkedFileDirty()
 
     const normalizedLabel = String(label || '').trim() || '连续编辑'
     const now = Date.now()
-    const previousSnapshot = this.history.lastSnapshot
     const lastEntry = this.history.past[this.history.past.length - 1]
     const canMergeContinuous =
       normalizedLabel === '连续编辑' &&
@@ -68,45 +94,30 @@ const historyActions = {
       now - lastEntry.timestamp < HISTORY_MERGE_THRESHOLD_MS
 
     if (canMergeContinuous) {
-      lastEntry.after = current
+      lastEntry.patch = markRaw(composePatches(lastEntry.patch, patch))
+      lastEntry.changeCount = countPatchChanges(lastEntry.patch)
+      lastEntry.viewAfter = view
       lastEntry.timestamp = now
-      this.history.lastSnapshot = current
-      this.history.lastSnapshotHash = currentHash
+      this.history.lastView = view
       this.history.future = []
       return
     }
 
-    const entry = {
+    this.history.past.push({
       label: normalizedLabel,
       timestamp: now,
-      before: previousSnapshot,
-      after: current,
-    }
-    this.history.past.push(entry)
+      patch: markRaw(patch),
+      changeCount: countPatchChanges(patch),
+      viewBefore: this.history.lastView || view,
+      viewAfter: view,
+    })
     this.history.future = []
 
-    const interval = Number(this.history.checkpointInterval) || 20
-    if (this.history.past.length % interval === 0) {
-      this.history.checkpoints.push({
-        at: this.history.past.length,
-        snapshot: current,
-      })
-    }
-
     const maxEntries = Number(this.history.maxEntries) || 320
     if (this.history.past.length > maxEntries) {
-      const removeCount = this.history.past.length - maxEntries
-      this.history.past.splice(0, removeCount)
-      this.history.checkpoints = this.history.checkpoints
-        .map((checkpoint) => ({
-          at: checkpoint.at - removeCount,
-          snapshot: checkpoint.snapshot,
-        }))
-        .filter((checkpoint) => checkpoint.at > 0)
+      this.history.past.splice(0, this.history.past.length - maxEntries)
     }
-
-    this.history.lastSnapshot = current
-    this.history.lastSnapshotHash = currentHash
+    this.history.lastView = view
   },
 
   undo() {
@@ -114,12 +125,10 @@ const historyActions = {
     const entry = this.history.past.pop()
     this.history.isRestoring = true
     try {
-      applyHistorySnapshot(this, entry.before)
+      stepHistoryEntry(this, entry, 'undo')
       this.history.future.push(entry)
-      this.history.lastSnapshot = entry.before
-      this.history.lastSnapshotHash = snapshotHash(entry.before)
+      finishHistoryRestore(this)
       this.statusText = `已撤销：${entry.label}`
-      this.schedulePersist()
     } finally {
       this.history.isRestoring = false
     }
@@ -131,12 +140,39 @@ const historyActions = {
     const entry = this.history.future.pop()
     this.history.isRestoring = true
     try {
-      applyHistorySnapshot(this, entry.after)
+      stepHistoryEntry(this, entry, 'redo')
       this.history.past.push(entry)
-      this.history.lastSnapshot = entry.after
-      this.history.lastSnapshotHash = snapshotHash(entry.after)
+      finishHistoryRestore(this)
       this.statusText = `已重做：${entry.label}`
-      this.schedulePersist()
+    } finally {
+      this.history.isRestoring = false
+    }
+    return true
+  },
+
+  /**
+   * 跳转到历史中的任意位置：`pastLength` 为跳转后已应用的记录数（0 为最早可撤销到的状态）。
+   * 连续撤销/重做多步，最后统一重算派生字段并持久化一次。
+   */
+  jumpToHistory(pastLength) {
+    const total = this.history.past.length + this.history.future.length
+    const target = Math.max(0, Math.min(total, Math.floor(Number(pastLength))))
+    if (!Number.isFinite(target) || target === this.history.past.length) return false
+    this.history.isRestoring = true
+    try {
+      while (this.history.past.length > target) {
+        const entry = this.history.past.pop()
+        stepHistoryEntry(this, entry, 'undo')
+        this.history.future.push(entry)
+      }
+      while (this.history.past.length < target) {
+        const entry = this.history.future.pop()
+        stepHistoryEntry(this, entry, 'redo')
+        this.history.past.push(entry)
+      }
+      finishHistoryRestore(this)
+      const current = this.history.past[this.history.past.length - 1]
+      this.statusText = current ? `已跳转到：${current.label}` : '已跳转到最早记录'
     } finally {
       this.history.isRestoring = false
     }
@@ -145,4 +181,3 @@ const historyActions = {
 }
 
 export { historyActions }
-
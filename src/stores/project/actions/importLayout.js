@@ -1,10 +1,35 @@
+import { createEmptyLayoutConstraints, countLayoutConstraints } from '../../../lib/layout/layoutConstraints'
+import { LAYOUT_ENGINES, normalizeGridPitch, normalizeLayoutEngine, normalizeLayoutTimeBudget } from '../../../lib/layout/layoutEngines'
+import { resolveLayoutTuning } from '../../../lib/layout/layoutPresets'
+import { buildLocalRelayoutPayload } from '../../../lib/layout/localRelayout'
 import { optimizeLayoutInWorker } from '../../../lib/layout/workerClient'
 import { importJinanMetroFromOsm } from '../../../lib/osm/importJinanMetro'
 import { importCityMetroNetwork } from '../../../lib/osm/genericImporter'
+import { importGtfsFeed } from '../../../lib/storage/gtfsImport'
+import { parseNetworkGeoFile } from '../../../lib/storage/geoNetworkFile'
 import { findCityPresetById, findCityPresetByRelationId } from '../../../lib/osm/cityPresets'
 import { createId } from '../../../lib/ids'
 import { normalizeProject } from '../../../lib/projectModel'
 
+/** 工程排版设置 → Worker 请求的引擎与参数（排版预设与参数微调覆盖 DEFAULT_CONFIG） */
+export function layoutRequestOptions(layoutConfig) {
+  const geoSeedScale = Number(layoutConfig?.geoSeedScale)
+  return {
+    engine: normalizeLayoutEngine(layoutConfig?.engine),
+    config: {
+      ...resolveLayoutTuning(layoutConfig),
+      geoSeedScale: Number.isFinite(geoSeedScale) ? geoSeedScale : 6,
+      gridSearchTimeBudgetMs: normalizeLayoutTimeBudget(layoutConfig?.timeBudgetMs),
+      gridPitch: normalizeGridPitch(layoutConfig?.gridPitch),
+      equalSpacing: Boolean(layoutConfig?.equalSpacing),
+    },
+  }
+}
+
+export function engineLabel(engine) {
+  return LAYOUT_ENGINES.find((item) => item.id === engine)?.label || engine
+}
+
 const importLayoutActions = {
   /**
    * Legacy shortcut: import Jinan metro network using the original Jinan-specific importer.
@@ -89,18 +114,63 @@ const importLayoutActions = {
     }
   },
 
+  /**
+   * Build a new project from a local GTFS static feed zip.
+   * @param {File} file
+   */
+  async importGtfsNetwork(file) {
+    if (!file || !this.project || this.isImporting) return
+    const { isTrial } = await import('../../../composables/useLicense')
+    if (isTrial.value) { this.statusText = '试用版不支持导入线网'; return }
+    this.isImporting = true
+    this.statusText = '正在保存当前工程...'
+    try {
+      await this.persistNow()
+      this.statusText = `正在解析 GTFS 数据包: ${file.name}...`
+      const imported = await importGtfsFeed(file)
+      this._applyImportedNetwork(imported, 'GTFS')
+    } catch (error) {
+      this.statusText = `导入失败: ${error.message || 'unknown error'}`
+    } finally {
+      this.isImporting = false
+    }
+  },
+
+  /**
+   * Build a new project from a GeoJSON / KML file exported by Metro Studio or another GIS tool.
+   * @param {File} file
+   */
+  async importGeoNetwork(file) {
+    if (!file || !this.project || this.isImporting) return
+    const { isTrial } = await import('../../../composables/useLicense')
+    if (isTrial.value) { this.statusText = '试用版不支持导入线网'; return }
+    this.isImporting = true
+    this.statusText = '正在保存当前工程...'
+    try {
+      await this.persistNow()
+      this.statusText = `正在解析 ${file.name}...`
+      const imported = await parseNetworkGeoFile(file)
+      this._applyImportedNetwork(imported, imported.importMeta.source === 'kml' ? 'KML' : 'GeoJSON')
+    } catch (error) {
+      this.statusText = `导入失败: ${error.message || 'unknown error'}`
+    } finally {
+      this.isImporting = false
+    }
+  },
+
   /**
    * Shared logic: apply an imported network result to the current project.
-   * @param {object} imported  Return value from importJinanMetroFromOsm or importCityMetroNetwork
+   * @param {object} imported  Return value from importJinanMetroFromOsm, importCityMetroNetwork, importGtfsFeed or parseNetworkGeoFile
+   * @param {string} [sourceLabel='OSM']  Data source shown in the new project name
    */
-  _applyImportedNetwork(imported) {
+  _applyImportedNetwork(imported, sourceLabel = 'OSM') {
     const now = new Date().toISOString()
     const currentProjectName = String(this.project.name || '').trim() || '新建工程'
-    const cityLabel = imported.region?.name || 'OSM'
+    const cityLabel = imported.region?.name || sourceLabel
 
     this.project = normalizeProject({
       id: createId('project'),
-      name: `${currentProjectName} (${cityLabel} OSM导入)`,
+      name: `${currentProjectName} (${cityLabel} ${sourceLabel}导入)`,
       region: imported.region,
       regionBoundary: imported.boundary,
       stations: imported.stations,
@@ -111,6 +181,7 @@ const importLayoutActions = {
       layoutMeta: {
         stationLabels: {},
         edgeDirections: {},
+        constraints: createEmptyLayoutConstraints(),
       },
       layoutConfig: this.project.layoutConfig,
       meta: {
@@ -146,21 +217,21 @@ const importLayoutActions = {
   async runAutoLayout() {
     if (!this.project || this.isLayoutRunning || this.project.stations.length < 2) return
     this.isLayoutRunning = true
-    this.statusText = '正在执行自动排版...'
+    const options = layoutRequestOptions(this.project.layoutConfig)
+    this.statusText = `正在执行自动排版（${engineLabel(options.engine)}）...`
     try {
-      const geoSeedScale = Number(this.project.layoutConfig?.geoSeedScale)
       const result = await optimizeLayoutInWorker({
         stations: this.project.stations,
         edges: this.project.edges,
         lines: this.project.lines,
-        config: {
-          geoSeedScale: Number.isFinite(geoSeedScale) ? geoSeedScale : 6,
-        },
+        constraints: this.project.layoutMeta?.constraints,
+        ...options,
       })
       this.project.stations = result.stations
       this.project.layoutMeta = {
         stationLabels: result.layoutMeta?.stationLabels || {},
         edgeDirections: result.layoutMeta?.edgeDirections || {},
+        constraints: this.project.layoutMeta?.constraints || createEmptyLayoutConstraints(),
       }
       const safeScore = Number.isFinite(result.score) ? result.score : 0
       this.project.snapshots.push({
@@ -168,11 +239,76 @@ const importLayoutActions = {
         score: safeScore,
         breakdown: result.breakdown,
       })
-      this.statusText = `自动排版完成，评分 ${safeScore.toFixed(2)}`
+      const constraintCount = countLayoutConstraints(this.project.layoutMeta.constraints)
+      this.statusText = `自动排版完成，评分 ${safeScore.toFixed(2)}${constraintCount ? `（已应用 ${constraintCount} 条排版约束）` : ''}`
       this.touchProject('')
     } catch (error) {
       const stackTrace = error.stack || '无调用栈信息'
       this.statusText = `自动排版失败: ${error.message || 'unknown error'}\n\n调用栈:\n${stackTrace}`
+    } finally {
+      this.isLayoutRunning = false
+    }
+  },
+
+  /**
+   * 局部重排：只让所选站点及其 k 跳邻域参与优化，其余站点作为固定锚点保持原位，
+   * 结果直接嵌回现有示意图。评分只统计受影响区域。
+   * @param {{hops?: number}} [options]
+   */
+  async runSelectionRelayout({ hops = 1 } = {}) {
+    if (!this.project || this.isLayoutRunning) return
+    const payload = buildLocalRelayoutPayload(this.project, this.selectedStationIds, { hops })
+    if (!payload) {
+      this.statusText = '请先在示意图中选择要重排的站点'
+      return
+    }
+    this.isLayoutRunning = true
+    this.statusText = `正在重排所选区域（${payload.freeStationIds.length} 个站点）...`
+    try {
+      const result = await optimizeLayoutInWorker({
+        ...payload,
+        ...layoutRequestOptions(this.project.layoutConfig),
+      })
+      const freeIds = new Set(payload.freeStationIds)
+      const positionById = new Map(result.stations.map((station) => [station.id, station.displayPos]))
+      this.project.stations = this.project.stations.map((station) =>
+        freeIds.has(station.id) && positionById.has(station.id)
+          ? { ...station, displayPos: positionById.get(station.id) }
+          : station,
+      )
+
+      // 标签与边方向只更新受局部重排影响的部分
+      const affectedIds = new Set(result.affectedStationIds || payload.freeStationIds)
+      const stationLabels = { ...(this.project.layoutMeta?.stationLabels || {}) }
+      for (const [stationId, label] of Object.entries(result.layoutMeta?.stationLabels || {})) {
+        if (affectedIds.has(stationId)) stationLabels[stationId] = label
+      }
+      const edgeDirections = { ...(this.project.layoutMeta?.edgeDirections || {}) }
+      for (const edge of payload.edges) {
+        if (!freeIds.has(edge.fromStationId) && !freeIds.has(edge.toStationId)) continue
+        const direction = result.layoutMeta?.edgeDirections?.[edge.id]
+        if (direction != null) edgeDirections[edge.id] = direction
+      }
+      this.project.layoutMeta = {
+        ...this.project.layoutMeta,
+        stationLabels,
+        edgeDirections,
+      }
+
+      const safeScore = Number.isFinite(result.score) ? result.score : 0
+      this.project.snapshots.push({
+        createdAt: new Date().toISOString(),
+        score: safeScore,
+        breakdown: result.breakdown,
+        scope: 'local',
+      })
+      this.statusText = `局部重排完成：${freeIds.size} 个站点参与重排，受影响区域评分 ${safeScore.toFixed(2)}`
+      this.touchProject('')
+    } catch (error) {
+      const stackTrace = error.stack || '无调用栈信息'
+      this.statusText = `局部重排失败: ${error.message || 'unknown error'}\n\n调用栈:\n${stackTrace}`
+    } finally {
+      this.isLayoutRunning = false
     }
   },
 
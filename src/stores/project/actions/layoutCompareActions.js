@@ -0,0 +1,119 @@
+import { createEmptyLayoutConstraints } from '../../../lib/layout/layoutConstraints'
+import { findLayoutPreset, normalizeLayoutOverrides, normalizeLayoutPreset } from '../../../lib/layout/layoutPresets'
+import { normalizeLayoutEngine } from '../../../lib/layout/layoutEngines'
+import { optimizeLayoutInWorker } from '../../../lib/layout/workerClient'
+import { engineLabel, layoutRequestOptions } from './importLayout'
+
+let compareRequestId = 0
+
+export function createLayoutCompareState() {
+  return {
+    loading: false,
+    projectId: null,
+    sides: [],
+  }
+}
+
+/** 对比方案的显示名称，例如「力导向 · 伦敦风格 + 微调」 */
+function describeSide(spec) {
+  const preset = findLayoutPreset(spec.preset)
+  return `${engineLabel(spec.engine)} · ${preset.label}${Object.keys(spec.overrides).length ? ' + 微调' : ''}`
+}
+
+const layoutCompareActions = {
+  /**
+   * 排版 A/B 对比：用两套排版设置分别对整张线网排版，结果只保存在对比状态中，
+   * 不修改工程，直到用户选择采用其中一个方案。
+   * @param {Array<{engine?: string, preset?: string, overrides?: Record<string, number>}>} sideSpecs - [A, B]
+   */
+  async runLayoutCompare(sideSpecs) {
+    if (!this.project || this.isLayoutRunning || this.project.stations.length < 2) return
+    const requestId = ++compareRequestId
+    const projectId = this.project.id
+    const specs = sideSpecs.slice(0, 2).map((spec) => ({
+      engine: normalizeLayoutEngine(spec?.engine),
+      preset: normalizeLayoutPreset(spec?.preset),
+      overrides: normalizeLayoutOverrides(spec?.overrides),
+    }))
+    const network = {
+      stations: this.project.stations,
+      edges: this.project.edges,
+      lines: this.project.lines,
+      constraints: this.project.layoutMeta?.constraints,
+    }
+    this.isLayoutRunning = true
+    this.layoutCompare = { ...createLayoutCompareState(), loading: true, projectId }
+    try {
+      const sides = []
+      for (const [index, spec] of specs.entries()) {
+        const key = index === 0 ? 'A' : 'B'
+        this.statusText = `正在运行排版对比：方案 ${key}（${describeSide(spec)}）...`
+        const result = await optimizeLayoutInWorker({
+          ...network,
+          ...layoutRequestOptions({ ...this.project.layoutConfig, ...spec }),
+        })
+        if (requestId !== compareRequestId) return
+        sides.push({
+          key,
+          label: describeSide(spec),
+          ...spec,
+          result: {
+            stations: result.stations,
+            layoutMeta: result.layoutMeta || {},
+            score: Number.isFinite(result.score) ? result.score : 0,
+            breakdown: result.breakdown || {},
+            elapsedMs: result.elapsedMs,
+          },
+        })
+      }
+      this.layoutCompare = { loading: false, projectId, sides }
+      const [a, b] = sides
+      this.statusText = `排版对比完成：A ${a.result.score.toFixed(2)} / B ${b.result.score.toFixed(2)}`
+    } catch (error) {
+      if (requestId !== compareRequestId) return
+      this.layoutCompare = createLayoutCompareState()
+      this.statusText = `排版对比失败: ${error.message || 'unknown error'}`
+    } finally {
+      if (requestId === compareRequestId) this.isLayoutRunning = false
+    }
+  },
+
+  /**
+   * 采用对比中的一个方案：写回站点坐标、标签与边方向，并把该方案的引擎、预设与参数微调
+   * 存为工程排版设置。对比期间新增的站点保持原位。
+   * @param {'A'|'B'} key
+   */
+  applyLayoutCompareSide(key) {
+    const side = this.layoutCompare.sides.find((item) => item.key === key)
+    if (!side || !this.project || this.layoutCompare.projectId !== this.project.id) return
+    const { result } = side
+    const positionById = new Map(result.stations.map((station) => [station.id, station.displayPos]))
+    this.project.stations = this.project.stations.map((station) =>
+      positionById.has(station.id) ? { ...station, displayPos: positionById.get(station.id) } : station,
+    )
+    this.project.layoutMeta = {
+      stationLabels: result.layoutMeta.stationLabels || {},
+      edgeDirections: result.layoutMeta.edgeDirections || {},
+      constraints: this.project.layoutMeta?.constraints || createEmptyLayoutConstraints(),
+    }
+    this.project.layoutConfig.engine = side.engine
+    this.project.layoutConfig.preset = side.preset
+    this.project.layoutConfig.overrides = { ...side.overrides }
+    this.project.snapshots.push({
+      createdAt: new Date().toISOString(),
+      score: result.score,
+      breakdown: result.breakdown,
+    })
+    this.layoutCompare = createLayoutCompareState()
+    this.statusText = `已采用排版方案 ${side.key}（${side.label}），评分 ${result.score.toFixed(2)}`
+    this.touchProject('')
+  },
+
+  clearLayoutCompare() {
+    compareRequestId++
+    if (this.layoutCompare.loading) this.isLayoutRunning = false
+    this.layoutCompare = createLayoutCompareState()
+  },
+}
+
+export { layoutCompareActions }
@@ -0,0 +1,142 @@
+import { createId } from '../../../lib/ids'
+import {
+  countLayoutConstraints,
+  createEmptyLayoutConstraints,
+  describeLayoutRelation,
+  LAYOUT_DIRECTION_LABELS,
+  LAYOUT_RELATION_TYPES,
+  resolveLineRun,
+} from '../../../lib/layout/layoutConstraints'
+
+const RUN_LISTS = {
+  directionLock: 'directionLocks',
+  straightSection: 'straightSections',
+}
+
+function sameRun(item, lineId, stationAId, stationBId) {
+  return (
+    item.lineId === lineId &&
+    ((item.fromStationId === stationAId && item.toStationId === stationBId) ||
+      (item.fromStationId === stationBId && item.toStationId === stationAId))
+  )
+}
+
+const layoutConstraintActions = {
+  /** 当前工程的排版约束（旧数据缺失时补空） */
+  ensureLayoutConstraints() {
+    if (!this.project) return null
+    if (!this.project.layoutMeta.constraints) {
+      this.project.layoutMeta.constraints = createEmptyLayoutConstraints()
+    }
+    return this.project.layoutMeta.constraints
+  },
+
+  isStationPinned(stationId) {
+    return Boolean(this.project?.layoutMeta?.constraints?.pinnedStationIds?.includes(stationId))
+  },
+
+  /**
+   * 固定/取消固定站点：固定的站点在自动排版时保持当前示意图位置
+   * @param {string[]} stationIds
+   * @param {boolean} pinned
+   */
+  setStationsPinned(stationIds, pinned) {
+    const constraints = this.ensureLayoutConstraints()
+    if (!constraints) return false
+    const stationIdSet = new Set(this.project.stations.map((station) => station.id))
+    const ids = [...new Set(stationIds || [])].filter((id) => stationIdSet.has(id))
+    if (!ids.length) return false
+    const current = new Set(constraints.pinnedStationIds)
+    for (const id of ids) {
+      if (pinned) current.add(id)
+      else current.delete(id)
+    }
+    if (current.size === constraints.pinnedStationIds.length && constraints.pinnedStationIds.every((id) => current.has(id))) {
+      return false
+    }
+    constraints.pinnedStationIds = [...current]
+    this.touchProject(pinned ? `已固定 ${ids.length} 个站点的示意图位置` : `已取消固定 ${ids.length} 个站点`)
+    return true
+  },
+
+  /**
+   * 锁定线路区段方向或拉直区段。同一线路同一对端点只保留一条（后设置的覆盖先前的）。
+   * @param {'directionLock'|'straightSection'} kind
+   * @param {{lineId: string, fromStationId: string, toStationId: string, direction?: number}} run
+   */
+  addLayoutRunConstraint(kind, { lineId, fromStationId, toStationId, direction }) {
+    const listKey = RUN_LISTS[kind]
+    const constraints = this.ensureLayoutConstraints()
+    if (!constraints || !listKey) return false
+    const line = this.lineById.get(lineId)
+    const path = resolveLineRun(line, this.edgeById, fromStationId, toStationId)
+    if (!path) {
+      this.statusText = '所选两站不在该线路的同一连续区段上'
+      return false
+    }
+    const item = { id: createId('layout_run'), lineId, fromStationId, toStationId }
+    if (kind === 'directionLock') {
+      if (!Number.isInteger(direction) || direction < 0 || direction > 7) return false
+      item.direction = direction
+    }
+    for (const key of Object.values(RUN_LISTS)) {
+      constraints[key] = constraints[key].filter((existing) => !sameRun(existing, lineId, fromStationId, toStationId))
+    }
+    constraints[listKey].push(item)
+    const label = kind === 'directionLock' ? `锁定为「${LAYOUT_DIRECTION_LABELS[direction]}」方向` : '拉直'
+    this.touchProject(`已将 ${line.nameZh} 的 ${path.edgeIds.length} 段区间${label}`)
+    return true
+  },
+
+  /**
+   * 站点相对位置：`leftOf` / `above` 表示 A 在 B 的左侧/上方，`sameRow` / `sameColumn` 对齐到同一行/列。
+   * @param {'leftOf'|'above'|'sameRow'|'sameColumn'} type
+   * @param {string} stationAId
+   * @param {string} stationBId
+   */
+  addLayoutRelation(type, stationAId, stationBId) {
+    const constraints = this.ensureLayoutConstraints()
+    if (!constraints || !LAYOUT_RELATION_TYPES.includes(type) || stationAId === stationBId) return false
+    const stationA = this.stationById.get(stationAId)
+    const stationB = this.stationById.get(stationBId)
+    if (!stationA || !stationB) return false
+    // 同类关系每对站点只保留一条，反向的左右/上下关系会被替换
+    constraints.relations = constraints.relations.filter(
+      (item) =>
+        item.type !== type ||
+        !(
+          (item.stationAId === stationAId && item.stationBId === stationBId) ||
+          (item.stationAId === stationBId && item.stationBId === stationAId)
+        ),
+    )
+    constraints.relations.push({ id: createId('layout_rel'), type, stationAId, stationBId })
+    this.touchProject(`已添加排版约束：${describeLayoutRelation(type, stationA.nameZh, stationB.nameZh)}`)
+    return true
+  },
+
+  /**
+   * @param {'pinned'|'directionLocks'|'straightSections'|'relations'} kind
+   * @param {string} id - 约束 ID；固定站点为站点 ID
+   */
+  removeLayoutConstraint(kind, id) {
+    const constraints = this.ensureLayoutConstraints()
+    if (!constraints) return false
+    if (kind === 'pinned') return this.setStationsPinned([id], false)
+    if (!Array.isArray(constraints[kind])) return false
+    const next = constraints[kind].filter((item) => item.id !== id)
+    if (next.length === constraints[kind].length) return false
+    constraints[kind] = next
+    this.touchProject('已删除排版约束')
+    return true
+  },
+
+  clearLayoutConstraints() {
+    const constraints = this.ensureLayoutConstraints()
+    if (!constraints || !countLayoutConstraints(constraints)) return false
+    this.project.layoutMeta.constraints = createEmptyLayoutConstraints()
+    this.touchProject('已清空排版约束')
+    return true
+  },
+}
+
+export { layoutConstraintActions }
@@ -121,15 +121,18 @@ const lifecycleActions = {
 
   async duplicateCurrentProject(name) {
     if (!this.project) return null
-    const normalizedName = String(name || '').trim()
+    const normalizedName = String(name || '').trim() || `${this.project.name} 副本`
     const now = new Date().toISOString()
+    // 在原工程上保存分支点检查点，作为之后三方合并的共同祖先
+    const forkPoint = await this.createRevision(`分支点：${normalizedName}`)
     const duplicated = normalizeProject({
       ...JSON.parse(JSON.stringify(this.project)),
       id: createId('project'),
-      name: normalizedName || `${this.project.name} 副本`,
+      name: normalizedName,
       meta: {
         createdAt: now,
         updatedAt: now,
+        forkedFrom: { projectId: this.project.id, revisionId: forkPoint.id },
       },
     })
 
@@ -1,5 +1,6 @@
 import { normalizeHexColor, pickDistinctLineColor, pickLineColor } from '../../../lib/colors'
 import { createId } from '../../../lib/ids'
+import { DEFAULT_LINE_OPERATIONS, normalizeLineOperations } from '../../../lib/lineOperations'
 import { normalizeLineStyle } from '../../../lib/lineStyles'
 
 function getNextLineNumber(lines) {
@@ -33,6 +34,7 @@ export const lineActions = {
       status: normalizedStatus,
       style: normalizedStyle,
       edgeIds: [],
+      ...DEFAULT_LINE_OPERATIONS,
     }
     this.project.lines.push(line)
     this.activeLineId = line.id
@@ -58,6 +60,14 @@ export const lineActions = {
     if (patch.style != null) {
       next.style = normalizeLineStyle(patch.style)
     }
+    const operationKeys = ['designSpeedKmh', 'dwellSeconds', 'peakHeadwayMinutes', 'offPeakHeadwayMinutes']
+    if (operationKeys.some((key) => patch[key] != null && patch[key] !== '')) {
+      const operations = { ...normalizeLineOperations(line) }
+      for (const key of operationKeys) {
+        if (patch[key] != null && patch[key] !== '') operations[key] = patch[key]
+      }
+      Object.assign(next, normalizeLineOperations(operations))
+    }
     Object.assign(line, next)
     this.recomputeStationLineMembership()
     this.touchProject(`更新线路: ${line.nameZh}`)
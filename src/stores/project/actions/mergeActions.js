@@ -0,0 +1,94 @@
+import { mergeProjects } from '../../../lib/diff/threeWayMerge'
+import { normalizeProject } from '../../../lib/projectModel'
+import { loadProjectFromDb, loadRevisionFromDb } from '../../../lib/storage/db'
+
+/**
+ * 读取合并所需的三个版本：共同祖先（检查点）、当前工程（ours）、分支工程（theirs）。
+ * 未指定祖先时使用分支工程 `meta.forkedFrom` 记录的分支点。
+ */
+async function loadMergeInputs(store, branchProjectId, baseRevisionId) {
+  if (!store.project) throw new Error('当前无已打开工程')
+  const branch = await loadProjectFromDb(branchProjectId)
+  if (!branch) throw new Error('本地库中找不到分支工程')
+  const forkedFrom = branch.meta?.forkedFrom
+  const revisionId = baseRevisionId || (forkedFrom?.projectId === store.project.id ? forkedFrom.revisionId : '')
+  if (!revisionId) throw new Error('无法确定共同祖先，请选择一个检查点作为合并基准')
+  const base = await loadRevisionFromDb(revisionId)
+  if (!base) throw new Error('共同祖先检查点不存在或已被删除')
+  return {
+    base,
+    branch,
+    inputs: { base: base.project, ours: JSON.parse(JSON.stringify(store.project)), theirs: branch },
+  }
+}
+
+function summarizeStats(stats) {
+  let added = 0
+  let removed = 0
+  let modified = 0
+  for (const entity of Object.values(stats)) {
+    added += entity.added
+    removed += entity.removed
+    modified += entity.modified
+  }
+  return { added, removed, modified }
+}
+
+const mergeActions = {
+  /**
+   * 分析把分支工程合并进当前工程的结果（不修改当前工程）。
+   * @returns {Promise<{branchName: string, baseName: string, conflicts: Array, stats: Object, totals: Object, dropped: Object, autoResolved: number}>}
+   */
+  async previewProjectMerge(branchProjectId, baseRevisionId = '') {
+    const { base, branch, inputs } = await loadMergeInputs(this, branchProjectId, baseRevisionId)
+    const result = mergeProjects(inputs)
+    return {
+      branchName: branch.name,
+      baseName: base.name,
+      conflicts: result.conflicts,
+      stats: result.stats,
+      totals: summarizeStats(result.stats),
+      dropped: result.dropped,
+      autoResolved: result.autoResolved,
+    }
+  },
+
+  /**
+   * 执行三方合并：无冲突的改动自动应用，冲突按 resolutions（冲突 ID → 'ours' | 'theirs'）处理。
+   * 合并前写入自动检查点，合并本身记入撤销历史。
+   */
+  async applyProjectMerge(branchProjectId, baseRevisionId = '', resolutions = {}) {
+    const { branch, inputs } = await loadMergeInputs(this, branchProjectId, baseRevisionId)
+    const result = mergeProjects(inputs, resolutions)
+    await this.createRevision(`合并前自动备份（${branch.name}）`, 'auto')
+
+    this.project = normalizeProject({
+      ...result.project,
+      id: this.project.id,
+      name: this.project.name,
+      meta: { ...this.project.meta, updatedAt: new Date().toISOString() },
+    })
+    this.regionBoundary = this.project.regionBoundary || null
+    if (!this.project.lines.some((line) => line.id === this.activeLineId)) {
+      this.activeLineId = this.project.lines[0]?.id || null
+    }
+    this.selectedStationId = null
+    this.selectedStationIds = []
+    this.selectedEdgeId = null
+    this.selectedEdgeIds = []
+    this.selectedEdgeAnchor = null
+    this.pendingEdgeStartStationId = null
+    if (this.disruption.active) this.exitDisruption()
+    if (this.projectDiff.active) this.clearProjectDiff()
+    this.revisions.preview = null
+    this.recomputeStationLineMembership()
+    this.recordHistory(`合并分支：${branch.name}`)
+
+    const totals = summarizeStats(result.stats)
+    this.statusText = `已合并分支「${branch.name}」：新增 ${totals.added}，删除 ${totals.removed}，修改 ${totals.modified}，处理冲突 ${result.conflicts.length}`
+    await this.persistNow()
+    return result
+  },
+}
+
+export { mergeActions }
@@ -1,12 +1,27 @@
-import { computeShortestRoute } from '../../../lib/navigation/dijkstra'
-import { NAV_CANDIDATE_RADIUS, NAV_MAX_CANDIDATES, NAV_WALK_WEIGHT } from '../../../lib/constants'
+import { normalizeRouteObjective } from '../../../lib/navigation/dijkstra'
+import { computeRouteAlternatives } from '../../../lib/navigation/kShortestRoutes'
+import {
+  NAV_ALTERNATIVE_COUNT,
+  NAV_CANDIDATE_RADIUS,
+  NAV_MAX_CANDIDATES,
+  NAV_TRANSFER_PENALTY_MINUTES,
+  NAV_WALK_SPEED_MPS,
+  NAV_WALK_WEIGHT,
+} from '../../../lib/constants'
+import { normalizeServicePeriod } from '../../../lib/lineOperations'
 
 const navigationActions = {
   enterNavigation() {
+    if (this.disruption?.active) this.exitDisruption()
     this.navigation = {
       active: true,
       originLngLat: null,
       destinationLngLat: null,
+      servicePeriod: this.navigation.servicePeriod || 'peak',
+      objective: this.navigation.objective || 'fastest',
+      transferPenaltyMinutes: this.navigation.transferPenaltyMinutes ?? NAV_TRANSFER_PENALTY_MINUTES,
+      alternatives: [],
+      selectedRouteIndex: 0,
       result: null,
     }
   },
@@ -16,6 +31,11 @@ const navigationActions = {
       active: false,
       originLngLat: null,
       destinationLngLat: null,
+      servicePeriod: this.navigation.servicePeriod || 'peak',
+      objective: this.navigation.objective || 'fastest',
+      transferPenaltyMinutes: this.navigation.transferPenaltyMinutes ?? NAV_TRANSFER_PENALTY_MINUTES,
+      alternatives: [],
+      selectedRouteIndex: 0,
       result: null,
     }
   },
@@ -23,6 +43,8 @@ const navigationActions = {
   setNavigationOrigin(lngLat) {
     this.navigation.originLngLat = lngLat
     this.navigation.destinationLngLat = null
+    this.navigation.alternatives = []
+    this.navigation.selectedRouteIndex = 0
     this.navigation.result = null
   },
 
@@ -31,25 +53,57 @@ const navigationActions = {
     this.computeNavigationRoute()
   },
 
+  setNavigationServicePeriod(period) {
+    this.navigation.servicePeriod = normalizeServicePeriod(period)
+    this.computeNavigationRoute()
+  },
+
+  setNavigationObjective(objective) {
+    this.navigation.objective = normalizeRouteObjective(objective)
+    this.computeNavigationRoute()
+  },
+
+  setNavigationTransferPenalty(minutes) {
+    const value = Number(minutes)
+    this.navigation.transferPenaltyMinutes = Number.isFinite(value) ? Math.max(0, Math.min(60, value)) : NAV_TRANSFER_PENALTY_MINUTES
+    this.computeNavigationRoute()
+  },
+
   computeNavigationRoute() {
     const { originLngLat, destinationLngLat } = this.navigation
     if (!originLngLat || !destinationLngLat || !this.project) {
+      this.navigation.alternatives = []
+      this.navigation.selectedRouteIndex = 0
       this.navigation.result = null
       return
     }
 
-    const result = computeShortestRoute({
+    const alternatives = computeRouteAlternatives({
       stations: this.project.stations || [],
       edges: this.project.edges || [],
       lines: this.project.lines || [],
+      manualTransfers: this.project.manualTransfers || [],
       originLngLat,
       destLngLat: destinationLngLat,
       candidateRadius: NAV_CANDIDATE_RADIUS,
       maxCandidates: NAV_MAX_CANDIDATES,
-      walkWeight: NAV_WALK_WEIGHT,
-    })
+      walkWeight: this.navigation.objective === 'fewestTransfers' ? NAV_WALK_WEIGHT : 1,
+      walkSpeedMps: NAV_WALK_SPEED_MPS,
+      servicePeriod: this.navigation.servicePeriod,
+      objective: this.navigation.objective,
+      transferPenaltySeconds: this.navigation.transferPenaltyMinutes * 60,
+    }, NAV_ALTERNATIVE_COUNT)
+
+    this.navigation.alternatives = alternatives
+    this.navigation.selectedRouteIndex = 0
+    this.navigation.result = alternatives[0] || null
+  },
 
-    this.navigation.result = result
+  selectNavigationRoute(index) {
+    const route = this.navigation.alternatives[index]
+    if (!route) return
+    this.navigation.selectedRouteIndex = index
+    this.navigation.result = route
   },
 }
 
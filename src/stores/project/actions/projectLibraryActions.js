@@ -0,0 +1,105 @@
+import { toRaw } from 'vue'
+import { buildProjectThumbnailSvg } from '../../../lib/export/exportSchematic'
+import { normalizeProjectTags, summarizeProject, withRegionName } from '../../../lib/projectModel'
+import {
+  listProjectsFromDb,
+  listProjectThumbnailsFromDb,
+  saveProjectThumbnailToDb,
+  updateProjectDetailsInDb,
+} from '../../../lib/storage/db'
+
+const THUMBNAIL_INTERVAL_MS = 60 * 1000
+
+// 缩略图生成节流状态：保存频繁时最多每分钟生成一次，其余保存只标记 dirty，打开本地库时补生成
+let thumbnailState = { projectId: null, generatedAt: 0, dirty: false }
+let thumbnailPending = null
+
+function runWhenIdle(callback) {
+  if (typeof window !== 'undefined' && typeof window.requestIdleCallback === 'function') {
+    window.requestIdleCallback(callback, { timeout: 2000 })
+  } else {
+    setTimeout(callback, 0)
+  }
+}
+
+const projectLibraryActions = {
+  /** 每次保存后调用：距上次生成超过间隔（或切换了工程）时在空闲时刷新当前工程的缩略图 */
+  maybeRefreshProjectThumbnail() {
+    const project = this.project
+    if (!project) return
+    if (thumbnailState.projectId === project.id && Date.now() - thumbnailState.generatedAt < THUMBNAIL_INTERVAL_MS) {
+      thumbnailState.dirty = true
+      return
+    }
+    thumbnailState = { projectId: project.id, generatedAt: Date.now(), dirty: true }
+    runWhenIdle(() => {
+      this.refreshProjectThumbnail().catch(() => {})
+    })
+  },
+
+  /** 用 buildSchematicSvg 生成当前工程的缩略图并写入本地库 */
+  async refreshProjectThumbnail() {
+    if (!this.project) return
+    if (thumbnailPending) return thumbnailPending
+    const project = toRaw(this.project)
+    thumbnailPending = (async () => {
+      try {
+        await saveProjectThumbnailToDb({ projectId: project.id, svg: buildProjectThumbnailSvg(project) })
+        thumbnailState = { projectId: project.id, generatedAt: Date.now(), dirty: false }
+      } catch (error) {
+        console.warn('[project-library] 缩略图生成失败', error)
+        throw error
+      } finally {
+        thumbnailPending = null
+      }
+    })()
+    return thumbnailPending
+  },
+
+  /**
+   * 本地库列表：工程附带规模统计与缩略图 SVG（当前工程的缩略图过期时先补生成）。
+   * @returns {Promise<Array<{project: import('../../../lib/projectModel').RailProject, summary: object, thumbnailSvg: string}>>}
+   */
+  async listProjectCards() {
+    if (this.project && this.tabSync.role !== 'viewer') {
+      const stale = thumbnailState.projectId !== this.project.id || thumbnailState.dirty
+      if (stale) await this.refreshProjectThumbnail().catch(() => {})
+    }
+    const [projects, thumbnails] = await Promise.all([listProjectsFromDb(), listProjectThumbnailsFromDb()])
+    return projects.map((project) => ({
+      project,
+      summary: summarizeProject(project),
+      thumbnailSvg: thumbnails.get(project.id)?.svg || '',
+    }))
+  },
+
+  /**
+   * 修改工程描述、标签与地区名。当前工程直接修改并记录历史，其他工程只改写库中记录。
+   * 当前工程在本标签页只读（其他标签页正在编辑）时修改不会保存。
+   * @param {string} projectId
+   * @param {{description?: string, tags?: string[]|string, regionName?: string}} details
+   */
+  async updateProjectDetails(projectId, details) {
+    const next = {
+      description: String(details.description ?? '').trim(),
+      tags: normalizeProjectTags(details.tags),
+      regionName: String(details.regionName ?? '').trim(),
+    }
+    if (this.project?.id === projectId) {
+      this.project.meta.description = next.description
+      this.project.meta.tags = next.tags
+      this.project.region = withRegionName(this.project.region, next.regionName)
+      this.recordHistory('编辑工程信息')
+      if (this.tabSync.role === 'viewer') {
+        this.statusText = '该工程正在其他标签页中编辑，工程信息修改未保存'
+        return
+      }
+      await this.persistNow()
+    } else {
+      await updateProjectDetailsInDb(projectId, next)
+    }
+    this.statusText = '工程信息已更新'
+  },
+}
+
+export { projectLibraryActions }
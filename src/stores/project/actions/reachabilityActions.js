@@ -1,58 +1,76 @@
-import { dijkstra } from '../../../lib/hud/hudGraphAlgorithms'
-
-const BANDS = [
-  { label: '0–5 km', min: 0, max: 5000, color: '#22c55e' },
-  { label: '5–10 km', min: 5000, max: 10000, color: '#3b82f6' },
-  { label: '10–20 km', min: 10000, max: 20000, color: '#f59e0b' },
-  { label: '20–50 km', min: 20000, max: 50000, color: '#ef4444' },
-  { label: '50+ km', min: 50000, max: Infinity, color: '#8b5cf6' },
-]
-
-function buildAdjacency(edges) {
-  const adj = new Map()
-  for (const edge of edges) {
-    const { fromStationId, toStationId, lengthMeters } = edge
-    if (!fromStationId || !toStationId) continue
-    const weight = lengthMeters || 0
-    if (!adj.has(fromStationId)) adj.set(fromStationId, [])
-    if (!adj.has(toStationId)) adj.set(toStationId, [])
-    adj.get(fromStationId).push({ to: toStationId, weight })
-    adj.get(toStationId).push({ to: fromStationId, weight })
-  }
-  return adj
-}
+import { NAV_CANDIDATE_RADIUS, NAV_WALK_SPEED_MPS } from '../../../lib/constants'
+import { computeIsochrones, downloadIsochroneGeoJson } from '../../../lib/navigation/isochrone'
+
+// 等时圈需要覆盖更多起点附近的站点，候选数量比导航更宽松
+const ISOCHRONE_MAX_CANDIDATES = 12
 
 const reachabilityActions = {
-  setReachability(stationId, thresholdMeters) {
+  /**
+   * 计算分钟等时圈。起点可以是站点，也可以是地图上任意一点。
+   * 发车间隔档位与换乘惩罚沿用导航模式的设置。
+   */
+  setReachability({ stationId = null, originLngLat = null, maxMinutes = 60 } = {}) {
     if (!this.project) return
-    const adj = buildAdjacency(this.project.edges || [])
-    const { dist } = dijkstra(adj, stationId)
-
-    const bands = BANDS.map(b => ({ ...b, stations: [] }))
-    for (const [sid, d] of dist) {
-      if (sid === stationId || !Number.isFinite(d) || d > thresholdMeters) continue
-      const station = this.stationById.get(sid)
-      if (!station) continue
-      const band = bands.find(b => d >= b.min && d < b.max)
-      if (band) band.stations.push({ id: sid, name: station.nameZh || sid, distance: d, lngLat: station.lngLat })
-    }
-    for (const band of bands) band.stations.sort((a, b) => a.distance - b.distance)
+    const origin = stationId ? this.stationById.get(stationId)?.lngLat : originLngLat
+    if (!Array.isArray(origin)) return
+
+    const result = computeIsochrones({
+      stations: this.project.stations || [],
+      edges: this.project.edges || [],
+      lines: this.project.lines || [],
+      manualTransfers: this.project.manualTransfers || [],
+      originLngLat: origin,
+      maxMinutes,
+      candidateRadius: NAV_CANDIDATE_RADIUS,
+      maxCandidates: ISOCHRONE_MAX_CANDIDATES,
+      walkSpeedMps: NAV_WALK_SPEED_MPS,
+      servicePeriod: this.navigation.servicePeriod,
+      transferPenaltySeconds: this.navigation.transferPenaltyMinutes * 60,
+    })
 
-    const origin = this.stationById.get(stationId)
     this.reachability = {
-      active: true,
+      active: Boolean(result),
+      picking: false,
       stationId,
-      thresholdMeters,
-      result: {
-        bands: bands.filter(b => b.stations.length > 0),
-        totalCount: bands.reduce((s, b) => s + b.stations.length, 0),
-        originLngLat: origin?.lngLat || null,
-      },
+      originLngLat: origin,
+      maxMinutes,
+      result,
+    }
+    this.statusText = result
+      ? `等时圈：${maxMinutes} 分钟内可达 ${result.totalCount} 站`
+      : '起点附近没有可达的地铁站'
+  },
+
+  startReachabilityPicking(maxMinutes = 60) {
+    this.reachability = {
+      ...this.reachability,
+      picking: true,
+      maxMinutes,
     }
+    this.statusText = '点击地图选择等时圈起点（Esc 取消）'
+  },
+
+  cancelReachabilityPicking() {
+    if (!this.reachability.picking) return
+    this.reachability.picking = false
+    this.statusText = '已取消等时圈选点'
+  },
+
+  exportReachabilityGeoJson() {
+    if (!this.reachability.result) return
+    downloadIsochroneGeoJson(this.reachability.result, this.project?.name)
+    this.statusText = '等时圈 GeoJSON 已导出'
   },
 
   clearReachability() {
-    this.reachability = { active: false, stationId: null, thresholdMeters: 0, result: null }
+    this.reachability = {
+      active: false,
+      picking: false,
+      stationId: null,
+      originLngLat: null,
+      maxMinutes: this.reachability.maxMinutes,
+      result: null,
+    }
   },
 }
 
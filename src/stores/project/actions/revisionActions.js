@@ -0,0 +1,247 @@
+import { createId } from '../../../lib/ids'
+import { normalizeProject } from '../../../lib/projectModel'
+import { REVISION_AUTO_INTERVAL_MS, REVISION_AUTO_MAX_PER_PROJECT } from '../../../lib/constants'
+import {
+  deleteRevisionFromDb,
+  listRevisionsFromDb,
+  loadRevisionFromDb,
+  renameRevisionInDb,
+  saveRevisionToDb,
+} from '../../../lib/storage/db'
+
+// 自动检查点节流状态：记录当前工程最近一次检查点的时间与内容签名
+let autoRevisionState = { projectId: null, at: 0, signature: '' }
+let autoRevisionPending = false
+
+/**
+ * 工程内容签名（FNV-1a），用于跳过与上一个检查点相同的自动检查点。
+ * 不含 meta，保存时间变化不算内容变化。
+ */
+function computeProjectSignature(project) {
+  const { meta, ...content } = project
+  const text = JSON.stringify(content)
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return `${(hash >>> 0).toString(16)}-${text.length}`
+}
+
+function formatRevisionTime(isoString) {
+  return new Date(isoString).toLocaleString()
+}
+
+async function writeRevision(store, name, kind) {
+  const project = store.project
+  const signature = computeProjectSignature(project)
+  const createdAt = new Date().toISOString()
+  const summary = await saveRevisionToDb({
+    id: createId('revision'),
+    projectId: project.id,
+    name,
+    kind,
+    createdAt,
+    signature,
+    project,
+  })
+  autoRevisionState = { projectId: project.id, at: Date.parse(createdAt), signature }
+  return summary
+}
+
+async function pruneAutoRevisions(projectId) {
+  const revisions = await listRevisionsFromDb(projectId)
+  const autoRevisions = revisions.filter((revision) => revision.kind === 'auto')
+  for (const revision of autoRevisions.slice(REVISION_AUTO_MAX_PER_PROJECT)) {
+    await deleteRevisionFromDb(revision.id)
+  }
+}
+
+function resetEditingState(store, project) {
+  store.regionBoundary = project.regionBoundary || null
+  if (!project.lines.some((line) => line.id === store.activeLineId)) {
+    store.activeLineId = project.lines[0]?.id || null
+  }
+  store.mode = 'select'
+  store.selectedStationId = null
+  store.selectedStationIds = []
+  store.selectedEdgeId = null
+  store.selectedEdgeIds = []
+  store.selectedEdgeAnchor = null
+  store.pendingEdgeStartStationId = null
+  if (store.disruption.active) store.exitDisruption()
+  store.recomputeStationLineMembership()
+}
+
+const revisionActions = {
+  async refreshRevisions() {
+    if (!this.project) {
+      this.revisions.items = []
+      return
+    }
+    this.revisions.loading = true
+    try {
+      this.revisions.items = await listRevisionsFromDb(this.project.id)
+    } finally {
+      this.revisions.loading = false
+    }
+  },
+
+  /**
+   * 创建检查点。命名检查点（manual）不参与自动清理，分支点等需要长期保留的检查点也用它。
+   * @param {string} name
+   * @param {'manual'|'auto'} [kind='manual']
+   */
+  async createRevision(name, kind = 'manual') {
+    if (!this.project) return null
+    const normalizedName = String(name || '').trim() || `检查点 ${formatRevisionTime(new Date().toISOString())}`
+    const summary = await writeRevision(this, normalizedName, kind)
+    await this.refreshRevisions()
+    this.statusText = `已创建检查点: ${normalizedName}`
+    return summary
+  },
+
+  /**
+   * 持久化后调用：距上一个检查点超过 REVISION_AUTO_INTERVAL_MS 且内容有变化时写入自动检查点，
+   * 每个工程只保留最近 REVISION_AUTO_MAX_PER_PROJECT 个自动检查点（命名检查点不受影响）。
+   */
+  async maybeCreateAutoRevision() {
+    const project = this.project
+    if (!project || autoRevisionPending) return
+    const now = Date.now()
+    if (autoRevisionState.projectId === project.id && now - autoRevisionState.at < REVISION_AUTO_INTERVAL_MS) return
+
+    autoRevisionPending = true
+    try {
+      if (autoRevisionState.projectId !== project.id) {
+        const latest = (await listRevisionsFromDb(project.id))[0]
+        autoRevisionState = {
+          projectId: project.id,
+          at: latest ? Date.parse(latest.createdAt) : 0,
+          signature: latest?.signature || '',
+        }
+        if (now - autoRevisionState.at < REVISION_AUTO_INTERVAL_MS) return
+      }
+      if (computeProjectSignature(project) === autoRevisionState.signature) {
+        autoRevisionState.at = now
+        return
+      }
+      await writeRevision(this, '自动检查点', 'auto')
+      await pruneAutoRevisions(project.id)
+      if (this.revisions.items.length) await this.refreshRevisions()
+    } catch (error) {
+      console.warn('[revisions] 自动检查点写入失败', error)
+    } finally {
+      autoRevisionPending = false
+    }
+  },
+
+  async renameRevision(revisionId, name) {
+    const normalizedName = String(name || '').trim()
+    if (!revisionId || !normalizedName) return
+    await renameRevisionInDb(revisionId, normalizedName)
+    if (this.revisions.preview?.id === revisionId) this.revisions.preview.name = normalizedName
+    await this.refreshRevisions()
+  },
+
+  async deleteRevision(revisionId) {
+    if (!revisionId) return
+    await deleteRevisionFromDb(revisionId)
+    if (this.revisions.preview?.id === revisionId) this.exitRevisionPreview()
+    await this.refreshRevisions()
+    this.statusText = '已删除检查点'
+  },
+
+  /** 在示意图视图中只读预览某个检查点，不改动当前工程 */
+  async previewRevision(revisionId) {
+    const revision = await loadRevisionFromDb(revisionId)
+    if (!revision) {
+      this.statusText = '检查点不存在或已被删除'
+      return
+    }
+    this.revisions.preview = {
+      id: revision.id,
+      projectId: revision.projectId,
+      name: revision.name,
+      createdAt: revision.createdAt,
+      project: revision.project,
+    }
+    this.statusText = `正在预览检查点: ${revision.name}`
+  },
+
+  exitRevisionPreview() {
+    this.revisions.preview = null
+  },
+
+  /**
+   * 将当前工程内容恢复为检查点，保留工程 ID 与名称。
+   * 恢复前先写入一个自动检查点；恢复本身记入撤销历史，可直接撤销。
+   */
+  async restoreRevision(revisionId) {
+    if (!this.project) return
+    const revision = await loadRevisionFromDb(revisionId)
+    if (!revision) {
+      this.statusText = '检查点不存在或已被删除'
+      return
+    }
+    await writeRevision(this, `恢复前自动备份（${revision.name}）`, 'auto')
+
+    const restored = normalizeProject({
+      ...revision.project,
+      id: this.project.id,
+      name: this.project.name,
+      meta: {
+        ...revision.project.meta,
+        createdAt: this.project.meta.createdAt,
+        updatedAt: new Date().toISOString(),
+      },
+    })
+    this.project = restored
+    resetEditingState(this, restored)
+    this.revisions.preview = null
+    this.recordHistory(`恢复检查点：${revision.name}`)
+    this.statusText = `已恢复检查点: ${revision.name}`
+    await this.persistNow()
+    await this.refreshRevisions()
+  },
+
+  /**
+   * 以检查点内容新建一个独立工程并切换过去，原工程保持不变。
+   * 新工程记录 `meta.forkedFrom`，之后可以以该检查点为共同祖先合并回原工程。
+   */
+  async branchFromRevision(revisionId, name) {
+    const revision = await loadRevisionFromDb(revisionId)
+    if (!revision) {
+      this.statusText = '检查点不存在或已被删除'
+      return null
+    }
+    if (revision.kind === 'auto') {
+      // 自动检查点会被清理，作为共同祖先时转为命名检查点保留
+      await saveRevisionToDb({ ...revision, kind: 'manual' })
+    }
+    const now = new Date().toISOString()
+    const normalizedName = String(name || '').trim()
+    const branched = normalizeProject({
+      ...revision.project,
+      id: createId('project'),
+      name: normalizedName || `${revision.project.name}（${revision.name}）`,
+      meta: {
+        createdAt: now,
+        updatedAt: now,
+        forkedFrom: { projectId: revision.projectId, revisionId: revision.id },
+      },
+    })
+
+    this.project = branched
+    this.activeLineId = null
+    resetEditingState(this, branched)
+    this.revisions.preview = null
+    this.revisions.items = []
+    this.statusText = `已从检查点创建工程: ${branched.name}`
+    this.resetHistoryBaseline()
+    await this.persistNow()
+    return branched
+  },
+}
+
+export { revisionActions }
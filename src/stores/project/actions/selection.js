@@ -1,4 +1,11 @@
 import { dedupeStationIds } from '../helpers'
+import { normalizeGridPitch, normalizeLayoutEngine, normalizeLayoutTimeBudget } from '../../../lib/layout/layoutEngines'
+import {
+  findLayoutPreset,
+  layoutPresetValue,
+  normalizeLayoutPreset,
+  normalizeLayoutTuningValue,
+} from '../../../lib/layout/layoutPresets'
 
 function dedupeEdgeIds(ids, edgeIdSet) {
   const result = []
@@ -48,6 +55,77 @@ const selectionActions = {
     this.touchProject('')
   },
 
+  /** @param {'force'|'octilinear'} engine */
+  setLayoutEngine(engine) {
+    if (!this.project?.layoutConfig) return
+    const normalized = normalizeLayoutEngine(engine)
+    if (this.project.layoutConfig.engine === normalized) return
+    this.project.layoutConfig.engine = normalized
+    this.touchProject('')
+  },
+
+  /** @param {number} timeBudgetMs - 八方向网格搜索的时间预算 */
+  setLayoutTimeBudget(timeBudgetMs) {
+    if (!this.project?.layoutConfig) return
+    const normalized = normalizeLayoutTimeBudget(timeBudgetMs)
+    if (this.project.layoutConfig.timeBudgetMs === normalized) return
+    this.project.layoutConfig.timeBudgetMs = normalized
+    this.touchProject('')
+  },
+
+  /** @param {number} gridPitch - 网格间距，0 表示不吸附网格 */
+  setLayoutGridPitch(gridPitch) {
+    if (!this.project?.layoutConfig) return
+    const normalized = normalizeGridPitch(gridPitch)
+    if (this.project.layoutConfig.gridPitch === normalized) return
+    this.project.layoutConfig.gridPitch = normalized
+    this.touchProject('')
+  },
+
+  /** @param {boolean} equalSpacing - 网格吸附时沿线路等间距排布站点 */
+  setLayoutEqualSpacing(equalSpacing) {
+    if (!this.project?.layoutConfig) return
+    const normalized = Boolean(equalSpacing)
+    if (this.project.layoutConfig.equalSpacing === normalized) return
+    this.project.layoutConfig.equalSpacing = normalized
+    this.touchProject('')
+  },
+
+  /** 切换排版预设；已有的参数微调保留，叠加在新预设之上 */
+  setLayoutPreset(presetId) {
+    if (!this.project?.layoutConfig) return
+    const normalized = normalizeLayoutPreset(presetId)
+    if (this.project.layoutConfig.preset === normalized) return
+    this.project.layoutConfig.preset = normalized
+    this.touchProject(`排版预设：${findLayoutPreset(normalized).label}`)
+  },
+
+  /**
+   * 微调单个排版参数。与当前预设取值相同（或传入 null）时移除该项微调。
+   * @param {string} key - LAYOUT_TUNING_PARAMS 中的参数名
+   * @param {number|null} value
+   */
+  setLayoutOverride(key, value) {
+    if (!this.project?.layoutConfig) return
+    const overrides = { ...(this.project.layoutConfig.overrides || {}) }
+    const normalized = normalizeLayoutTuningValue(key, value)
+    if (normalized == null || normalized === layoutPresetValue(this.project.layoutConfig.preset, key)) {
+      if (!(key in overrides)) return
+      delete overrides[key]
+    } else {
+      if (overrides[key] === normalized) return
+      overrides[key] = normalized
+    }
+    this.project.layoutConfig.overrides = overrides
+    this.touchProject('')
+  },
+
+  resetLayoutOverrides() {
+    if (!this.project?.layoutConfig || !Object.keys(this.project.layoutConfig.overrides || {}).length) return
+    this.project.layoutConfig.overrides = {}
+    this.touchProject('已清除排版参数微调')
+  },
+
   cancelPendingEdgeStart() {
     if (!this.pendingEdgeStartStationId) return
     this.pendingEdgeStartStationId = null
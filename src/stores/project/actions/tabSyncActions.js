@@ -0,0 +1,106 @@
+import { loadProjectFromDb } from '../../../lib/storage/db'
+import { createTabSyncSession } from '../../../lib/storage/tabSync'
+
+// BroadcastChannel 会话不放进 state，避免被响应式代理
+let tabSyncSession = null
+
+const tabSyncActions = {
+  /** 应用启动时建立多标签页会话（由 useTabSync 调用） */
+  startTabSync() {
+    if (tabSyncSession || !this.tabSync.supported) return
+    tabSyncSession = createTabSyncSession({
+      tabId: this.tabSync.tabId,
+      onStateChange: ({ role, ownerTabId }) => {
+        this.tabSync.role = role
+        this.tabSync.ownerTabId = ownerTabId
+      },
+      onRemoteSaved: ({ updatedAt }) => {
+        this.handleRemoteProjectSaved(updatedAt)
+      },
+      // 被其他标签页接管前先写入尚未保存的修改；之后本页只读，撤销历史从此重新计算，
+      // 只读期间 history.past 非空即表示本页有未保存的修改
+      onYield: async () => {
+        await this.flushPersist()
+        this.resetHistoryBaseline()
+      },
+    })
+    this.joinProjectSync()
+  },
+
+  stopTabSync() {
+    tabSyncSession?.close()
+    tabSyncSession = null
+    this.tabSync.role = 'solo'
+    this.tabSync.ownerTabId = null
+  },
+
+  /** 当前工程变化时调用：加入该工程的会话并协商编辑权 */
+  joinProjectSync() {
+    this.tabSync.stale = false
+    this.tabSync.remoteSavedAt = null
+    tabSyncSession?.join(this.project?.id || null)
+  },
+
+  announceProjectSaved(updatedAt) {
+    tabSyncSession?.announceSaved(updatedAt)
+  },
+
+  /**
+   * 其他标签页保存了同一工程：本页没有修改时直接载入最新版本，
+   * 有未保存的修改时标记为过期并由横幅提示用户选择。
+   */
+  async handleRemoteProjectSaved(updatedAt) {
+    this.tabSync.remoteSavedAt = updatedAt || new Date().toISOString()
+    if (this.history.past.length > 0) {
+      this.tabSync.stale = true
+      return
+    }
+    await this.reloadProjectFromSync()
+  },
+
+  /** 从本地库重新载入当前工程（保留仍然存在的选择），并重置撤销历史 */
+  async reloadProjectFromSync() {
+    if (!this.project) return
+    const latest = await loadProjectFromDb(this.project.id)
+    if (!latest) {
+      this.statusText = '该工程已在其他标签页中被删除'
+      return
+    }
+    const stationIds = new Set(latest.stations.map((station) => station.id))
+    const edgeIds = new Set(latest.edges.map((edge) => edge.id))
+    this.project = latest
+    this.regionBoundary = latest.regionBoundary || null
+    if (!latest.lines.some((line) => line.id === this.activeLineId)) {
+      this.activeLineId = latest.lines[0]?.id || null
+    }
+    this.selectedStationIds = this.selectedStationIds.filter((id) => stationIds.has(id))
+    this.selectedStationId = stationIds.has(this.selectedStationId) ? this.selectedStationId : null
+    this.selectedEdgeIds = this.selectedEdgeIds.filter((id) => edgeIds.has(id))
+    this.selectedEdgeId = edgeIds.has(this.selectedEdgeId) ? this.selectedEdgeId : null
+    if (!this.selectedEdgeId) this.selectedEdgeAnchor = null
+    this.pendingEdgeStartStationId = null
+    this.recomputeStationLineMembership()
+    this.resetHistoryBaseline()
+    this.tabSync.stale = false
+    this.statusText = '已载入其他标签页保存的最新版本'
+  },
+
+  /**
+   * 在本标签页接管编辑权。
+   * @param {{keepLocalChanges?: boolean}} [options] - true 时以本页内容覆盖本地库，否则先载入最新版本
+   */
+  async takeOverProjectEditing({ keepLocalChanges = false } = {}) {
+    if (!this.project) return
+    await tabSyncSession?.claim()
+    if (keepLocalChanges) {
+      this.tabSync.stale = false
+      await this.persistNow()
+      this.statusText = '已接管编辑，本页修改已保存'
+      return
+    }
+    await this.reloadProjectFromSync()
+    this.statusText = '已接管编辑'
+  },
+}
+
+export { tabSyncActions }
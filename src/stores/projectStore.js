@@ -1,8 +1,12 @@
 import { acceptHMRUpdate, defineStore } from 'pinia'
-import { DEFAULT_EDIT_YEAR } from '../lib/constants'
-import { exportPersistenceActions } from './project/actions/exportPersistence'
+import { DEFAULT_EDIT_YEAR, NAV_TRANSFER_PENALTY_MINUTES } from '../lib/constants'
+import { createId } from '../lib/ids'
+import { isTabSyncSupported } from '../lib/storage/tabSync'
+import { createLinkedFileState, exportPersistenceActions } from './project/actions/exportPersistence'
 import { historyActions } from './project/actions/history'
 import { importLayoutActions } from './project/actions/importLayout'
+import { layoutConstraintActions } from './project/actions/layoutConstraintActions'
+import { createLayoutCompareState, layoutCompareActions } from './project/actions/layoutCompareActions'
 import { lifecycleActions } from './project/actions/lifecycle'
 import { mapPreferencesActions } from './project/actions/mapPreferences'
 import { networkEditingActions } from './project/actions/networkEditing'
@@ -13,6 +17,14 @@ import { styleBrushActions } from './project/actions/styleBrushActions'
 import { annotationActions } from './project/actions/annotationActions'
 import { clipboardActions } from './project/actions/clipboard'
 import { reachabilityActions } from './project/actions/reachabilityActions'
+import { accessibilityActions } from './project/actions/accessibilityActions'
+import { disruptionActions } from './project/actions/disruptionActions'
+import { revisionActions } from './project/actions/revisionActions'
+import { diffActions } from './project/actions/diffActions'
+import { mergeActions } from './project/actions/mergeActions'
+import { tabSyncActions } from './project/actions/tabSyncActions'
+import { collabActions, getInitialCollabName, getInitialCollabUrl } from './project/actions/collabActions'
+import { projectLibraryActions } from './project/actions/projectLibraryActions'
 
 function getInitialProtomapsApiKey() {
   try {
@@ -80,14 +92,73 @@ export const useProjectStore = defineStore('project', {
       active: false,
       originLngLat: null,
       destinationLngLat: null,
+      servicePeriod: 'peak',
+      objective: 'fastest',
+      transferPenaltyMinutes: NAV_TRANSFER_PENALTY_MINUTES,
+      alternatives: [],
+      selectedRouteIndex: 0,
       result: null,
     },
     reachability: {
       active: false,
+      picking: false,
       stationId: null,
-      thresholdMeters: 0,
+      originLngLat: null,
+      maxMinutes: 60,
+      result: null,
+    },
+    accessibility: {
+      active: false,
+      loading: false,
+      metric: 'mean',
+      result: null,
+    },
+    centrality: {
+      active: false,
+      valuesByStation: null,
+      breaks: [],
+    },
+    disruption: {
+      active: false,
+      closedEdgeIds: [],
+      closedStationIds: [],
+      thresholdPercent: 20,
+      loading: false,
+      result: null,
+      selectedPairIndex: -1,
+    },
+    projectDiff: {
+      active: false,
+      loading: false,
+      baseLabel: '',
+      targetLabel: '',
       result: null,
     },
+    layoutCompare: createLayoutCompareState(),
+    revisions: {
+      items: [],
+      loading: false,
+      preview: null,
+    },
+    tabSync: {
+      supported: isTabSyncSupported(),
+      tabId: createId('tab'),
+      role: 'solo',
+      ownerTabId: null,
+      stale: false,
+      remoteSavedAt: null,
+    },
+    linkedFile: createLinkedFileState(),
+    collab: {
+      status: 'idle', // 'idle' | 'connecting' | 'connected'
+      url: getInitialCollabUrl(),
+      room: '',
+      projectId: null,
+      clientId: '',
+      user: { name: getInitialCollabName(), color: '' },
+      peers: {}, // clientId -> { user: {name, color}, presence: {view, cursor, stationIds, edgeIds} | null }
+      error: '',
+    },
     styleBrush: {
       active: false,
       sourceType: null,
@@ -98,11 +169,8 @@ export const useProjectStore = defineStore('project', {
     history: {
       past: [],
       future: [],
-      lastSnapshot: null,
-      lastSnapshotHash: '',
+      lastView: null,
       maxEntries: 320,
-      checkpointInterval: 20,
-      checkpoints: [],
       isRestoring: false,
     },
   }),
@@ -143,6 +211,12 @@ export const useProjectStore = defineStore('project', {
       const selectedSet = new Set(state.selectedEdgeIds || [])
       return state.project.edges.filter((edge) => selectedSet.has(edge.id))
     },
+    /** @returns {import('../lib/projectModel').RailProject|null} 属于当前工程的检查点预览 */
+    revisionPreviewProject(state) {
+      const preview = state.revisions.preview
+      if (!preview || preview.projectId !== state.project?.id) return null
+      return preview.project
+    },
     /** @returns {boolean} */
     canUndo(state) {
       return (state.history?.past?.length || 0) > 0
@@ -204,6 +278,8 @@ export const useProjectStore = defineStore('project', {
     ...selectionActions,
     ...networkEditingActions,
     ...importLayoutActions,
+    ...layoutConstraintActions,
+    ...layoutCompareActions,
     ...exportPersistenceActions,
     ...timelineActions,
     ...navigationActions,
@@ -211,6 +287,14 @@ export const useProjectStore = defineStore('project', {
     ...annotationActions,
     ...clipboardActions,
     ...reachabilityActions,
+    ...accessibilityActions,
+    ...disruptionActions,
+    ...revisionActions,
+    ...diffActions,
+    ...mergeActions,
+    ...tabSyncActions,
+    ...collabActions,
+    ...projectLibraryActions,
     setChineseScript(script) {
       if (script !== 'simplified' && script !== 'traditional') return
       this.chineseScript = script
@@ -58,6 +58,25 @@ const DEFAULT_CONFIG = {
   proximityRepelWeight: 12,
   proximityRepelMaxDistance: 22,
   proximityRepelPasses: 2,
+  userConstraintPasses: 3,
+  localScoreMargin: 100,
+  gridSearchTimeBudgetMs: 5000,
+  gridSearchPitch: 0,
+  gridSearchMoveRadius: 2,
+  gridSearchMaxRaySteps: 3,
+  gridSearchViolationWeight: 400,
+  gridSearchSectorWeight: 4,
+  gridSearchBendWeight: 3,
+  gridSearchLengthWeight: 1.5,
+  gridSearchCrossingWeight: 80,
+  gridSearchProximityWeight: 40,
+  gridSearchGeoWeight: 0.15,
+  gridSearchInitialTemperature: 6,
+  gridSearchCooling: 0.85,
+  gridPitch: 0,
+  equalSpacing: false,
+  gridSnapTimeBudgetMs: 1500,
+  gridSnapInitialTemperature: 0.5,
 }
 
 export { DEFAULT_CONFIG }
@@ -10,8 +10,15 @@ import {
   toGridCellCoord,
 } from './shared'
 import { snapEdgesToEightDirections } from './forces'
-
-function enforceOctilinearHardConstraints(positions, edgeRecords, stations, config) {
+import { applyUserConstraints, resolveEdgeTargetAngles, stationMobility } from './userConstraints'
+
+/**
+ * Pull every edge onto one of the eight directions: blended relax iterations, then exact
+ * passes that move endpoints by degree ratio. With `userRules`, pinned stations never
+ * move (the other endpoint takes the whole correction) and edges of locked runs or
+ * straight sections target their run's direction instead of the nearest one.
+ */
+function enforceOctilinearHardConstraints(positions, edgeRecords, stations, config, userRules = null) {
   if (!edgeRecords.length) return
 
   console.log('[CONSTRAINT] enforceOctilinearHardConstraints starting:', {
@@ -29,6 +36,7 @@ function enforceOctilinearHardConstraints(positions, edgeRecords, stations, conf
   const relaxIterations = Math.max(0, Math.floor(config.octilinearRelaxIterations || 0))
   for (let iteration = 0; iteration < relaxIterations; iteration += 1) {
     const targets = positions.map(() => [0, 0, 0])
+    const targetAngles = resolveEdgeTargetAngles(positions, userRules)
 
     for (const edge of edgeRecords) {
       const from = positions[edge.fromIndex]
@@ -36,7 +44,7 @@ function enforceOctilinearHardConstraints(positions, edgeRecords, stations, conf
       const dx = to[0] - from[0]
       const dy = to[1] - from[1]
       const length = Math.max(distance(from, to), 0.00001)
-      const snapped = snapAngle(Math.atan2(dy, dx))
+      const snapped = targetAngles.get(edge.id) ?? snapAngle(Math.atan2(dy, dx))
 
       const targetDx = Math.cos(snapped) * length
       const targetDy = Math.sin(snapped) * length
@@ -59,7 +67,7 @@ function enforceOctilinearHardConstraints(positions, edgeRecords, stations, conf
 
     for (let i = 0; i < positions.length; i += 1) {
       const weight = targets[i][2]
-      if (!weight) continue
+      if (!weight || !stationMobility(userRules, i)) continue
       const station = stations[i]
       const targetX = targets[i][0] / weight
       const targetY = targets[i][1] / weight
@@ -72,12 +80,15 @@ function enforceOctilinearHardConstraints(positions, edgeRecords, stations, conf
 
     if ((iteration + 1) % 8 === 0) {
       snapEdgesToEightDirections(positions, edgeRecords, 0.2)
+      applyUserConstraints(positions, userRules, config)
     }
   }
 
   const maxExactPasses = Math.max(1, Math.floor(config.octilinearExactPasses || 1))
   const strictTolerance = Math.max(1e-7, toFiniteNumber(config.octilinearStrictTolerance, 0.0008))
   for (let pass = 0; pass < maxExactPasses; pass += 1) {
+      applyUserConstraints(positions, userRules, config)
+      const targetAngles = resolveEdgeTargetAngles(positions, userRules)
       let maxResidual = 0
       for (const edge of edgeRecords) {
         const from = positions[edge.fromIndex]
@@ -92,10 +103,14 @@ function enforceOctilinearHardConstraints(positions, edgeRecords, stations, conf
           })
           continue
         }
+        const fromMobility = stationMobility(userRules, edge.fromIndex)
+        const toMobility = stationMobility(userRules, edge.toIndex)
+        // both ends pinned: nothing to correct, and it must not block convergence
+        if (!fromMobility && !toMobility) continue
         const dx = to[0] - from[0]
         const dy = to[1] - from[1]
         const length = Math.max(distance(from, to), 0.00001)
-        const snapped = snapAngle(Math.atan2(dy, dx))
+        const snapped = targetAngles.get(edge.id) ?? snapAngle(Math.atan2(dy, dx))
         const targetDx = Math.cos(snapped) * length
         const targetDy = Math.sin(snapped) * length
         const errX = targetDx - dx
@@ -113,6 +128,10 @@ function enforceOctilinearHardConstraints(positions, edgeRecords, stations, conf
           fromMove = 0
           toMove = 1
         }
+        if (!fromMobility || !toMobility) {
+          fromMove = fromMobility
+          toMove = toMobility
+        }
 
         from[0] -= errX * fromMove
         from[1] -= errY * fromMove
@@ -0,0 +1,477 @@
+import {
+  angleToDirectionIndex,
+  circularDirectionDistance,
+  directionIndexToAngle,
+  distance,
+  distancePointToSegment,
+  edgesShareEndpoint,
+  normalizeAngle,
+  segmentsIntersect,
+  toFiniteNumber,
+} from './shared'
+
+/**
+ * Combinatorial local search on an octilinear grid, used by the octilinear engine
+ * (`octilinearLayout.js`) and by the grid-snapping stage (`gridSnap.js`).
+ *
+ * Stations sit on a square grid (pinned stations keep their exact positions). A move puts
+ * one station on a grid cell near it, on an octilinear ray from one of its neighbours, or
+ * where the rays of two neighbours meet, and is judged by a Nöllenburg-style cost:
+ * non-octilinear edges (near-hard), edges leaving their reference sector, bends along line
+ * chains, edge length off the reference length in grid steps, crossings, stations too
+ * close to other stations or edges, and the user constraints. Simulated annealing runs
+ * until the deadline or until no move helps, and keeps the best layout found.
+ */
+
+const DIRECTIONS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]]
+
+/** Cost per turn at a line-chain vertex, by 45° steps (4 = U-turn). */
+const BEND_STEP_COST = [0, 1, 2.5, 8, 40]
+
+/** Cost of an edge leaving its geographic sector, by 45° steps. */
+const SECTOR_STEP_COST = [0, 1, 3, 6, 10]
+
+const OCTILINEAR_TOLERANCE = 0.0005
+
+/** Candidates (cheapest first by edge terms) that get the full evaluation with crossings. */
+const FULL_EVALUATION_LIMIT = 12
+
+function createRandom(seed) {
+  let state = seed >>> 0 || 1
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0
+    return state / 4294967296
+  }
+}
+
+function directionOf(from, to) {
+  const angle = Math.atan2(to[1] - from[1], to[0] - from[0])
+  const index = angleToDirectionIndex(angle)
+  return { index, deviation: Math.abs(normalizeAngle(angle - directionIndexToAngle(index))) }
+}
+
+function medianEdgeLength(positions, edgeRecords) {
+  const lengths = edgeRecords
+    .map((edge) => distance(positions[edge.fromIndex], positions[edge.toIndex]))
+    .filter((length) => length > 0)
+    .sort((a, b) => a - b)
+  return lengths.length ? lengths[lengths.length >> 1] : 0
+}
+
+/** Grid pitch: `gridSearchPitch`, or half the median reference edge length when it is 0. */
+function resolveGridPitch(config, reference, edgeRecords) {
+  const configured = toFiniteNumber(config.gridSearchPitch, 0)
+  if (configured > 0) return configured
+  const minPitch = Math.max(8, toFiniteNumber(config.minStationDistance, 50) * 0.8)
+  return Math.max(minPitch, medianEdgeLength(reference, edgeRecords) / 2)
+}
+
+function isOnGrid(xy, pitch) {
+  return xy.every((value) => Math.abs(value / pitch - Math.round(value / pitch)) < 1e-6)
+}
+
+/**
+ * Equal spacing: every edge of a line chain wants the chain's median length in grid steps;
+ * an edge shared by several chains takes the shortest.
+ */
+function equalizeDesiredSteps(desiredSteps, lineChains) {
+  const equalized = new Map()
+  for (const chain of lineChains || []) {
+    const steps = chain.edgePath.map((edgeId) => desiredSteps.get(edgeId)).filter(Number.isFinite).sort((a, b) => a - b)
+    if (!steps.length) continue
+    const median = steps[steps.length >> 1]
+    for (const edgeId of chain.edgePath) {
+      equalized.set(edgeId, Math.min(equalized.get(edgeId) ?? Number.POSITIVE_INFINITY, median))
+    }
+  }
+  for (const [edgeId, steps] of equalized) desiredSteps.set(edgeId, steps)
+}
+
+function createSpatialHash(cellSize) {
+  const buckets = new Map()
+  const keyOf = (x, y) => `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`
+  return {
+    add(index, xy) {
+      const key = keyOf(xy[0], xy[1])
+      if (!buckets.has(key)) buckets.set(key, new Set())
+      buckets.get(key).add(index)
+    },
+    remove(index, xy) {
+      buckets.get(keyOf(xy[0], xy[1]))?.delete(index)
+    },
+    /** Indices in the cells overlapping the box, a superset of the stations inside it. */
+    query(left, bottom, right, top, visit) {
+      const x0 = Math.floor(left / cellSize)
+      const x1 = Math.floor(right / cellSize)
+      const y0 = Math.floor(bottom / cellSize)
+      const y1 = Math.floor(top / cellSize)
+      for (let x = x0; x <= x1; x += 1) {
+        for (let y = y0; y <= y1; y += 1) {
+          const bucket = buckets.get(`${x}:${y}`)
+          if (bucket) for (const index of bucket) visit(index)
+        }
+      }
+    },
+  }
+}
+
+/**
+ * @param {ReturnType<typeof import('./layoutContext').buildLayoutContext>} context
+ * @param {object} [options]
+ * @param {number[][]} [options.reference] - positions that seed the grid and define each edge's
+ *   sector and length; the geographic seed by default
+ * @param {number} [options.pitch] - grid pitch; derived from `gridSearchPitch` / the reference when omitted
+ * @param {boolean} [options.gridOnly] - keep free stations on grid nodes (no ray intersections off the grid)
+ * @param {boolean} [options.equalSpacing] - uniform station spacing along each line chain
+ * @param {number} [options.initialTemperature] - defaults to `gridSearchInitialTemperature`
+ */
+function createGridSearch(
+  context,
+  { reference = context.original, pitch: requestedPitch = 0, gridOnly = false, equalSpacing = false, initialTemperature } = {},
+) {
+  const { config, edgeRecords, lineChains, userRules } = context
+  const original = reference
+  const count = original.length
+  const pitch = requestedPitch > 0 ? requestedPitch : resolveGridPitch(config, reference, edgeRecords)
+  const maxRaySteps = Math.max(1, Math.floor(toFiniteNumber(config.gridSearchMaxRaySteps, 3)))
+  const moveRadius = Math.max(1, Math.floor(toFiniteNumber(config.gridSearchMoveRadius, 2)))
+  const weights = {
+    violation: toFiniteNumber(config.gridSearchViolationWeight, 400),
+    sector: toFiniteNumber(config.gridSearchSectorWeight, 4),
+    bend: toFiniteNumber(config.gridSearchBendWeight, 3),
+    length: toFiniteNumber(config.gridSearchLengthWeight, 1.5) * (equalSpacing ? 3 : 1),
+    crossing: toFiniteNumber(config.gridSearchCrossingWeight, 80),
+    proximity: toFiniteNumber(config.gridSearchProximityWeight, 40),
+    geo: toFiniteNumber(config.gridSearchGeoWeight, 0.15),
+  }
+  const pinned = userRules.pinned
+  const positions = original.map((xy) => [xy[0], xy[1]])
+  const hash = createSpatialHash(pitch)
+
+  const incident = Array.from({ length: count }, () => [])
+  for (const edge of edgeRecords) {
+    incident[edge.fromIndex].push(edge)
+    incident[edge.toIndex].push(edge)
+  }
+  const neighborsOf = (index) =>
+    incident[index].map((edge) => (edge.fromIndex === index ? edge.toIndex : edge.fromIndex))
+
+  const seedDirection = new Map()
+  const desiredSteps = new Map()
+  for (const edge of edgeRecords) {
+    const from = original[edge.fromIndex]
+    const to = original[edge.toIndex]
+    seedDirection.set(edge.id, directionOf(from, to).index)
+    desiredSteps.set(edge.id, Math.min(maxRaySteps + 1, Math.max(1, Math.round(distance(from, to) / pitch))))
+  }
+  if (equalSpacing) equalizeDesiredSteps(desiredSteps, lineChains)
+
+  // turns at interior vertices of every line chain; a station moving affects the turns it is part of
+  const turnsByNode = Array.from({ length: count }, () => [])
+  for (const chain of lineChains || []) {
+    const path = chain.nodePath
+    const closed = path.length > 3 && path[0] === path[path.length - 1]
+    const triples = []
+    for (let i = 1; i < path.length - 1; i += 1) triples.push([path[i - 1], path[i], path[i + 1]])
+    if (closed) triples.push([path[path.length - 2], path[0], path[1]])
+    for (const triple of triples) {
+      if (triple[0] === triple[2]) continue
+      for (const index of new Set(triple)) turnsByNode[index].push(triple)
+    }
+  }
+  const runsByNode = Array.from({ length: count }, () => [])
+  for (const run of userRules.runs) {
+    for (const index of new Set(run.indices)) runsByNode[index].push(run)
+  }
+  const relationsByNode = Array.from({ length: count }, () => [])
+  for (const relation of userRules.relations) {
+    relationsByNode[relation.a].push(relation)
+    relationsByNode[relation.b].push(relation)
+  }
+
+  function isFree(xy, except) {
+    const radius = pitch * 0.5
+    let free = true
+    hash.query(xy[0] - radius, xy[1] - radius, xy[0] + radius, xy[1] + radius, (index) => {
+      if (free && index !== except && distance(positions[index], xy) < radius) free = false
+    })
+    return free
+  }
+
+  // initial placement: pinned stations stay put, the rest snap to the nearest free grid cell
+  function placeInitial() {
+    for (const index of pinned.keys()) hash.add(index, positions[index])
+    const order = [...Array(count).keys()]
+      .filter((index) => !pinned.has(index))
+      .sort((a, b) => incident[b].length - incident[a].length || a - b)
+    for (const index of order) {
+      const cx = Math.round(original[index][0] / pitch)
+      const cy = Math.round(original[index][1] / pitch)
+      let placed = null
+      for (let ring = 0; !placed && ring <= 64; ring += 1) {
+        for (let dx = -ring; !placed && dx <= ring; dx += 1) {
+          for (let dy = -ring; dy <= ring; dy += 1) {
+            if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue
+            const xy = [(cx + dx) * pitch, (cy + dy) * pitch]
+            if (isFree(xy, index)) {
+              placed = xy
+              break
+            }
+          }
+        }
+      }
+      positions[index] = placed || [cx * pitch, cy * pitch]
+      hash.add(index, positions[index])
+    }
+  }
+
+  function edgeCost(edge) {
+    const from = positions[edge.fromIndex]
+    const to = positions[edge.toIndex]
+    const length = distance(from, to)
+    if (length < 1e-6) return weights.violation * 4
+    const { index, deviation } = directionOf(from, to)
+    let cost = 0
+    if (deviation > OCTILINEAR_TOLERANCE) cost += weights.violation * (1 + deviation / (Math.PI / 8))
+    cost += weights.sector * SECTOR_STEP_COST[circularDirectionDistance(index, seedDirection.get(edge.id))]
+    const steps = Math.max(Math.abs(to[0] - from[0]), Math.abs(to[1] - from[1])) / pitch
+    cost += weights.length * Math.abs(steps - desiredSteps.get(edge.id))
+    if (steps < 0.75) cost += weights.violation
+    return cost
+  }
+
+  function bendCost([a, b, c]) {
+    const first = directionOf(positions[a], positions[b]).index
+    const second = directionOf(positions[b], positions[c]).index
+    return weights.bend * BEND_STEP_COST[circularDirectionDistance(first, second)]
+  }
+
+  function runCost(run) {
+    const first = positions[run.indices[0]]
+    const last = positions[run.indices[run.indices.length - 1]]
+    const target = Number.isInteger(run.direction) ? run.direction : directionOf(first, last).index
+    let cost = 0
+    for (const { record, forward } of run.edges) {
+      const from = positions[forward ? record.fromIndex : record.toIndex]
+      const to = positions[forward ? record.toIndex : record.fromIndex]
+      const { index, deviation } = directionOf(from, to)
+      if (index !== target || deviation > OCTILINEAR_TOLERANCE) cost += weights.violation * 0.5
+    }
+    return cost
+  }
+
+  // same reading as `applyRelation` in userConstraints.js: second − first along one axis, y up
+  function relationCost(relation) {
+    const axis = relation.type === 'leftOf' || relation.type === 'sameColumn' ? 0 : 1
+    const [first, second] = relation.type === 'above' ? [relation.b, relation.a] : [relation.a, relation.b]
+    const value = positions[second][axis] - positions[first][axis]
+    const error = relation.type === 'leftOf' || relation.type === 'above' ? Math.max(0, pitch - value) : Math.abs(value)
+    return error > 1e-6 ? weights.violation * 0.5 + (error / pitch) * weights.length : 0
+  }
+
+  function crossingCost(edge) {
+    const a1 = positions[edge.fromIndex]
+    const a2 = positions[edge.toIndex]
+    const left = Math.min(a1[0], a2[0])
+    const right = Math.max(a1[0], a2[0])
+    const bottom = Math.min(a1[1], a2[1])
+    const top = Math.max(a1[1], a2[1])
+    let cost = 0
+    for (const other of edgeRecords) {
+      if (other === edge || edgesShareEndpoint(edge, other)) continue
+      const b1 = positions[other.fromIndex]
+      const b2 = positions[other.toIndex]
+      if (Math.max(b1[0], b2[0]) < left || Math.min(b1[0], b2[0]) > right) continue
+      if (Math.max(b1[1], b2[1]) < bottom || Math.min(b1[1], b2[1]) > top) continue
+      if (segmentsIntersect(a1, a2, b1, b2)) cost += weights.crossing
+    }
+    return cost
+  }
+
+  /** Stations other than its endpoints lying on or next to the edge. */
+  function edgeClearanceCost(edge) {
+    const from = positions[edge.fromIndex]
+    const to = positions[edge.toIndex]
+    const clearance = pitch * 0.4
+    let cost = 0
+    hash.query(
+      Math.min(from[0], to[0]) - clearance,
+      Math.min(from[1], to[1]) - clearance,
+      Math.max(from[0], to[0]) + clearance,
+      Math.max(from[1], to[1]) + clearance,
+      (index) => {
+        if (index === edge.fromIndex || index === edge.toIndex) return
+        if (distancePointToSegment(positions[index], from, to) < clearance) cost += weights.proximity
+      },
+    )
+    return cost
+  }
+
+  /** Other stations crowding this one, and edges passing next to it. */
+  function stationClearanceCost(index) {
+    const xy = positions[index]
+    const radius = pitch * 0.9
+    let cost = 0
+    hash.query(xy[0] - radius, xy[1] - radius, xy[0] + radius, xy[1] + radius, (other) => {
+      if (other !== index && distance(positions[other], xy) < radius) cost += weights.proximity * 2
+    })
+    const clearance = pitch * 0.4
+    for (const edge of edgeRecords) {
+      if (edge.fromIndex === index || edge.toIndex === index) continue
+      const from = positions[edge.fromIndex]
+      const to = positions[edge.toIndex]
+      if (xy[0] < Math.min(from[0], to[0]) - clearance || xy[0] > Math.max(from[0], to[0]) + clearance) continue
+      if (xy[1] < Math.min(from[1], to[1]) - clearance || xy[1] > Math.max(from[1], to[1]) + clearance) continue
+      if (distancePointToSegment(xy, from, to) < clearance) cost += weights.proximity
+    }
+    return cost
+  }
+
+  /** Terms that do not need a scan over all edges; used to rank candidates cheaply. */
+  function localShapeCost(index) {
+    let cost = (weights.geo * distance(positions[index], original[index])) / pitch
+    for (const edge of incident[index]) cost += edgeCost(edge)
+    for (const triple of turnsByNode[index]) cost += bendCost(triple)
+    for (const run of runsByNode[index]) cost += runCost(run)
+    for (const relation of relationsByNode[index]) cost += relationCost(relation)
+    return cost
+  }
+
+  function nodeCost(index) {
+    let cost = localShapeCost(index) + stationClearanceCost(index)
+    for (const edge of incident[index]) cost += crossingCost(edge) + edgeClearanceCost(edge)
+    return cost
+  }
+
+  function totalCost() {
+    let cost = 0
+    for (let index = 0; index < count; index += 1) {
+      cost += (weights.geo * distance(positions[index], original[index])) / pitch
+      cost += stationClearanceCost(index)
+    }
+    for (const edge of edgeRecords) cost += edgeCost(edge) + crossingCost(edge) / 2
+    for (let index = 0; index < count; index += 1) {
+      for (const triple of turnsByNode[index]) if (triple[1] === index) cost += bendCost(triple)
+    }
+    for (const run of userRules.runs) cost += runCost(run)
+    for (const relation of userRules.relations) cost += relationCost(relation)
+    return cost
+  }
+
+  function candidatesFor(index) {
+    const current = positions[index]
+    const result = []
+    for (let dx = -moveRadius; dx <= moveRadius; dx += 1) {
+      for (let dy = -moveRadius; dy <= moveRadius; dy += 1) {
+        if (dx || dy) result.push([current[0] + dx * pitch, current[1] + dy * pitch])
+      }
+    }
+    const neighbors = [...new Set(neighborsOf(index))]
+    for (const neighbor of neighbors) {
+      const origin = positions[neighbor]
+      for (const [ux, uy] of DIRECTIONS) {
+        for (let step = 1; step <= maxRaySteps; step += 1) {
+          result.push([origin[0] + ux * step * pitch, origin[1] + uy * step * pitch])
+        }
+      }
+    }
+    // where octilinear rays from two neighbours meet, both edges are octilinear at once
+    const reach = (maxRaySteps + 1) * pitch * Math.SQRT2
+    for (let i = 0; i < neighbors.length && i < 4; i += 1) {
+      for (let j = i + 1; j < neighbors.length && j < 4; j += 1) {
+        const p = positions[neighbors[i]]
+        const q = positions[neighbors[j]]
+        for (const [ux, uy] of DIRECTIONS) {
+          for (const [vx, vy] of DIRECTIONS) {
+            const det = ux * -vy - uy * -vx
+            if (Math.abs(det) < 1e-9) continue
+            const s = ((q[0] - p[0]) * -vy - (q[1] - p[1]) * -vx) / det
+            const t = (ux * (q[1] - p[1]) - uy * (q[0] - p[0])) / det
+            if (s <= 0 || t <= 0) continue
+            const xy = [p[0] + ux * s, p[1] + uy * s]
+            if (gridOnly && !isOnGrid(xy, pitch)) continue
+            if (distance(xy, p) <= reach && distance(xy, q) <= reach) result.push(xy)
+          }
+        }
+      }
+    }
+    return result
+  }
+
+  function moveTo(index, xy) {
+    hash.remove(index, positions[index])
+    positions[index] = xy
+    hash.add(index, xy)
+  }
+
+  /**
+   * Anneal until `deadline` (a `performance.now()` timestamp) or until a cold sweep moves nothing.
+   * @returns {{sweeps: number, moves: number, pitch: number, cost: number}}
+   */
+  function run(deadline) {
+    placeInitial()
+    const random = createRandom(count * 7919 + edgeRecords.length)
+    const order = [...Array(count).keys()]
+      .filter((index) => !pinned.has(index))
+      .sort((a, b) => incident[b].length - incident[a].length || a - b)
+    let best = positions.map((xy) => [...xy])
+    let bestCost = totalCost()
+    let temperature = toFiniteNumber(initialTemperature ?? config.gridSearchInitialTemperature, 6)
+    const cooling = toFiniteNumber(config.gridSearchCooling, 0.85)
+    let sweeps = 0
+    let moves = 0
+
+    while (order.length && performance.now() < deadline) {
+      let sweepMoves = 0
+      for (const index of order) {
+        if (performance.now() >= deadline) break
+        const current = positions[index]
+        const before = nodeCost(index)
+        const ranked = []
+        for (const xy of candidatesFor(index)) {
+          if (!isFree(xy, index)) continue
+          moveTo(index, xy)
+          ranked.push({ xy, shape: localShapeCost(index) })
+        }
+        moveTo(index, current)
+        ranked.sort((a, b) => a.shape - b.shape)
+
+        let chosen = null
+        let chosenCost = Number.POSITIVE_INFINITY
+        for (const candidate of ranked.slice(0, FULL_EVALUATION_LIMIT)) {
+          moveTo(index, candidate.xy)
+          const cost = nodeCost(index)
+          if (cost < chosenCost) {
+            chosen = candidate.xy
+            chosenCost = cost
+          }
+        }
+        moveTo(index, current)
+
+        const delta = chosenCost - before
+        if (chosen && (delta < -1e-9 || (temperature > 1e-3 && random() < Math.exp(-delta / temperature)))) {
+          moveTo(index, chosen)
+          sweepMoves += 1
+        }
+      }
+      sweeps += 1
+      moves += sweepMoves
+      const cost = totalCost()
+      if (cost < bestCost) {
+        bestCost = cost
+        best = positions.map((xy) => [...xy])
+      }
+      temperature *= cooling
+      if (!sweepMoves) break
+      // once cold, stop when a sweep no longer improves on the best layout
+      if (temperature < 0.05 && cost > bestCost - 1e-9 && sweepMoves < 2) break
+    }
+
+    for (const [index, xy] of pinned) best[index] = [xy[0], xy[1]]
+    return { positions: best, sweeps, moves, pitch, cost: bestCost }
+  }
+
+  return { run }
+}
+
+export { createGridSearch }
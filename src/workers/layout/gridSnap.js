@@ -0,0 +1,77 @@
+import { createGridSearch } from './gridSearch'
+import { angleToDirectionIndex, toFiniteNumber } from './shared'
+
+/**
+ * Grid snapping stage of the force-directed engine, run after the minimum edge length /
+ * station spacing refinement when `gridPitch` > 0: optionally even out the stations along
+ * each straight stretch of every line chain, then move every station onto the grid with a
+ * short, cool grid search. The search keeps edges octilinear and undoes the crossings and
+ * overlaps that rounding to the grid creates. Pinned stations stay where they are.
+ */
+
+function directionBetween(positions, from, to) {
+  const a = positions[from]
+  const b = positions[to]
+  return angleToDirectionIndex(Math.atan2(b[1] - a[1], b[0] - a[0]))
+}
+
+/**
+ * Spread the interior stations of every straight stretch evenly between its ends.
+ * A stretch ends at junctions, line ends, pinned stations and changes of direction.
+ */
+function equalizeChainSpacing(positions, lineChains, nodeDegrees, pinned) {
+  for (const chain of lineChains || []) {
+    const path = chain.nodePath
+    if (path.length < 3) continue
+    let start = 0
+    for (let i = 1; i < path.length; i += 1) {
+      const node = path[i]
+      const isLast = i === path.length - 1
+      const breaks =
+        isLast ||
+        nodeDegrees[node] !== 2 ||
+        pinned.has(node) ||
+        directionBetween(positions, path[i - 1], node) !== directionBetween(positions, node, path[i + 1])
+      if (!breaks) continue
+      const span = i - start
+      if (span >= 2) {
+        const from = positions[path[start]]
+        const to = positions[node]
+        for (let k = 1; k < span; k += 1) {
+          const t = k / span
+          positions[path[start + k]] = [from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t]
+        }
+      }
+      start = i
+    }
+  }
+}
+
+/**
+ * @param {number[][]} positions - updated in place
+ * @param {ReturnType<typeof import('./layoutContext').buildLayoutContext>} context
+ * @returns {{sweeps: number, moves: number, pitch: number, cost: number}|null} null when snapping is off
+ */
+function snapLayoutToGrid(positions, context) {
+  const { config, lineChains, nodeDegrees, userRules } = context
+  const pitch = toFiniteNumber(config.gridPitch, 0)
+  if (pitch <= 0) return null
+  const equalSpacing = Boolean(config.equalSpacing)
+  if (equalSpacing) equalizeChainSpacing(positions, lineChains, nodeDegrees, userRules.pinned)
+
+  const search = createGridSearch(context, {
+    reference: positions.map((xy) => [xy[0], xy[1]]),
+    pitch,
+    gridOnly: true,
+    equalSpacing,
+    initialTemperature: toFiniteNumber(config.gridSnapInitialTemperature, 0.5),
+  })
+  const budgetMs = Math.max(100, toFiniteNumber(config.gridSnapTimeBudgetMs, 1500))
+  const { positions: snapped, ...stats } = search.run(performance.now() + budgetMs)
+  snapped.forEach((xy, index) => {
+    positions[index] = xy
+  })
+  return stats
+}
+
+export { snapLayoutToGrid }
@@ -0,0 +1,173 @@
+import { buildAdjacency, buildNodeDegrees, estimateDesiredEdgeLength, normalizeSeedPositions } from './forces'
+import { computeStationLabelLayout } from './labels'
+import { buildLineChains } from './linePlanning'
+import { computeScoreBreakdown, sanitizeBreakdown } from './scoring'
+import { angleToDirectionIndex, distance, toFiniteNumber } from './shared'
+import { buildUserConstraintRules, resolvePinnedPositions } from './userConstraints'
+import { resolveLocalScope, scoreAffectedArea, seedFromDisplayPositions } from './localScope'
+
+/**
+ * Input preparation and result assembly shared by the layout engines
+ * (`optimizeLayout.js` force-directed, `octilinearLayout.js` grid search):
+ * index stations and edges, seed positions, resolve user constraints and the
+ * local-relayout scope, then turn final positions into the worker result.
+ */
+
+/** Result for payloads without stations or edges. */
+function emptyLayoutResult(stations, startedAt) {
+  return {
+    stations,
+    score: 0,
+    breakdown: {
+      angle: 0,
+      length: 0,
+      overlap: 0,
+      crossing: 0,
+      bend: 0,
+      shortRun: 0,
+      geoDeviation: 0,
+      labelOverlap: 0,
+    },
+    elapsedMs: performance.now() - startedAt,
+  }
+}
+
+/**
+ * @param {object} payload - `{stations, edges, lines, constraints?, freeStationIds?}`
+ * @param {object} config - DEFAULT_CONFIG merged with `payload.config`
+ */
+function buildLayoutContext(payload, config) {
+  const stations = payload?.stations || []
+  const edges = payload?.edges || []
+  const lines = payload?.lines || []
+
+  const stationIndex = new Map()
+  stations.forEach((station, index) => {
+    if (!station?.id) {
+      console.warn(`[LAYOUT] Station at index ${index} missing id, skipping`)
+      return
+    }
+    stationIndex.set(station.id, index)
+  })
+  console.log('[LAYOUT] Station index built, mapping count:', stationIndex.size, '/', stations.length)
+
+  // A local relayout starts from the current schematic and pins everything outside the selection
+  const localScope = resolveLocalScope(payload, stations, stationIndex)
+  const constraints = localScope ? localScope.constraints : payload?.constraints
+  const original = localScope
+    ? seedFromDisplayPositions(stations)
+    : normalizeSeedPositions(stations, config.normalizeTargetSpan, config.geoSeedScale)
+  console.log('[LAYOUT] Seed positions created, count:', original.length, 'local:', Boolean(localScope))
+
+  // Pinned stations are anchored at their current displayPos rather than the geographic seed
+  for (const [index, xy] of resolvePinnedPositions(constraints, stations, stationIndex)) {
+    original[index] = [...xy]
+  }
+
+  const edgeRecords = []
+  let invalidEdgeCount = 0
+  for (const edge of edges) {
+    const fromIndex = stationIndex.get(edge.fromStationId)
+    const toIndex = stationIndex.get(edge.toStationId)
+    if (fromIndex == null || toIndex == null || fromIndex === toIndex) {
+      invalidEdgeCount++
+      console.warn('[LAYOUT] Invalid edge:', {
+        edgeId: edge.id,
+        fromStationId: edge.fromStationId,
+        toStationId: edge.toStationId,
+        fromIndex,
+        toIndex,
+        reason: fromIndex == null ? 'fromStationId not found' : toIndex == null ? 'toStationId not found' : 'self-loop'
+      })
+      continue
+    }
+
+    const baseLength = distance(original[fromIndex], original[toIndex])
+    const desiredLength = estimateDesiredEdgeLength(baseLength, config)
+
+    edgeRecords.push({
+      id: edge.id,
+      fromIndex,
+      toIndex,
+      desiredLength,
+    })
+  }
+  console.log('[LAYOUT] Edge records built, valid:', edgeRecords.length, '/', edges.length, 'invalid:', invalidEdgeCount)
+  const edgeById = new Map(edgeRecords.map((edge) => [edge.id, edge]))
+  const nodeDegrees = buildNodeDegrees(stations.length, edgeRecords)
+  const lineChains = buildLineChains(lines, edgeById)
+  const adjacency = buildAdjacency(stations.length, edgeRecords)
+  const userRules = buildUserConstraintRules(constraints, {
+    stations,
+    edges,
+    lines,
+    stationIndex,
+    edgeRecords,
+  })
+
+  console.log('[LAYOUT] Data structures built:', {
+    nodeDegrees: nodeDegrees.length,
+    adjacency: adjacency.length,
+    lineChains: lineChains?.length || 0,
+    pinned: userRules.pinned.size,
+    runs: userRules.runs.length,
+    relations: userRules.relations.length,
+  })
+
+  return {
+    stations,
+    edges,
+    lines,
+    config,
+    stationIndex,
+    localScope,
+    original,
+    edgeRecords,
+    edgeById,
+    nodeDegrees,
+    lineChains,
+    adjacency,
+    userRules,
+  }
+}
+
+/** Labels, edge directions and score for the final positions, in the worker result shape. */
+function finalizeLayout(context, positions, startedAt) {
+  const { stations, lines, config, localScope, original, edgeRecords, nodeDegrees, lineChains } = context
+  const stationLabels = computeStationLabelLayout(positions, stations, edgeRecords, nodeDegrees, config)
+  const edgeDirections = Object.fromEntries(
+    edgeRecords.map((edge) => {
+      const from = positions[edge.fromIndex]
+      const to = positions[edge.toIndex]
+      return [edge.id, angleToDirectionIndex(Math.atan2(to[1] - from[1], to[0] - from[0]))]
+    }),
+  )
+
+  const localScore = localScope
+    ? scoreAffectedArea(positions, original, edgeRecords, lines, stations, stationLabels, localScope, config)
+    : null
+  const breakdown = localScore
+    ? localScore.breakdown
+    : computeScoreBreakdown(positions, original, edgeRecords, lineChains, stations, stationLabels, config)
+  const safeBreakdown = sanitizeBreakdown(breakdown)
+  const score = Object.values(safeBreakdown).reduce((sum, value) => sum + value, 0)
+
+  const nextStations = stations.map((station, index) => ({
+    ...station,
+    displayPos: positions[index],
+  }))
+
+  return {
+    stations: nextStations,
+    score: toFiniteNumber(score),
+    breakdown: safeBreakdown,
+    layoutMeta: {
+      stationLabels,
+      edgeDirections,
+    },
+    ...(localScore ? { affectedStationIds: localScore.affectedStationIds } : {}),
+    elapsedMs: performance.now() - startedAt,
+  }
+}
+
+export { buildLayoutContext, emptyLayoutResult, finalizeLayout }
@@ -0,0 +1,106 @@
+import { buildLineChains } from './linePlanning'
+import { computeScoreBreakdown } from './scoring'
+
+/**
+ * Local relayout: when the payload carries `freeStationIds`, only those stations
+ * move and every other station in the payload is pinned at its `displayPos`.
+ * @returns {{freeIndices: Set<number>, constraints: object}|null} null for a full layout
+ */
+function resolveLocalScope(payload, stations, stationIndex) {
+  if (!Array.isArray(payload?.freeStationIds)) return null
+  const freeIndices = new Set()
+  for (const stationId of payload.freeStationIds) {
+    const index = stationIndex.get(stationId)
+    if (index != null) freeIndices.add(index)
+  }
+  if (!freeIndices.size) return null
+
+  const pinnedStationIds = new Set(payload.constraints?.pinnedStationIds || [])
+  stations.forEach((station, index) => {
+    if (station?.id && !freeIndices.has(index)) pinnedStationIds.add(station.id)
+  })
+  return {
+    freeIndices,
+    constraints: { ...(payload.constraints || {}), pinnedStationIds: [...pinnedStationIds] },
+  }
+}
+
+/**
+ * Seed positions for a local relayout: the current schematic, not the geographic seed.
+ * Stations without a usable `displayPos` start at the centroid of the others.
+ */
+function seedFromDisplayPositions(stations) {
+  const valid = stations.map(
+    (station) => Array.isArray(station?.displayPos) && station.displayPos.length === 2 && station.displayPos.every(Number.isFinite),
+  )
+  let sumX = 0
+  let sumY = 0
+  let count = 0
+  stations.forEach((station, index) => {
+    if (!valid[index]) return
+    sumX += station.displayPos[0]
+    sumY += station.displayPos[1]
+    count += 1
+  })
+  const fallback = count ? [sumX / count, sumY / count] : [0, 0]
+  return stations.map((station, index) => (valid[index] ? [station.displayPos[0], station.displayPos[1]] : [...fallback]))
+}
+
+/**
+ * Stations whose score is affected by a local relayout: the free stations, their
+ * direct neighbours and every station within `config.localScoreMargin` of the free
+ * stations' final bounding box.
+ * @returns {number[]} station indices, ascending
+ */
+function collectAffectedIndices(positions, edgeRecords, scope, config) {
+  const affected = new Set(scope.freeIndices)
+  for (const edge of edgeRecords) {
+    if (scope.freeIndices.has(edge.fromIndex)) affected.add(edge.toIndex)
+    if (scope.freeIndices.has(edge.toIndex)) affected.add(edge.fromIndex)
+  }
+  const margin = Math.max(0, Number(config.localScoreMargin) || 0)
+  let minX = Number.POSITIVE_INFINITY
+  let minY = Number.POSITIVE_INFINITY
+  let maxX = Number.NEGATIVE_INFINITY
+  let maxY = Number.NEGATIVE_INFINITY
+  for (const index of scope.freeIndices) {
+    const [x, y] = positions[index]
+    minX = Math.min(minX, x)
+    minY = Math.min(minY, y)
+    maxX = Math.max(maxX, x)
+    maxY = Math.max(maxY, y)
+  }
+  positions.forEach(([x, y], index) => {
+    if (x >= minX - margin && x <= maxX + margin && y >= minY - margin && y <= maxY + margin) affected.add(index)
+  })
+  return [...affected].sort((a, b) => a - b)
+}
+
+/**
+ * `computeScoreBreakdown` restricted to the affected area of a local relayout:
+ * only affected stations, the edges between them and the line chains they form.
+ */
+function scoreAffectedArea(positions, original, edgeRecords, lines, stations, stationLabels, scope, config) {
+  const affectedIndices = collectAffectedIndices(positions, edgeRecords, scope, config)
+  const localIndex = new Map(affectedIndices.map((index, local) => [index, local]))
+  const localEdges = edgeRecords
+    .filter((edge) => localIndex.has(edge.fromIndex) && localIndex.has(edge.toIndex))
+    .map((edge) => ({ ...edge, fromIndex: localIndex.get(edge.fromIndex), toIndex: localIndex.get(edge.toIndex) }))
+  const localLineChains = buildLineChains(lines, new Map(localEdges.map((edge) => [edge.id, edge])))
+
+  const breakdown = computeScoreBreakdown(
+    affectedIndices.map((index) => positions[index]),
+    affectedIndices.map((index) => original[index]),
+    localEdges,
+    localLineChains,
+    affectedIndices.map((index) => stations[index]),
+    stationLabels,
+    config,
+  )
+  return {
+    breakdown,
+    affectedStationIds: affectedIndices.map((index) => stations[index].id),
+  }
+}
+
+export { resolveLocalScope, scoreAffectedArea, seedFromDisplayPositions }
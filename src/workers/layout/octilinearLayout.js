@@ -0,0 +1,42 @@
+import { DEFAULT_CONFIG } from './config'
+import { createGridSearch } from './gridSearch'
+import { buildLayoutContext, emptyLayoutResult, finalizeLayout } from './layoutContext'
+import { toFiniteNumber } from './shared'
+
+/**
+ * Octilinear layout engine: the grid search of `gridSearch.js` in place of the force
+ * simulation, seeded from the geographic positions and bounded by `gridSearchTimeBudgetMs`.
+ * Takes the same payload and returns the same shape as `optimizeLayout`.
+ */
+function optimizeOctilinearLayout(payload) {
+  const startedAt = performance.now()
+  const stations = payload?.stations || []
+  const edges = payload?.edges || []
+  const config = { ...DEFAULT_CONFIG, ...(payload?.config || {}) }
+
+  console.log('[LAYOUT:OCTILINEAR] Input data:', {
+    stationCount: stations.length,
+    edgeCount: edges.length,
+    lineCount: payload?.lines?.length || 0,
+  })
+
+  if (!stations.length || !edges.length) {
+    return emptyLayoutResult(stations, startedAt)
+  }
+
+  const context = buildLayoutContext(payload, config)
+  const budgetMs = Math.max(200, toFiniteNumber(config.gridSearchTimeBudgetMs, 5000))
+  // a user-chosen grid pitch replaces the derived one and keeps every free station on it
+  const gridPitch = toFiniteNumber(config.gridPitch, 0)
+  const search = createGridSearch(context, {
+    pitch: gridPitch,
+    gridOnly: gridPitch > 0,
+    equalSpacing: Boolean(config.equalSpacing),
+  })
+  const { positions, ...stats } = search.run(startedAt + budgetMs)
+  console.log('[LAYOUT:OCTILINEAR] Search finished:', stats)
+
+  return finalizeLayout(context, positions, startedAt)
+}
+
+export { optimizeOctilinearLayout }
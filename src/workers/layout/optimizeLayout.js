@@ -6,20 +6,16 @@ import {
   applyProximityRepel,
   applyRepulsionForce,
   applySpringAndAngleForce,
-  buildAdjacency,
-  buildNodeDegrees,
   clampDisplacement,
   compactLongEdges,
-  estimateDesiredEdgeLength,
-  normalizeSeedPositions,
   snapEdgesToEightDirections,
   straightenNearLinearSegments,
 } from './forces'
 import { enforceMinEdgeLength, enforceMinStationSpacing, enforceOctilinearHardConstraints } from './constraints'
-import { computeStationLabelLayout } from './labels'
-import { buildLineChains } from './linePlanning'
-import { computeScoreBreakdown, sanitizeBreakdown } from './scoring'
-import { angleToDirectionIndex, distance, toFiniteNumber } from './shared'
+import { snapLayoutToGrid } from './gridSnap'
+import { buildLayoutContext, emptyLayoutResult, finalizeLayout } from './layoutContext'
+import { toFiniteNumber } from './shared'
+import { applyUserConstraints } from './userConstraints'
 
 function optimizeLayout(payload) {
   const startedAt = performance.now()
@@ -35,75 +31,11 @@ function optimizeLayout(payload) {
   })
 
   if (!stations.length || !edges.length) {
-    return {
-      stations,
-      score: 0,
-      breakdown: {
-        angle: 0,
-        length: 0,
-        overlap: 0,
-        crossing: 0,
-        bend: 0,
-        shortRun: 0,
-        geoDeviation: 0,
-        labelOverlap: 0,
-      },
-      elapsedMs: performance.now() - startedAt,
-    }
+    return emptyLayoutResult(stations, startedAt)
   }
 
-  const stationIndex = new Map()
-  stations.forEach((station, index) => {
-    if (!station?.id) {
-      console.warn(`[LAYOUT] Station at index ${index} missing id, skipping`)
-      return
-    }
-    stationIndex.set(station.id, index)
-  })
-  console.log('[LAYOUT] Station index built, mapping count:', stationIndex.size, '/', stations.length)
-
-  const original = normalizeSeedPositions(stations, config.normalizeTargetSpan, config.geoSeedScale)
-  console.log('[LAYOUT] Normalized positions created, count:', original.length)
-
-  const edgeRecords = []
-  let invalidEdgeCount = 0
-  for (const edge of edges) {
-    const fromIndex = stationIndex.get(edge.fromStationId)
-    const toIndex = stationIndex.get(edge.toStationId)
-    if (fromIndex == null || toIndex == null || fromIndex === toIndex) {
-      invalidEdgeCount++
-      console.warn('[LAYOUT] Invalid edge:', {
-        edgeId: edge.id,
-        fromStationId: edge.fromStationId,
-        toStationId: edge.toStationId,
-        fromIndex,
-        toIndex,
-        reason: fromIndex == null ? 'fromStationId not found' : toIndex == null ? 'toStationId not found' : 'self-loop'
-      })
-      continue
-    }
-
-    const baseLength = distance(original[fromIndex], original[toIndex])
-    const desiredLength = estimateDesiredEdgeLength(baseLength, config)
-
-    edgeRecords.push({
-      id: edge.id,
-      fromIndex,
-      toIndex,
-      desiredLength,
-    })
-  }
-  console.log('[LAYOUT] Edge records built, valid:', edgeRecords.length, '/', edges.length, 'invalid:', invalidEdgeCount)
-  const edgeById = new Map(edgeRecords.map((edge) => [edge.id, edge]))
-  const nodeDegrees = buildNodeDegrees(stations.length, edgeRecords)
-  const lineChains = buildLineChains(lines, edgeById)
-  const adjacency = buildAdjacency(stations.length, edgeRecords)
-
-  console.log('[LAYOUT] Data structures built:', {
-    nodeDegrees: nodeDegrees.length,
-    adjacency: adjacency.length,
-    lineChains: lineChains?.length || 0
-  })
+  const context = buildLayoutContext(payload, config)
+  const { original, edgeRecords, nodeDegrees, adjacency, userRules } = context
 
   const positions = original.map((xy) => {
     if (!xy || !Array.isArray(xy)) {
@@ -150,6 +82,7 @@ function optimizeLayout(payload) {
     }
 
     clampDisplacement(positions, original, config.displacementLimit)
+    applyUserConstraints(positions, userRules, config)
     temperature *= config.cooling
   }
 
@@ -159,7 +92,7 @@ function optimizeLayout(payload) {
     straightenNearLinearSegments(positions, edgeRecords, lines, stations, config)
     compactLongEdges(positions, edgeRecords, config.maxEdgeLength * 1.12)
     snapEdgesToEightDirections(positions, edgeRecords, 0.24)
-    enforceOctilinearHardConstraints(positions, edgeRecords, stations, config)
+    enforceOctilinearHardConstraints(positions, edgeRecords, stations, config, userRules)
     clampDisplacement(positions, original, config.displacementLimit)
   } catch (error) {
     console.error('[LAYOUT] Error during post-processing:', error)
@@ -191,51 +124,19 @@ function optimizeLayout(payload) {
     octilinearExactPasses: Math.max(1, Math.floor(config.octilinearFinalExactPasses || 1)),
     octilinearStrictTolerance: toFiniteNumber(config.octilinearStrictTolerance, 0.0008),
   }
-  enforceOctilinearHardConstraints(positions, edgeRecords, stations, strictOctilinearConfig)
+  enforceOctilinearHardConstraints(positions, edgeRecords, stations, strictOctilinearConfig, userRules)
   const spacingRefineCycles = Math.max(1, Math.floor(config.stationSpacingRefineCycles || 1))
   for (let cycle = 0; cycle < spacingRefineCycles; cycle += 1) {
     enforceMinEdgeLength(positions, edgeRecords, stations, nodeDegrees, config)
     enforceMinStationSpacing(positions, stations, edgeRecords, nodeDegrees, config)
-    enforceOctilinearHardConstraints(positions, edgeRecords, stations, strictOctilinearConfig)
+    enforceOctilinearHardConstraints(positions, edgeRecords, stations, strictOctilinearConfig, userRules)
   }
   clampDisplacement(positions, original, config.displacementLimit)
+  const gridSnapStats = snapLayoutToGrid(positions, context)
+  if (gridSnapStats) console.log('[LAYOUT] Snapped to grid:', gridSnapStats)
+  applyUserConstraints(positions, userRules, config)
 
-  const stationLabels = computeStationLabelLayout(positions, stations, edgeRecords, nodeDegrees, config)
-  const edgeDirections = Object.fromEntries(
-    edgeRecords.map((edge) => {
-      const from = positions[edge.fromIndex]
-      const to = positions[edge.toIndex]
-      return [edge.id, angleToDirectionIndex(Math.atan2(to[1] - from[1], to[0] - from[0]))]
-    }),
-  )
-
-  const breakdown = computeScoreBreakdown(
-    positions,
-    original,
-    edgeRecords,
-    lineChains,
-    stations,
-    stationLabels,
-    config,
-  )
-  const safeBreakdown = sanitizeBreakdown(breakdown)
-  const score = Object.values(safeBreakdown).reduce((sum, value) => sum + value, 0)
-
-  const nextStations = stations.map((station, index) => ({
-    ...station,
-    displayPos: positions[index],
-  }))
-
-  return {
-    stations: nextStations,
-    score: toFiniteNumber(score),
-    breakdown: safeBreakdown,
-    layoutMeta: {
-      stationLabels,
-      edgeDirections,
-    },
-    elapsedMs: performance.now() - startedAt,
-  }
+  return finalizeLayout(context, positions, startedAt)
 }
 
 export { optimizeLayout }
@@ -0,0 +1,163 @@
+import { resolveLineRun } from '../../lib/layout/layoutConstraints'
+import { directionIndexToAngle, distance, snapAngle, toFiniteNumber } from './shared'
+
+/**
+ * Pinned stations keep their current `displayPos` (stations without one are not pinned).
+ * @returns {Map<number, [number, number]>} station index → position
+ */
+function resolvePinnedPositions(constraints, stations, stationIndex) {
+  const pinned = new Map()
+  for (const stationId of constraints?.pinnedStationIds || []) {
+    const index = stationIndex.get(stationId)
+    const pos = stations[index]?.displayPos
+    if (index == null || !Array.isArray(pos) || !pos.every(Number.isFinite)) continue
+    pinned.set(index, [pos[0], pos[1]])
+  }
+  return pinned
+}
+
+/**
+ * Turn stored `layoutMeta.constraints` into index-based rules for one optimizer run.
+ * Constraints whose stations, lines or runs cannot be resolved are ignored.
+ */
+function buildUserConstraintRules(constraints, { stations, edges, lines, stationIndex, edgeRecords }) {
+  const pinned = resolvePinnedPositions(constraints, stations, stationIndex)
+
+  const lineById = new Map(lines.map((line) => [line.id, line]))
+  const rawEdgeById = new Map(edges.map((edge) => [edge.id, edge]))
+  const edgeRecordById = new Map(edgeRecords.map((edge) => [edge.id, edge]))
+  const runs = []
+  const resolveRun = (item, direction) => {
+    const run = resolveLineRun(lineById.get(item.lineId), rawEdgeById, item.fromStationId, item.toStationId)
+    if (!run) return
+    const indices = run.stationIds.map((stationId) => stationIndex.get(stationId))
+    if (indices.some((index) => index == null)) return
+    const runEdges = []
+    for (const [k, edgeId] of run.edgeIds.entries()) {
+      const record = edgeRecordById.get(edgeId)
+      if (!record) return
+      runEdges.push({ record, forward: record.fromIndex === indices[k] })
+    }
+    runs.push({ indices, edges: runEdges, direction })
+  }
+  // locks first: an edge in both a lock and a straight section follows the lock
+  for (const item of constraints?.directionLocks || []) resolveRun(item, item.direction)
+  for (const item of constraints?.straightSections || []) resolveRun(item, null)
+
+  const relations = []
+  for (const item of constraints?.relations || []) {
+    const a = stationIndex.get(item.stationAId)
+    const b = stationIndex.get(item.stationBId)
+    if (a == null || b == null || a === b) continue
+    relations.push({ type: item.type, a, b })
+  }
+
+  return {
+    pinned,
+    runs,
+    relations,
+    isEmpty: !pinned.size && !runs.length && !relations.length,
+  }
+}
+
+function stationMobility(rules, index) {
+  return rules?.pinned.has(index) ? 0 : 1
+}
+
+function runAngle(positions, run) {
+  if (Number.isInteger(run.direction)) return directionIndexToAngle(run.direction)
+  const first = positions[run.indices[0]]
+  const last = positions[run.indices[run.indices.length - 1]]
+  return snapAngle(Math.atan2(last[1] - first[1], last[0] - first[0]))
+}
+
+/**
+ * Target angle (from → to) of every edge covered by a direction lock or straight section.
+ * Straight sections take the octilinear direction closest to their current end-to-end vector.
+ * @returns {Map<string, number>}
+ */
+function resolveEdgeTargetAngles(positions, rules) {
+  const targets = new Map()
+  for (const run of rules?.runs || []) {
+    const angle = runAngle(positions, run)
+    for (const { record, forward } of run.edges) {
+      if (targets.has(record.id)) continue
+      targets.set(record.id, forward ? angle : angle + Math.PI)
+    }
+  }
+  return targets
+}
+
+/** Rotate an edge onto `angle`, keeping its length; pinned endpoints do not move. */
+function correctEdgeDirection(positions, edge, angle, rules) {
+  const from = positions[edge.fromIndex]
+  const to = positions[edge.toIndex]
+  const fromMobility = stationMobility(rules, edge.fromIndex)
+  const toMobility = stationMobility(rules, edge.toIndex)
+  if (!fromMobility && !toMobility) return
+  const length = Math.max(distance(from, to), 0.00001)
+  const errX = Math.cos(angle) * length - (to[0] - from[0])
+  const errY = Math.sin(angle) * length - (to[1] - from[1])
+  const fromMove = fromMobility / (fromMobility + toMobility)
+  const toMove = toMobility / (fromMobility + toMobility)
+  from[0] -= errX * fromMove
+  from[1] -= errY * fromMove
+  to[0] += errX * toMove
+  to[1] += errY * toMove
+}
+
+function applyRelation(positions, relation, gap, rules) {
+  const mobilityA = stationMobility(rules, relation.a)
+  const mobilityB = stationMobility(rules, relation.b)
+  if (!mobilityA && !mobilityB) return
+
+  // measured as second − first along one axis; layout space has y pointing up (north)
+  const axis = relation.type === 'leftOf' || relation.type === 'sameColumn' ? 0 : 1
+  const [first, second, firstMobility, secondMobility] =
+    relation.type === 'above'
+      ? [relation.b, relation.a, mobilityB, mobilityA]
+      : [relation.a, relation.b, mobilityA, mobilityB]
+  const value = positions[second][axis] - positions[first][axis]
+  let change = -value
+  if (relation.type === 'leftOf' || relation.type === 'above') {
+    if (value >= gap) return
+    change = gap - value
+  }
+  const total = firstMobility + secondMobility
+  positions[first][axis] -= (change * firstMobility) / total
+  positions[second][axis] += (change * secondMobility) / total
+}
+
+/**
+ * Project positions onto the user constraints: straighten locked runs and straight
+ * sections, enforce relations, then put pinned stations back exactly.
+ * Called after every force iteration, inside the octilinear passes and once at the end.
+ */
+function applyUserConstraints(positions, rules, config) {
+  if (!rules || rules.isEmpty) return
+  const gap = Math.max(2, toFiniteNumber(config.minStationDistance, 30))
+  const passes = Math.max(1, Math.floor(config.userConstraintPasses || 1))
+  for (let pass = 0; pass < passes; pass += 1) {
+    for (const run of rules.runs) {
+      const angle = runAngle(positions, run)
+      for (const { record, forward } of run.edges) {
+        correctEdgeDirection(positions, record, forward ? angle : angle + Math.PI, rules)
+      }
+    }
+    for (const relation of rules.relations) {
+      applyRelation(positions, relation, gap, rules)
+    }
+  }
+  for (const [index, xy] of rules.pinned) {
+    positions[index][0] = xy[0]
+    positions[index][1] = xy[1]
+  }
+}
+
+export {
+  applyUserConstraints,
+  buildUserConstraintRules,
+  resolveEdgeTargetAngles,
+  resolvePinnedPositions,
+  stationMobility,
+}
@@ -1,11 +1,18 @@
 import { optimizeLayout } from './layout/optimizeLayout'
+import { optimizeOctilinearLayout } from './layout/octilinearLayout'
+
+const ENGINES = {
+  force: optimizeLayout,
+  octilinear: optimizeOctilinearLayout,
+}
 
 self.onmessage = (event) => {
   const { requestId, payload } = event.data || {}
   if (!requestId) return
 
   try {
-    const result = optimizeLayout(payload)
+    const run = ENGINES[payload?.engine] || optimizeLayout
+    const result = run(payload)
     self.postMessage({ requestId, ok: true, result })
   } catch (error) {
     console.error('[LAYOUT WORKER] Error:', error)
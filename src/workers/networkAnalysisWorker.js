@@ -0,0 +1,28 @@
+import { calculateStationAccessibility } from '../lib/network/networkStatistics'
+import { analyzeDisruption } from '../lib/network/disruption'
+
+const TASKS = {
+  accessibility: calculateStationAccessibility,
+  disruption: analyzeDisruption,
+}
+
+self.onmessage = (event) => {
+  const { requestId, task, payload } = event.data || {}
+  if (!requestId) return
+
+  try {
+    const run = TASKS[task]
+    if (!run) throw new Error(`unknown-network-analysis-task: ${task}`)
+    const result = run(payload)
+    self.postMessage({ requestId, ok: true, result })
+  } catch (error) {
+    console.error('[NETWORK ANALYSIS WORKER] Error:', error)
+    self.postMessage({
+      requestId,
+      ok: false,
+      error: error instanceof Error ? error.message : 'unknown-worker-error',
+      errorStack: error instanceof Error ? error.stack : null,
+      errorName: error instanceof Error ? error.name : null,
+    })
+  }
+}